@@ -1,7 +1,18 @@
 import User from "../models/user.js";
 import Role from "../models/role.js";
+import Session from "../models/session.js";
+import mongoose from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
+import crypto from "crypto";
+import { sendMail } from "../utils/mailer.js";
+import { DOMAIN_EVENTS, emitDomainEvent } from "../utils/domainEvents.js";
+import {
+    checkLoginAllowed,
+    registerLoginFailure,
+    registerLoginSuccess,
+    wait
+} from "../utils/loginThrottle.js";
 
 // Función auxiliar para validar teléfono
 function validatePhone(phone) {
@@ -30,6 +41,25 @@ function validateEmail(email) {
     return { isValid: true };
 }
 
+// Vigencia del access token; la sesión se mantiene con el refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { id: user._id, role: user.role._id || user.role, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+// Datos del dispositivo que abre la sesión
+function getClientInfo(req) {
+    return {
+        userAgent: req.get("User-Agent"),
+        ip: req.ip
+    };
+}
+
 // Mapeo de roles para mostrar en español
 const roleTranslations = {
     "admin": "Administrador",
@@ -164,16 +194,16 @@ export const registerUser = async (req, res) => {
             }
         };
 
-        const token = jwt.sign(
-            { id: newUser._id, role: newUser.role._id },
-            process.env.JWT_SECRET,
-            { expiresIn: "24h" }
-        );
+        // Igual que en el login: el token pertenece a una sesión revocable
+        const { session, refreshToken } = await Session.start(newUser._id, getClientInfo(req));
+        const token = signAccessToken(newUser, session._id);
 
         res.status(201).json({
             success: true,
             message: "User registered successfully",
             token,
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
             data: userResponse
         });
 
@@ -205,6 +235,20 @@ export const registerUser = async (req, res) => {
     }
 };
 
+// Contabilizar un intento fallido, registrar bloqueos y aplicar el retraso progresivo
+async function handleFailedLogin(email, ip, user) {
+    const failure = await registerLoginFailure({ email, ip });
+
+    if (failure.account.locked) {
+        emitDomainEvent(DOMAIN_EVENTS.AUTH_LOCKOUT, { scope: "account", identifier: email, userId: user ? user._id : null });
+    }
+    if (failure.ip && failure.ip.locked) {
+        emitDomainEvent(DOMAIN_EVENTS.AUTH_LOCKOUT, { scope: "ip", identifier: ip, userId: null });
+    }
+
+    await wait(failure.delayMs);
+}
+
 // Iniciar sesión de usuario
 export const loginUser = async (req, res) => {
     try {
@@ -213,9 +257,22 @@ export const loginUser = async (req, res) => {
         if (!email || !password) {
             return res.status(400).json({ message: "Email and password are required" });
         }
+
+        const ip = req.ip;
+
+        // Bloqueo temporal por intentos fallidos (misma respuesta exista o no la cuenta)
+        const throttle = await checkLoginAllowed({ email, ip });
+        if (!throttle.allowed) {
+            res.set("Retry-After", String(throttle.retryAfter));
+            return res.status(429).json({
+                message: "Too many failed login attempts. Please try again later.",
+                retryAfter: throttle.retryAfter
+            });
+        }
         
         const user = await User.findOne({ email }).populate("role");
         if (!user) {
+            await handleFailedLogin(email, ip, null);
             return res.status(401).json({ message: "Invalid credentials" });
         }
         
@@ -241,17 +298,19 @@ export const loginUser = async (req, res) => {
         
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await handleFailedLogin(email, ip, user);
             return res.status(401).json({ message: "Invalid credentials" });
         }
+
+        await registerLoginSuccess({ email });
         
-        const token = jwt.sign(
-            {id: user._id, role: user.role._id},
-            process.env.JWT_SECRET,
-            { expiresIn: "24h" }
-        );
+        const { session, refreshToken } = await Session.start(user._id, getClientInfo(req));
+        const token = signAccessToken(user, session._id);
         
         res.json({
             token,
+            refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
             user: {
                 id: user._id,
                 name: user.name,
@@ -266,6 +325,105 @@ export const loginUser = async (req, res) => {
     }
 };
 
+// Renovar el access token con un refresh token (el refresh token se rota en cada uso)
+export const refreshSession = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ message: "Refresh token is required" });
+        }
+
+        const rotated = await Session.rotate(refreshToken.toString());
+        if (!rotated) {
+            return res.status(401).json({ message: "Invalid or expired refresh token" });
+        }
+
+        const user = await User.findById(rotated.session.user).populate("role");
+        if (!user || user.status === 'inactive' || !user.role || user.role.status === 'inactive') {
+            await Session.revoke({ _id: rotated.session._id }, "user_deactivated");
+            return res.status(401).json({ message: "Invalid or expired refresh token" });
+        }
+
+        res.status(200).json({
+            token: signAccessToken(user, rotated.session._id),
+            refreshToken: rotated.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Cerrar la sesión actual
+export const logoutUser = async (req, res) => {
+    try {
+        if (req.user.sessionId) {
+            await Session.revoke({ _id: req.user.sessionId, user: req.user.id }, "logout");
+        }
+
+        res.status(200).json({ message: "Logged out successfully" });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Listar las sesiones activas (dispositivos) del usuario autenticado
+export const getSessions = async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .select("userAgent ip createdAt lastUsedAt expiresAt")
+            .sort({ lastUsedAt: -1 });
+
+        const currentSessionId = req.user.sessionId ? req.user.sessionId.toString() : null;
+
+        res.status(200).json(sessions.map(session => ({
+            ...session.toObject(),
+            current: session._id.toString() === currentSessionId
+        })));
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
+// Revocar una sesión propia por ID, o todas las demás si no se indica ID
+export const revokeSessions = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (id) {
+            if (!mongoose.Types.ObjectId.isValid(id)) {
+                return res.status(400).json({ message: "Invalid session ID" });
+            }
+
+            const result = await Session.revoke({ _id: id, user: req.user.id }, "user_revoked");
+            if (result.modifiedCount === 0) {
+                return res.status(404).json({ message: "Session not found" });
+            }
+
+            return res.status(200).json({ message: "Session revoked successfully" });
+        }
+
+        const filter = { user: req.user.id };
+        if (req.user.sessionId) {
+            filter._id = { $ne: req.user.sessionId };
+        }
+
+        const result = await Session.revoke(filter, "user_revoked");
+
+        res.status(200).json({
+            message: "Other sessions revoked successfully",
+            revoked: result.modifiedCount
+        });
+    } catch (error) {
+        res.status(500).json({ message: "Server error", error: error.message });
+    }
+};
+
 // Obtener usuario autenticado
 export const getAuthenticatedUser = async (req, res) => {
     try {
@@ -279,39 +437,84 @@ export const getAuthenticatedUser = async (req, res) => {
     }
 };
 
-// Verificar si el correo existe en el sistema
-export const verifyEmail = async (req, res) => {
+// Vigencia del enlace de restablecimiento (minutos)
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+
+// Respuesta única para no revelar si el correo está registrado
+const FORGOT_PASSWORD_MESSAGE = "If an account exists for that email, a password reset link has been sent";
+
+// Solo se guarda el hash del token; el token en claro viaja únicamente en el correo
+function hashResetToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function buildResetLink(token) {
+    const baseUrl = process.env.PASSWORD_RESET_URL || `${process.env.APP_URL || "http://localhost:3000"}/reset-password`;
+    const separator = baseUrl.includes("?") ? "&" : "?";
+    return `${baseUrl}${separator}token=${token}`;
+}
+
+// Los datos del usuario se insertan como texto en el HTML del correo
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Genera el token de un solo uso, lo guarda (solo su hash) y envía el enlace por correo
+async function issuePasswordReset(user) {
+    const token = crypto.randomBytes(32).toString("hex");
+    user.resetPasswordToken = hashResetToken(token);
+    user.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    const resetLink = buildResetLink(token);
+    const htmlLink = escapeHtml(resetLink);
+
+    await sendMail({
+        to: user.email,
+        subject: "Restablecimiento de contraseña",
+        text: `Hola ${user.name || ""},\n\nPara restablecer tu contraseña ingresa al siguiente enlace: ${resetLink}\n\nEl enlace vence en ${RESET_TOKEN_TTL_MINUTES} minutos y solo puede usarse una vez. Si no solicitaste el cambio, ignora este correo.`,
+        html: `<p>Hola ${escapeHtml(user.name || "")},</p><p>Para restablecer tu contraseña ingresa al siguiente enlace:</p><p><a href="${htmlLink}">${htmlLink}</a></p><p>El enlace vence en ${RESET_TOKEN_TTL_MINUTES} minutos y solo puede usarse una vez. Si no solicitaste el cambio, ignora este correo.</p>`
+    });
+}
+
+// Solicitar restablecimiento de contraseña: genera un token de un solo uso y lo envía por correo
+export const forgotPassword = async (req, res) => {
     try {
         const { email } = req.body;
 
-        if (!email) {
-            return res.status(400).json({ message: "Email is required" });
+        const emailValidation = validateEmail(email ? email.toString().trim() : email);
+        if (!emailValidation.isValid) {
+            return res.status(400).json({ message: emailValidation.message });
         }
 
-        // Verificar si el usuario existe en el sistema
-        const user = await User.findOne({ email });
+        const user = await User.findOne({ email: email.toString().trim().toLowerCase() });
 
-        if (!user) {
-            return res.status(404).json({ message: "User not found" });
-        }
+        // La respuesta sale antes de guardar el token y enviar el correo: el tiempo de
+        // respuesta es el mismo exista o no la cuenta (inexistentes e inactivas no reciben nada)
+        res.status(200).json({ message: FORGOT_PASSWORD_MESSAGE });
 
-        // Si el usuario existe, enviar respuesta exitosa
-        res.status(200).json({ 
-            message: "Email verified successfully",
-            userId: user._id
-        });
+        if (user && user.status === "active") {
+            issuePasswordReset(user).catch(error => {
+                console.error("Error issuing password reset:", error);
+            });
+        }
     } catch (error) {
-        res.status(500).json({ message: "Error verifying email", error: error.message });
+        res.status(500).json({ message: "Error requesting password reset", error: error.message });
     }
 };
 
-// Restablecer contraseña después de verificar el correo
+// Restablecer contraseña con el token recibido por correo
 export const resetPassword = async (req, res) => {
     try {
-        const { email, newPassword } = req.body;
+        const { token, newPassword } = req.body;
 
-        if (!email || !newPassword) {
-            return res.status(400).json({ message: "Email and new password are required" });
+        if (!token || !newPassword) {
+            return res.status(400).json({ message: "Token and new password are required" });
         }
 
         // Validación de longitud de contraseña
@@ -321,24 +524,31 @@ export const resetPassword = async (req, res) => {
             });
         }
 
-        // Buscar al usuario nuevamente
-        const user = await User.findOne({ email });
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+        // Consumir el token de forma atómica para que solo pueda usarse una vez
+        const user = await User.findOneAndUpdate(
+            {
+                resetPasswordToken: hashResetToken(token.toString()),
+                resetPasswordExpires: { $gt: new Date() },
+                status: "active"
+            },
+            {
+                $set: { password: hashedPassword },
+                $unset: { resetPasswordToken: "", resetPasswordExpires: "" }
+            },
+            { new: true }
+        );
 
         if (!user) {
-            return res.status(404).json({ message: "User not found" });
+            return res.status(400).json({ message: "Invalid or expired reset token" });
         }
 
-        // Actualizar la contraseña
-        const hashedPassword = await bcrypt.hash(newPassword, 10);
-        user.password = hashedPassword;
-
-        user.resetPasswordToken = undefined;
-        user.resetPasswordExpires = undefined;
-        
-        await user.save();
+        // Un cambio de contraseña cierra todas las sesiones abiertas
+        await Session.revokeAllForUser(user._id, "password_change");
 
         res.status(200).json({ message: "Password changed successfully" });
     } catch (error) {
         res.status(500).json({ message: "Error changing password", error: error.message });
     }
-};
\ No newline at end of file
+};
@@ -1,17 +1,7 @@
 import Branch from "../models/branches.js";
 import mongoose from "mongoose";
-
-async function generateBranchId() {
-    const lastBranch = await Branch.findOne().sort({ id: -1 });
-
-    if (!lastBranch || !/^Br\d{2}$/.test(lastBranch.id)) {
-        return "Br01";
-    }
-
-    const lastNumber = parseInt(lastBranch.id.substring(2), 10);
-    const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-    return `Br${nextNumber}`;
-}
+import { nextDocumentId } from "../utils/sequence.js";
+import { parseListQuery, findPaginated, listResponse } from "../utils/listQuery.js";
 
 // Field validation
 function validateBranchData(data, isUpdate = false) {
@@ -73,11 +63,24 @@ function checkPermission(userRole, permission) {
 // Get all branches
 export const getBranches = async (req, res) => {
     try {
-        const branches = await Branch.find();
-        res.status(200).json({ 
-            success: true,
-            branches 
+        const listQuery = parseListQuery(req.query, {
+            filters: {
+                status: { type: "enum", values: ["active", "inactive", "pending"] }
+            },
+            sortable: ["id", "name", "location", "status"],
+            defaultSort: "name"
         });
+
+        if (listQuery.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation error",
+                errors: listQuery.errors
+            });
+        }
+
+        const { items, meta } = await findPaginated(Branch, listQuery);
+        res.status(200).json(listResponse({ items, meta }, branches => ({ success: true, branches })));
     } catch (error) {
         console.error("Error fetching branches:", error);
         res.status(500).json({ 
@@ -142,7 +145,7 @@ export const postBranches = async (req, res) => {
             });
         }
         
-        const id = await generateBranchId();
+        const id = await nextDocumentId("branch");
         const newBranch = new Branch({ 
             id, 
             name: name.trim(), 
@@ -1,28 +1,19 @@
 import Category from "../models/category.js";
 import mongoose from "mongoose";
 import { checkPermission } from "../utils/permissions.js";
-
-async function generateCategoryId() {
-    const lastCategory = await Category.findOne().sort({ id: -1 });
-
-    if (!lastCategory || !/^Ca\d{2}$/.test(lastCategory.id)) {
-        return "Ca01";
-    }
-
-    const lastNumber = parseInt(lastCategory.id.substring(2), 10);
-    const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-    return `Ca${nextNumber}`;
-}
+import { nextDocumentId } from "../utils/sequence.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+import { IVA_RATES, isValidTaxRate } from "../utils/pricing.js";
 
 // Obtener todas las categorías
 export const getCategories = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "view_categories")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_CATEGORIES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
         const categories = await Category.find()
-            .select("id name status");
+            .select("id name status taxRate");
 
         res.status(200).json(categories);
     } catch (error) {
@@ -34,7 +25,7 @@ export const getCategories = async (req, res) => {
 // Obtener categoría por ID
 export const getOneCategory = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "view_categories_id")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_CATEGORIES_ID)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -45,7 +36,7 @@ export const getOneCategory = async (req, res) => {
         }
 
         const category = await Category.findById(id)
-            .select("id name status");
+            .select("id name status taxRate");
 
         if (!category) {
             return res.status(404).json({ message: "Category not found" });
@@ -61,16 +52,20 @@ export const getOneCategory = async (req, res) => {
 // Crear una nueva categoría
 export const postCategory = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "create_categories")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_CATEGORIES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const { name } = req.body;
+        const { name, taxRate } = req.body;
 
         if (!name) {
             return res.status(400).json({ message: "Name is required" });
         }
 
+        if (taxRate !== undefined && !isValidTaxRate(taxRate)) {
+            return res.status(400).json({ message: `taxRate must be one of: ${IVA_RATES.join(", ")}` });
+        }
+
         if (name.length < 3 || name.length > 50) {
             return res.status(400).json({ message: "Category name must be between 3 and 50 characters" });
         }
@@ -80,11 +75,12 @@ export const postCategory = async (req, res) => {
             return res.status(409).json({ message: "Category name already exists" });
         }
 
-        const id = await generateCategoryId();
+        const id = await nextDocumentId("category");
         const newCategory = new Category({
             id,
             name: name.trim(),
-            status: 'active'
+            status: 'active',
+            ...(taxRate !== undefined && { taxRate })
         });
 
         await newCategory.save();
@@ -98,17 +94,21 @@ export const postCategory = async (req, res) => {
 // Actualizar una categoría
 export const putCategory = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "update_categories")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_CATEGORIES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
         const { id } = req.params;
-        const { name } = req.body;
+        const { name, taxRate } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: "Invalid category ID" });
         }
 
+        if (taxRate !== undefined && !isValidTaxRate(taxRate)) {
+            return res.status(400).json({ message: `taxRate must be one of: ${IVA_RATES.join(", ")}` });
+        }
+
         if (name && (name.length < 3 || name.length > 50)) {
             return res.status(400).json({ message: "Category name must be between 3 and 50 characters" });
         }
@@ -126,12 +126,13 @@ export const putCategory = async (req, res) => {
 
         const updateData = {};
         if (name) updateData.name = name.trim();
+        if (taxRate !== undefined) updateData.taxRate = taxRate;
 
         const updatedCategory = await Category.findByIdAndUpdate(
             id,
             updateData,
             { new: true, runValidators: true }
-        ).select("id name status");
+        ).select("id name status taxRate");
 
         if (!updatedCategory) {
             return res.status(404).json({ message: "Category not found" });
@@ -147,7 +148,7 @@ export const putCategory = async (req, res) => {
 // Actualizar estado de categoría
 export const updateCategoryStatus = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "update_status_categories")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_STATUS_CATEGORIES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -181,7 +182,7 @@ export const updateCategoryStatus = async (req, res) => {
             id,
             { status },
             { new: true, runValidators: true }
-        ).select("id name status");
+        ).select("id name status taxRate");
 
         if (!updatedCategory) {
             return res.status(404).json({ message: "Category not found" });
@@ -200,7 +201,7 @@ export const updateCategoryStatus = async (req, res) => {
 // Eliminar una categoría
 export const deleteCategory = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "delete_categories")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.DELETE_CATEGORIES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -1,6 +1,11 @@
 import Customer from "../models/customer.js";
+import CustomerLedger from "../models/customerLedger.js";
+import Sale from "../models/sales.js";
 import mongoose from "mongoose";
 import { checkPermission } from "../utils/permissions.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+import { parseListQuery, findPaginated, listResponse } from "../utils/listQuery.js";
+import { DOMAIN_EVENTS, emitDomainEvent } from "../utils/domainEvents.js";
 
 // ===== FUNCIONES HELPER PARA FECHAS =====
 
@@ -18,6 +23,21 @@ function formatDateForResponse(date) {
     return date.toISOString();
 }
 
+/**
+ * Convierte una fecha a formato YYYY-MM-DD respetando la zona horaria local
+ * @param {Date|string} date - Fecha a convertir
+ * @returns {string} Fecha en formato YYYY-MM-DD
+ */
+function formatLocalDate(date = new Date()) {
+    const dateObj = date instanceof Date ? date : new Date(date);
+
+    const year = dateObj.getFullYear();
+    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+    const day = String(dateObj.getDate()).padStart(2, '0');
+
+    return `${year}-${month}-${day}`;
+}
+
 /**
  * Convierte fecha de string YYYY-MM-DD a objeto Date (zona local)
  * @param {string} dateString
@@ -49,6 +69,78 @@ function validatePhone(phone) {
     return { isValid: true };
 }
 
+// Función auxiliar para validar el cupo de crédito
+function validateCreditLimit(creditLimit) {
+    if (!Number.isInteger(creditLimit) || creditLimit < 0) {
+        return { isValid: false, message: "Credit limit must be a non-negative integer" };
+    }
+
+    return { isValid: true };
+}
+
+// Función auxiliar para validar el plazo de pago (días)
+function validatePaymentTermDays(days) {
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+        return { isValid: false, message: "Payment term must be an integer between 0 and 365 days" };
+    }
+
+    return { isValid: true };
+}
+
+// Días completos entre dos fechas (positivo si "to" es posterior)
+function daysBetween(from, to) {
+    const start = parseLocalDate(formatLocalDate(from));
+    const end = parseLocalDate(formatLocalDate(to));
+    return Math.round((end - start) / (24 * 60 * 60 * 1000));
+}
+
+// Saldo pendiente de una venta
+function saleOutstanding(sale) {
+    return Math.max(0, sale.total - (sale.returnedTotal || 0) - (sale.paidTotal || 0));
+}
+
+// Rangos de la cartera por edades según los días vencidos
+const AGING_BUCKETS = [
+    { key: "current", label: "Al día", min: -Infinity, max: 0 },
+    { key: "days1to30", label: "1-30 días", min: 1, max: 30 },
+    { key: "days31to60", label: "31-60 días", min: 31, max: 60 },
+    { key: "days61to90", label: "61-90 días", min: 61, max: 90 },
+    { key: "over90", label: "Más de 90 días", min: 91, max: Infinity }
+];
+
+function agingBucket(daysOverdue) {
+    return AGING_BUCKETS.find(bucket => daysOverdue >= bucket.min && daysOverdue <= bucket.max).key;
+}
+
+function emptyAging() {
+    return Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+}
+
+// Valida los campos de crédito del body; exige el permiso para gestionarlos
+function validateCreditFields(req, { creditLimit, paymentTermDays }) {
+    if (creditLimit === undefined && paymentTermDays === undefined) return null;
+
+    if (!checkPermission(req.user.role, PERMISSIONS.MANAGE_CUSTOMER_CREDIT)) {
+        return { status: 403, message: "Unauthorized to manage customer credit" };
+    }
+
+    if (creditLimit !== undefined) {
+        const creditValidation = validateCreditLimit(creditLimit);
+        if (!creditValidation.isValid) {
+            return { status: 400, message: creditValidation.message, field: "creditLimit" };
+        }
+    }
+
+    if (paymentTermDays !== undefined) {
+        const termValidation = validatePaymentTermDays(paymentTermDays);
+        if (!termValidation.isValid) {
+            return { status: 400, message: termValidation.message, field: "paymentTermDays" };
+        }
+    }
+
+    return null;
+}
+
 // Función auxiliar para validar email
 function validateEmail(email) {
     if (!email) return { isValid: false, message: "Email is required" };
@@ -64,19 +156,35 @@ function validateEmail(email) {
 // Obtener todos los clientes
 export const getCustomers = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "view_customers")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_CUSTOMERS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
             });
         }
         
-        await Customer.getDefaultCustomer();
+        const listQuery = parseListQuery(req.query, {
+            filters: {
+                status: { type: "enum", values: ["active", "inactive"] }
+            },
+            dateField: "createdAt",
+            sortable: ["name", "lastname", "email", "status", "createdAt"],
+            defaultSort: "-createdAt"
+        });
 
-        const customers = await Customer.find()
-            .select("name lastname email phone status createdAt isDefault");
+        if (listQuery.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation error",
+                errors: listQuery.errors
+            });
+        }
+
+        const { items, meta } = await findPaginated(Customer, listQuery, {
+            select: "name lastname email phone status createdAt isDefault creditLimit paymentTermDays balance creditReserved"
+        });
 
-        const formattedCustomers = customers.map(customer => ({
+        const formattedCustomers = items.map(customer => ({
             id: customer._id,
             name: customer.name,
             lastname: customer.lastname,
@@ -84,13 +192,14 @@ export const getCustomers = async (req, res) => {
             phone: customer.phone,
             status: customer.status,
             isDefault: customer.isDefault || false,
+            creditLimit: customer.creditLimit || 0,
+            paymentTermDays: customer.paymentTermDays,
+            balance: customer.balance || 0,
+            availableCredit: customer.availableCredit,
             createdAt: formatDateForResponse(customer.createdAt)
         }));
 
-        res.status(200).json({
-            success: true,
-            data: formattedCustomers
-        });
+        res.status(200).json(listResponse({ items: formattedCustomers, meta }, customers => ({ success: true, data: customers })));
     } catch (error) {
         console.error("Error fetching customers:", error);
         res.status(500).json({ 
@@ -103,7 +212,7 @@ export const getCustomers = async (req, res) => {
 // Obtener un cliente por ID
 export const getCustomerById = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "view_customers_id")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_CUSTOMERS_ID)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
@@ -138,6 +247,10 @@ export const getCustomerById = async (req, res) => {
                 phone: customer.phone,
                 status: customer.status,
                 isDefault: customer.isDefault || false,
+                creditLimit: customer.creditLimit || 0,
+                paymentTermDays: customer.paymentTermDays,
+                balance: customer.balance || 0,
+                availableCredit: customer.availableCredit,
                 createdAt: formatDateForResponse(customer.createdAt)
             }
         });
@@ -153,14 +266,14 @@ export const getCustomerById = async (req, res) => {
 // Crear un nuevo cliente
 export const createCustomer = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "create_customers")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_CUSTOMERS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
             });
         }
 
-        const { name, lastname, email, phone } = req.body;
+        const { name, lastname, email, phone, creditLimit, paymentTermDays } = req.body;
 
         // Validaciones básicas de campos requeridos
         if (!name || !lastname || !email || !phone) {
@@ -190,6 +303,16 @@ export const createCustomer = async (req, res) => {
             });
         }
 
+        // Validar cupo y plazo de crédito (opcionales)
+        const creditError = validateCreditFields(req, { creditLimit, paymentTermDays });
+        if (creditError) {
+            return res.status(creditError.status).json({ 
+                success: false,
+                message: creditError.message,
+                ...(creditError.field && { field: creditError.field })
+            });
+        }
+
         // Validar nombre
         const trimmedName = name.toString().trim();
         if (trimmedName.length < 2 || trimmedName.length > 50) {
@@ -228,10 +351,13 @@ export const createCustomer = async (req, res) => {
             email: email.toString().trim().toLowerCase(),
             phone: phone.toString().trim(),
             status: 'active',
-            isDefault: false
+            isDefault: false,
+            creditLimit: creditLimit || 0,
+            ...(paymentTermDays !== undefined && { paymentTermDays })
         });
 
         const savedCustomer = await newCustomer.save();
+        emitDomainEvent(DOMAIN_EVENTS.CUSTOMER_CREATED, { customer: savedCustomer, userId: req.user.id });
 
         res.status(201).json({
             success: true,
@@ -244,6 +370,10 @@ export const createCustomer = async (req, res) => {
                 phone: savedCustomer.phone,
                 status: savedCustomer.status,
                 isDefault: savedCustomer.isDefault,
+                creditLimit: savedCustomer.creditLimit || 0,
+                paymentTermDays: savedCustomer.paymentTermDays,
+                balance: savedCustomer.balance || 0,
+                availableCredit: savedCustomer.availableCredit,
                 createdAt: formatDateForResponse(savedCustomer.createdAt)
             }
         });
@@ -279,7 +409,7 @@ export const createCustomer = async (req, res) => {
 // Actualizar un cliente
 export const updateCustomer = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "update_customers")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_CUSTOMERS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
@@ -287,7 +417,7 @@ export const updateCustomer = async (req, res) => {
         }
 
         const { id } = req.params;
-        const { name, lastname, email, phone } = req.body;
+        const { name, lastname, email, phone, creditLimit, paymentTermDays } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ 
@@ -408,11 +538,26 @@ export const updateCustomer = async (req, res) => {
             updateData.phone = phone.toString().trim();
         }
 
+        // Validar y actualizar cupo y plazo de crédito si se proporcionan.
+        // Bajar el cupo por debajo de la cartera actual solo deja sin cupo disponible
+        const creditError = validateCreditFields(req, { creditLimit, paymentTermDays });
+        if (creditError) {
+            return res.status(creditError.status).json({ 
+                success: false,
+                message: creditError.message,
+                ...(creditError.field && { field: creditError.field })
+            });
+        }
+
+        if (creditLimit !== undefined) updateData.creditLimit = creditLimit;
+        if (paymentTermDays !== undefined) updateData.paymentTermDays = paymentTermDays;
+
         const updatedCustomer = await Customer.findByIdAndUpdate(
             id,
             updateData,
             { new: true, runValidators: true }
         );
+        emitDomainEvent(DOMAIN_EVENTS.CUSTOMER_UPDATED, { customer: updatedCustomer, userId: req.user.id });
 
         res.status(200).json({
             success: true,
@@ -425,6 +570,10 @@ export const updateCustomer = async (req, res) => {
                 phone: updatedCustomer.phone,
                 status: updatedCustomer.status,
                 isDefault: updatedCustomer.isDefault,
+                creditLimit: updatedCustomer.creditLimit || 0,
+                paymentTermDays: updatedCustomer.paymentTermDays,
+                balance: updatedCustomer.balance || 0,
+                availableCredit: updatedCustomer.availableCredit,
                 createdAt: formatDateForResponse(updatedCustomer.createdAt)
             }
         });
@@ -459,7 +608,7 @@ export const updateCustomer = async (req, res) => {
 // Eliminar un cliente
 export const deleteCustomer = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "delete_customers")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.DELETE_CUSTOMERS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
@@ -509,7 +658,7 @@ export const deleteCustomer = async (req, res) => {
 // Cambiar el estado de un cliente
 export const updateCustomerStatus = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "update_customers_status")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_CUSTOMERS_STATUS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
@@ -556,6 +705,13 @@ export const updateCustomerStatus = async (req, res) => {
             { new: true, runValidators: true }
         );
 
+        if (customer.status !== updatedCustomer.status) {
+            emitDomainEvent(
+                updatedCustomer.status === 'active' ? DOMAIN_EVENTS.CUSTOMER_ACTIVATED : DOMAIN_EVENTS.CUSTOMER_DEACTIVATED,
+                { customer: updatedCustomer, userId: req.user.id }
+            );
+        }
+
         res.status(200).json({
             success: true,
             message: `Customer ${status === 'active' ? 'activated' : 'deactivated'} successfully`,
@@ -567,6 +723,10 @@ export const updateCustomerStatus = async (req, res) => {
                 phone: updatedCustomer.phone,
                 status: updatedCustomer.status,
                 isDefault: updatedCustomer.isDefault,
+                creditLimit: updatedCustomer.creditLimit || 0,
+                paymentTermDays: updatedCustomer.paymentTermDays,
+                balance: updatedCustomer.balance || 0,
+                availableCredit: updatedCustomer.availableCredit,
                 createdAt: formatDateForResponse(updatedCustomer.createdAt)
             }
         });
@@ -583,7 +743,7 @@ export const updateCustomerStatus = async (req, res) => {
 // Obtener cliente predeterminado
 export const getDefaultCustomer = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "view_customers")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_CUSTOMERS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
@@ -592,6 +752,13 @@ export const getDefaultCustomer = async (req, res) => {
 
         const defaultCustomer = await Customer.getDefaultCustomer();
 
+        if (!defaultCustomer) {
+            return res.status(404).json({
+                success: false,
+                message: "Default customer not found. Run the database migrations"
+            });
+        }
+
         res.status(200).json({
             success: true,
             data: {
@@ -612,4 +779,248 @@ export const getDefaultCustomer = async (req, res) => {
             message: "Error retrieving default customer. Please try again later." 
         });
     }
-};
\ No newline at end of file
+};
+
+// Estado de cuenta de un cliente: GET /api/customers/:id/statement?startDate=&endDate=
+export const getCustomerStatement = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_CUSTOMER_STATEMENTS)) {
+            return res.status(403).json({ 
+                success: false,
+                message: "Unauthorized access" 
+            });
+        }
+
+        const { id } = req.params;
+        const { startDate, endDate } = req.query;
+        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Invalid customer ID format" 
+            });
+        }
+
+        if ((startDate && !dateRegex.test(startDate)) || (endDate && !dateRegex.test(endDate))) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Invalid date format. Use YYYY-MM-DD" 
+            });
+        }
+
+        const customer = await Customer.findById(id);
+        if (!customer) {
+            return res.status(404).json({ 
+                success: false,
+                message: "Customer not found" 
+            });
+        }
+
+        // Sin fechas: todo el historial hasta hoy
+        const start = startDate ? parseLocalDate(startDate) : null;
+        const end = parseLocalDate(endDate || formatLocalDate());
+        end.setDate(end.getDate() + 1);
+
+        if (start && start >= end) {
+            return res.status(400).json({ 
+                success: false,
+                message: "startDate must be before or equal to endDate" 
+            });
+        }
+
+        // Saldo inicial: movimientos anteriores al periodo
+        let openingBalance = 0;
+        if (start) {
+            const [opening] = await CustomerLedger.aggregate([
+                { $match: { customer: customer._id, date: { $lt: start } } },
+                { $group: { _id: null, total: { $sum: "$amount" } } }
+            ]);
+            openingBalance = opening?.total || 0;
+        }
+
+        const entries = await CustomerLedger.find({
+            customer: customer._id,
+            date: { ...(start && { $gte: start }), $lt: end }
+        })
+            .populate("sale", "id")
+            .populate("payment", "id method")
+            .populate("creditNote", "id")
+            .sort({ date: 1, _id: 1 });
+
+        // Saldo acumulado por movimiento dentro del periodo
+        let runningBalance = openingBalance;
+        const movements = entries.map(entry => {
+            runningBalance += entry.amount;
+            return {
+                date: formatDateForResponse(entry.date),
+                type: entry.type,
+                description: entry.description,
+                sale: entry.sale?.id || null,
+                payment: entry.payment ? { id: entry.payment.id, method: entry.payment.method } : null,
+                creditNote: entry.creditNote?.id || null,
+                charge: entry.amount > 0 ? entry.amount : 0,
+                credit: entry.amount < 0 ? -entry.amount : 0,
+                dueDate: formatDateForResponse(entry.dueDate),
+                balance: runningBalance
+            };
+        });
+
+        // Ventas a crédito con saldo pendiente a la fecha
+        const today = new Date();
+        const creditSales = await Sale.find({
+            customer: customer._id,
+            status: "completed",
+            dueDate: { $exists: true }
+        })
+            .select("id salesDate dueDate total returnedTotal paidTotal")
+            .sort({ dueDate: 1, _id: 1 });
+
+        const openSales = creditSales
+            .filter(sale => saleOutstanding(sale) > 0)
+            .map(sale => {
+                const daysOverdue = daysBetween(sale.dueDate, today);
+                return {
+                    _id: sale._id,
+                    id: sale.id,
+                    salesDate: sale.salesDate,
+                    dueDate: formatDateForResponse(sale.dueDate),
+                    total: sale.total,
+                    outstanding: saleOutstanding(sale),
+                    daysOverdue: Math.max(0, daysOverdue),
+                    overdue: daysOverdue > 0
+                };
+            });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                customer: {
+                    id: customer._id,
+                    name: customer.name,
+                    lastname: customer.lastname,
+                    email: customer.email,
+                    creditLimit: customer.creditLimit || 0,
+                    paymentTermDays: customer.paymentTermDays,
+                    balance: customer.balance || 0,
+                    creditReserved: customer.creditReserved || 0,
+                    availableCredit: customer.availableCredit
+                },
+                period: {
+                    startDate: start ? formatLocalDate(start) : null,
+                    endDate: formatLocalDate(new Date(end.getTime() - 1))
+                },
+                openingBalance,
+                movements,
+                closingBalance: runningBalance,
+                openSales
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching customer statement:", error);
+        res.status(500).json({ 
+            success: false,
+            message: "Error retrieving customer statement. Please try again later." 
+        });
+    }
+};
+
+// Cartera por edades de todos los clientes: GET /api/customers/receivables/aging?asOf=YYYY-MM-DD
+// Clasifica el saldo pendiente actual de cada venta a crédito según los días vencidos a la fecha de corte
+export const getReceivablesAging = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_RECEIVABLES_AGING)) {
+            return res.status(403).json({ 
+                success: false,
+                message: "Unauthorized access" 
+            });
+        }
+
+        const { asOf } = req.query;
+
+        if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Invalid asOf format. Use YYYY-MM-DD" 
+            });
+        }
+
+        const cutoff = parseLocalDate(asOf || formatLocalDate());
+
+        const sales = await Sale.find({
+            status: "completed",
+            dueDate: { $exists: true },
+            $expr: {
+                $gt: [
+                    { $subtract: ["$total", { $add: [{ $ifNull: ["$returnedTotal", 0] }, { $ifNull: ["$paidTotal", 0] }] }] },
+                    0
+                ]
+            }
+        })
+            .select("id customer dueDate total returnedTotal paidTotal")
+            .populate("customer", "name lastname email creditLimit")
+            .sort({ dueDate: 1, _id: 1 });
+
+        const byCustomer = new Map();
+        const totals = { ...emptyAging(), total: 0 };
+
+        for (const sale of sales) {
+            const outstanding = saleOutstanding(sale);
+            const daysOverdue = daysBetween(sale.dueDate, cutoff);
+            const bucket = agingBucket(daysOverdue);
+            const key = sale.customer._id.toString();
+
+            if (!byCustomer.has(key)) {
+                byCustomer.set(key, {
+                    customer: {
+                        id: sale.customer._id,
+                        name: sale.customer.name,
+                        lastname: sale.customer.lastname,
+                        email: sale.customer.email,
+                        creditLimit: sale.customer.creditLimit || 0
+                    },
+                    ...emptyAging(),
+                    total: 0,
+                    oldestDaysOverdue: 0,
+                    sales: []
+                });
+            }
+
+            const row = byCustomer.get(key);
+            row[bucket] += outstanding;
+            row.total += outstanding;
+            row.oldestDaysOverdue = Math.max(row.oldestDaysOverdue, daysOverdue);
+            row.sales.push({
+                _id: sale._id,
+                id: sale.id,
+                dueDate: formatDateForResponse(sale.dueDate),
+                outstanding,
+                daysOverdue: Math.max(0, daysOverdue),
+                bucket
+            });
+
+            totals[bucket] += outstanding;
+            totals.total += outstanding;
+        }
+
+        // Primero los clientes con la deuda más antigua
+        const customers = [...byCustomer.values()]
+            .sort((a, b) => b.oldestDaysOverdue - a.oldestDaysOverdue || b.total - a.total);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                asOf: formatLocalDate(cutoff),
+                buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+                customers,
+                totals
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching receivables aging:", error);
+        res.status(500).json({ 
+            success: false,
+            message: "Error retrieving receivables aging. Please try again later." 
+        });
+    }
+};
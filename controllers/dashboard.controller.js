@@ -1,11 +1,24 @@
 import mongoose from "mongoose";
-import Purchase from "../models/purchase.js";
 import Sale from "../models/sales.js";
 import Product from "../models/product.js";
 import Customer from "../models/customer.js";
 import Provider from "../models/provider.js";
 import Branch from "../models/branches.js";
+import Category from "../models/category.js";
+import { DashboardActivity } from "../models/dashboard.js";
+import DailyRollup from "../models/dailyRollup.js";
+import BranchStock from "../models/branchStock.js";
+import Lot from "../models/lot.js";
 import { checkPermission } from "../utils/permissions.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+import {
+    MAX_STREAMS_PER_USER,
+    addStreamClient,
+    countUserStreams,
+    getTodayTotals,
+    sendToClient
+} from "../utils/dashboardStream.js";
+import { LOW_STOCK_THRESHOLD } from "../utils/domainEvents.js";
 
 // ===== FUNCIONES HELPER PARA FECHAS =====
 
@@ -24,24 +37,6 @@ function formatLocalDate(date = new Date()) {
     return `${year}-${month}-${day}`;
 }
 
-/**
- * Formatea tiempo relativo como en el frontend
- * @param {Date} date - Fecha a convertir
- * @returns {string} Tiempo relativo
- */
-function formatRelativeTime(date) {
-    const now = new Date();
-    const diff = now - new Date(date);
-    const minutes = Math.floor(diff / 60000);
-    const hours = Math.floor(diff / 3600000);
-    const days = Math.floor(diff / 86400000);
-
-    if (days > 0) return `Hace ${days} día${days > 1 ? 's' : ''}`;
-    if (hours > 0) return `Hace ${hours} hora${hours > 1 ? 's' : ''}`;
-    if (minutes > 0) return `Hace ${minutes} minuto${minutes > 1 ? 's' : ''}`;
-    return 'Hace unos momentos';
-}
-
 /**
  * Obtiene el rango de fechas para filtros
  * @param {string} period - "today", "week", "month", "year"
@@ -80,6 +75,83 @@ function getDateRange(period = "month") {
     return { startDate, endDate };
 }
 
+/**
+ * Convierte fecha de string YYYY-MM-DD a objeto Date (zona local)
+ * @param {string} dateString
+ * @returns {Date}
+ */
+function parseLocalDate(dateString) {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return new Date(year, month - 1, day);
+}
+
+/**
+ * Rango de fechas desde la consulta: startDate/endDate (YYYY-MM-DD, inclusivos) o,
+ * si no vienen, el período indicado
+ * @returns {{ startDate: Date, endDate: Date, error?: string }} endDate es exclusivo
+ */
+function getRequestedRange(query, fallback) {
+    const { startDate, endDate } = query;
+    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+    if ((startDate && !dateRegex.test(startDate)) || (endDate && !dateRegex.test(endDate))) {
+        return { error: "Invalid date format. Use YYYY-MM-DD" };
+    }
+
+    if (!startDate && !endDate) {
+        return fallback();
+    }
+
+    const end = endDate ? parseLocalDate(endDate) : new Date();
+    end.setHours(0, 0, 0, 0);
+    end.setDate(end.getDate() + 1);
+
+    const start = startDate ? parseLocalDate(startDate) : new Date(end.getFullYear(), end.getMonth() - 1, end.getDate());
+
+    if (start >= end) {
+        return { error: "startDate must be before or equal to endDate" };
+    }
+
+    return { startDate: start, endDate: end };
+}
+
+/**
+ * Filtro de sucursales: uno o varios IDs separados por coma
+ * @returns {{ branches: ObjectId[], error?: string }}
+ */
+function parseBranchFilter(value) {
+    if (!value) return { branches: [] };
+
+    const ids = String(value).split(",").map(id => id.trim()).filter(Boolean);
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return { error: "Invalid branch ID format" };
+    }
+
+    return { branches: ids.map(id => new mongoose.Types.ObjectId(id)) };
+}
+
+/**
+ * Margen bruto a partir de métricas de DailyRollup: ingresos sin IVA netos de devoluciones
+ * menos el costo de la mercancía vendida (neto del costo de lo que volvió al inventario)
+ * @param {Object} row - métricas sumadas de DailyRollup.summarize
+ * @returns {{ netRevenue: number, cost: number, margin: number, marginPercentage: number|null, units: number, uncostedUnits: number }}
+ */
+function marginFigures(row) {
+    const netRevenue = Math.round(((row?.salesTotal || 0) - (row?.salesTax || 0)) - ((row?.returnsTotal || 0) - (row?.returnsTax || 0)));
+    const cost = Math.round((row?.salesCost || 0) - (row?.returnsCost || 0));
+    const margin = netRevenue - cost;
+
+    return {
+        netRevenue,
+        cost,
+        margin,
+        marginPercentage: netRevenue > 0 ? Math.round((margin / netRevenue) * 10000) / 100 : null,
+        units: (row?.salesUnits || 0) - (row?.returnedUnits || 0),
+        // Unidades vendidas sin costo registrado: su margen queda sobreestimado
+        uncostedUnits: row?.uncostedUnits || 0
+    };
+}
+
 // ===== CONTROLADOR PRINCIPAL DEL DASHBOARD =====
 
 /**
@@ -87,69 +159,13 @@ function getDateRange(period = "month") {
  */
 export const getDashboardData = async (req, res) => {
     try {
-        if (!req.user || !checkPermission(req.user.role, "view_dashboard")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_DASHBOARD)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
         const { period = "month" } = req.query;
         const { startDate, endDate } = getDateRange(period);
 
-        // === DATOS DE VENTAS ===
-        const salesStats = await Sale.aggregate([
-            {
-                $match: {
-                    salesDate: { $gte: startDate, $lt: endDate }
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    thisMonth: { 
-                        $sum: { 
-                            $cond: [
-                                { $eq: ["$status", "completed"] }, 
-                                "$total", 
-                                0
-                            ] 
-                        }
-                    },
-                    transactions: {
-                        $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] }
-                    },
-                    totalSales: { $sum: 1 },
-                    avgOrderValue: { $avg: "$total" }
-                }
-            }
-        ]);
-
-        // === DATOS DE COMPRAS ===
-        const purchasesStats = await Purchase.aggregate([
-            {
-                $match: {
-                    purchase_date: { $gte: startDate, $lt: endDate }
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    thisMonth: { 
-                        $sum: { 
-                            $cond: [
-                                { $eq: ["$status", "active"] }, 
-                                "$total", 
-                                0
-                            ] 
-                        }
-                    },
-                    orders: {
-                        $sum: { $cond: [{ $eq: ["$status", "active"] }, 1, 0] }
-                    },
-                    totalPurchases: { $sum: 1 },
-                    avgOrderValue: { $avg: "$total" }
-                }
-            }
-        ]);
-
         // === CALCULAR CRECIMIENTO ===
         const previousPeriodStart = new Date(startDate);
         const previousPeriodEnd = new Date(endDate);
@@ -162,34 +178,10 @@ export const getDashboardData = async (req, res) => {
             previousPeriodEnd.setDate(previousPeriodEnd.getDate() - 7);
         }
 
-        const previousSalesStats = await Sale.aggregate([
-            {
-                $match: {
-                    salesDate: { $gte: previousPeriodStart, $lt: previousPeriodEnd },
-                    status: "completed"
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    previousTotal: { $sum: "$total" }
-                }
-            }
-        ]);
-
-        const previousPurchasesStats = await Purchase.aggregate([
-            {
-                $match: {
-                    purchase_date: { $gte: previousPeriodStart, $lt: previousPeriodEnd },
-                    status: "active"
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    previousTotal: { $sum: "$total" }
-                }
-            }
+        // === VENTAS, DEVOLUCIONES Y COMPRAS (totales diarios precalculados) ===
+        const [[current = {}], [previous = {}]] = await Promise.all([
+            DailyRollup.summarize(startDate, endDate),
+            DailyRollup.summarize(previousPeriodStart, previousPeriodEnd)
         ]);
 
         // === ACTIVIDADES RECIENTES ===
@@ -198,30 +190,39 @@ export const getDashboardData = async (req, res) => {
         // === DATOS DE GRÁFICOS ===
         const chartData = await getSalesChartData(period);
 
-        // Calcular crecimientos
-        const currentSales = salesStats[0]?.thisMonth || 0;
-        const previousSales = previousSalesStats[0]?.previousTotal || 1;
+        // Calcular crecimientos sobre ingresos netos (ventas completadas - devoluciones)
+        const grossSales = current.salesTotal || 0;
+        const returnsTotal = current.returnsTotal || 0;
+        const currentSales = grossSales - returnsTotal;
+        const previousSales = ((previous.salesTotal || 0) - (previous.returnsTotal || 0)) || 1;
         const salesGrowth = previousSales > 0 ? Math.round(((currentSales - previousSales) / previousSales) * 100) : 0;
 
-        const currentPurchases = purchasesStats[0]?.thisMonth || 0;
-        const previousPurchases = previousPurchasesStats[0]?.previousTotal || 1;
+        const currentPurchases = current.purchasesTotal || 0;
+        const previousPurchases = previous.purchasesTotal || 1;
         const purchasesReduction = previousPurchases > 0 ? Math.round(((previousPurchases - currentPurchases) / previousPurchases) * 100) : 0;
 
         // === RESPUESTA ESTRUCTURADA COMO EL FRONTEND ===
         const dashboardData = {
             sales: {
                 thisMonth: Math.round(currentSales),
-                transactions: salesStats[0]?.transactions || 0,
+                grossRevenue: Math.round(grossSales),
+                returns: Math.round(returnsTotal),
+                returnsCount: current.returnsCount || 0,
+                transactions: current.salesCount || 0,
                 growth: Math.max(0, salesGrowth),
-                totalSales: salesStats[0]?.totalSales || 0,
-                avgOrderValue: Math.round(salesStats[0]?.avgOrderValue || 0)
+                totalSales: current.registeredSalesCount || 0,
+                avgOrderValue: current.registeredSalesCount > 0
+                    ? Math.round(current.registeredSalesTotal / current.registeredSalesCount)
+                    : 0
             },
             purchases: {
                 thisMonth: Math.round(currentPurchases),
-                orders: purchasesStats[0]?.orders || 0,
+                orders: current.purchasesCount || 0,
                 reduction: Math.max(0, purchasesReduction),
-                totalPurchases: purchasesStats[0]?.totalPurchases || 0,
-                avgOrderValue: Math.round(purchasesStats[0]?.avgOrderValue || 0)
+                totalPurchases: current.registeredPurchasesCount || 0,
+                avgOrderValue: current.registeredPurchasesCount > 0
+                    ? Math.round(current.registeredPurchasesTotal / current.registeredPurchasesCount)
+                    : 0
             },
             activities: recentActivities,
             chartData,
@@ -241,54 +242,16 @@ export const getDashboardData = async (req, res) => {
 };
 
 /**
- * Obtener actividades recientes formateadas para el frontend
+ * Obtener actividades recientes formateadas para el frontend.
+ * Las registra el feed de eventos de dominio (utils/dashboardActivityFeed.js)
  */
 async function getRecentActivitiesData(limit = 10) {
     try {
-        // Obtener ventas recientes
-        const recentSales = await Sale.find()
-            .populate("customer", "name lastname")
-            .populate("branch", "name")
-            .sort({ createdAt: -1 })
-            .limit(limit)
-            .select("id customer total status createdAt");
-
-        // Obtener compras recientes
-        const recentPurchases = await Purchase.find()
-            .populate("provider", "company")
-            .sort({ createdAt: -1 })
-            .limit(limit)
-            .select("id provider total status createdAt");
-
-        // Formatear actividades como en el frontend
-        const salesActivities = recentSales.map(sale => ({
-            id: sale._id,
-            icon: '💰',
-            title: `Nueva venta registrada - Cliente: ${sale.customer?.name || 'Cliente'} ${sale.customer?.lastname || ''}`,
-            time: sale.createdAt,
-            type: 'sale',
-            amount: sale.total,
-            status: sale.status,
-            relativeTime: formatRelativeTime(sale.createdAt)
-        }));
-
-        const purchasesActivities = recentPurchases.map(purchase => ({
-            id: purchase._id,
-            icon: '🛒',
-            title: `Compra realizada - Proveedor: ${purchase.provider?.company || 'Proveedor'}`,
-            time: purchase.createdAt,
-            type: 'purchase',
-            amount: purchase.total,
-            status: purchase.status,
-            relativeTime: formatRelativeTime(purchase.createdAt)
-        }));
-
-        // Combinar y ordenar por fecha
-        const allActivities = [...salesActivities, ...purchasesActivities]
-            .sort((a, b) => new Date(b.time) - new Date(a.time))
-            .slice(0, limit);
+        const activities = await DashboardActivity.find({ status: 'active', isVisible: true })
+            .sort({ activityDate: -1, _id: -1 })
+            .limit(Math.min(Math.max(limit || 10, 1), 50));
 
-        return allActivities;
+        return activities.map(activity => activity.toFrontend());
     } catch (error) {
         console.error("Error fetching recent activities:", error);
         return [];
@@ -318,40 +281,10 @@ async function getSalesChartData(period = "month") {
                 periodEnd.setDate(periodEnd.getDate() - (i * 7));
             }
 
-            // Ventas del período
-            const salesData = await Sale.aggregate([
-                {
-                    $match: {
-                        salesDate: { $gte: periodStart, $lt: periodEnd },
-                        status: "completed"
-                    }
-                },
-                {
-                    $group: {
-                        _id: null,
-                        total: { $sum: "$total" }
-                    }
-                }
-            ]);
+            const [totals = {}] = await DailyRollup.summarize(periodStart, periodEnd);
 
-            // Compras del período
-            const purchasesData = await Purchase.aggregate([
-                {
-                    $match: {
-                        purchase_date: { $gte: periodStart, $lt: periodEnd },
-                        status: "active"
-                    }
-                },
-                {
-                    $group: {
-                        _id: null,
-                        total: { $sum: "$total" }
-                    }
-                }
-            ]);
-
-            salesTrend.push(salesData[0]?.total || 0);
-            purchasesTrend.push(purchasesData[0]?.total || 0);
+            salesTrend.push((totals.salesTotal || 0) - (totals.returnsTotal || 0));
+            purchasesTrend.push(totals.purchasesTotal || 0);
         }
 
         return {
@@ -371,10 +304,11 @@ async function getSalesChartData(period = "month") {
 
 /**
  * Endpoint para agregar nueva venta (compatible con frontend API)
+ * @deprecated La actividad se registra sola con el evento sale.created; no persiste nada
  */
 export const addDashboardSale = async (req, res) => {
     try {
-        if (!req.user || !checkPermission(req.user.role, "create_sales")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.CREATE_SALES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -410,10 +344,11 @@ export const addDashboardSale = async (req, res) => {
 
 /**
  * Endpoint para agregar nueva compra (compatible con frontend API)
+ * @deprecated La actividad se registra sola con el evento purchase.created; no persiste nada
  */
 export const addDashboardPurchase = async (req, res) => {
     try {
-        if (!req.user || !checkPermission(req.user.role, "create_purchases")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.CREATE_PURCHASES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -447,12 +382,59 @@ export const addDashboardPurchase = async (req, res) => {
     }
 };
 
+/**
+ * Stream en tiempo real del dashboard (Server-Sent Events)
+ * Eventos: connected, totals, activity, stock-alert. El sondeo con autoRefresh queda
+ * como respaldo si la conexión se pierde
+ */
+export const streamDashboard = async (req, res) => {
+    try {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_DASHBOARD)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        if (countUserStreams(req.user.id) >= MAX_STREAMS_PER_USER) {
+            return res.status(429).json({
+                message: `Too many open dashboard streams. Maximum ${MAX_STREAMS_PER_USER} per user`
+            });
+        }
+
+        res.set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache, no-transform",
+            "Connection": "keep-alive",
+            // Evita que proxies como nginx retengan los eventos en buffer
+            "X-Accel-Buffering": "no"
+        });
+        res.status(200);
+        res.flushHeaders();
+        // Tiempo de reconexión sugerido al navegador
+        res.write("retry: 10000\n\n");
+
+        const client = await addStreamClient(res, req.user.id);
+        if (!client) return;
+
+        sendToClient(client, "connected", {
+            notifications: client.notifications,
+            fallbackPollInterval: client.autoRefresh?.interval || 120000,
+            connectedAt: new Date()
+        });
+        sendToClient(client, "totals", await getTodayTotals());
+    } catch (error) {
+        console.error("Error opening dashboard stream:", error);
+        if (!res.headersSent) {
+            return res.status(500).json({ message: "Server error", details: error.message });
+        }
+        res.end();
+    }
+};
+
 /**
  * Obtener solo las actividades recientes
  */
 export const getRecentActivities = async (req, res) => {
     try {
-        if (!req.user || !checkPermission(req.user.role, "view_dashboard")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_DASHBOARD)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -474,7 +456,7 @@ export const getRecentActivities = async (req, res) => {
  */
 export const getQuickStats = async (req, res) => {
     try {
-        if (!req.user || !checkPermission(req.user.role, "view_dashboard")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_DASHBOARD)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -482,15 +464,8 @@ export const getQuickStats = async (req, res) => {
         const { startDate, endDate } = getDateRange(period);
 
         // Estadísticas básicas
-        const [salesCount, purchasesCount, customersCount, productsCount] = await Promise.all([
-            Sale.countDocuments({ 
-                salesDate: { $gte: startDate, $lt: endDate },
-                status: "completed"
-            }),
-            Purchase.countDocuments({ 
-                purchase_date: { $gte: startDate, $lt: endDate },
-                status: "active"
-            }),
+        const [[totals = {}], customersCount, productsCount] = await Promise.all([
+            DailyRollup.summarize(startDate, endDate),
             Customer.countDocuments({ status: "active" }),
             Product.countDocuments({ status: "active" })
         ]);
@@ -498,12 +473,12 @@ export const getQuickStats = async (req, res) => {
         // Productos con stock bajo
         const lowStockCount = await Product.countDocuments({
             status: "active",
-            stock: { $lte: 10 }
+            stock: { $lte: LOW_STOCK_THRESHOLD }
         });
 
         res.status(200).json({
-            sales: salesCount,
-            purchases: purchasesCount,
+            sales: totals.salesCount || 0,
+            purchases: totals.purchasesCount || 0,
             customers: customersCount,
             products: productsCount,
             lowStock: lowStockCount,
@@ -521,7 +496,7 @@ export const getQuickStats = async (req, res) => {
  */
 export const refreshDashboard = async (req, res) => {
     try {
-        if (!req.user || !checkPermission(req.user.role, "view_dashboard")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_DASHBOARD)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -548,7 +523,7 @@ export const refreshDashboard = async (req, res) => {
  */
 export const getDashboardSummary = async (req, res) => {
     try {
-        if (!req.user || !checkPermission(req.user.role, "view_dashboard")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_DASHBOARD)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -556,15 +531,8 @@ export const getDashboardSummary = async (req, res) => {
         const { startDate, endDate } = getDateRange(period);
 
         // Obtener resumen rápido
-        const [totalSales, totalPurchases, totalCustomers, totalProducts] = await Promise.all([
-            Sale.aggregate([
-                { $match: { salesDate: { $gte: startDate, $lt: endDate }, status: "completed" } },
-                { $group: { _id: null, total: { $sum: "$total" }, count: { $sum: 1 } } }
-            ]),
-            Purchase.aggregate([
-                { $match: { purchase_date: { $gte: startDate, $lt: endDate }, status: "active" } },
-                { $group: { _id: null, total: { $sum: "$total" }, count: { $sum: 1 } } }
-            ]),
+        const [[totals = {}], totalCustomers, totalProducts] = await Promise.all([
+            DailyRollup.summarize(startDate, endDate),
             Customer.countDocuments({ status: "active" }),
             Product.countDocuments({ status: "active" })
         ]);
@@ -572,12 +540,12 @@ export const getDashboardSummary = async (req, res) => {
         res.status(200).json({
             summary: {
                 sales: {
-                    total: totalSales[0]?.total || 0,
-                    count: totalSales[0]?.count || 0
+                    total: totals.salesTotal || 0,
+                    count: totals.salesCount || 0
                 },
                 purchases: {
-                    total: totalPurchases[0]?.total || 0,
-                    count: totalPurchases[0]?.count || 0
+                    total: totals.purchasesTotal || 0,
+                    count: totals.purchasesCount || 0
                 },
                 customers: totalCustomers,
                 products: totalProducts
@@ -596,118 +564,80 @@ export const getDashboardSummary = async (req, res) => {
  */
 export const getBranchPerformance = async (req, res) => {
     try {
-        if (!req.user || !checkPermission(req.user.role, "view_dashboard")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_DASHBOARD)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
         const { period = "month" } = req.query;
         const { startDate, endDate } = getDateRange(period);
 
-        // Obtener rendimiento por sucursal
-        const branchPerformance = await Sale.aggregate([
-            {
-                $match: {
-                    salesDate: { $gte: startDate, $lt: endDate },
-                    status: "completed"
-                }
-            },
-            {
-                $lookup: {
-                    from: "branches",
-                    localField: "branch",
-                    foreignField: "_id",
-                    as: "branchInfo"
-                }
-            },
-            {
-                $unwind: {
-                    path: "$branchInfo",
-                    preserveNullAndEmptyArrays: true
-                }
-            },
-            {
-                $group: {
-                    _id: "$branch",
-                    branchName: { $first: { $ifNull: ["$branchInfo.name", "Sin Sucursal"] } },
-                    totalSales: { $sum: "$total" },
-                    totalTransactions: { $sum: 1 },
-                    avgOrderValue: { $avg: "$total" },
-                    maxSale: { $max: "$total" },
-                    minSale: { $min: "$total" }
-                }
-            },
-            {
-                $sort: { totalSales: -1 }
-            }
-        ]);
-
-        // Obtener también las compras por sucursal para comparación
-        const branchPurchases = await Purchase.aggregate([
-            {
-                $match: {
-                    purchase_date: { $gte: startDate, $lt: endDate },
-                    status: "active"
-                }
-            },
-            {
-                $lookup: {
-                    from: "branches",
-                    localField: "branch",
-                    foreignField: "_id",
-                    as: "branchInfo"
-                }
-            },
-            {
-                $unwind: {
-                    path: "$branchInfo",
-                    preserveNullAndEmptyArrays: true
-                }
-            },
-            {
-                $group: {
-                    _id: "$branch",
-                    branchName: { $first: { $ifNull: ["$branchInfo.name", "Sin Sucursal"] } },
-                    totalPurchases: { $sum: "$total" },
-                    totalOrders: { $sum: 1 }
-                }
-            }
-        ]);
-
-        // Combinar datos de ventas y compras por sucursal
+        // Totales del período por sucursal (totales diarios precalculados)
+        const rollups = await DailyRollup.summarize(startDate, endDate, { groupBy: "key" });
+        const branches = await Branch.find({ _id: { $in: rollups.map(row => row._id).filter(Boolean) } }).select("name");
+
+        // Sucursales con ventas completadas o devoluciones en el período
+        const branchPerformance = rollups
+            .filter(row => row.salesCount > 0 || row.returnsCount > 0)
+            .map(row => ({
+                _id: row._id,
+                branchName: branches.find(branch => branch._id.equals(row._id))?.name || "Sin Sucursal",
+                totalSales: row.salesTotal,
+                totalTransactions: row.salesCount,
+                avgOrderValue: row.salesCount > 0 ? row.salesTotal / row.salesCount : 0,
+                maxSale: row.salesMax || 0,
+                minSale: row.salesMin || 0,
+                returnsTotal: row.returnsTotal,
+                totalPurchases: row.purchasesTotal,
+                totalOrders: row.purchasesCount,
+                margin: marginFigures(row)
+            }))
+            .sort((a, b) => b.totalSales - a.totalSales);
+
+        // Combinar datos de ventas, devoluciones, compras y margen bruto por sucursal.
+        // La utilidad es el margen sobre el costo de lo vendido, no la diferencia con lo comprado
         const combinedData = branchPerformance.map(branch => {
-            const purchaseData = branchPurchases.find(p => 
-                p._id?.toString() === branch._id?.toString()
-            );
+            const returnsTotal = branch.returnsTotal;
+            const netSales = branch.totalSales - returnsTotal;
             
             return {
                 branchId: branch._id,
                 branchName: branch.branchName,
                 sales: {
-                    total: Math.round(branch.totalSales),
+                    total: Math.round(netSales),
+                    gross: Math.round(branch.totalSales),
+                    returns: Math.round(returnsTotal),
                     transactions: branch.totalTransactions,
                     avgOrderValue: Math.round(branch.avgOrderValue),
                     maxSale: Math.round(branch.maxSale),
                     minSale: Math.round(branch.minSale)
                 },
                 purchases: {
-                    total: Math.round(purchaseData?.totalPurchases || 0),
-                    orders: purchaseData?.totalOrders || 0
+                    total: Math.round(branch.totalPurchases),
+                    orders: branch.totalOrders
                 },
-                profit: Math.round(branch.totalSales - (purchaseData?.totalPurchases || 0)),
-                efficiency: branch.totalSales > 0 ? 
-                    Math.round(((branch.totalSales - (purchaseData?.totalPurchases || 0)) / branch.totalSales) * 100) : 0
+                cost: {
+                    total: branch.margin.cost,
+                    uncostedUnits: branch.margin.uncostedUnits
+                },
+                netRevenue: branch.margin.netRevenue,
+                profit: branch.margin.margin,
+                efficiency: branch.margin.marginPercentage ?? 0
             };
         });
 
         // Calcular totales generales
         const totals = {
             totalSales: combinedData.reduce((sum, branch) => sum + branch.sales.total, 0),
+            totalReturns: combinedData.reduce((sum, branch) => sum + branch.sales.returns, 0),
             totalTransactions: combinedData.reduce((sum, branch) => sum + branch.sales.transactions, 0),
             totalPurchases: combinedData.reduce((sum, branch) => sum + branch.purchases.total, 0),
-            totalProfit: combinedData.reduce((sum, branch) => sum + branch.profit, 0),
-            averageEfficiency: combinedData.length > 0 ? 
-                Math.round(combinedData.reduce((sum, branch) => sum + branch.efficiency, 0) / combinedData.length) : 0
+            totalCost: combinedData.reduce((sum, branch) => sum + branch.cost.total, 0),
+            totalProfit: combinedData.reduce((sum, branch) => sum + branch.profit, 0)
         };
+        // Margen del conjunto, ponderado por los ingresos de cada sucursal
+        const totalNetRevenue = combinedData.reduce((sum, branch) => sum + branch.netRevenue, 0);
+        totals.averageEfficiency = totalNetRevenue > 0
+            ? Math.round((totals.totalProfit / totalNetRevenue) * 10000) / 100 : 0;
 
         res.status(200).json({
             branchPerformance: combinedData,
@@ -723,4 +653,554 @@ export const getBranchPerformance = async (req, res) => {
         console.error("Error fetching branch performance:", error);
         res.status(500).json({ message: "Server error", details: error.message });
     }
-};
\ No newline at end of file
+};
+
+// ===== GRÁFICOS, PRODUCTOS Y ALERTAS =====
+
+// Granularidades del gráfico de ventas: rango por defecto y máximo de puntos
+const CHART_GRANULARITIES = {
+    daily: { defaultBuckets: 30, maxBuckets: 366 },
+    weekly: { defaultBuckets: 12, maxBuckets: 156 },
+    monthly: { defaultBuckets: 12, maxBuckets: 120 }
+};
+
+// Inicio del intervalo (día, semana desde el domingo o mes) que contiene la fecha
+function truncateDate(date, granularity) {
+    const truncated = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (granularity === "weekly") {
+        truncated.setDate(truncated.getDate() - truncated.getDay());
+    } else if (granularity === "monthly") {
+        truncated.setDate(1);
+    }
+    return truncated;
+}
+
+function addBuckets(date, granularity, count) {
+    const next = new Date(date);
+    if (granularity === "daily") next.setDate(next.getDate() + count);
+    if (granularity === "weekly") next.setDate(next.getDate() + count * 7);
+    if (granularity === "monthly") next.setMonth(next.getMonth() + count);
+    return next;
+}
+
+/**
+ * Gráfico de ventas con granularidad diaria, semanal o mensual
+ * GET /api/dashboard/charts-sales?granularity=daily|weekly|monthly&startDate=&endDate=&branch=id1,id2
+ */
+export const getSalesChart = async (req, res) => {
+    try {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_DASHBOARD)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        // chartType se mantiene por compatibilidad con el frontend
+        const granularity = req.query.granularity || req.query.chartType || "daily";
+        const config = CHART_GRANULARITIES[granularity];
+        if (!config) {
+            return res.status(400).json({
+                message: `Invalid granularity. Use one of: ${Object.keys(CHART_GRANULARITIES).join(", ")}`
+            });
+        }
+
+        const { branches, error: branchError } = parseBranchFilter(req.query.branch);
+        if (branchError) {
+            return res.status(400).json({ message: branchError });
+        }
+
+        // Por defecto, los últimos N intervalos incluyendo el actual
+        const range = getRequestedRange(req.query, () => {
+            const current = truncateDate(new Date(), granularity);
+            return {
+                startDate: addBuckets(current, granularity, -(config.defaultBuckets - 1)),
+                endDate: addBuckets(current, granularity, 1)
+            };
+        });
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const firstBucket = truncateDate(range.startDate, granularity);
+        const buckets = [];
+        for (let bucket = firstBucket; bucket < range.endDate; bucket = addBuckets(bucket, granularity, 1)) {
+            buckets.push(bucket);
+            if (buckets.length > config.maxBuckets) {
+                return res.status(400).json({
+                    message: `Date range too large for ${granularity} granularity. Maximum ${config.maxBuckets} points`
+                });
+            }
+        }
+
+        // Totales diarios de las sucursales, sumados por intervalo
+        const dailyRows = await DailyRollup.summarize(range.startDate, range.endDate, { keys: branches, groupBy: "date" });
+        const rowsByBucket = new Map();
+        for (const row of dailyRows) {
+            const key = formatLocalDate(truncateDate(row._id, granularity));
+            const bucket = rowsByBucket.get(key) || { salesTotal: 0, salesTax: 0, salesCount: 0, returnsTotal: 0 };
+            bucket.salesTotal += row.salesTotal;
+            bucket.salesTax += row.salesTax;
+            bucket.salesCount += row.salesCount;
+            bucket.returnsTotal += row.returnsTotal;
+            rowsByBucket.set(key, bucket);
+        }
+
+        // Todos los intervalos del rango, con cero donde no hubo movimiento
+        const series = buckets.map(bucket => {
+            const key = formatLocalDate(bucket);
+            const totals = rowsByBucket.get(key);
+            const gross = totals?.salesTotal || 0;
+            const returnsTotal = totals?.returnsTotal || 0;
+            const transactions = totals?.salesCount || 0;
+
+            return {
+                date: key,
+                gross,
+                returns: returnsTotal,
+                net: gross - returnsTotal,
+                tax: totals?.salesTax || 0,
+                transactions,
+                avgTicket: transactions > 0 ? Math.round(gross / transactions) : 0
+            };
+        });
+
+        const totals = series.reduce((sum, point) => ({
+            gross: sum.gross + point.gross,
+            returns: sum.returns + point.returns,
+            net: sum.net + point.net,
+            transactions: sum.transactions + point.transactions
+        }), { gross: 0, returns: 0, net: 0, transactions: 0 });
+
+        res.status(200).json({
+            granularity,
+            dateRange: {
+                startDate: formatLocalDate(range.startDate),
+                endDate: formatLocalDate(new Date(range.endDate.getTime() - 1))
+            },
+            branches,
+            labels: series.map(point => point.date),
+            series,
+            totals: {
+                ...totals,
+                avgTicket: totals.transactions > 0 ? Math.round(totals.gross / totals.transactions) : 0
+            },
+            lastUpdate: new Date()
+        });
+    } catch (error) {
+        console.error("Error fetching sales chart:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+const TOP_PRODUCTS_SORT = ["units", "revenue", "margin"];
+
+/**
+ * Productos más vendidos por unidades, ingresos o margen (netos de devoluciones)
+ * GET /api/dashboard/top-products?period=month&startDate=&endDate=&branch=&sortBy=units|revenue|margin&limit=10
+ */
+export const getTopProducts = async (req, res) => {
+    try {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_DASHBOARD)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { period = "month", sortBy = "units" } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+        if (!TOP_PRODUCTS_SORT.includes(sortBy)) {
+            return res.status(400).json({ message: `Invalid sortBy. Use one of: ${TOP_PRODUCTS_SORT.join(", ")}` });
+        }
+
+        const { branches, error: branchError } = parseBranchFilter(req.query.branch);
+        if (branchError) {
+            return res.status(400).json({ message: branchError });
+        }
+
+        const range = getRequestedRange(req.query, () => getDateRange(period));
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        // Por línea: unidades y valores netos de lo devuelto (proporcionales a la línea)
+        const netShare = {
+            $divide: [
+                { $subtract: ["$products.quantity", { $ifNull: ["$products.returnedQuantity", 0] }] },
+                "$products.quantity"
+            ]
+        };
+
+        const rows = await Sale.aggregate([
+            {
+                $match: {
+                    ...(branches.length > 0 && { branch: { $in: branches } }),
+                    status: "completed",
+                    salesDate: { $gte: range.startDate, $lt: range.endDate }
+                }
+            },
+            { $unwind: "$products" },
+            {
+                $group: {
+                    _id: "$products.product",
+                    units: { $sum: { $subtract: ["$products.quantity", { $ifNull: ["$products.returnedQuantity", 0] }] } },
+                    returnedUnits: { $sum: { $ifNull: ["$products.returnedQuantity", 0] } },
+                    revenue: { $sum: { $multiply: ["$products.total", netShare] } },
+                    // Base sin IVA: sobre ella se calcula el margen
+                    netRevenue: { $sum: { $multiply: [{ $ifNull: ["$products.taxableBase", "$products.total"] }, netShare] } },
+                    // Costo registrado en la venta, menos el de las unidades que volvieron al inventario
+                    cost: { $sum: { $subtract: [{ $ifNull: ["$products.cost", 0] }, { $ifNull: ["$products.returnedCost", 0] }] } },
+                    uncostedUnits: {
+                        $sum: {
+                            $cond: [
+                                { $eq: [{ $ifNull: ["$products.cost", null] }, null] },
+                                { $subtract: ["$products.quantity", { $ifNull: ["$products.returnedQuantity", 0] }] },
+                                0
+                            ]
+                        }
+                    },
+                    sales: { $sum: 1 }
+                }
+            }
+        ]);
+
+        const products = await Product.find({ _id: { $in: rows.map(row => row._id) } })
+            .select("id name price category")
+            .populate("category", "name");
+        const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+        const ranking = rows.map(row => {
+            const product = productsById.get(row._id.toString());
+            const revenue = Math.round(row.revenue);
+            const netRevenue = Math.round(row.netRevenue);
+            // Con unidades sin costo registrado el margen no es confiable
+            const cost = row.uncostedUnits > 0 ? null : Math.round(row.cost);
+            const unitCost = cost !== null && row.units > 0 ? Math.round(cost / row.units) : null;
+            const margin = cost !== null ? netRevenue - cost : null;
+
+            return {
+                product: product
+                    ? { _id: product._id, id: product.id, name: product.name, price: product.price, category: product.category?.name || null }
+                    : { _id: row._id, id: null, name: "Producto eliminado", price: null, category: null },
+                units: row.units,
+                returnedUnits: row.returnedUnits,
+                sales: row.sales,
+                revenue,
+                netRevenue,
+                unitCost,
+                cost,
+                uncostedUnits: row.uncostedUnits,
+                margin,
+                marginPercentage: margin !== null && netRevenue > 0 ? Math.round((margin / netRevenue) * 10000) / 100 : null
+            };
+        })
+            // Productos sin costo conocido quedan al final del ranking por margen
+            .sort((a, b) => (b[sortBy] ?? -Infinity) - (a[sortBy] ?? -Infinity) || b.units - a.units);
+
+        res.status(200).json({
+            sortBy,
+            period: req.query.startDate || req.query.endDate ? "custom" : period,
+            dateRange: {
+                startDate: formatLocalDate(range.startDate),
+                endDate: formatLocalDate(new Date(range.endDate.getTime() - 1))
+            },
+            branches,
+            products: ranking.slice(0, limit),
+            totals: {
+                products: ranking.length,
+                units: ranking.reduce((sum, item) => sum + item.units, 0),
+                revenue: ranking.reduce((sum, item) => sum + item.revenue, 0),
+                margin: ranking.reduce((sum, item) => sum + (item.margin || 0), 0)
+            },
+            lastUpdate: new Date()
+        });
+    } catch (error) {
+        console.error("Error fetching top products:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+const MARGIN_GROUPS = ["product", "category", "branch", "period"];
+
+/**
+ * Reporte de margen bruto y costo de ventas por producto, categoría, sucursal o período.
+ * Se calcula sobre los totales diarios: ventas completadas por su fecha y devoluciones por
+ * la fecha de la nota crédito
+ * GET /api/dashboard/margin?groupBy=product|category|branch|period&period=month&startDate=&endDate=&granularity=daily|weekly|monthly&branch=id1,id2&limit=50
+ */
+export const getMarginReport = async (req, res) => {
+    try {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_MARGIN_REPORT)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { groupBy = "product", period = "month", granularity = "monthly" } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+        if (!MARGIN_GROUPS.includes(groupBy)) {
+            return res.status(400).json({ message: `Invalid groupBy. Use one of: ${MARGIN_GROUPS.join(", ")}` });
+        }
+
+        const config = CHART_GRANULARITIES[granularity];
+        if (!config) {
+            return res.status(400).json({
+                message: `Invalid granularity. Use one of: ${Object.keys(CHART_GRANULARITIES).join(", ")}`
+            });
+        }
+
+        const { branches, error: branchError } = parseBranchFilter(req.query.branch);
+        if (branchError) {
+            return res.status(400).json({ message: branchError });
+        }
+
+        // Los totales por producto y categoría suman todas las sucursales
+        if (branches.length > 0 && (groupBy === "product" || groupBy === "category")) {
+            return res.status(400).json({ message: "Branch filter is only supported when grouping by branch or period" });
+        }
+
+        const range = getRequestedRange(req.query, () => getDateRange(period));
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        let rows;
+        if (groupBy === "period") {
+            const buckets = [];
+            for (let bucket = truncateDate(range.startDate, granularity); bucket < range.endDate; bucket = addBuckets(bucket, granularity, 1)) {
+                buckets.push(bucket);
+                if (buckets.length > config.maxBuckets) {
+                    return res.status(400).json({
+                        message: `Date range too large for ${granularity} granularity. Maximum ${config.maxBuckets} points`
+                    });
+                }
+            }
+
+            const dailyRows = await DailyRollup.summarize(range.startDate, range.endDate, { keys: branches, groupBy: "date" });
+            const rowsByBucket = new Map();
+            for (const row of dailyRows) {
+                const key = formatLocalDate(truncateDate(row._id, granularity));
+                const bucket = rowsByBucket.get(key) || {};
+                for (const [metric, value] of Object.entries(row)) {
+                    if (typeof value === "number") bucket[metric] = (bucket[metric] || 0) + value;
+                }
+                rowsByBucket.set(key, bucket);
+            }
+
+            // Todos los intervalos del rango, con cero donde no hubo movimiento
+            rows = buckets.map(bucket => {
+                const key = formatLocalDate(bucket);
+                return { period: key, ...marginFigures(rowsByBucket.get(key)) };
+            });
+        } else {
+            const summary = await DailyRollup.summarize(range.startDate, range.endDate, {
+                dimension: groupBy,
+                keys: groupBy === "branch" ? branches : undefined,
+                groupBy: "key"
+            });
+            const activeRows = summary.filter(row => row.salesCount > 0 || row.returnsCount > 0);
+            const ids = activeRows.map(row => row._id).filter(Boolean);
+
+            let names;
+            if (groupBy === "product") {
+                const products = await Product.find({ _id: { $in: ids } }).select("id name category averageCost").populate("category", "name");
+                names = new Map(products.map(product => [product._id.toString(), {
+                    _id: product._id,
+                    id: product.id,
+                    name: product.name,
+                    category: product.category?.name || null,
+                    averageCost: product.averageCost
+                }]));
+            } else {
+                const Model = groupBy === "category" ? Category : Branch;
+                const documents = await Model.find({ _id: { $in: ids } }).select("name");
+                names = new Map(documents.map(document => [document._id.toString(), { _id: document._id, name: document.name }]));
+            }
+
+            const missingName = { product: "Producto eliminado", category: "Sin Categoría", branch: "Sin Sucursal" }[groupBy];
+            rows = activeRows
+                .map(row => ({
+                    [groupBy]: (row._id && names.get(row._id.toString())) || { _id: row._id, name: missingName },
+                    ...marginFigures(row)
+                }))
+                .sort((a, b) => b.margin - a.margin);
+        }
+
+        const totals = rows.reduce((sum, row) => ({
+            netRevenue: sum.netRevenue + row.netRevenue,
+            cost: sum.cost + row.cost,
+            margin: sum.margin + row.margin,
+            units: sum.units + row.units,
+            uncostedUnits: sum.uncostedUnits + row.uncostedUnits
+        }), { netRevenue: 0, cost: 0, margin: 0, units: 0, uncostedUnits: 0 });
+        totals.marginPercentage = totals.netRevenue > 0 ? Math.round((totals.margin / totals.netRevenue) * 10000) / 100 : null;
+
+        res.status(200).json({
+            groupBy,
+            ...(groupBy === "period" && { granularity }),
+            period: req.query.startDate || req.query.endDate ? "custom" : period,
+            dateRange: {
+                startDate: formatLocalDate(range.startDate),
+                endDate: formatLocalDate(new Date(range.endDate.getTime() - 1))
+            },
+            branches,
+            rows: groupBy === "period" ? rows : rows.slice(0, limit),
+            totals,
+            lastUpdate: new Date()
+        });
+    } catch (error) {
+        console.error("Error fetching margin report:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Umbrales por defecto de las alertas de inventario (configurables por entorno o por consulta)
+const DEFAULT_EXPIRING_DAYS = Number(process.env.EXPIRING_SOON_DAYS) || 7;
+
+/**
+ * Alertas de inventario: sin stock, stock bajo, lotes vencidos y próximos a vencer
+ * GET /api/dashboard/alerts-stock?threshold=10&days=7&branch=
+ */
+export const getLowStockAlerts = async (req, res) => {
+    try {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_DASHBOARD)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : LOW_STOCK_THRESHOLD;
+        const days = req.query.days !== undefined ? Number(req.query.days) : DEFAULT_EXPIRING_DAYS;
+
+        if (!Number.isInteger(threshold) || threshold < 0 || threshold > 100000) {
+            return res.status(400).json({ message: "Threshold must be a non-negative integer" });
+        }
+
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+            return res.status(400).json({ message: "Days must be an integer between 1 and 365" });
+        }
+
+        const { branches, error: branchError } = parseBranchFilter(req.query.branch);
+        if (branchError) {
+            return res.status(400).json({ message: branchError });
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const expiringLimit = new Date(today);
+        expiringLimit.setDate(expiringLimit.getDate() + days);
+
+        const products = await Product.find({ status: "active" }).select("id name stock expirationDate");
+        const productsById = new Map(products.map(product => [product._id.toString(), product]));
+        const productIds = products.map(product => product._id);
+
+        // Stock de referencia: el de las sucursales filtradas o el total global del producto
+        let stockById;
+        if (branches.length > 0) {
+            const entries = await BranchStock.aggregate([
+                { $match: { branch: { $in: branches }, product: { $in: productIds } } },
+                { $group: { _id: "$product", quantity: { $sum: "$quantity" } } }
+            ]);
+            stockById = new Map(entries.map(entry => [entry._id.toString(), entry.quantity]));
+        } else {
+            stockById = new Map(products.map(product => [product._id.toString(), product.stock || 0]));
+        }
+
+        const summarizeProduct = (product) => ({ _id: product._id, id: product.id, name: product.name });
+
+        const outOfStock = [];
+        const lowStock = [];
+        for (const product of products) {
+            const stock = stockById.get(product._id.toString()) || 0;
+            if (stock === 0) {
+                outOfStock.push({ product: summarizeProduct(product), stock, severity: "critical" });
+            } else if (stock <= threshold) {
+                lowStock.push({
+                    product: summarizeProduct(product),
+                    stock,
+                    threshold,
+                    severity: stock <= Math.floor(threshold / 2) ? "high" : "medium"
+                });
+            }
+        }
+        lowStock.sort((a, b) => a.stock - b.stock);
+
+        // Vencimientos por lote (solo lotes con existencias)
+        const lots = await Lot.find({
+            ...(branches.length > 0 && { branch: { $in: branches } }),
+            product: { $in: productIds },
+            quantity: { $gt: 0 },
+            expirationDate: { $lt: expiringLimit }
+        })
+            .populate("branch", "id name")
+            .sort({ expirationDate: 1 });
+
+        const expired = [];
+        const expiringSoon = [];
+        for (const lot of lots) {
+            const product = productsById.get(lot.product.toString());
+            const expirationDate = lot.get("expirationDate", null, { getters: false });
+            const daysToExpire = Math.round((new Date(expirationDate).setHours(0, 0, 0, 0) - today) / 86400000);
+            const entry = {
+                product: summarizeProduct(product),
+                lot: { _id: lot._id, id: lot.id },
+                branch: lot.branch,
+                quantity: lot.quantity,
+                expirationDate: formatLocalDate(expirationDate)
+            };
+
+            if (expirationDate < today) {
+                expired.push({ ...entry, daysExpired: -daysToExpire, severity: "critical" });
+            } else {
+                expiringSoon.push({ ...entry, daysToExpire, severity: daysToExpire <= Math.ceil(days / 3) ? "high" : "medium" });
+            }
+        }
+
+        // Productos con stock sin lotes registrados: se usa su fecha de vencimiento general
+        const productsWithLots = new Set(
+            (await Lot.distinct("product", {
+                ...(branches.length > 0 && { branch: { $in: branches } }),
+                product: { $in: productIds },
+                quantity: { $gt: 0 }
+            })).map(id => id.toString())
+        );
+        for (const product of products) {
+            const stock = stockById.get(product._id.toString()) || 0;
+            const expirationDate = product.get("expirationDate", null, { getters: false });
+            if (stock === 0 || !expirationDate || productsWithLots.has(product._id.toString()) || expirationDate >= expiringLimit) {
+                continue;
+            }
+
+            const daysToExpire = Math.round((new Date(expirationDate).setHours(0, 0, 0, 0) - today) / 86400000);
+            const entry = {
+                product: summarizeProduct(product),
+                lot: null,
+                branch: null,
+                quantity: stock,
+                expirationDate: formatLocalDate(expirationDate)
+            };
+
+            if (expirationDate < today) {
+                expired.push({ ...entry, daysExpired: -daysToExpire, severity: "critical" });
+            } else {
+                expiringSoon.push({ ...entry, daysToExpire, severity: daysToExpire <= Math.ceil(days / 3) ? "high" : "medium" });
+            }
+        }
+
+        res.status(200).json({
+            threshold,
+            expiringDays: days,
+            branches,
+            summary: {
+                outOfStock: outOfStock.length,
+                lowStock: lowStock.length,
+                expired: expired.length,
+                expiringSoon: expiringSoon.length,
+                total: outOfStock.length + lowStock.length + expired.length + expiringSoon.length
+            },
+            alerts: {
+                outOfStock,
+                lowStock,
+                expired,
+                expiringSoon
+            },
+            lastUpdate: new Date()
+        });
+    } catch (error) {
+        console.error("Error fetching stock alerts:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
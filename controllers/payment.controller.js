@@ -0,0 +1,352 @@
+import mongoose from "mongoose";
+import Payment, { PAYMENT_METHODS } from "../models/payment.js";
+import Sale from "../models/sales.js";
+import CustomerLedger from "../models/customerLedger.js";
+import { checkPermission } from "../utils/permissions.js";
+import { runInTransaction, ConcurrentModificationError } from "../utils/transaction.js";
+import { nextDocumentId } from "../utils/sequence.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+
+// ===== FUNCIONES HELPER PARA FECHAS =====
+
+/**
+ * Convierte una fecha a formato YYYY-MM-DD respetando la zona horaria local
+ * @param {Date|string} date - Fecha a convertir
+ * @returns {string} Fecha en formato YYYY-MM-DD
+ */
+function formatLocalDate(date = new Date()) {
+    const dateObj = date instanceof Date ? date : new Date(date);
+
+    const year = dateObj.getFullYear();
+    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+    const day = String(dateObj.getDate()).padStart(2, '0');
+
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Convierte fecha de string YYYY-MM-DD a objeto Date (zona local)
+ * @param {string} dateString
+ * @returns {Date}
+ */
+function parseLocalDate(dateString) {
+    if (!dateString) return new Date();
+
+    if (typeof dateString === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    return new Date(dateString);
+}
+
+// Estado de pago de la venta para las respuestas
+function formatSalePaymentState(sale) {
+    return {
+        _id: sale._id,
+        id: sale.id,
+        status: sale.status,
+        total: sale.total,
+        returnedTotal: sale.returnedTotal || 0,
+        paidTotal: sale.paidTotal || 0,
+        balance: sale.balance,
+        paymentStatus: sale.paymentStatus || "unpaid"
+    };
+}
+
+// Función para validar datos de un pago
+function validatePaymentData(data) {
+    const errors = [];
+
+    if (!data.method || !PAYMENT_METHODS.includes(data.method)) {
+        errors.push(`Method must be one of: ${PAYMENT_METHODS.join(", ")}`);
+    }
+
+    if (typeof data.amount !== 'number' || !Number.isInteger(data.amount) || data.amount <= 0) {
+        errors.push("Amount must be a positive integer");
+    }
+
+    // Los pagos electrónicos deben poder conciliarse con su comprobante
+    if (data.method && data.method !== "cash" && (!data.reference || !String(data.reference).trim())) {
+        errors.push("Reference is required for non-cash payments");
+    }
+
+    if (data.paidAt !== undefined && !/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d{3})?Z)?$/.test(data.paidAt)) {
+        errors.push("Invalid paidAt format. Use YYYY-MM-DD or ISO format");
+    }
+
+    return errors;
+}
+
+// Registrar un pago (total o parcial) sobre una venta
+export const postSalePayment = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_SALE_PAYMENTS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        const validationErrors = validatePaymentData(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                message: "Validation error",
+                errors: validationErrors
+            });
+        }
+
+        const sale = await Sale.findById(id).populate("branch", "id");
+        if (!sale) {
+            return res.status(404).json({ message: "Sale not found" });
+        }
+
+        if (sale.status === "cancelled") {
+            return res.status(400).json({ message: "Cannot register payments for a cancelled sale" });
+        }
+
+        const { method, amount, reference } = req.body;
+
+        if (amount > sale.balance) {
+            return res.status(400).json({
+                message: `Payment exceeds the outstanding balance. Balance: ${sale.balance}, Payment: ${amount}`
+            });
+        }
+
+        const paidAt = req.body.paidAt ? parseLocalDate(req.body.paidAt) : new Date();
+        const paymentId = await nextDocumentId("payment", { branchCode: sale.branch?.id, date: paidAt });
+
+        const payment = await runInTransaction(async (session) => {
+            // La condición del saldo se vuelve a comprobar de forma atómica por si otro
+            // pago se registró entre la lectura y esta actualización
+            const updatedSale = await Sale.applyPayment(sale._id, amount, session);
+            if (!updatedSale) {
+                throw new ConcurrentModificationError("Payment exceeds the outstanding balance, please check the sale and try again");
+            }
+
+            const [created] = await Payment.create([{
+                id: paymentId,
+                sale: sale._id,
+                customer: sale.customer,
+                branch: sale.branch._id,
+                method,
+                amount,
+                reference: reference ? String(reference).trim() : undefined,
+                receivedBy: req.user.id,
+                paidAt
+            }], { session });
+
+            // Abono a una venta a crédito ya completada: reduce la cartera del cliente
+            if (sale.dueDate) {
+                await CustomerLedger.post({
+                    customer: sale.customer,
+                    type: "payment",
+                    amount: -amount,
+                    sale: sale._id,
+                    payment: created._id,
+                    description: `Pago ${paymentId} - venta ${sale.id}`,
+                    date: paidAt,
+                    user: req.user.id
+                }, session);
+            }
+
+            return created;
+        });
+
+        const updatedSale = await Sale.findById(id);
+
+        res.status(201).json({
+            message: updatedSale.paymentStatus === "paid"
+                ? "Payment registered. The sale is fully paid"
+                : "Payment registered",
+            payment,
+            sale: formatSalePaymentState(updatedSale)
+        });
+    } catch (error) {
+        console.error("Error registering payment:", error);
+
+        if (error instanceof ConcurrentModificationError) {
+            return res.status(409).json({ message: error.message });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Listar los pagos de una venta con su saldo pendiente
+export const getSalePayments = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_SALE_PAYMENTS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        const sale = await Sale.findById(id);
+        if (!sale) {
+            return res.status(404).json({ message: "Sale not found" });
+        }
+
+        const payments = await Payment.find({ sale: sale._id })
+            .populate("receivedBy", "name lastname")
+            .populate("voided_by", "name lastname")
+            .sort({ paidAt: 1, _id: 1 });
+
+        res.status(200).json({
+            sale: formatSalePaymentState(sale),
+            payments
+        });
+    } catch (error) {
+        console.error("Error fetching sale payments:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Anular un pago de una venta que aún está en processing
+export const voidSalePayment = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VOID_SALE_PAYMENTS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id, paymentId } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(paymentId)) {
+            return res.status(400).json({ message: "Invalid sale or payment ID format" });
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ message: "A reason is required to void a payment" });
+        }
+
+        const sale = await Sale.findById(id);
+        if (!sale) {
+            return res.status(404).json({ message: "Sale not found" });
+        }
+
+        if (sale.status !== "processing") {
+            return res.status(400).json({
+                message: "Only payments of sales in processing can be voided"
+            });
+        }
+
+        const payment = await Payment.findOne({ _id: paymentId, sale: sale._id });
+        if (!payment) {
+            return res.status(404).json({ message: "Payment not found" });
+        }
+
+        if (payment.status === "voided") {
+            return res.status(400).json({ message: "Payment is already voided" });
+        }
+
+        await runInTransaction(async (session) => {
+            const voided = await Payment.findOneAndUpdate(
+                { _id: payment._id, status: "active" },
+                {
+                    status: "voided",
+                    void_reason: String(reason).trim(),
+                    voided_at: new Date(),
+                    voided_by: req.user.id
+                },
+                { new: true, session }
+            );
+            if (!voided) {
+                throw new ConcurrentModificationError("Payment is already voided");
+            }
+
+            await Sale.applyPayment(sale._id, -payment.amount, session);
+        });
+
+        const updatedSale = await Sale.findById(id);
+
+        res.status(200).json({
+            message: "Payment voided",
+            sale: formatSalePaymentState(updatedSale)
+        });
+    } catch (error) {
+        console.error("Error voiding payment:", error);
+
+        if (error instanceof ConcurrentModificationError) {
+            return res.status(409).json({ message: error.message });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Resumen diario de pagos por método: GET /api/payments/daily-summary?startDate=&endDate=&branch=
+export const getDailyPaymentsSummary = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_PAYMENTS_SUMMARY)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { startDate, endDate, branch } = req.query;
+        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+        if ((startDate && !dateRegex.test(startDate)) || (endDate && !dateRegex.test(endDate))) {
+            return res.status(400).json({ message: "Invalid date format. Use YYYY-MM-DD" });
+        }
+
+        if (branch && !mongoose.Types.ObjectId.isValid(branch)) {
+            return res.status(400).json({ message: "Invalid branch ID format" });
+        }
+
+        // Por defecto, el día de hoy
+        const start = parseLocalDate(startDate || formatLocalDate());
+        const end = parseLocalDate(endDate || startDate || formatLocalDate());
+        end.setDate(end.getDate() + 1);
+
+        if (start >= end) {
+            return res.status(400).json({ message: "startDate must be before or equal to endDate" });
+        }
+
+        const filter = branch ? { branch: new mongoose.Types.ObjectId(branch) } : {};
+        const rows = await Payment.summarizeByDayAndMethod(start, end, filter);
+
+        const emptyMethods = () => Object.fromEntries(PAYMENT_METHODS.map(method => [method, { total: 0, count: 0 }]));
+
+        const days = new Map();
+        const totalsByMethod = emptyMethods();
+
+        for (const row of rows) {
+            const { day, method } = row._id;
+            if (!days.has(day)) {
+                days.set(day, { date: day, methods: emptyMethods(), total: 0, count: 0 });
+            }
+
+            const entry = days.get(day);
+            entry.methods[method] = { total: row.total, count: row.count };
+            entry.total += row.total;
+            entry.count += row.count;
+
+            totalsByMethod[method].total += row.total;
+            totalsByMethod[method].count += row.count;
+        }
+
+        const summary = [...days.values()];
+
+        res.status(200).json({
+            startDate: formatLocalDate(start),
+            endDate: formatLocalDate(new Date(end.getTime() - 1)),
+            branch: branch || null,
+            days: summary,
+            totals: {
+                methods: totalsByMethod,
+                total: summary.reduce((sum, day) => sum + day.total, 0),
+                count: summary.reduce((sum, day) => sum + day.count, 0)
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching payments summary:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
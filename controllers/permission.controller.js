@@ -1,18 +1,7 @@
 import mongoose from "mongoose";
 import Permission from "../models/permission.js";
-
-// Función para generar ID de permiso (Pe01, Pe02, etc.)
-async function generatePermissionId() {
-  const lastPermission = await Permission.findOne().sort({ id: -1 });
-  
-  if (!lastPermission || !/^Pe\d{2}$/.test(lastPermission.id)) {
-    return "Pe01";
-  }
-  
-  const lastNumber = parseInt(lastPermission.id.substring(2), 10);
-  const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-  return `Pe${nextNumber}`;
-}
+import { nextDocumentId } from "../utils/sequence.js";
+import { invalidateAllRoles } from "../utils/permissionCache.js";
 
 // Obtener todos los permisos
 export const getPermissions = async (req, res) => {
@@ -64,7 +53,7 @@ export const postPermission = async (req, res) => {
     }
 
     // Generar ID único para el permiso
-    const permissionId = await generatePermissionId();
+    const permissionId = await nextDocumentId("permission");
 
     // Crear nuevo permiso
     const newPermission = new Permission({
@@ -116,6 +105,8 @@ export const updatePermission = async (req, res) => {
     permission.description = description || permission.description;
 
     await permission.save();
+    // El código puede estar asignado a varios roles
+    invalidateAllRoles();
     res.status(200).json({ message: "Permission updated successfully", permission });
   } catch (error) {
     console.error("Error updating permission:", error);
@@ -134,6 +125,8 @@ export const deletePermission = async (req, res) => {
       return res.status(404).json({ message: "Permission not found" });
     }
 
+    invalidateAllRoles();
+
     res.status(200).json({ message: "Permission deleted successfully" });
   } catch (error) {
     console.error("Error deleting permission:", error);
@@ -162,6 +155,7 @@ export const togglePermissionStatus = async (req, res) => {
     permission.status = status;
 
     await permission.save();
+    invalidateAllRoles();
 
     res.status(200).json({
       message: `Permission status updated to '${status}' successfully`,
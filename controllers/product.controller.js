@@ -1,19 +1,16 @@
 import Product from "../models/product.js";
 import Category from "../models/category.js";
+import BranchStock from "../models/branchStock.js";
+import Lot from "../models/lot.js";
+import Branch from "../models/branches.js";
+import StockMovement from "../models/stockMovement.js";
 import mongoose from "mongoose";
 import { checkPermission } from "../utils/permissions.js";
-
-async function generateProductId() {
-    const lastProduct = await Product.findOne().sort({ _id: -1 });
-
-    if (!lastProduct || !/^Pr\d{2}$/.test(lastProduct.id)) {
-        return "Pr01";
-    }
-
-    const lastNumber = parseInt(lastProduct.id.substring(2), 10);
-    const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-    return `Pr${nextNumber}`;
-}
+import { nextDocumentId } from "../utils/sequence.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+import { parseListQuery, findPaginated, listResponse } from "../utils/listQuery.js";
+import { IVA_RATES, isValidTaxRate } from "../utils/pricing.js";
+import { DOMAIN_EVENTS, emitDomainEvent, emitStockLevelEvents } from "../utils/domainEvents.js";
 
 function calculateDaysUntilExpiration(expirationDate) {
     if (!expirationDate) return null;
@@ -46,7 +43,7 @@ function formatDateForResponse(date) {
     return dateObj.toISOString();
 }
 
-export const validateProductForSale = async (productId) => {
+export const validateProductForSale = async (productId, branchId) => {
     try {
         if (!mongoose.Types.ObjectId.isValid(productId)) {
             return {
@@ -71,16 +68,22 @@ export const validateProductForSale = async (productId) => {
             };
         }
 
-        if (product.stock <= 0) {
+        // Solo cuentan los lotes no vencidos; si se indica sucursal, los de esa sucursal
+        const availableStock = await Lot.getAvailableQuantity(productId, branchId || null);
+
+        if (availableStock <= 0) {
             return {
                 isValid: false,
-                message: "Producto sin stock disponible"
+                message: branchId
+                    ? "Producto sin stock vigente en la sucursal"
+                    : "Producto sin stock vigente"
             };
         }
 
         return {
             isValid: true,
-            product: product
+            product: product,
+            availableStock
         };
     } catch (error) {
         console.error("Error validating product for sale:", error);
@@ -94,55 +97,57 @@ export const validateProductForSale = async (productId) => {
 // Get all products
 export const getProducts = async (req, res) => {
     try {
-        console.log("🔍 getProducts iniciado");
-        console.log("Usuario:", req.user);
-        
-        if (!checkPermission(req.user.role, "view_products")) {
-            console.log("❌ Sin permisos para ver productos");
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_PRODUCTS)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        console.log("🔍 Consultando productos en BD...");
-        const products = await Product.find()
-            .select("id name price stock status category batchDate expirationDate formattedPrice")
-            .populate("category", "name");
+        const listQuery = parseListQuery(req.query, {
+            filters: {
+                status: { type: "enum", values: ["active", "inactive"] },
+                category: { type: "objectId" }
+            },
+            dateField: "expirationDate",
+            sortable: ["id", "name", "price", "stock", "batchDate", "expirationDate"],
+            defaultSort: "name"
+        });
 
-        console.log("✅ Productos encontrados:", products.length);
+        if (listQuery.errors.length > 0) {
+            return res.status(400).json({ message: "Validation error", errors: listQuery.errors });
+        }
+
+        const { items, meta } = await findPaginated(Product, listQuery, {
+            select: "id name price taxRate stock status category batchDate expirationDate formattedPrice",
+            populate: [["category", "name"]]
+        });
 
-        const productsWithDays = products.map(product => {
+        const productsWithDays = items.map(product => {
             const productObj = product.toObject();
             productObj.daysUntilExpiration = calculateDaysUntilExpiration(product.expirationDate);
             return productObj;
         });
 
-        // Calcular productos próximos a vencer (opcional, sin función externa)
+        // Productos activos próximos a vencer (en todo el catálogo, no solo en esta página)
         const currentDate = new Date();
         const sevenDaysFromNow = new Date();
         sevenDaysFromNow.setDate(currentDate.getDate() + 7);
 
-        const expiringProducts = products.filter(product => {
-            if (!product.expirationDate) return false;
-            const expDate = new Date(product.expirationDate);
-            return expDate >= currentDate && expDate <= sevenDaysFromNow && product.status === "active";
+        const expiringCount = await Product.countDocuments({
+            status: "active",
+            expirationDate: { $gte: currentDate, $lte: sevenDaysFromNow }
         });
-        
-        const response = {
-            products: productsWithDays
-        };
 
         // Agregar alerta solo si hay productos próximos a vencer
-        if (expiringProducts.length > 0) {
-            response.expiringProductsAlert = {
-                message: `Tienes ${expiringProducts.length} producto(s) próximo(s) a vencer en 1 semana`,
-                count: expiringProducts.length
+        const alert = {};
+        if (expiringCount > 0) {
+            alert.expiringProductsAlert = {
+                message: `Tienes ${expiringCount} producto(s) próximo(s) a vencer en 1 semana`,
+                count: expiringCount
             };
         }
 
-        console.log("✅ Respuesta enviada exitosamente");
-        res.status(200).json(response);
+        res.status(200).json(listResponse({ items: productsWithDays, meta }, products => ({ products, ...alert }), alert));
     } catch (error) {
         console.error("❌ Error completo en getProducts:", error);
-        console.error("Stack trace:", error.stack);
         res.status(500).json({ 
             message: "Server error", 
             details: error.message 
@@ -153,7 +158,7 @@ export const getProducts = async (req, res) => {
 // Get product by ID
 export const getProductById = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "view_products_id")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_PRODUCTS_ID)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -164,7 +169,7 @@ export const getProductById = async (req, res) => {
         }
 
         const product = await Product.findById(id)
-            .select("id name price stock status category batchDate expirationDate formattedPrice")
+            .select("id name price taxRate stock status category batchDate expirationDate formattedPrice")
             .populate("category", "name");
 
         if (!product) {
@@ -172,9 +177,31 @@ export const getProductById = async (req, res) => {
         }
 
         const daysUntilExpiration = calculateDaysUntilExpiration(product.expirationDate);
-        
+        const stockBreakdown = await BranchStock.getBreakdown(product._id);
+
+        // Lotes con existencias, del más próximo a vencer al más lejano
+        const lots = await Lot.find({ product: product._id, quantity: { $gt: 0 } })
+            .populate("branch", "id name")
+            .sort({ expirationDate: 1 });
+
         const response = {
             ...product.toObject(),
+            stockByBranch: stockBreakdown.branches,
+            totalStock: stockBreakdown.total,
+            lots: lots.map(lot => {
+                const lotDaysUntilExpiration = calculateDaysUntilExpiration(lot.expirationDate);
+                return {
+                    _id: lot._id,
+                    id: lot.id,
+                    branch: lot.branch,
+                    batchDate: lot.batchDate.toISOString().split('T')[0],
+                    expirationDate: lot.expirationDate.toISOString().split('T')[0],
+                    initialQuantity: lot.initialQuantity,
+                    quantity: lot.quantity,
+                    daysUntilExpiration: lotDaysUntilExpiration,
+                    expired: lotDaysUntilExpiration < 0
+                };
+            }),
             daysUntilExpiration: daysUntilExpiration,
             expirationAlert: daysUntilExpiration <= 7 && daysUntilExpiration > 0 ? {
                 message: `Este producto vence en ${daysUntilExpiration} día(s)`,
@@ -192,11 +219,11 @@ export const getProductById = async (req, res) => {
 // Create product
 export const postProduct = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "create_products")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_PRODUCTS)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const { name, category, price, batchDate, expirationDate } = req.body;
+        const { name, category, price, batchDate, expirationDate, taxRate } = req.body;
         const initialStock = 0;
         
         if (!name || !category || price === undefined || !batchDate || !expirationDate) {
@@ -223,6 +250,11 @@ export const postProduct = async (req, res) => {
         if (!Number.isInteger(price)) {
             return res.status(400).json({ message: "Price must be an integer" });
         }
+
+        // null o ausente: el producto usa la tarifa de su categoría
+        if (taxRate !== undefined && taxRate !== null && !isValidTaxRate(taxRate)) {
+            return res.status(400).json({ message: `taxRate must be null or one of: ${IVA_RATES.join(", ")}` });
+        }
         
         const batchDateObj = new Date(batchDate);
         const expirationDateObj = new Date(expirationDate);
@@ -241,12 +273,13 @@ export const postProduct = async (req, res) => {
 
         const daysUntilExpiration = calculateDaysUntilExpiration(expirationDateObj);
         
-        const id = await generateProductId();
+        const id = await nextDocumentId("product");
         const newProduct = new Product({
             id,
             name,
             category,
             price,
+            taxRate: taxRate ?? null,
             batchDate: batchDateObj,
             expirationDate: expirationDateObj,
             stock: initialStock
@@ -255,8 +288,10 @@ export const postProduct = async (req, res) => {
         await newProduct.save();
         
         const savedProduct = await Product.findById(newProduct._id)
-            .select("id name price stock status category batchDate expirationDate formattedPrice")
+            .select("id name price taxRate stock status category batchDate expirationDate formattedPrice")
             .populate("category", "name");
+
+        emitDomainEvent(DOMAIN_EVENTS.PRODUCT_CREATED, { product: savedProduct, userId: req.user.id });
         
         const productResponse = {
             ...savedProduct.toObject(),
@@ -285,12 +320,12 @@ export const postProduct = async (req, res) => {
 // Update product
 export const updateProduct = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "edit_products")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.EDIT_PRODUCTS)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
         const { id } = req.params;
-        const { name, category, price, batchDate, expirationDate } = req.body;
+        const { name, category, price, batchDate, expirationDate, stock, branch, taxRate } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ message: "Invalid product ID" });
@@ -301,6 +336,30 @@ export const updateProduct = async (req, res) => {
             return res.status(404).json({ message: "Product not found" });
         }
 
+        // Ajuste manual de stock (conteo físico) en una sucursal
+        let stockAdjustment = null;
+        if (stock !== undefined) {
+            if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_STOCK_PRODUCTS)) {
+                return res.status(403).json({ message: "Unauthorized access" });
+            }
+
+            if (!Number.isInteger(stock) || stock < 0) {
+                return res.status(400).json({ message: "Stock must be a non-negative integer" });
+            }
+
+            if (!branch || !mongoose.Types.ObjectId.isValid(branch)) {
+                return res.status(400).json({ message: "A valid branch is required to adjust stock" });
+            }
+
+            const existingBranch = await Branch.findById(branch);
+            if (!existingBranch) {
+                return res.status(404).json({ message: "Branch not found" });
+            }
+
+            const currentBranchStock = await BranchStock.getQuantity(id, branch);
+            stockAdjustment = { branch, delta: stock - currentBranchStock };
+        }
+
         let categoryId = null;
         if (category) {
             if (!mongoose.Types.ObjectId.isValid(category)) {
@@ -328,6 +387,10 @@ export const updateProduct = async (req, res) => {
                 return res.status(400).json({ message: "Price must be an integer" });
             }
         }
+
+        if (taxRate !== undefined && taxRate !== null && !isValidTaxRate(taxRate)) {
+            return res.status(400).json({ message: `taxRate must be null or one of: ${IVA_RATES.join(", ")}` });
+        }
         
         let batchDateObj, expirationDateObj;
         
@@ -358,17 +421,56 @@ export const updateProduct = async (req, res) => {
         if (name) updateData.name = name;
         if (categoryId) updateData.category = categoryId;
         if (price !== undefined) updateData.price = price;
+        if (taxRate !== undefined) updateData.taxRate = taxRate;
         if (batchDateObj) updateData.batchDate = batchDateObj;
         if (expirationDateObj) updateData.expirationDate = expirationDateObj;
 
+        if (stockAdjustment && stockAdjustment.delta !== 0) {
+            const movement = {
+                reason: "adjustment",
+                sourceModel: "Product",
+                sourceId: existingProduct._id,
+                user: req.user.id
+            };
+
+            if (stockAdjustment.delta > 0) {
+                await BranchStock.increment(id, stockAdjustment.branch, stockAdjustment.delta, movement);
+
+                // El sobrante se registra como un lote con las fechas del producto
+                await Lot.receive({
+                    product: existingProduct._id,
+                    branch: stockAdjustment.branch,
+                    quantity: stockAdjustment.delta,
+                    batchDate: batchDateObj || existingProduct.get("batchDate", null, { getters: false }),
+                    expirationDate: expirationDateObj || existingProduct.get("expirationDate", null, { getters: false }),
+                    sourceModel: "Product",
+                    sourceId: existingProduct._id
+                });
+            } else {
+                // El faltante se descuenta por FEFO, incluidos los lotes vencidos
+                const allocations = await Lot.consume(id, stockAdjustment.branch, -stockAdjustment.delta, { includeExpired: true });
+                try {
+                    await BranchStock.decrement(id, stockAdjustment.branch, -stockAdjustment.delta, movement);
+                } catch (stockError) {
+                    await Lot.restore(allocations);
+                    throw stockError;
+                }
+            }
+        }
+
         const updatedProduct = await Product.findByIdAndUpdate(
             id,
             updateData,
             { new: true, runValidators: true }
         )
-            .select("id name price stock status category batchDate expirationDate formattedPrice")
+            .select("id name price taxRate stock status category batchDate expirationDate formattedPrice")
             .populate("category", "name");
 
+        emitDomainEvent(DOMAIN_EVENTS.PRODUCT_UPDATED, { product: updatedProduct, userId: req.user.id });
+        if (stockAdjustment && stockAdjustment.delta < 0) {
+            emitStockLevelEvents([{ product: updatedProduct._id, quantity: -stockAdjustment.delta }], req.user.id);
+        }
+
         const daysUntilExpiration = calculateDaysUntilExpiration(updatedProduct.expirationDate);
         
         const productResponse = {
@@ -395,10 +497,95 @@ export const updateProduct = async (req, res) => {
     }
 };
 
+// Get stock movements of a product
+export const getProductMovements = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_STOCK_MOVEMENTS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { startDate, endDate, branch } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid product ID" });
+        }
+
+        const product = await Product.findById(id).select("id name stock");
+        if (!product) {
+            return res.status(404).json({ message: "Product not found" });
+        }
+
+        const filter = { product: id };
+
+        if (branch) {
+            if (!mongoose.Types.ObjectId.isValid(branch)) {
+                return res.status(400).json({ message: "Invalid branch ID" });
+            }
+            filter.branch = branch;
+        }
+
+        if (startDate || endDate) {
+            filter.createdAt = {};
+
+            if (startDate) {
+                const startDateObj = new Date(startDate);
+                if (isNaN(startDateObj.getTime())) {
+                    return res.status(400).json({ message: "Start date is invalid" });
+                }
+                filter.createdAt.$gte = startDateObj;
+            }
+
+            if (endDate) {
+                const endDateObj = new Date(endDate);
+                if (isNaN(endDateObj.getTime())) {
+                    return res.status(400).json({ message: "End date is invalid" });
+                }
+                // Incluir el día completo cuando se envía solo la fecha
+                if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+                    endDateObj.setUTCDate(endDateObj.getUTCDate() + 1);
+                    filter.createdAt.$lt = endDateObj;
+                } else {
+                    filter.createdAt.$lte = endDateObj;
+                }
+            }
+        }
+
+        const movements = await StockMovement.find(filter)
+            .populate("branch", "id name")
+            .populate("user", "name lastname email")
+            .sort({ createdAt: 1 });
+
+        res.status(200).json({
+            product: {
+                _id: product._id,
+                id: product.id,
+                name: product.name,
+                stock: product.stock
+            },
+            movements: movements.map(movement => ({
+                _id: movement._id,
+                branch: movement.branch,
+                delta: movement.delta,
+                balance: movement.balance,
+                branchBalance: movement.branchBalance,
+                reason: movement.reason,
+                sourceModel: movement.sourceModel,
+                sourceId: movement.sourceId,
+                user: movement.user,
+                createdAt: formatDateForResponse(movement.createdAt)
+            }))
+        });
+    } catch (error) {
+        console.error("Error fetching product movements:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
 // Update product status
 export const updateProductStatus = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "update_status_products")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_STATUS_PRODUCTS)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -427,7 +614,7 @@ export const updateProductStatus = async (req, res) => {
                 useFindAndModify: false 
             }
         )
-            .select("id name price stock status category batchDate expirationDate formattedPrice")
+            .select("id name price taxRate stock status category batchDate expirationDate formattedPrice")
             .populate("category", "name");
 
         if (!updatedProduct) {
@@ -461,7 +648,7 @@ export const updateProductStatus = async (req, res) => {
 // Delete product
 export const deleteProduct = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "delete_products")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.DELETE_PRODUCTS)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -477,6 +664,9 @@ export const deleteProduct = async (req, res) => {
             return res.status(404).json({ message: "Product not found" });
         }
 
+        await BranchStock.deleteMany({ product: id });
+        await Lot.deleteMany({ product: id });
+
         res.status(200).json({ message: "Product deleted successfully" });
     } catch (error) {
         console.error("Error deleting product:", error);
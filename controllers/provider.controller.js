@@ -1,23 +1,11 @@
 import Provider from "../models/provider.js";
+import Purchase from "../models/purchase.js";
+import SupplierPayment from "../models/supplierPayment.js";
 import mongoose from "mongoose";
 import { checkPermission } from "../utils/permissions.js";
-
-async function generateProviderId() {
-    try {
-        const lastProvider = await Provider.findOne().sort({ _id: -1 });
-
-        if (!lastProvider || !/^Pr\d{2}$/.test(lastProvider.id)) {
-            return "Pr01";
-        }
-
-        const lastNumber = parseInt(lastProvider.id.substring(2), 10);
-        const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-        return `Pr${nextNumber}`;
-    } catch (error) {
-        console.error("Error generating provider ID:", error);
-        return "Pr01"; // Fallback value
-    }
-}
+import { nextDocumentId } from "../utils/sequence.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+import { parseListQuery, findPaginated, listResponse } from "../utils/listQuery.js";
 
 // Función auxiliar para validar NIT
 function validateNIT(nit) {
@@ -36,6 +24,76 @@ function validateNIT(nit) {
     return { isValid: true };
 }
 
+// Función auxiliar para validar el plazo de pago (días)
+function validatePaymentTermDays(days) {
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+        return { isValid: false, message: "Payment term must be an integer between 0 and 365 days" };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * Convierte una fecha a formato YYYY-MM-DD respetando la zona horaria local
+ * @param {Date|string} date - Fecha a convertir
+ * @returns {string} Fecha en formato YYYY-MM-DD
+ */
+function formatLocalDate(date = new Date()) {
+    const dateObj = date instanceof Date ? date : new Date(date);
+
+    const year = dateObj.getFullYear();
+    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+    const day = String(dateObj.getDate()).padStart(2, '0');
+
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Convierte fecha de string YYYY-MM-DD a objeto Date (zona local)
+ * @param {string} dateString
+ * @returns {Date}
+ */
+function parseLocalDate(dateString) {
+    if (!dateString) return new Date();
+
+    if (typeof dateString === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    return new Date(dateString);
+}
+
+// Días completos entre dos fechas (positivo si "to" es posterior)
+function daysBetween(from, to) {
+    const start = parseLocalDate(formatLocalDate(from));
+    const end = parseLocalDate(formatLocalDate(to));
+    return Math.round((end - start) / (24 * 60 * 60 * 1000));
+}
+
+// Rangos de las cuentas por pagar por edades según los días vencidos
+const AGING_BUCKETS = [
+    { key: "current", label: "Al día", min: -Infinity, max: 0 },
+    { key: "days1to30", label: "1-30 días", min: 1, max: 30 },
+    { key: "days31to60", label: "31-60 días", min: 31, max: 60 },
+    { key: "days61to90", label: "61-90 días", min: 61, max: 90 },
+    { key: "over90", label: "Más de 90 días", min: 91, max: Infinity }
+];
+
+function agingBucket(daysOverdue) {
+    return AGING_BUCKETS.find(bucket => daysOverdue >= bucket.min && daysOverdue <= bucket.max).key;
+}
+
+function emptyAging() {
+    return Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+}
+
+// Compras activas con saldo pendiente de pago
+const outstandingPurchaseFilter = {
+    status: "active",
+    $expr: { $gt: [{ $subtract: ["$total", { $ifNull: ["$paid_total", 0] }] }, 0] }
+};
+
 // Función auxiliar para validar email
 function validateEmail(email) {
     if (!email) return { isValid: false, message: "Email is required" };
@@ -66,19 +124,34 @@ function validatePhone(phone) {
 // Obtener todos los proveedores
 export const getProviders = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "view_providers")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_PROVIDERS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
             });
         }
 
-        const providers = await Provider.find().select("id nit company name contact_phone email status");
-        
-        res.status(200).json({
-            success: true,
-            data: providers
+        const listQuery = parseListQuery(req.query, {
+            filters: {
+                status: { type: "enum", values: ["active", "inactive"] }
+            },
+            sortable: ["id", "nit", "company", "name", "email", "status"],
+            defaultSort: "company"
         });
+
+        if (listQuery.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Validation error",
+                errors: listQuery.errors
+            });
+        }
+
+        const { items, meta } = await findPaginated(Provider, listQuery, {
+            select: "id nit company name contact_phone email status payment_term_days"
+        });
+        
+        res.status(200).json(listResponse({ items, meta }, providers => ({ success: true, data: providers })));
     } catch (error) {
         console.error("Error fetching providers:", error);
         res.status(500).json({ 
@@ -91,7 +164,7 @@ export const getProviders = async (req, res) => {
 // Obtener proveedor por ID
 export const getOneProvider = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "view_providers_id")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_PROVIDERS_ID)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
@@ -107,7 +180,7 @@ export const getOneProvider = async (req, res) => {
             });
         }
 
-        const provider = await Provider.findById(id).select("id nit company name contact_phone email status");
+        const provider = await Provider.findById(id).select("id nit company name contact_phone email status payment_term_days");
 
         if (!provider) {
             return res.status(404).json({ 
@@ -132,14 +205,14 @@ export const getOneProvider = async (req, res) => {
 // Crear un nuevo proveedor
 export const postProvider = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "create_providers")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_PROVIDERS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
             });
         }
 
-        const { nit, company, name, contact_phone, email } = req.body;
+        const { nit, company, name, contact_phone, email, payment_term_days } = req.body;
 
         // Validaciones básicas de campos requeridos
         if (!nit || !company || !name || !contact_phone || !email) {
@@ -179,6 +252,18 @@ export const postProvider = async (req, res) => {
             });
         }
 
+        // Validar plazo de pago (opcional)
+        if (payment_term_days !== undefined) {
+            const termValidation = validatePaymentTermDays(payment_term_days);
+            if (!termValidation.isValid) {
+                return res.status(400).json({ 
+                    success: false,
+                    message: termValidation.message,
+                    field: "payment_term_days"
+                });
+            }
+        }
+
         // Validar nombre de empresa
         const trimmedCompany = company.toString().trim();
         if (trimmedCompany.length < 2 || trimmedCompany.length > 100) {
@@ -213,7 +298,7 @@ export const postProvider = async (req, res) => {
             });
         }
 
-        const providerId = await generateProviderId();
+        const providerId = await nextDocumentId("provider");
         const newProvider = new Provider({
             id: providerId,
             nit: nit.toString().trim(),
@@ -221,7 +306,8 @@ export const postProvider = async (req, res) => {
             name: name.toString().trim(),
             contact_phone: contact_phone.toString().trim(),
             email: email.toString().trim().toLowerCase(),
-            status: "active"
+            status: "active",
+            ...(payment_term_days !== undefined && { payment_term_days })
         });
 
         const savedProvider = await newProvider.save();
@@ -262,7 +348,7 @@ export const postProvider = async (req, res) => {
 // Actualizar un proveedor
 export const putProvider = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "update_providers")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_PROVIDERS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
@@ -270,7 +356,7 @@ export const putProvider = async (req, res) => {
         }
 
         const { id } = req.params;
-        const { nit, company, name, contact_phone, email } = req.body;
+        const { nit, company, name, contact_phone, email, payment_term_days } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
             return res.status(400).json({ 
@@ -387,11 +473,24 @@ export const putProvider = async (req, res) => {
             updateData.company = trimmedCompany;
         }
 
+        // El nuevo plazo aplica a las compras que se registren después
+        if (payment_term_days !== undefined) {
+            const termValidation = validatePaymentTermDays(payment_term_days);
+            if (!termValidation.isValid) {
+                return res.status(400).json({ 
+                    success: false,
+                    message: termValidation.message,
+                    field: "payment_term_days"
+                });
+            }
+            updateData.payment_term_days = payment_term_days;
+        }
+
         const updatedProvider = await Provider.findByIdAndUpdate(
             id,
             updateData,
             { new: true, runValidators: true }
-        ).select("id nit company name contact_phone email status");
+        ).select("id nit company name contact_phone email status payment_term_days");
 
         res.status(200).json({ 
             success: true,
@@ -428,7 +527,7 @@ export const putProvider = async (req, res) => {
 // Actualizar estado del proveedor
 export const updateProviderStatus = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "update_status_providers")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_STATUS_PROVIDERS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
@@ -457,7 +556,7 @@ export const updateProviderStatus = async (req, res) => {
             id,
             { status: status.toLowerCase() },
             { new: true, runValidators: true }
-        ).select("id nit company name contact_phone email status");
+        ).select("id nit company name contact_phone email status payment_term_days");
 
         if (!updatedProvider) {
             return res.status(404).json({ 
@@ -483,7 +582,7 @@ export const updateProviderStatus = async (req, res) => {
 // Eliminar un proveedor
 export const deleteProvider = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "delete_providers")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.DELETE_PROVIDERS)) {
             return res.status(403).json({ 
                 success: false,
                 message: "Unauthorized access" 
@@ -519,4 +618,239 @@ export const deleteProvider = async (req, res) => {
             message: "Error deleting provider. Please try again later." 
         });
     }
-};
\ No newline at end of file
+};
+
+// Estado de cuenta de un proveedor: GET /api/providers/:id/statement?startDate=&endDate=
+// Cargos: compras activas; abonos: pagos a proveedor activos
+export const getProviderStatement = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_PROVIDER_STATEMENTS)) {
+            return res.status(403).json({ 
+                success: false,
+                message: "Unauthorized access" 
+            });
+        }
+
+        const { id } = req.params;
+        const { startDate, endDate } = req.query;
+        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Invalid provider ID format" 
+            });
+        }
+
+        if ((startDate && !dateRegex.test(startDate)) || (endDate && !dateRegex.test(endDate))) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Invalid date format. Use YYYY-MM-DD" 
+            });
+        }
+
+        const provider = await Provider.findById(id).select("id nit company name email payment_term_days");
+        if (!provider) {
+            return res.status(404).json({ 
+                success: false,
+                message: "Provider not found" 
+            });
+        }
+
+        // Sin fechas: todo el historial hasta hoy
+        const start = startDate ? parseLocalDate(startDate) : null;
+        const end = parseLocalDate(endDate || formatLocalDate());
+        end.setDate(end.getDate() + 1);
+
+        if (start && start >= end) {
+            return res.status(400).json({ 
+                success: false,
+                message: "startDate must be before or equal to endDate" 
+            });
+        }
+
+        // Saldo inicial: compras menos pagos anteriores al periodo
+        let openingBalance = 0;
+        if (start) {
+            const [[purchasesBefore], [paymentsBefore]] = await Promise.all([
+                Purchase.aggregate([
+                    { $match: { provider: provider._id, status: "active", purchase_date: { $lt: start } } },
+                    { $group: { _id: null, total: { $sum: "$total" } } }
+                ]),
+                SupplierPayment.aggregate([
+                    { $match: { provider: provider._id, status: "active", paidAt: { $lt: start } } },
+                    { $group: { _id: null, total: { $sum: "$amount" } } }
+                ])
+            ]);
+            openingBalance = (purchasesBefore?.total || 0) - (paymentsBefore?.total || 0);
+        }
+
+        const [purchases, payments] = await Promise.all([
+            Purchase.find({
+                provider: provider._id,
+                status: "active",
+                purchase_date: { ...(start && { $gte: start }), $lt: end }
+            }).select("id purchase_date due_date total"),
+            SupplierPayment.find({
+                provider: provider._id,
+                status: "active",
+                paidAt: { ...(start && { $gte: start }), $lt: end }
+            }).populate("purchase", "id")
+        ]);
+
+        const entries = [
+            ...purchases.map(purchase => ({
+                date: purchase.purchase_date,
+                type: "purchase",
+                purchase: purchase.id,
+                payment: null,
+                charge: purchase.total,
+                credit: 0,
+                due_date: purchase.due_date ? formatLocalDate(purchase.due_date) : null
+            })),
+            ...payments.map(payment => ({
+                date: payment.paidAt,
+                type: "payment",
+                purchase: payment.purchase?.id || null,
+                payment: { id: payment.id, method: payment.method, reference: payment.reference || null },
+                charge: 0,
+                credit: payment.amount,
+                due_date: null
+            }))
+        ].sort((a, b) => a.date - b.date || b.charge - a.charge);
+
+        // Saldo acumulado por movimiento dentro del periodo
+        let runningBalance = openingBalance;
+        const movements = entries.map(entry => {
+            runningBalance += entry.charge - entry.credit;
+            return { ...entry, date: entry.date.toISOString(), balance: runningBalance };
+        });
+
+        // Compras con saldo pendiente a la fecha
+        const today = new Date();
+        const openPurchases = (await Purchase.find({ provider: provider._id, ...outstandingPurchaseFilter })
+            .select("id purchase_date due_date total paid_total")
+            .sort({ due_date: 1, _id: 1 }))
+            .map(purchase => {
+                const daysOverdue = purchase.due_date ? daysBetween(purchase.due_date, today) : 0;
+                return {
+                    _id: purchase._id,
+                    id: purchase.id,
+                    purchase_date: formatLocalDate(purchase.purchase_date),
+                    due_date: purchase.due_date ? formatLocalDate(purchase.due_date) : null,
+                    total: purchase.total,
+                    paid_total: purchase.paid_total || 0,
+                    outstanding: purchase.balance,
+                    daysOverdue: Math.max(0, daysOverdue),
+                    overdue: daysOverdue > 0
+                };
+            });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                provider,
+                period: {
+                    startDate: start ? formatLocalDate(start) : null,
+                    endDate: formatLocalDate(new Date(end.getTime() - 1))
+                },
+                openingBalance,
+                movements,
+                closingBalance: runningBalance,
+                outstanding: openPurchases.reduce((sum, purchase) => sum + purchase.outstanding, 0),
+                openPurchases
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching provider statement:", error);
+        res.status(500).json({ 
+            success: false,
+            message: "Error retrieving provider statement. Please try again later." 
+        });
+    }
+};
+
+// Cuentas por pagar por edades: GET /api/providers/payables/aging?asOf=YYYY-MM-DD
+export const getPayablesAging = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_PAYABLES_AGING)) {
+            return res.status(403).json({ 
+                success: false,
+                message: "Unauthorized access" 
+            });
+        }
+
+        const { asOf } = req.query;
+
+        if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+            return res.status(400).json({ 
+                success: false,
+                message: "Invalid asOf format. Use YYYY-MM-DD" 
+            });
+        }
+
+        const cutoff = parseLocalDate(asOf || formatLocalDate());
+
+        const purchases = await Purchase.find(outstandingPurchaseFilter)
+            .select("id provider purchase_date due_date total paid_total")
+            .populate("provider", "id nit company")
+            .sort({ due_date: 1, _id: 1 });
+
+        const byProvider = new Map();
+        const totals = { ...emptyAging(), total: 0 };
+
+        for (const purchase of purchases) {
+            const outstanding = purchase.balance;
+            // Compras sin vencimiento: se toman como vencidas desde la fecha de compra
+            const daysOverdue = daysBetween(purchase.due_date || purchase.purchase_date, cutoff);
+            const bucket = agingBucket(daysOverdue);
+            const key = purchase.provider._id.toString();
+
+            if (!byProvider.has(key)) {
+                byProvider.set(key, {
+                    provider: purchase.provider,
+                    ...emptyAging(),
+                    total: 0,
+                    oldestDaysOverdue: 0,
+                    purchases: []
+                });
+            }
+
+            const row = byProvider.get(key);
+            row[bucket] += outstanding;
+            row.total += outstanding;
+            row.oldestDaysOverdue = Math.max(row.oldestDaysOverdue, daysOverdue);
+            row.purchases.push({
+                _id: purchase._id,
+                id: purchase.id,
+                due_date: purchase.due_date ? formatLocalDate(purchase.due_date) : null,
+                outstanding,
+                daysOverdue: Math.max(0, daysOverdue),
+                bucket
+            });
+
+            totals[bucket] += outstanding;
+            totals.total += outstanding;
+        }
+
+        // Primero los proveedores con la deuda más antigua
+        const providers = [...byProvider.values()]
+            .sort((a, b) => b.oldestDaysOverdue - a.oldestDaysOverdue || b.total - a.total);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                asOf: formatLocalDate(cutoff),
+                buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+                providers,
+                totals
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching payables aging:", error);
+        res.status(500).json({ 
+            success: false,
+            message: "Error retrieving payables aging. Please try again later." 
+        });
+    }
+};
@@ -1,8 +1,18 @@
 import mongoose from "mongoose";
 import Purchase from "../models/purchase.js";
+import PurchaseOrder from "../models/purchaseOrder.js";
 import Product from "../models/product.js";
 import Provider from "../models/provider.js";
+import Branch from "../models/branches.js";
+import BranchStock from "../models/branchStock.js";
+import Lot from "../models/lot.js";
 import { checkPermission } from "../utils/permissions.js";
+import { runInTransaction, ConcurrentModificationError } from "../utils/transaction.js";
+import { createPurchaseWithStock, computeDueDate } from "../utils/purchaseReceipt.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+import { parseListQuery, findPaginated, listResponse } from "../utils/listQuery.js";
+import { DOMAIN_EVENTS, emitDomainEvent, emitStockLevelEvents } from "../utils/domainEvents.js";
+import { applyPurchase } from "../utils/rollups.js";
 
 // ===== FUNCIONES HELPER PARA FECHAS =====
 
@@ -37,62 +47,6 @@ function parseLocalDate(dateString) {
     return new Date(dateString);
 }
 
-async function generatePurchaseId() {
-    try {
-        const lastPurchase = await Purchase.findOne()
-            .sort({ id: -1 })
-            .select('id');
-            
-        if (!lastPurchase || !lastPurchase.id || !/^Pu\d{2}$/.test(lastPurchase.id)) {
-            const existingPu01 = await Purchase.findOne({ id: "Pu01" });
-            if (existingPu01) {
-                return await findNextAvailableId();
-            }
-            return "Pu01";
-        }
-
-        const lastNumber = parseInt(lastPurchase.id.substring(2), 10);
-        let nextNumber = lastNumber + 1;
-        let attempts = 0;
-        const maxAttempts = 100;
-        
-        while (attempts < maxAttempts) {
-            const candidateId = `Pu${String(nextNumber).padStart(2, "0")}`;
-            
-            const existing = await Purchase.findOne({ id: candidateId });
-            
-            if (!existing) {
-                return candidateId;
-            }
-            
-            nextNumber++;
-            attempts++;
-        }
-        
-        const timestamp = Date.now().toString().slice(-4);
-        return `Pu${timestamp}`;
-        
-    } catch (error) {
-        const emergencyId = `Pu${Date.now().toString().slice(-4)}`;
-        return emergencyId;
-    }
-}
-
-async function findNextAvailableId() {
-    for (let i = 1; i <= 99; i++) {
-        const candidateId = `Pu${String(i).padStart(2, "0")}`;
-        const existing = await Purchase.findOne({ id: candidateId });
-        
-        if (!existing) {
-            return candidateId;
-        }
-    }
-    
-    // Si todos los números del 01 al 99 están ocupados
-    const timestamp = Date.now().toString().slice(-4);
-    return `Pu${timestamp}`;
-}
-
 function validatePurchaseData(data) {
     const errors = [];
     
@@ -100,10 +54,15 @@ function validatePurchaseData(data) {
         errors.push("At least one product is required");
     }
     if (!data.provider) errors.push("Provider is required");
+    if (!data.branch) errors.push("Branch is required");
     
     if (data.provider && !mongoose.Types.ObjectId.isValid(data.provider)) {
         errors.push("Invalid provider ID format");
     }
+
+    if (data.branch && !mongoose.Types.ObjectId.isValid(data.branch)) {
+        errors.push("Invalid branch ID format");
+    }
     
     if (data.products && Array.isArray(data.products)) {
         data.products.forEach((item, index) => {
@@ -116,6 +75,16 @@ function validatePurchaseData(data) {
             if (typeof item.purchase_price !== 'number' || item.purchase_price <= 0) {
                 errors.push(`Invalid purchase price at index ${index}. Must be a positive number`);
             }
+            if (item.batch_date !== undefined && isNaN(parseLocalDate(item.batch_date).getTime())) {
+                errors.push(`Invalid batch date at index ${index}`);
+            }
+            if (item.expiration_date !== undefined && isNaN(parseLocalDate(item.expiration_date).getTime())) {
+                errors.push(`Invalid expiration date at index ${index}`);
+            }
+            if (item.batch_date !== undefined && item.expiration_date !== undefined &&
+                parseLocalDate(item.expiration_date) < parseLocalDate(item.batch_date)) {
+                errors.push(`Expiration date cannot be before batch date at index ${index}`);
+            }
         });
     }
     
@@ -125,6 +94,10 @@ function validatePurchaseData(data) {
             errors.push("Invalid date format. Use YYYY-MM-DD or ISO format");
         }
     }
+
+    if (data.due_date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(data.due_date)) {
+        errors.push("Invalid due date format. Use YYYY-MM-DD");
+    }
     
     return errors;
 }
@@ -132,20 +105,45 @@ function validatePurchaseData(data) {
 // Retrieve all purchases
 export const getPurchases = async (req, res) => {
     try {        
-        if (!req.user || !checkPermission(req.user.role, "view_purchases")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_PURCHASES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const purchases = await Purchase.find()
-            .populate("provider", "company")
-            .populate("products.product", "name price");
+        const listQuery = parseListQuery(req.query, {
+            filters: {
+                status: { type: "enum", values: ["active", "inactive"] },
+                payment_status: { type: "enum", values: ["unpaid", "partial", "paid"] },
+                provider: { type: "objectId" },
+                branch: { type: "objectId" }
+            },
+            dateField: "purchase_date",
+            sortable: ["id", "purchase_date", "due_date", "total", "status"],
+            defaultSort: "-purchase_date"
+        });
+
+        if (listQuery.errors.length > 0) {
+            return res.status(400).json({ message: "Validation error", errors: listQuery.errors });
+        }
+
+        const { items, meta } = await findPaginated(Purchase, listQuery, {
+            populate: [
+                ["provider", "company"],
+                ["branch", "id name"],
+                ["products.product", "name price"],
+                ["products.lot", "id batchDate expirationDate quantity"]
+            ]
+        });
 
-        const formattedPurchases = purchases.map(purchase => {
+        const formattedPurchases = items.map(purchase => {
             const purchaseObj = purchase.toObject();
+            purchaseObj.balance = purchase.balance;
             
             if (purchaseObj.purchase_date) {
                 purchaseObj.purchase_date = formatLocalDate(purchaseObj.purchase_date);
             }
+            if (purchaseObj.due_date) {
+                purchaseObj.due_date = formatLocalDate(purchaseObj.due_date);
+            }
             
             if (purchaseObj.products && Array.isArray(purchaseObj.products)) {
                 purchaseObj.products = purchaseObj.products.map(item => {
@@ -159,7 +157,7 @@ export const getPurchases = async (req, res) => {
             return purchaseObj;
         });
 
-        res.status(200).json(formattedPurchases);
+        res.status(200).json(listResponse({ items: formattedPurchases, meta }, purchases => purchases));
     } catch (error) {
         res.status(500).json({ message: "Server error", details: error.message });
     }
@@ -168,7 +166,7 @@ export const getPurchases = async (req, res) => {
 // Retrieve a single purchase by ID
 export const getPurchaseById = async (req, res) => {
     try {
-        if (!req.user || !checkPermission(req.user.role, "view_purchases_id")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_PURCHASES_ID)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -180,17 +178,23 @@ export const getPurchaseById = async (req, res) => {
 
         const purchase = await Purchase.findById(id)
             .populate("provider", "company")
-            .populate("products.product", "name price");
+            .populate("branch", "id name")
+            .populate("products.product", "name price")
+            .populate("products.lot", "id batchDate expirationDate quantity");
 
         if (!purchase) {
             return res.status(404).json({ message: "Purchase not found" });
         }
 
         const formattedPurchase = purchase.toObject();
+        formattedPurchase.balance = purchase.balance;
         
         if (formattedPurchase.purchase_date) {
             formattedPurchase.purchase_date = formatLocalDate(formattedPurchase.purchase_date);
         }
+        if (formattedPurchase.due_date) {
+            formattedPurchase.due_date = formatLocalDate(formattedPurchase.due_date);
+        }
         
         if (formattedPurchase.products && Array.isArray(formattedPurchase.products)) {
             formattedPurchase.products = formattedPurchase.products.map(item => {
@@ -210,11 +214,11 @@ export const getPurchaseById = async (req, res) => {
 // Create new purchase
 export const postPurchase = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "create_purchases")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_PURCHASES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const { products, provider, purchase_date } = req.body;
+        const { products, provider, branch, purchase_date, due_date } = req.body;
 
         const validationErrors = validatePurchaseData(req.body);
         if (validationErrors.length > 0) {
@@ -230,7 +234,15 @@ export const postPurchase = async (req, res) => {
             return res.status(400).json({ message: "Cannot use inactive provider" });
         }
 
-        let total = 0;
+        const existingBranch = await Branch.findById(branch);
+        if (!existingBranch) {
+            return res.status(404).json({ message: "Branch not found" });
+        }
+
+        if (existingBranch.status !== "active") {
+            return res.status(400).json({ message: "Cannot use inactive branch" });
+        }
+
         let validatedProducts = [];
 
         for (let i = 0; i < products.length; i++) {
@@ -245,38 +257,56 @@ export const postPurchase = async (req, res) => {
                 return res.status(400).json({ message: `Cannot use inactive product at index ${i}` });
             }
 
-            const itemTotal = item.purchase_price * item.quantity;
-            
+            // Cada línea genera su propio lote; sin fechas explícitas se usan las del producto
             validatedProducts.push({
                 product: item.product,
                 quantity: item.quantity,
                 purchase_price: item.purchase_price,
-                total: itemTotal
+                batch_date: item.batch_date
+                    ? parseLocalDate(item.batch_date)
+                    : foundProduct.get("batchDate", null, { getters: false }),
+                expiration_date: item.expiration_date
+                    ? parseLocalDate(item.expiration_date)
+                    : foundProduct.get("expirationDate", null, { getters: false })
             });
-            
-            total += itemTotal;
-            await foundProduct.incrementStock(item.quantity);
         }
 
-        const purchaseId = await generatePurchaseId();
-
         const purchaseDate = purchase_date ? parseLocalDate(purchase_date) : new Date();
 
-        const newPurchase = new Purchase({
-            id: purchaseId,
+        // Vencimiento: el indicado o la fecha de compra más el plazo del proveedor
+        let dueDate;
+        if (due_date) {
+            dueDate = parseLocalDate(due_date);
+            if (dueDate < parseLocalDate(formatLocalDate(purchaseDate))) {
+                return res.status(400).json({ message: "Due date cannot be before the purchase date" });
+            }
+        } else {
+            dueDate = computeDueDate(purchaseDate, existingProvider);
+        }
+
+        // Ingreso de stock y registro de la compra se aplican juntos o no se aplican
+        const newPurchase = await runInTransaction((session) => createPurchaseWithStock({
             provider,
+            branch: existingBranch,
             products: validatedProducts,
-            purchase_date: purchaseDate,
-            total
+            purchaseDate,
+            dueDate,
+            user: req.user.id
+        }, session));
+
+        emitDomainEvent(DOMAIN_EVENTS.PURCHASE_CREATED, {
+            purchase: { ...newPurchase.toObject(), provider: existingProvider, branch: existingBranch },
+            userId: req.user.id
         });
 
-        await newPurchase.save();
-
         const formattedPurchase = newPurchase.toObject();
         
         if (formattedPurchase.purchase_date) {
             formattedPurchase.purchase_date = formatLocalDate(formattedPurchase.purchase_date);
         }
+        if (formattedPurchase.due_date) {
+            formattedPurchase.due_date = formatLocalDate(formattedPurchase.due_date);
+        }
 
         res.status(201).json({ 
             message: "Purchase created successfully and product stock updated", 
@@ -300,7 +330,7 @@ export const postPurchase = async (req, res) => {
 // Deactivate purchase (with reason)
 export const deactivatePurchase = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "update_status_purchases")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_STATUS_PURCHASES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -329,50 +359,116 @@ export const deactivatePurchase = async (req, res) => {
             });
         }
 
+        // Los pagos al proveedor deben reversarse (anularse) antes de desactivar la compra
+        if ((purchase.paid_total || 0) > 0) {
+            return res.status(400).json({
+                message: "Cannot deactivate a purchase with registered payments. Void its supplier payments first",
+                paid_total: purchase.paid_total
+            });
+        }
+
         for (const item of purchase.products) {
             const product = await Product.findById(item.product);
             if (product) {
-                if (product.stock < item.quantity) {
+                // Compras sin sucursal (anteriores al inventario por sucursal) solo afectan el stock global
+                const availableStock = purchase.branch
+                    ? await BranchStock.getQuantity(item.product, purchase.branch)
+                    : product.stock;
+
+                if (availableStock < item.quantity) {
                     return res.status(400).json({
                         message: `Cannot deactivate purchase. Product '${product.name}' doesn't have sufficient stock to reverse the purchase`,
                         requiredStock: item.quantity,
-                        availableStock: product.stock
+                        availableStock
                     });
                 }
             }
         }
 
-        for (const item of purchase.products) {
-            const product = await Product.findById(item.product);
-            if (product) {
-                await product.decrementStock(item.quantity);
+        const movement = {
+            reason: "purchase_deactivation",
+            sourceModel: "Purchase",
+            sourceId: purchase._id,
+            user: req.user.id
+        };
+
+        // Reversión de stock y desactivación se aplican juntas o no se aplican
+        await runInTransaction(async (session) => {
+            for (const item of purchase.products) {
+                const product = await Product.findById(item.product).session(session);
+                if (product) {
+                    // La salida no cambia el costo promedio del producto
+                    if (purchase.branch) {
+                        // Se descuenta primero del lote de la compra y el resto por FEFO, incluidos vencidos
+                        await Lot.consume(item.product, purchase.branch, item.quantity, {
+                            includeExpired: true,
+                            preferSource: purchase._id
+                        }, session);
+                        await BranchStock.decrement(item.product, purchase.branch, item.quantity, movement, session);
+                    } else {
+                        await product.decrementStock(item.quantity, movement, session);
+                    }
+                }
             }
-        }
 
-        const updatedPurchase = await Purchase.findByIdAndUpdate(
-            id,
-            { 
-                status: "inactive",
-                deactivation_reason: reason.trim(),
-                deactivated_at: new Date(),
-                deactivated_by: req.user.id
-            },
-            { new: true, runValidators: true }
-        )
+            // Condicionado a que no haya pagos: uno registrado entretanto aborta la desactivación
+            const deactivated = await Purchase.findOneAndUpdate(
+                { _id: id, status: "active", paid_total: { $in: [0, null] } },
+                { 
+                    status: "inactive",
+                    deactivation_reason: reason.trim(),
+                    deactivated_at: new Date(),
+                    deactivated_by: req.user.id
+                },
+                { runValidators: true, session }
+            );
+
+            if (!deactivated) {
+                throw new ConcurrentModificationError("Cannot deactivate purchase. A supplier payment was registered meanwhile, no changes were applied");
+            }
+
+            await applyPurchase(purchase, { active: -1 }, session);
+
+            // Compra generada por una recepción: sus cantidades dejan de contar como recibidas
+            if (purchase.purchase_order) {
+                await PurchaseOrder.setReceiptReversed(purchase.purchase_order, purchase._id, true, session);
+            }
+        });
+
+        const updatedPurchase = await Purchase.findById(id)
             .populate("provider", "company")
-            .populate("products.product", "name price");
+            .populate("branch", "id name")
+            .populate("products.product", "name price")
+            .populate("products.lot", "id batchDate expirationDate quantity");
+
+        emitDomainEvent(DOMAIN_EVENTS.PURCHASE_DEACTIVATED, { purchase: updatedPurchase, userId: req.user.id });
+        emitStockLevelEvents(purchase.products, req.user.id);
 
         const formattedPurchase = updatedPurchase.toObject();
         
         if (formattedPurchase.purchase_date) {
             formattedPurchase.purchase_date = formatLocalDate(formattedPurchase.purchase_date);
         }
+        if (formattedPurchase.due_date) {
+            formattedPurchase.due_date = formatLocalDate(formattedPurchase.due_date);
+        }
 
         res.status(200).json({ 
             message: "Purchase deactivated successfully and stock reverted", 
             purchase: formattedPurchase 
         });
     } catch (error) {
+        // El stock pudo venderse entre la verificación y la transacción
+        if (error.message.includes("Insufficient stock")) {
+            return res.status(400).json({ 
+                message: "Cannot deactivate purchase. Stock changed while reverting the purchase, no changes were applied" 
+            });
+        }
+
+        if (error instanceof ConcurrentModificationError) {
+            return res.status(409).json({ message: error.message });
+        }
+
         res.status(500).json({ message: "Server error", details: error.message });
     }
 };
@@ -380,7 +476,7 @@ export const deactivatePurchase = async (req, res) => {
 // Reactivate purchase (with reason)
 export const reactivatePurchase = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "reactivate_purchases")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.REACTIVATE_PURCHASES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -417,6 +513,16 @@ export const reactivatePurchase = async (req, res) => {
             });
         }
 
+        // Una recepción no puede volver a contar en una orden cancelada
+        if (purchase.purchase_order) {
+            const order = await PurchaseOrder.findById(purchase.purchase_order).select("status");
+            if (order && order.status === "cancelled") {
+                return res.status(400).json({
+                    message: "Cannot reactivate purchase. Its purchase order was cancelled"
+                });
+            }
+        }
+
         // Verificar que todos los productos estén activos
         for (const item of purchase.products) {
             const product = await Product.findById(item.product);
@@ -427,38 +533,81 @@ export const reactivatePurchase = async (req, res) => {
             }
         }
 
-        // Incrementar stock de productos
-        for (const item of purchase.products) {
-            const product = await Product.findById(item.product);
-            if (product) {
-                await product.incrementStock(item.quantity);
+        const movement = {
+            reason: "purchase_reactivation",
+            sourceModel: "Purchase",
+            sourceId: purchase._id,
+            user: req.user.id
+        };
+
+        // Ingreso de stock y reactivación se aplican juntos o no se aplican
+        await runInTransaction(async (session) => {
+            // Condicionado al estado leído: otra reactivación (o un reintento) no vuelve a ingresar el stock
+            const reactivated = await Purchase.findOneAndUpdate(
+                { _id: id, status: "inactive" },
+                { 
+                    status: "active",
+                    reactivation_reason: reason.trim(),
+                    reactivated_at: new Date(),
+                    reactivated_by: req.user.id
+                },
+                { runValidators: true, session }
+            );
+
+            if (!reactivated) {
+                throw new ConcurrentModificationError("Purchase is already active. It was reactivated by another request, no changes were applied");
             }
-        }
 
-        const updatedPurchase = await Purchase.findByIdAndUpdate(
-            id,
-            { 
-                status: "active",
-                reactivation_reason: reason.trim(),
-                reactivated_at: new Date(),
-                reactivated_by: req.user.id
-            },
-            { new: true, runValidators: true }
-        )
+            for (const item of purchase.products) {
+                const product = await Product.findById(item.product).session(session);
+                if (product) {
+                    // Las unidades vuelven a entrar al costo de la compra
+                    await Product.receiveAtCost(item.product, item.quantity, item.purchase_price, session);
+                    if (purchase.branch) {
+                        // El stock vuelve al lote original de la línea
+                        if (item.lot) {
+                            await Lot.restore([{ lot: item.lot, quantity: item.quantity }], session);
+                        }
+                        await BranchStock.increment(item.product, purchase.branch, item.quantity, movement, session);
+                    } else {
+                        await product.incrementStock(item.quantity, movement, session);
+                    }
+                }
+            }
+
+            await applyPurchase(purchase, { active: 1 }, session);
+
+            if (purchase.purchase_order) {
+                await PurchaseOrder.setReceiptReversed(purchase.purchase_order, purchase._id, false, session);
+            }
+        });
+
+        const updatedPurchase = await Purchase.findById(id)
             .populate("provider", "company")
-            .populate("products.product", "name price");
+            .populate("branch", "id name")
+            .populate("products.product", "name price")
+            .populate("products.lot", "id batchDate expirationDate quantity");
+
+        emitDomainEvent(DOMAIN_EVENTS.PURCHASE_REACTIVATED, { purchase: updatedPurchase, userId: req.user.id });
 
         const formattedPurchase = updatedPurchase.toObject();
         
         if (formattedPurchase.purchase_date) {
             formattedPurchase.purchase_date = formatLocalDate(formattedPurchase.purchase_date);
         }
+        if (formattedPurchase.due_date) {
+            formattedPurchase.due_date = formatLocalDate(formattedPurchase.due_date);
+        }
 
         res.status(200).json({ 
             message: "Purchase reactivated successfully and stock restored", 
             purchase: formattedPurchase 
         });
     } catch (error) {
+        if (error instanceof ConcurrentModificationError) {
+            return res.status(409).json({ message: error.message });
+        }
+
         res.status(500).json({ message: "Server error", details: error.message });
     }
 };
@@ -466,7 +615,7 @@ export const reactivatePurchase = async (req, res) => {
 // Remove a purchase by ID (solo si está inactiva)
 export const deletePurchase = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "delete_purchases")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.DELETE_PURCHASES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -488,7 +637,10 @@ export const deletePurchase = async (req, res) => {
             });
         }
 
-        await Purchase.findByIdAndDelete(id);
+        await runInTransaction(async (session) => {
+            await Purchase.findByIdAndDelete(id, { session });
+            await applyPurchase(purchaseToDelete, { registered: -1 }, session);
+        });
 
         res.status(200).json({ message: "Purchase deleted successfully" });
     } catch (error) {
@@ -0,0 +1,839 @@
+import mongoose from "mongoose";
+import PurchaseOrder from "../models/purchaseOrder.js";
+import Product from "../models/product.js";
+import Provider from "../models/provider.js";
+import Branch from "../models/branches.js";
+import { checkPermission } from "../utils/permissions.js";
+import { runInTransaction, ConcurrentModificationError } from "../utils/transaction.js";
+import { nextDocumentId } from "../utils/sequence.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+import { parseListQuery, findPaginated, listResponse } from "../utils/listQuery.js";
+import { createPurchaseWithStock, computeDueDate } from "../utils/purchaseReceipt.js";
+import { DOMAIN_EVENTS, emitDomainEvent } from "../utils/domainEvents.js";
+
+// ===== FUNCIONES HELPER PARA FECHAS =====
+
+/**
+ * Convierte una fecha a formato YYYY-MM-DD respetando la zona horaria local
+ * @param {Date|string} date - Fecha a convertir
+ * @returns {string} Fecha en formato YYYY-MM-DD
+ */
+function formatLocalDate(date = new Date()) {
+    const dateObj = date instanceof Date ? date : new Date(date);
+
+    const year = dateObj.getFullYear();
+    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+    const day = String(dateObj.getDate()).padStart(2, '0');
+
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Convierte fecha de string YYYY-MM-DD a objeto Date (zona local)
+ * @param {string} dateString
+ * @returns {Date}
+ */
+function parseLocalDate(dateString) {
+    if (!dateString) return new Date();
+
+    if (typeof dateString === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    return new Date(dateString);
+}
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function validatePurchaseOrderData(data, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || data.provider !== undefined) {
+        if (!data.provider) errors.push("Provider is required");
+        else if (!mongoose.Types.ObjectId.isValid(data.provider)) errors.push("Invalid provider ID format");
+    }
+
+    if (!partial || data.branch !== undefined) {
+        if (!data.branch) errors.push("Branch is required");
+        else if (!mongoose.Types.ObjectId.isValid(data.branch)) errors.push("Invalid branch ID format");
+    }
+
+    if (!partial || data.products !== undefined) {
+        if (!data.products || !Array.isArray(data.products) || data.products.length === 0) {
+            errors.push("At least one product is required");
+        } else {
+            const seen = new Set();
+            data.products.forEach((item, index) => {
+                if (!item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+                    errors.push(`Invalid product at index ${index}`);
+                } else if (seen.has(String(item.product))) {
+                    errors.push(`Product at index ${index} is repeated. Use a single line per product`);
+                } else {
+                    seen.add(String(item.product));
+                }
+                if (typeof item.quantity !== 'number' || !Number.isInteger(item.quantity) || item.quantity <= 0) {
+                    errors.push(`Invalid quantity at index ${index}. Must be a positive integer`);
+                }
+                if (typeof item.purchase_price !== 'number' || item.purchase_price <= 0) {
+                    errors.push(`Invalid purchase price at index ${index}. Must be a positive number`);
+                }
+            });
+        }
+    }
+
+    if (data.order_date !== undefined && !DATE_REGEX.test(data.order_date)) {
+        errors.push("Invalid order date format. Use YYYY-MM-DD");
+    }
+
+    if (data.expected_date !== undefined && data.expected_date !== null && !DATE_REGEX.test(data.expected_date)) {
+        errors.push("Invalid expected date format. Use YYYY-MM-DD");
+    }
+
+    return errors;
+}
+
+function validateReceiptData(data) {
+    const errors = [];
+
+    if (!data.items || !Array.isArray(data.items) || data.items.length === 0) {
+        errors.push("At least one received item is required");
+    } else {
+        data.items.forEach((item, index) => {
+            if (item.line !== undefined && !mongoose.Types.ObjectId.isValid(item.line)) {
+                errors.push(`Invalid line ID at index ${index}`);
+            }
+            if (item.line === undefined && (!item.product || !mongoose.Types.ObjectId.isValid(item.product))) {
+                errors.push(`A line or product is required at index ${index}`);
+            }
+            if (typeof item.quantity !== 'number' || !Number.isInteger(item.quantity) || item.quantity < 0) {
+                errors.push(`Invalid quantity at index ${index}. Must be a non-negative integer`);
+            }
+            if (item.batch_date !== undefined && !DATE_REGEX.test(item.batch_date)) {
+                errors.push(`Invalid batch date at index ${index}`);
+            }
+            if (item.expiration_date !== undefined && !DATE_REGEX.test(item.expiration_date)) {
+                errors.push(`Invalid expiration date at index ${index}`);
+            }
+            if (item.batch_date !== undefined && item.expiration_date !== undefined &&
+                parseLocalDate(item.expiration_date) < parseLocalDate(item.batch_date)) {
+                errors.push(`Expiration date cannot be before batch date at index ${index}`);
+            }
+        });
+
+        if (data.items.every(item => item.quantity === 0)) {
+            errors.push("At least one item must have a received quantity greater than 0");
+        }
+    }
+
+    if (data.received_at !== undefined && !DATE_REGEX.test(data.received_at)) {
+        errors.push("Invalid received_at format. Use YYYY-MM-DD");
+    }
+
+    return errors;
+}
+
+// Valida proveedor, sucursal y productos de la orden; devuelve { error } o { provider, branch, products }
+async function resolveOrderReferences({ provider, branch, products }) {
+    const existingProvider = await Provider.findById(provider);
+    if (!existingProvider) {
+        return { error: { status: 404, message: "Provider not found" } };
+    }
+    if (existingProvider.status !== "active") {
+        return { error: { status: 400, message: "Cannot use inactive provider" } };
+    }
+
+    const existingBranch = await Branch.findById(branch);
+    if (!existingBranch) {
+        return { error: { status: 404, message: "Branch not found" } };
+    }
+    if (existingBranch.status !== "active") {
+        return { error: { status: 400, message: "Cannot use inactive branch" } };
+    }
+
+    const lines = [];
+    for (let i = 0; i < products.length; i++) {
+        const item = products[i];
+        const foundProduct = await Product.findById(item.product).select("status");
+        if (!foundProduct) {
+            return { error: { status: 404, message: `Product not found at index ${i}` } };
+        }
+        if (foundProduct.status !== "active") {
+            return { error: { status: 400, message: `Cannot use inactive product at index ${i}` } };
+        }
+
+        lines.push({
+            product: item.product,
+            quantity: item.quantity,
+            purchase_price: item.purchase_price,
+            total: item.purchase_price * item.quantity
+        });
+    }
+
+    return { provider: existingProvider, branch: existingBranch, products: lines };
+}
+
+function populatePurchaseOrder(query) {
+    return query
+        .populate("provider", "id nit company")
+        .populate("branch", "id name")
+        .populate("products.product", "id name price")
+        .populate("receipts.purchase", "id total status")
+        .populate("receipts.received_by", "name lastname");
+}
+
+// Fechas en formato local y, por línea, lo pendiente y lo recibido de más
+function formatPurchaseOrder(order) {
+    const orderObj = order.toObject();
+
+    for (const field of ["order_date", "expected_date"]) {
+        if (orderObj[field]) {
+            orderObj[field] = formatLocalDate(orderObj[field]);
+        }
+    }
+
+    orderObj.products = orderObj.products.map(line => ({
+        ...line,
+        received_quantity: line.received_quantity || 0,
+        pending_quantity: Math.max(0, line.quantity - (line.received_quantity || 0)),
+        over_quantity: Math.max(0, (line.received_quantity || 0) - line.quantity)
+    }));
+
+    return orderObj;
+}
+
+// Listar órdenes de compra
+export const getPurchaseOrders = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_PURCHASE_ORDERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const listQuery = parseListQuery(req.query, {
+            filters: {
+                status: { type: "enum", values: ["draft", "sent", "partially_received", "received", "closed", "cancelled"] },
+                provider: { type: "objectId" },
+                branch: { type: "objectId" }
+            },
+            dateField: "order_date",
+            sortable: ["id", "order_date", "expected_date", "total", "status"],
+            defaultSort: "-order_date"
+        });
+
+        if (listQuery.errors.length > 0) {
+            return res.status(400).json({ message: "Validation error", errors: listQuery.errors });
+        }
+
+        const { items, meta } = await findPaginated(PurchaseOrder, listQuery, {
+            select: "-receipts",
+            populate: [
+                ["provider", "id nit company"],
+                ["branch", "id name"],
+                ["products.product", "id name price"]
+            ]
+        });
+
+        res.status(200).json(listResponse({ items: items.map(formatPurchaseOrder), meta }, orders => orders));
+    } catch (error) {
+        console.error("Error fetching purchase orders:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Obtener una orden de compra con sus recepciones
+export const getPurchaseOrderById = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_PURCHASE_ORDERS_ID)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        const order = await populatePurchaseOrder(PurchaseOrder.findById(id));
+
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        res.status(200).json(formatPurchaseOrder(order));
+    } catch (error) {
+        console.error("Error fetching purchase order:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Crear orden de compra en borrador (no mueve inventario)
+export const postPurchaseOrder = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_PURCHASE_ORDERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const validationErrors = validatePurchaseOrderData(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ message: "Validation error", errors: validationErrors });
+        }
+
+        const resolved = await resolveOrderReferences(req.body);
+        if (resolved.error) {
+            return res.status(resolved.error.status).json({ message: resolved.error.message });
+        }
+
+        const orderDate = req.body.order_date ? parseLocalDate(req.body.order_date) : new Date();
+        const expectedDate = req.body.expected_date ? parseLocalDate(req.body.expected_date) : undefined;
+
+        if (expectedDate && expectedDate < parseLocalDate(formatLocalDate(orderDate))) {
+            return res.status(400).json({ message: "Expected date cannot be before the order date" });
+        }
+
+        const orderId = await nextDocumentId("purchaseOrder", { branchCode: resolved.branch.id, date: orderDate });
+
+        const newOrder = new PurchaseOrder({
+            id: orderId,
+            provider: resolved.provider._id,
+            branch: resolved.branch._id,
+            products: resolved.products,
+            order_date: orderDate,
+            expected_date: expectedDate,
+            total: resolved.products.reduce((sum, line) => sum + line.total, 0),
+            notes: req.body.notes,
+            created_by: req.user.id
+        });
+
+        await newOrder.save();
+
+        const createdOrder = await populatePurchaseOrder(PurchaseOrder.findById(newOrder._id));
+
+        res.status(201).json({
+            message: "Purchase order created as draft. Stock will be added when deliveries are received.",
+            purchaseOrder: formatPurchaseOrder(createdOrder)
+        });
+    } catch (error) {
+        console.error("Error creating purchase order:", error);
+
+        if (error.code === 11000 && error.keyPattern?.id) {
+            return res.status(409).json({ message: "Purchase order ID conflict, please try again" });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Editar una orden en borrador
+export const updatePurchaseOrder = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_PURCHASE_ORDERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        const validationErrors = validatePurchaseOrderData(req.body, { partial: true });
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ message: "Validation error", errors: validationErrors });
+        }
+
+        const order = await PurchaseOrder.findById(id);
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        if (order.status !== "draft") {
+            return res.status(400).json({ message: `Cannot edit a purchase order in ${order.status} status` });
+        }
+
+        const resolved = await resolveOrderReferences({
+            provider: req.body.provider ?? order.provider,
+            branch: req.body.branch ?? order.branch,
+            products: req.body.products ?? order.products
+        });
+        if (resolved.error) {
+            return res.status(resolved.error.status).json({ message: resolved.error.message });
+        }
+
+        if (req.body.order_date !== undefined) order.order_date = parseLocalDate(req.body.order_date);
+        if (req.body.expected_date !== undefined) {
+            order.expected_date = req.body.expected_date ? parseLocalDate(req.body.expected_date) : undefined;
+        }
+        if (order.expected_date && order.expected_date < parseLocalDate(formatLocalDate(order.order_date))) {
+            return res.status(400).json({ message: "Expected date cannot be before the order date" });
+        }
+        if (req.body.notes !== undefined) order.notes = req.body.notes;
+
+        order.provider = resolved.provider._id;
+        order.branch = resolved.branch._id;
+        order.products = resolved.products;
+        order.total = resolved.products.reduce((sum, line) => sum + line.total, 0);
+
+        await order.save();
+
+        const updatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id));
+
+        res.status(200).json({
+            message: "Purchase order updated successfully",
+            purchaseOrder: formatPurchaseOrder(updatedOrder)
+        });
+    } catch (error) {
+        console.error("Error updating purchase order:", error);
+
+        if (error.name === "VersionError") {
+            return res.status(409).json({ message: "Purchase order was modified by another request, please try again" });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Enviar la orden al proveedor: deja de ser editable y puede recibirse
+export const sendPurchaseOrder = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_PURCHASE_ORDERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        const order = await PurchaseOrder.findById(id);
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        if (!PurchaseOrder.getAllowedTransitions()[order.status].includes("sent")) {
+            return res.status(400).json({ message: `Cannot send a purchase order in ${order.status} status` });
+        }
+
+        const provider = await Provider.findById(order.provider).select("status");
+        if (!provider || provider.status !== "active") {
+            return res.status(400).json({ message: "Cannot send purchase order. Provider is inactive or not found" });
+        }
+
+        order.status = "sent";
+        order.sent_at = new Date();
+        order.sent_by = req.user.id;
+        await order.save();
+
+        const updatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id));
+
+        res.status(200).json({
+            message: "Purchase order sent to provider",
+            purchaseOrder: formatPurchaseOrder(updatedOrder)
+        });
+    } catch (error) {
+        console.error("Error sending purchase order:", error);
+
+        if (error.name === "VersionError") {
+            return res.status(409).json({ message: "Purchase order was modified by another request, please try again" });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Registrar una recepción (entrega) de la orden: ingresa el stock y genera la compra
+export const receivePurchaseOrder = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.RECEIVE_PURCHASE_ORDERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        const validationErrors = validateReceiptData(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ message: "Validation error", errors: validationErrors });
+        }
+
+        const order = await PurchaseOrder.findById(id);
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        if (!PurchaseOrder.getAllowedTransitions()[order.status].includes("partially_received")) {
+            return res.status(400).json({ message: `Cannot receive a purchase order in ${order.status} status` });
+        }
+
+        const branch = await Branch.findById(order.branch);
+        if (!branch || branch.status !== "active") {
+            return res.status(400).json({ message: "Cannot receive purchase order. Branch is inactive or not found" });
+        }
+
+        const provider = await Provider.findById(order.provider);
+
+        // Resolver la línea de la orden de cada ítem (por ID de línea o por producto)
+        const receivedByLine = new Map();
+        const receiptItems = [];
+
+        for (const [index, item] of req.body.items.entries()) {
+            if (item.quantity === 0) continue;
+
+            const line = item.line !== undefined
+                ? order.products.id(item.line)
+                : order.products.find(orderLine => orderLine.product.equals(item.product));
+
+            if (!line) {
+                return res.status(400).json({ message: `Item at index ${index} does not belong to this purchase order` });
+            }
+
+            const key = line._id.toString();
+            if (receivedByLine.has(key)) {
+                return res.status(400).json({ message: `Line of item at index ${index} is repeated in the receipt` });
+            }
+            receivedByLine.set(key, item.quantity);
+
+            const foundProduct = await Product.findById(line.product);
+            if (!foundProduct || foundProduct.status !== "active") {
+                return res.status(400).json({ message: `Cannot receive inactive or missing product at index ${index}` });
+            }
+
+            // Sin fechas explícitas se usan las del producto, igual que en la compra directa
+            receiptItems.push({
+                order_line: line._id,
+                product: line.product,
+                quantity: item.quantity,
+                purchase_price: line.purchase_price,
+                batch_date: item.batch_date
+                    ? parseLocalDate(item.batch_date)
+                    : foundProduct.get("batchDate", null, { getters: false }),
+                expiration_date: item.expiration_date
+                    ? parseLocalDate(item.expiration_date)
+                    : foundProduct.get("expirationDate", null, { getters: false })
+            });
+        }
+
+        const receivedAt = req.body.received_at ? parseLocalDate(req.body.received_at) : new Date();
+        if (receivedAt < parseLocalDate(formatLocalDate(order.order_date))) {
+            return res.status(400).json({ message: "Receipt date cannot be before the order date" });
+        }
+
+        const purchase = await runInTransaction(async (session) => {
+            const current = await PurchaseOrder.findById(id).session(session);
+            if (!PurchaseOrder.getAllowedTransitions()[current.status].includes("partially_received")) {
+                throw new ConcurrentModificationError(`Purchase order is in ${current.status} status`);
+            }
+
+            const created = await createPurchaseWithStock({
+                provider: order.provider,
+                branch,
+                products: receiptItems,
+                purchaseDate: receivedAt,
+                dueDate: computeDueDate(receivedAt, provider),
+                purchaseOrder: current._id,
+                user: req.user.id
+            }, session);
+
+            for (const item of receiptItems) {
+                const line = current.products.id(item.order_line);
+                line.received_quantity = (line.received_quantity || 0) + item.quantity;
+            }
+
+            current.receipts.push({
+                purchase: created._id,
+                lines: receiptItems.map(item => ({
+                    order_line: item.order_line,
+                    product: item.product,
+                    quantity: item.quantity
+                })),
+                received_at: receivedAt,
+                received_by: req.user.id,
+                notes: req.body.notes
+            });
+            current.status = current.getReceivingStatus();
+
+            // Con optimisticConcurrency, otra recepción guardada entretanto hace fallar este save
+            await current.save({ session });
+
+            return created;
+        });
+
+        emitDomainEvent(DOMAIN_EVENTS.PURCHASE_CREATED, {
+            purchase: { ...purchase.toObject(), provider, branch },
+            userId: req.user.id
+        });
+
+        const updatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id));
+        const formattedOrder = formatPurchaseOrder(updatedOrder);
+
+        // Diferencias de la entrega frente a lo pedido
+        const discrepancies = formattedOrder.products
+            .filter(line => receivedByLine.has(line._id.toString()) && line.over_quantity > 0)
+            .map(line => ({ line: line._id, product: line.product, over_quantity: line.over_quantity }));
+
+        res.status(201).json({
+            message: updatedOrder.status === "received"
+                ? "Delivery received. The purchase order is fully received"
+                : "Delivery received. The purchase order has pending quantities",
+            purchase: {
+                _id: purchase._id,
+                id: purchase.id,
+                total: purchase.total,
+                purchase_date: formatLocalDate(purchase.purchase_date),
+                due_date: formatLocalDate(purchase.due_date)
+            },
+            purchaseOrder: formattedOrder,
+            overDeliveries: discrepancies
+        });
+    } catch (error) {
+        console.error("Error receiving purchase order:", error);
+
+        if (error.name === "VersionError" || error instanceof ConcurrentModificationError) {
+            return res.status(409).json({ message: "Purchase order was modified by another request, please try again" });
+        }
+
+        if (error.code === 11000 && error.keyPattern?.id) {
+            return res.status(409).json({ message: "Purchase ID conflict, please try again" });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Cerrar la orden: lo que quede pendiente se registra como faltante del proveedor
+export const closePurchaseOrder = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.CLOSE_PURCHASE_ORDERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        const order = await PurchaseOrder.findById(id);
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        if (!PurchaseOrder.getAllowedTransitions()[order.status].includes("closed")) {
+            return res.status(400).json({ message: `Cannot close a purchase order in ${order.status} status` });
+        }
+
+        const pending = order.products.reduce((sum, line) => sum + Math.max(0, line.quantity - (line.received_quantity || 0)), 0);
+        if (pending > 0 && (!reason || !reason.trim())) {
+            return res.status(400).json({
+                message: "A reason is required to close a purchase order with pending quantities",
+                pending_quantity: pending
+            });
+        }
+
+        order.status = "closed";
+        order.close_reason = reason ? reason.trim() : undefined;
+        order.closed_at = new Date();
+        order.closed_by = req.user.id;
+        await order.save();
+
+        const updatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id));
+
+        res.status(200).json({
+            message: pending > 0
+                ? `Purchase order closed with ${pending} unit(s) not delivered`
+                : "Purchase order closed",
+            purchaseOrder: formatPurchaseOrder(updatedOrder)
+        });
+    } catch (error) {
+        console.error("Error closing purchase order:", error);
+
+        if (error.name === "VersionError") {
+            return res.status(409).json({ message: "Purchase order was modified by another request, please try again" });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Cancelar una orden sin recepciones vigentes
+export const cancelPurchaseOrder = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.CLOSE_PURCHASE_ORDERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase order ID format" });
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({ message: "Cancellation reason is required" });
+        }
+
+        const order = await PurchaseOrder.findById(id);
+        if (!order) {
+            return res.status(404).json({ message: "Purchase order not found" });
+        }
+
+        if (!PurchaseOrder.getAllowedTransitions()[order.status].includes("cancelled")) {
+            return res.status(400).json({
+                message: `Cannot cancel a purchase order in ${order.status} status. Close it instead if it has deliveries`
+            });
+        }
+
+        if (order.receipts.some(receipt => !receipt.reversed)) {
+            return res.status(400).json({
+                message: "Cannot cancel a purchase order with received deliveries. Deactivate their purchases first"
+            });
+        }
+
+        order.status = "cancelled";
+        order.cancellation_reason = reason.trim();
+        order.cancelled_at = new Date();
+        order.cancelled_by = req.user.id;
+        await order.save();
+
+        const updatedOrder = await populatePurchaseOrder(PurchaseOrder.findById(id));
+
+        res.status(200).json({
+            message: "Purchase order cancelled",
+            purchaseOrder: formatPurchaseOrder(updatedOrder)
+        });
+    } catch (error) {
+        console.error("Error cancelling purchase order:", error);
+
+        if (error.name === "VersionError") {
+            return res.status(409).json({ message: "Purchase order was modified by another request, please try again" });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Cumplimiento de entregas por proveedor: GET /api/purchase-orders/delivery-report?startDate=&endDate=&provider=
+// Sobre órdenes con recepciones o cerradas (por fecha de orden). Lo pendiente de una orden
+// abierta no es faltante todavía; al cerrarla, sí.
+export const getDeliveryReport = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_DELIVERY_REPORT)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { startDate, endDate, provider } = req.query;
+
+        if ((startDate && !DATE_REGEX.test(startDate)) || (endDate && !DATE_REGEX.test(endDate))) {
+            return res.status(400).json({ message: "Invalid date format. Use YYYY-MM-DD" });
+        }
+
+        if (provider && !mongoose.Types.ObjectId.isValid(provider)) {
+            return res.status(400).json({ message: "Invalid provider ID format" });
+        }
+
+        const filter = { status: { $in: ["partially_received", "received", "closed"] } };
+        if (provider) filter.provider = provider;
+        if (startDate || endDate) {
+            filter.order_date = {};
+            if (startDate) filter.order_date.$gte = parseLocalDate(startDate);
+            if (endDate) {
+                const end = parseLocalDate(endDate);
+                end.setDate(end.getDate() + 1);
+                filter.order_date.$lt = end;
+            }
+        }
+
+        const orders = await PurchaseOrder.find(filter)
+            .populate("provider", "id nit company")
+            .populate("products.product", "id name")
+            .sort({ order_date: 1, _id: 1 });
+
+        const byProvider = new Map();
+
+        for (const order of orders) {
+            const key = order.provider._id.toString();
+            if (!byProvider.has(key)) {
+                byProvider.set(key, {
+                    provider: order.provider,
+                    orders: 0,
+                    ordered: 0,
+                    received: 0,
+                    over: 0,
+                    short: 0,
+                    pending: 0,
+                    receipts: 0,
+                    lateReceipts: 0,
+                    discrepancies: []
+                });
+            }
+
+            const row = byProvider.get(key);
+            row.orders += 1;
+
+            for (const line of order.products) {
+                const received = line.received_quantity || 0;
+                const over = Math.max(0, received - line.quantity);
+                const missing = Math.max(0, line.quantity - received);
+                const short = order.status === "closed" ? missing : 0;
+
+                row.ordered += line.quantity;
+                row.received += received;
+                row.over += over;
+                row.short += short;
+                row.pending += order.status === "closed" ? 0 : missing;
+
+                if (over > 0 || short > 0) {
+                    row.discrepancies.push({
+                        order: order.id,
+                        product: line.product,
+                        ordered: line.quantity,
+                        received,
+                        over,
+                        short
+                    });
+                }
+            }
+
+            // Entregas después de la fecha acordada (el día completo cuenta como a tiempo)
+            for (const receipt of order.receipts.filter(item => !item.reversed)) {
+                row.receipts += 1;
+                if (order.expected_date && formatLocalDate(receipt.received_at) > formatLocalDate(order.expected_date)) {
+                    row.lateReceipts += 1;
+                }
+            }
+        }
+
+        const providers = [...byProvider.values()].map(row => ({
+            ...row,
+            // Porcentaje de lo pedido que llegó (sin contar excesos)
+            fillRate: row.ordered > 0
+                ? Math.round(((row.received - row.over) / row.ordered) * 10000) / 100
+                : 0,
+            onTimeRate: row.receipts > 0
+                ? Math.round(((row.receipts - row.lateReceipts) / row.receipts) * 10000) / 100
+                : 0
+        })).sort((a, b) => (b.over + b.short) - (a.over + a.short));
+
+        res.status(200).json({
+            startDate: startDate || null,
+            endDate: endDate || null,
+            providers,
+            totals: {
+                orders: providers.reduce((sum, row) => sum + row.orders, 0),
+                ordered: providers.reduce((sum, row) => sum + row.ordered, 0),
+                received: providers.reduce((sum, row) => sum + row.received, 0),
+                over: providers.reduce((sum, row) => sum + row.over, 0),
+                short: providers.reduce((sum, row) => sum + row.short, 0),
+                pending: providers.reduce((sum, row) => sum + row.pending, 0)
+            }
+        });
+    } catch (error) {
+        console.error("Error fetching delivery report:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
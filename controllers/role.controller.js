@@ -2,23 +2,8 @@ import Role from "../models/role.js";
 import Permission from "../models/permission.js";
 import mongoose from "mongoose";
 import { getDefaultPermissions, ALL_PERMISSIONS, checkPermission } from "../utils/permissions.js";
-
-async function generateRoleId() {
-  try {
-    const lastRole = await Role.findOne().sort({ id: -1 });
-    
-    if (!lastRole || !lastRole.id || !/^Ro\d{2}$/.test(lastRole.id)) {
-      return "Ro01";
-    }
-    
-    const lastNumber = parseInt(lastRole.id.substring(2), 10);
-    const nextNumber = (lastNumber + 1).toString().padStart(2, "0");
-    return `Ro${nextNumber}`;
-  } catch (error) {
-    console.error("Error generating role ID:", error);
-    return `Ro${new Date().getTime().toString().slice(-2)}`;
-  }
-}
+import { invalidateRole } from "../utils/permissionCache.js";
+import { nextDocumentId } from "../utils/sequence.js";
 
 // Obtener todos los roles
 export const getRoles = async (req, res) => {
@@ -95,7 +80,7 @@ export const postRole = async (req, res) => {
       rolePermissions = validPermissions;
     }
     
-    const roleId = await generateRoleId();
+    const roleId = await nextDocumentId("role");
     
     const newRole = new Role({
       id: roleId,
@@ -180,6 +165,7 @@ export const updateRole = async (req, res) => {
     }
     
     await role.save();
+    invalidateRole(role._id);
     
     const updatedRole = await Role.findById(id).populate('permissions');
     
@@ -223,6 +209,7 @@ export const toggleRoleStatus = async (req, res) => {
         { status },
         { new: true, runValidators: true }
       ).populate('permissions');
+      invalidateRole(id);
       
       return res.status(200).json({
         message: `Role ${status === "active" ? 'activated' : 'deactivated'} successfully`,
@@ -272,6 +259,7 @@ export const deleteRole = async (req, res) => {
     }
     
     await Role.findByIdAndDelete(id);
+    invalidateRole(id);
     
     res.status(200).json({ message: "Role deleted successfully" });
   } catch (error) {
@@ -3,7 +3,18 @@ import Sale from "../models/sales.js";
 import Product from "../models/product.js";
 import Customer from "../models/customer.js";
 import Branch from "../models/branches.js";
+import BranchStock from "../models/branchStock.js";
+import Lot from "../models/lot.js";
+import CreditNote from "../models/creditNote.js";
+import CustomerLedger from "../models/customerLedger.js";
 import { checkPermission } from "../utils/permissions.js";
+import { runInTransaction, ConcurrentModificationError } from "../utils/transaction.js";
+import { nextDocumentId } from "../utils/sequence.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+import { parseListQuery, findPaginated, listResponse } from "../utils/listQuery.js";
+import { calculateSaleBreakdown, resolveTaxRate, validateDiscount } from "../utils/pricing.js";
+import { DOMAIN_EVENTS, emitDomainEvent, emitStockLevelEvents } from "../utils/domainEvents.js";
+import { applySaleRegistered, applySaleCompleted, applySaleReturn } from "../utils/rollups.js";
 
 // ===== FUNCIONES HELPER PARA FECHAS =====
 
@@ -38,63 +49,6 @@ function parseLocalDate(dateString) {
     return new Date(dateString);
 }
 
-// Generar ID personalizado para la venta
-async function generateSaleId() {
-    try {
-        const lastSale = await Sale.findOne()
-            .sort({ id: -1 })
-            .select('id');
-            
-        if (!lastSale || !lastSale.id || !/^Sa\d{2}$/.test(lastSale.id)) {
-            const existingSa01 = await Sale.findOne({ id: "Sa01" });
-            if (existingSa01) {
-                return await findNextAvailableSaleId();
-            }
-            return "Sa01";
-        }
-
-        const lastNumber = parseInt(lastSale.id.substring(2), 10);
-        let nextNumber = lastNumber + 1;
-        let attempts = 0;
-        const maxAttempts = 100;
-        
-        while (attempts < maxAttempts) {
-            const candidateId = `Sa${String(nextNumber).padStart(2, "0")}`;
-            
-            const existing = await Sale.findOne({ id: candidateId });
-            
-            if (!existing) {
-                return candidateId;
-            }
-            
-            nextNumber++;
-            attempts++;
-        }
-        
-        const timestamp = Date.now().toString().slice(-4);
-        return `Sa${timestamp}`;
-        
-    } catch (error) {
-        const emergencyId = `Sa${Date.now().toString().slice(-4)}`;
-        return emergencyId;
-    }
-}
-
-async function findNextAvailableSaleId() {
-    for (let i = 1; i <= 99; i++) {
-        const candidateId = `Sa${String(i).padStart(2, "0")}`;
-        const existing = await Sale.findOne({ id: candidateId });
-        
-        if (!existing) {
-            return candidateId;
-        }
-    }
-    
-    // Si todos los números del 01 al 99 están ocupados
-    const timestamp = Date.now().toString().slice(-4);
-    return `Sa${timestamp}`;
-}
-
 // Función para validar datos de venta
 function validateSaleData(data, isUpdate = false) {
     const errors = [];
@@ -127,8 +81,21 @@ function validateSaleData(data, isUpdate = false) {
             if (typeof item.quantity !== 'number' || !Number.isInteger(item.quantity) || item.quantity <= 0) {
                 errors.push(`Invalid quantity at index ${index}. Must be a positive integer`);
             }
+            const discountError = validateDiscount(item.discount, `discount at index ${index}`);
+            if (discountError) {
+                errors.push(discountError);
+            }
         });
     }
+
+    const orderDiscountError = validateDiscount(data.discount, "order discount");
+    if (orderDiscountError) {
+        errors.push(orderDiscountError);
+    }
+    
+    if (data.paymentTerms !== undefined && !["cash", "credit"].includes(data.paymentTerms)) {
+        errors.push("Payment terms must be cash or credit");
+    }
     
     if (data.salesDate !== undefined) {
         const dateRegex = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d{3})?Z)?$/;
@@ -140,10 +107,10 @@ function validateSaleData(data, isUpdate = false) {
     return errors;
 }
 
-// Función para validar disponibilidad de productos
-async function validateProductsAvailability(products) {
+// Función para validar disponibilidad de productos en la sucursal de venta y calcular
+// el desglose (descuentos e IVA) con las mismas reglas que el pre-save de Sale
+async function validateProductsAvailability(products, branch, orderDiscount = null) {
     const validatedProducts = [];
-    let total = 0;
 
     for (let i = 0; i < products.length; i++) {
         const item = products[i];
@@ -152,7 +119,7 @@ async function validateProductsAvailability(products) {
             throw new Error(`Invalid product ID format at index ${i}`);
         }
 
-        const foundProduct = await Product.findById(item.product);
+        const foundProduct = await Product.findById(item.product).populate("category", "taxRate");
         if (!foundProduct) {
             throw new Error(`Product not found at index ${i}`);
         }
@@ -161,30 +128,80 @@ async function validateProductsAvailability(products) {
             throw new Error(`Cannot sell inactive product "${foundProduct.name}" at index ${i}`);
         }
 
-        if (foundProduct.stock < item.quantity) {
-            throw new Error(`Insufficient stock for product "${foundProduct.name}". Available: ${foundProduct.stock}, Requested: ${item.quantity}`);
+        // Solo cuentan los lotes no vencidos de la sucursal
+        const availableStock = await Lot.getAvailableQuantity(item.product, branch);
+        if (availableStock < item.quantity) {
+            throw new Error(`Insufficient stock for product "${foundProduct.name}" in this branch. Available (non-expired): ${availableStock}, Requested: ${item.quantity}`);
         }
 
-        const currentDate = new Date();
-        if (foundProduct.expirationDate && foundProduct.expirationDate <= currentDate) {
-            throw new Error(`Product "${foundProduct.name}" has expired and cannot be sold`);
-        }
-
-        const salePrice = foundProduct.price;
-        const itemTotal = salePrice * item.quantity;
-        
         validatedProducts.push({
             product: item.product,
             quantity: item.quantity,
-            sale_price: salePrice,
-            total: itemTotal,
+            sale_price: foundProduct.price,
+            taxRate: resolveTaxRate(foundProduct, foundProduct.category),
+            discountRule: item.discount || undefined,
+            // Costo promedio del producto al momento de la venta
+            unitCost: foundProduct.averageCost ?? null,
             productName: foundProduct.name
         });
-        
-        total += itemTotal;
     }
 
-    return { validatedProducts, total };
+    const { lines, breakdown } = calculateSaleBreakdown(validatedProducts, orderDiscount);
+    lines.forEach((line, index) => Object.assign(validatedProducts[index], line));
+
+    return { validatedProducts, breakdown, total: breakdown.total };
+}
+
+// Reservar stock en la sucursal; debe ejecutarse dentro de una transacción para que
+// un producto sin stock revierta las reservas ya hechas.
+// Los lotes se consumen por FEFO y quedan registrados en item.lots
+async function reserveBranchStock(items, branch, movement, session) {
+    for (const item of items) {
+        try {
+            item.lots = await Lot.consume(item.product, branch, item.quantity, {}, session);
+            await BranchStock.decrement(item.product, branch, item.quantity, { ...movement, reason: "sale" }, session);
+        } catch (error) {
+            if (error.message === 'Insufficient stock in branch') {
+                throw new Error(`Insufficient stock for product "${item.productName || item.product}" in this branch`);
+            }
+            throw error;
+        }
+    }
+}
+
+// Devolver a la sucursal el stock reservado por una venta; las unidades vuelven a entrar
+// al costo con el que salieron
+async function releaseBranchStock(items, branch, movement, session) {
+    for (const item of items) {
+        if (item.unitCost !== null && item.unitCost !== undefined) {
+            await Product.receiveAtCost(item.product, item.quantity, item.unitCost, session);
+        }
+        // Ventas anteriores al control por lotes no tienen lotes asociados
+        if (item.lots && item.lots.length > 0) {
+            await Lot.restore(item.lots, session);
+        }
+        await BranchStock.increment(item.product, branch, item.quantity, movement, session);
+    }
+}
+
+// Desglose de la venta para la respuesta. Las ventas anteriores al cálculo de IVA y
+// descuentos no lo tienen almacenado: su total equivale a la base sin impuestos
+function getSaleBreakdown(saleObj) {
+    if (saleObj.breakdown && saleObj.breakdown.total !== undefined && saleObj.breakdown.total !== null) {
+        return saleObj.breakdown;
+    }
+
+    return {
+        subtotal: saleObj.total,
+        lineDiscount: 0,
+        orderDiscount: 0,
+        discount: 0,
+        taxableBase: saleObj.total,
+        tax: 0,
+        total: saleObj.total,
+        pricesIncludeTax: false,
+        taxes: [{ rate: 0, base: saleObj.total, tax: 0 }]
+    };
 }
 
 // Función auxiliar para verificar si una venta se puede modificar
@@ -195,17 +212,36 @@ export const canModifySale = (saleStatus) => {
 // Obtener todas las ventas
 export const getSales = async (req, res) => {
     try {        
-        if (!req.user || !checkPermission(req.user.role, "view_sales")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_SALES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const sales = await Sale.find()
-            .populate("customer", "name lastname email phone")
-            .populate("branch", "id name address")
-            .populate("products.product", "id name price")
-            .sort({ createdAt: -1 });
+        const listQuery = parseListQuery(req.query, {
+            filters: {
+                status: { type: "enum", values: ["processing", "completed", "cancelled"] },
+                paymentStatus: { type: "enum", values: ["unpaid", "partial", "paid"] },
+                customer: { type: "objectId" },
+                branch: { type: "objectId" }
+            },
+            dateField: "salesDate",
+            sortable: ["id", "salesDate", "total", "status"],
+            defaultSort: "-salesDate"
+        });
+
+        if (listQuery.errors.length > 0) {
+            return res.status(400).json({ message: "Validation error", errors: listQuery.errors });
+        }
+
+        const { items, meta } = await findPaginated(Sale, listQuery, {
+            populate: [
+                ["customer", "name lastname email phone"],
+                ["branch", "id name address"],
+                ["products.product", "id name price"],
+                ["products.lots.lot", "id batchDate expirationDate"]
+            ]
+        });
 
-        const formattedSales = sales.map(sale => {
+        const formattedSales = items.map(sale => {
             const saleObj = sale.toObject();
             
             if (saleObj.salesDate) {
@@ -224,7 +260,7 @@ export const getSales = async (req, res) => {
             return saleObj;
         });
 
-        res.status(200).json(formattedSales);
+        res.status(200).json(listResponse({ items: formattedSales, meta }, sales => sales));
     } catch (error) {
         console.error("Error fetching sales:", error);
         res.status(500).json({ message: "Server error", details: error.message });
@@ -234,7 +270,7 @@ export const getSales = async (req, res) => {
 // Obtener una venta por ID
 export const getSaleById = async (req, res) => {
     try {
-        if (!req.user || !checkPermission(req.user.role, "view_sales_id")) {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_SALES_ID)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -247,7 +283,8 @@ export const getSaleById = async (req, res) => {
         const sale = await Sale.findById(id)
             .populate("customer", "name lastname email phone")
             .populate("branch", "id name address")
-            .populate("products.product", "id name price");
+            .populate("products.product", "id name price")
+            .populate("products.lots.lot", "id batchDate expirationDate");
 
         if (!sale) {
             return res.status(404).json({ message: "Sale not found" });
@@ -261,13 +298,18 @@ export const getSaleById = async (req, res) => {
         
         if (formattedSale.products && Array.isArray(formattedSale.products)) {
             formattedSale.products = formattedSale.products.map(item => {
+                const quantity = item.quantity || 0;
                 return {
                     ...item,
-                    quantity: item.quantity || 0
+                    quantity,
+                    subtotal: item.subtotal ?? quantity * item.sale_price,
+                    taxableBase: item.taxableBase ?? item.total
                 };
             });
         }
 
+        formattedSale.breakdown = getSaleBreakdown(formattedSale);
+
         res.status(200).json(formattedSale);
     } catch (error) {
         console.error("Error fetching sale:", error);
@@ -278,11 +320,11 @@ export const getSaleById = async (req, res) => {
 // Crear nueva venta
 export const postSale = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "create_sales")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_SALES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
-        const { products, customer, branch, salesDate } = req.body;
+        const { products, customer, branch, salesDate, discount, paymentTerms = "cash" } = req.body;
 
         const validationErrors = validateSaleData(req.body);
         if (validationErrors.length > 0) {
@@ -303,6 +345,12 @@ export const postSale = async (req, res) => {
             });
         }
 
+        if (paymentTerms === "credit" && !existingCustomer.hasCredit()) {
+            return res.status(400).json({ 
+                message: "Customer does not have a credit account. The sale must be paid in cash terms." 
+            });
+        }
+
         const existingBranch = await Branch.findById(branch);
         if (!existingBranch) {
             return res.status(404).json({ message: "Branch not found" });
@@ -314,42 +362,77 @@ export const postSale = async (req, res) => {
             });
         }
 
-        const { validatedProducts, total } = await validateProductsAvailability(products);
-
-        // Reservar stock al crear la venta (processing)
-        for (const item of validatedProducts) {
-            await Product.findByIdAndUpdate(
-                item.product,
-                { $inc: { stock: -item.quantity } },
-                { new: true, runValidators: true }
-            );
-        }
+        const { validatedProducts, breakdown, total } = await validateProductsAvailability(products, branch, discount);
 
-        const saleId = await generateSaleId();
+        // El _id se genera antes para enlazar los movimientos de stock con la venta
+        const saleObjectId = new mongoose.Types.ObjectId();
 
         const saleDate = salesDate ? parseLocalDate(salesDate) : new Date();
 
-        const newSale = new Sale({
-            id: saleId,
-            customer,
-            branch,
-            products: validatedProducts.map(item => ({
-                product: item.product,
-                quantity: item.quantity,
-                sale_price: item.sale_price,
-                total: item.total
-            })),
-            salesDate: saleDate,
-            total,
-            status: "processing"
-        });
+        // Reserva de stock y creación de la venta se aplican juntas o no se aplican
+        await runInTransaction(async (session) => {
+            // Venta a crédito: comprometer el cupo del cliente sin superar su límite
+            if (paymentTerms === "credit") {
+                const reserved = await Customer.reserveCredit(customer, total, session);
+                if (!reserved) {
+                    throw new Error("Sale exceeds the customer's credit limit");
+                }
+            }
+
+            // Reservar stock de la sucursal al crear la venta (processing)
+            await reserveBranchStock(validatedProducts, branch, {
+                sourceModel: "Sale",
+                sourceId: saleObjectId,
+                user: req.user.id
+            }, session);
+
+            const saleId = await nextDocumentId("sale", { branchCode: existingBranch.id, date: saleDate });
+
+            const newSale = new Sale({
+                _id: saleObjectId,
+                id: saleId,
+                customer,
+                branch,
+                products: validatedProducts.map(item => ({
+                    product: item.product,
+                    quantity: item.quantity,
+                    sale_price: item.sale_price,
+                    discountRule: item.discountRule,
+                    subtotal: item.subtotal,
+                    discount: item.discount,
+                    taxableBase: item.taxableBase,
+                    taxRate: item.taxRate,
+                    tax: item.tax,
+                    total: item.total,
+                    unitCost: item.unitCost,
+                    cost: item.unitCost === null ? null : Math.round(item.unitCost * item.quantity),
+                    lots: item.lots.map(allocation => ({
+                        lot: allocation.lot,
+                        quantity: allocation.quantity,
+                        expirationDate: allocation.expirationDate
+                    }))
+                })),
+                salesDate: saleDate,
+                discountRule: discount || undefined,
+                paymentTerms,
+                creditReserved: paymentTerms === "credit" ? total : 0,
+                breakdown,
+                total,
+                status: "processing"
+            });
 
-        await newSale.save();
+            await newSale.save({ session });
+            await applySaleRegistered(newSale, 1, session);
+        });
 
-        const createdSale = await Sale.findById(newSale._id)
+        const createdSale = await Sale.findById(saleObjectId)
             .populate("customer", "name lastname email phone")
             .populate("branch", "id name address")
-            .populate("products.product", "id name price");
+            .populate("products.product", "id name price")
+            .populate("products.lots.lot", "id batchDate expirationDate");
+
+        emitDomainEvent(DOMAIN_EVENTS.SALE_CREATED, { sale: createdSale, userId: req.user.id });
+        emitStockLevelEvents(validatedProducts, req.user.id);
 
         const formattedSale = createdSale.toObject();
         
@@ -373,10 +456,18 @@ export const postSale = async (req, res) => {
         
         if (error.message.includes("Invalid product") || 
             error.message.includes("not found") || 
-            error.message.includes("Insufficient stock") ||
-            error.message.includes("expired")) {
+            error.message.includes("Insufficient stock")) {
             return res.status(400).json({ message: error.message });
         }
+
+        if (error.message.includes("credit limit")) {
+            const customer = await Customer.findById(req.body.customer);
+            return res.status(400).json({ 
+                message: error.message,
+                creditLimit: customer?.creditLimit || 0,
+                availableCredit: customer?.availableCredit || 0
+            });
+        }
         
         res.status(500).json({ message: "Server error", details: error.message });
     }
@@ -385,7 +476,7 @@ export const postSale = async (req, res) => {
 // Actualizar estado de venta
 export const updateSaleStatus = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "update_status_sales")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.UPDATE_STATUS_SALES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -439,39 +530,112 @@ export const updateSaleStatus = async (req, res) => {
             });
         }
 
-        // Manejar stock según el cambio de estado
-        if (currentSale.status === "processing") {
-            if (status === "cancelled") {
-                // De processing a cancelled: Restaurar stock reservado
-                for (const item of currentSale.products) {
-                    const product = await Product.findById(item.product);
-                    if (!product) {
-                        return res.status(404).json({
-                            message: `Product not found in sale`
-                        });
-                    }
+        // Solo se completa una venta pagada por completo, salvo que sea a crédito
+        // (el cupo del cliente se comprometió al crearla)
+        if (status === "completed" && currentSale.balance > 0 && currentSale.paymentTerms !== "credit") {
+            return res.status(400).json({
+                message: `Cannot complete a sale with an outstanding balance of ${currentSale.balance}. Register the remaining payments or create the sale on credit terms.`,
+                balance: currentSale.balance,
+                paymentStatus: currentSale.paymentStatus
+            });
+        }
+
+        const customerAccount = currentSale.paymentTerms === "credit"
+            ? await Customer.findById(currentSale.customer).select("paymentTermDays")
+            : null;
+
+        // Los pagos recibidos deben anularse antes de cancelar la venta
+        if (status === "cancelled" && (currentSale.paidTotal || 0) > 0) {
+            return res.status(400).json({
+                message: "Cannot cancel a sale with registered payments. Void its payments first."
+            });
+        }
 
-                    await Product.findByIdAndUpdate(
-                        item.product,
-                        { $inc: { stock: item.quantity } },
-                        { new: true }
-                    );
+        // De processing a cancelled: verificar productos antes de restaurar el stock reservado
+        const releasesStock = currentSale.status === "processing" && status === "cancelled";
+        if (releasesStock) {
+            for (const item of currentSale.products) {
+                const product = await Product.findById(item.product);
+                if (!product) {
+                    return res.status(404).json({
+                        message: `Product not found in sale`
+                    });
                 }
             }
         }
 
-        const updatedSale = await Sale.findByIdAndUpdate(
-            id,
-            { 
-                status,
-                ...(status === "completed" && { completedAt: new Date() }),
-                ...(status === "cancelled" && { cancelledAt: new Date() })
-            },
-            { new: true, runValidators: true }
-        )
+        // Liberación de stock y cambio de estado se aplican juntos o no se aplican
+        await runInTransaction(async (session) => {
+            if (releasesStock) {
+                await releaseBranchStock(currentSale.products, currentSale.branch, {
+                    reason: "sale_cancellation",
+                    sourceModel: "Sale",
+                    sourceId: currentSale._id,
+                    user: req.user.id
+                }, session);
+            }
+
+            const now = new Date();
+            let dueDate;
+
+            if (currentSale.paymentTerms === "credit") {
+                // El cupo comprometido se libera: al completar, el saldo pasa a la cartera
+                if (currentSale.creditReserved > 0) {
+                    await Customer.releaseCredit(currentSale.customer, currentSale.creditReserved, session);
+                }
+
+                if (status === "completed" && currentSale.balance > 0) {
+                    dueDate = new Date(now);
+                    dueDate.setDate(dueDate.getDate() + (customerAccount?.paymentTermDays ?? 0));
+
+                    await CustomerLedger.post({
+                        customer: currentSale.customer,
+                        type: "sale",
+                        amount: currentSale.balance,
+                        sale: currentSale._id,
+                        dueDate,
+                        description: `Venta ${currentSale.id}`,
+                        date: now,
+                        user: req.user.id
+                    }, session);
+                }
+            }
+
+            // Solo desde processing: evita aplicar dos veces el cambio en peticiones concurrentes
+            const updated = await Sale.findOneAndUpdate(
+                { _id: id, status: "processing" },
+                { 
+                    status,
+                    creditReserved: 0,
+                    ...(dueDate && { dueDate }),
+                    ...(status === "completed" && { completedAt: now }),
+                    ...(status === "cancelled" && { cancelledAt: now })
+                },
+                { new: true, runValidators: true, session }
+            );
+
+            if (!updated) {
+                throw new ConcurrentModificationError("Sale status was changed by another request, please try again");
+            }
+
+            // La venta completada pasa a los totales diarios del dashboard
+            if (status === "completed") {
+                await applySaleCompleted(updated, session);
+            }
+        });
+
+        const updatedSale = await Sale.findById(id)
             .populate("customer", "name lastname email phone")
             .populate("branch", "id name address")
-            .populate("products.product", "id name price");
+            .populate("products.product", "id name price")
+            .populate("products.lots.lot", "id batchDate expirationDate");
+
+        if (status === "completed" || status === "cancelled") {
+            emitDomainEvent(status === "completed" ? DOMAIN_EVENTS.SALE_COMPLETED : DOMAIN_EVENTS.SALE_CANCELLED, {
+                sale: updatedSale,
+                userId: req.user.id
+            });
+        }
 
         const formattedSale = updatedSale.toObject();
         
@@ -492,6 +656,10 @@ export const updateSaleStatus = async (req, res) => {
         });
 
     } catch (error) {
+        if (error instanceof ConcurrentModificationError) {
+            return res.status(409).json({ message: error.message });
+        }
+
         console.error("Error updating sale status:", error);
         res.status(500).json({ message: "Server error", details: error.message });
     }
@@ -500,7 +668,7 @@ export const updateSaleStatus = async (req, res) => {
 // Eliminar una venta
 export const deleteSale = async (req, res) => {
     try {
-        if (!checkPermission(req.user.role, "delete_sales")) {
+        if (!checkPermission(req.user.role, PERMISSIONS.DELETE_SALES)) {
             return res.status(403).json({ message: "Unauthorized access" });
         }
 
@@ -522,18 +690,42 @@ export const deleteSale = async (req, res) => {
             });
         }
 
-        // Restaurar stock reservado si la venta estaba en processing
-        if (saleToDelete.status === "processing") {
-            for (const item of saleToDelete.products) {
-                await Product.findByIdAndUpdate(
-                    item.product,
-                    { $inc: { stock: item.quantity } },
-                    { new: true }
-                );
-            }
+        if ((saleToDelete.paidTotal || 0) > 0) {
+            return res.status(400).json({ 
+                message: "Cannot delete a sale with registered payments. Void its payments first." 
+            });
         }
 
-        await Sale.findByIdAndDelete(id);
+        await runInTransaction(async (session) => {
+            // Primero el borrado, condicionado al estado leído: si otra petición la canceló
+            // entretanto, su stock reservado ya se liberó y no debe liberarse de nuevo
+            const deleted = await Sale.findOneAndDelete({ _id: id, status: saleToDelete.status }, { session });
+            if (!deleted) {
+                throw new ConcurrentModificationError("Sale was modified by another request, please try again");
+            }
+
+            // Restaurar stock reservado en la sucursal si la venta estaba en processing
+            if (saleToDelete.status === "processing") {
+                await releaseBranchStock(saleToDelete.products, saleToDelete.branch, {
+                    reason: "sale_deletion",
+                    sourceModel: "Sale",
+                    sourceId: saleToDelete._id,
+                    user: req.user.id
+                }, session);
+
+                if (saleToDelete.creditReserved > 0) {
+                    await Customer.releaseCredit(saleToDelete.customer, saleToDelete.creditReserved, session);
+                }
+            }
+
+            await applySaleRegistered(saleToDelete, -1, session);
+        });
+
+        await saleToDelete.populate([
+            { path: "customer", select: "name lastname" },
+            { path: "branch", select: "id name" }
+        ]);
+        emitDomainEvent(DOMAIN_EVENTS.SALE_DELETED, { sale: saleToDelete, userId: req.user.id });
 
         res.status(200).json({ 
             message: "Sale deleted successfully" + 
@@ -541,7 +733,394 @@ export const deleteSale = async (req, res) => {
         });
 
     } catch (error) {
+        if (error instanceof ConcurrentModificationError) {
+            return res.status(409).json({ message: error.message });
+        }
+
         console.error("Error deleting sale:", error);
         res.status(500).json({ message: "Server error", details: error.message });
     }
-};
\ No newline at end of file
+};
+
+// ===== DEVOLUCIONES Y NOTAS CRÉDITO =====
+
+// Valida el cuerpo de una devolución: { items: [{ line | product, quantity, disposition, reason }], reason, returnDate }
+function validateReturnData(data) {
+    const errors = [];
+
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+        errors.push("At least one item to return is required");
+        return errors;
+    }
+
+    data.items.forEach((item, index) => {
+        if (!item.line && !item.product) {
+            errors.push(`Item at index ${index} must reference a sale line or a product`);
+        }
+        if (item.line && !mongoose.Types.ObjectId.isValid(item.line)) {
+            errors.push(`Invalid sale line ID at index ${index}`);
+        }
+        if (item.product && !mongoose.Types.ObjectId.isValid(item.product)) {
+            errors.push(`Invalid product ID at index ${index}`);
+        }
+        if (typeof item.quantity !== 'number' || !Number.isInteger(item.quantity) || item.quantity <= 0) {
+            errors.push(`Invalid quantity at index ${index}. Must be a positive integer`);
+        }
+        if (item.disposition !== undefined && !["restock", "damaged"].includes(item.disposition)) {
+            errors.push(`Invalid disposition at index ${index}. Must be restock or damaged`);
+        }
+        const reason = item.reason || data.reason;
+        if (!reason || typeof reason !== 'string' || !reason.trim()) {
+            errors.push(`A reason is required for the item at index ${index}`);
+        }
+    });
+
+    if (data.returnDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(data.returnDate)) {
+        errors.push("Invalid returnDate format. Use YYYY-MM-DD");
+    }
+
+    return errors;
+}
+
+// Ubica la línea de la venta que corresponde a un ítem de devolución
+function findSaleLine(sale, item) {
+    if (item.line) {
+        return sale.products.id(item.line);
+    }
+
+    const lines = sale.products.filter(line => line.product.toString() === String(item.product));
+    if (lines.length > 1) {
+        throw new Error(`Product ${item.product} appears in several lines of the sale. Specify the line ID`);
+    }
+    return lines[0] || null;
+}
+
+// Reparte unidades devueltas entre los lotes que consumió la línea, descontando lo que
+// ya se reingresó en devoluciones anteriores. Lo que no cabe en lotes (ventas previas al
+// control por lotes) queda como stock sin lote.
+function allocateReturnToLots(line, quantity, restockedByLot) {
+    const allocations = [];
+    let remaining = quantity;
+
+    for (const allocation of line.lots || []) {
+        if (remaining === 0) break;
+
+        const key = allocation.lot.toString();
+        const capacity = allocation.quantity - (restockedByLot.get(key) || 0);
+        if (capacity <= 0) continue;
+
+        const take = Math.min(capacity, remaining);
+        allocations.push({ lot: allocation.lot, quantity: take });
+        restockedByLot.set(key, (restockedByLot.get(key) || 0) + take);
+        remaining -= take;
+    }
+
+    return allocations;
+}
+
+// Parte del total (o del IVA) de una línea que corresponde a sus primeras `units` unidades.
+// Las devoluciones se valoran como diferencia entre dos partes acumuladas, así la suma de
+// devoluciones parciales coincide exactamente con el total de la línea (con descuentos e IVA)
+function lineShare(line, amount, units) {
+    return Math.round(amount * units / line.quantity);
+}
+
+function formatCreditNote(creditNote) {
+    const creditNoteObj = creditNote.toObject();
+    if (creditNoteObj.returnDate) {
+        creditNoteObj.returnDate = formatLocalDate(creditNoteObj.returnDate);
+    }
+    return creditNoteObj;
+}
+
+// Registrar una devolución sobre una venta completada y emitir su nota crédito
+export const postSaleReturn = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_SALE_RETURNS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        const validationErrors = validateReturnData(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ 
+                message: "Validation error", 
+                errors: validationErrors 
+            });
+        }
+
+        const sale = await Sale.findById(id);
+        if (!sale) {
+            return res.status(404).json({ message: "Sale not found" });
+        }
+
+        if (sale.status !== "completed") {
+            return res.status(400).json({ 
+                message: "Only completed sales can have returns. Cancel or delete processing sales instead." 
+            });
+        }
+
+        const returnDate = req.body.returnDate ? parseLocalDate(req.body.returnDate) : new Date();
+        const saleDate = sale.get("salesDate", null, { getters: false });
+        if (saleDate && returnDate < parseLocalDate(formatLocalDate(saleDate))) {
+            return res.status(400).json({ message: "Return date cannot be before the sale date" });
+        }
+
+        // Resolver las líneas y acumular lo solicitado por línea
+        const items = [];
+        const requestedByLine = new Map();
+
+        for (const [index, item] of req.body.items.entries()) {
+            const line = findSaleLine(sale, item);
+            if (!line) {
+                return res.status(400).json({ message: `Item at index ${index} does not belong to this sale` });
+            }
+
+            const key = line._id.toString();
+            requestedByLine.set(key, (requestedByLine.get(key) || 0) + item.quantity);
+
+            items.push({
+                line,
+                quantity: item.quantity,
+                disposition: item.disposition || "restock",
+                reason: (item.reason || req.body.reason).trim()
+            });
+        }
+
+        for (const [lineId, requested] of requestedByLine) {
+            const line = sale.products.id(lineId);
+            const returnable = line.quantity - (line.returnedQuantity || 0);
+            if (requested > returnable) {
+                return res.status(400).json({
+                    message: `Cannot return ${requested} unit(s) of line ${lineId}. Returnable quantity: ${returnable}`
+                });
+            }
+        }
+
+        // Valor de cada ítem según lo ya devuelto de su línea
+        const returnedSoFar = new Map();
+        const creditByLine = new Map();
+        const costByLine = new Map();
+        for (const item of items) {
+            const key = item.line._id.toString();
+            const previous = returnedSoFar.get(key) ?? (item.line.returnedQuantity || 0);
+            const lineTax = item.line.tax || 0;
+
+            item.total = lineShare(item.line, item.line.total, previous + item.quantity) - lineShare(item.line, item.line.total, previous);
+            item.tax = lineShare(item.line, lineTax, previous + item.quantity) - lineShare(item.line, lineTax, previous);
+            // Solo las unidades que vuelven al inventario revierten su costo
+            item.cost = item.disposition === "restock" && item.line.cost !== null && item.line.cost !== undefined
+                ? lineShare(item.line, item.line.cost, previous + item.quantity) - lineShare(item.line, item.line.cost, previous)
+                : 0;
+
+            returnedSoFar.set(key, previous + item.quantity);
+            creditByLine.set(key, (creditByLine.get(key) || 0) + item.total);
+            costByLine.set(key, (costByLine.get(key) || 0) + item.cost);
+        }
+
+        const branch = await Branch.findById(sale.branch).select("id");
+        const creditNoteObjectId = new mongoose.Types.ObjectId();
+
+        await runInTransaction(async (session) => {
+            // Marcar las unidades devueltas en la venta. El filtro compara con la cantidad
+            // leída: si otra devolución la cambió entretanto, se aborta en lugar de excederla
+            for (const [lineId, requested] of requestedByLine) {
+                const line = sale.products.id(lineId);
+                const previous = line.returnedQuantity || 0;
+
+                const result = await Sale.updateOne(
+                    {
+                        _id: sale._id,
+                        status: "completed",
+                        products: {
+                            $elemMatch: {
+                                _id: line._id,
+                                returnedQuantity: previous === 0 ? { $in: [0, null] } : previous
+                            }
+                        }
+                    },
+                    {
+                        $inc: {
+                            "products.$.returnedQuantity": requested,
+                            "products.$.returnedCost": costByLine.get(lineId),
+                            returnedTotal: creditByLine.get(lineId)
+                        }
+                    },
+                    { session }
+                );
+
+                if (result.matchedCount === 0) {
+                    throw new ConcurrentModificationError("Sale was modified by another return, please try again");
+                }
+            }
+
+            // Lo ya reingresado a cada lote por devoluciones anteriores de esta venta
+            const previousNotes = await CreditNote.find({ sale: sale._id }).session(session);
+            const restockedByLot = new Map();
+            for (const note of previousNotes) {
+                for (const noteItem of note.products) {
+                    for (const allocation of noteItem.lots) {
+                        const key = allocation.lot.toString();
+                        restockedByLot.set(key, (restockedByLot.get(key) || 0) + allocation.quantity);
+                    }
+                }
+            }
+
+            const creditNoteItems = [];
+            for (const item of items) {
+                let lots = [];
+
+                // La mercancía dañada no vuelve al inventario
+                if (item.disposition === "restock") {
+                    lots = allocateReturnToLots(item.line, item.quantity, restockedByLot);
+                    if (lots.length > 0) {
+                        await Lot.restore(lots, session);
+                    }
+                    if (item.line.unitCost !== null && item.line.unitCost !== undefined) {
+                        await Product.receiveAtCost(item.line.product, item.quantity, item.line.unitCost, session);
+                    }
+                    await BranchStock.increment(item.line.product, sale.branch, item.quantity, {
+                        reason: "sale_return",
+                        sourceModel: "CreditNote",
+                        sourceId: creditNoteObjectId,
+                        user: req.user.id
+                    }, session);
+                }
+
+                creditNoteItems.push({
+                    saleLine: item.line._id,
+                    product: item.line.product,
+                    quantity: item.quantity,
+                    sale_price: item.line.sale_price,
+                    taxRate: item.line.taxRate || 0,
+                    tax: item.tax,
+                    total: item.total,
+                    cost: item.cost,
+                    disposition: item.disposition,
+                    reason: item.reason,
+                    lots
+                });
+            }
+
+            const creditNoteId = await nextDocumentId("creditNote", { branchCode: branch?.id, date: returnDate });
+
+            const [createdCreditNote] = await CreditNote.create([{
+                _id: creditNoteObjectId,
+                id: creditNoteId,
+                sale: sale._id,
+                customer: sale.customer,
+                branch: sale.branch,
+                products: creditNoteItems,
+                tax: creditNoteItems.reduce((sum, item) => sum + item.tax, 0),
+                total: creditNoteItems.reduce((sum, item) => sum + item.total, 0),
+                reason: req.body.reason,
+                returnDate,
+                createdBy: req.user.id
+            }], { session });
+            await applySaleReturn(createdCreditNote, session);
+
+            // El monto a cobrar bajó: una venta pagada en parte puede quedar pagada
+            const current = await Sale.refreshPaymentStatus(sale._id, session);
+
+            // Venta a crédito ya en cartera: la devolución reduce lo que debe el cliente
+            if (sale.dueDate) {
+                const credited = creditNoteItems.reduce((sum, item) => sum + item.total, 0);
+                const balanceBefore = Math.max(0, current.total - (current.returnedTotal - credited) - (current.paidTotal || 0));
+                const reduction = balanceBefore - current.balance;
+
+                if (reduction > 0) {
+                    await CustomerLedger.post({
+                        customer: sale.customer,
+                        type: "credit_note",
+                        amount: -reduction,
+                        sale: sale._id,
+                        creditNote: creditNoteObjectId,
+                        description: `Nota crédito ${creditNoteId} - venta ${sale.id}`,
+                        date: returnDate,
+                        user: req.user.id
+                    }, session);
+                }
+            }
+        });
+
+        const creditNote = await CreditNote.findById(creditNoteObjectId)
+            .populate("products.product", "id name price")
+            .populate("customer", "name lastname email")
+            .populate("branch", "id name");
+
+        const updatedSale = await Sale.findById(id).select("id total returnedTotal paidTotal paymentStatus");
+
+        emitDomainEvent(DOMAIN_EVENTS.SALE_RETURNED, { sale: updatedSale, creditNote, userId: req.user.id });
+
+        res.status(201).json({
+            message: "Return registered and credit note issued",
+            creditNote: formatCreditNote(creditNote),
+            sale: {
+                _id: updatedSale._id,
+                id: updatedSale.id,
+                total: updatedSale.total,
+                returnedTotal: updatedSale.returnedTotal,
+                netTotal: updatedSale.total - updatedSale.returnedTotal,
+                paidTotal: updatedSale.paidTotal,
+                paymentStatus: updatedSale.paymentStatus,
+                balance: updatedSale.balance
+            }
+        });
+    } catch (error) {
+        console.error("Error registering sale return:", error);
+
+        if (error.message.includes("several lines")) {
+            return res.status(400).json({ message: error.message });
+        }
+
+        if (error instanceof ConcurrentModificationError) {
+            return res.status(409).json({ message: error.message });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Listar las devoluciones (notas crédito) de una venta
+export const getSaleReturns = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_SALE_RETURNS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid sale ID format" });
+        }
+
+        const sale = await Sale.findById(id).select("id total returnedTotal");
+        if (!sale) {
+            return res.status(404).json({ message: "Sale not found" });
+        }
+
+        const creditNotes = await CreditNote.find({ sale: sale._id })
+            .populate("products.product", "id name price")
+            .populate("createdBy", "name lastname")
+            .sort({ returnDate: 1, _id: 1 });
+
+        res.status(200).json({
+            sale: {
+                _id: sale._id,
+                id: sale.id,
+                total: sale.total,
+                returnedTotal: sale.returnedTotal || 0,
+                netTotal: sale.total - (sale.returnedTotal || 0)
+            },
+            creditNotes: creditNotes.map(formatCreditNote)
+        });
+    } catch (error) {
+        console.error("Error fetching sale returns:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
@@ -0,0 +1,201 @@
+import Product from "../models/product.js";
+import Customer from "../models/customer.js";
+import Provider from "../models/provider.js";
+import { checkPermission } from "../utils/permissions.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Puntos extra según cómo coincide el término con un campo: permite encontrar
+// coincidencias parciales (que el índice de texto no cubre) y ordenarlas junto a las de texto
+const MATCH_BONUS = { exact: 3, prefix: 2, contains: 1 };
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Fuentes de búsqueda: cada tipo exige el permiso con el que ya se protege su listado
+const SEARCH_SOURCES = {
+    product: {
+        model: Product,
+        permission: PERMISSIONS.VIEW_PRODUCTS,
+        fields: ["id", "name"],
+        select: "id name price stock status category",
+        format: (product) => ({
+            title: product.name,
+            subtitle: product.id,
+            data: {
+                id: product.id,
+                name: product.name,
+                price: product.price,
+                stock: product.stock,
+                status: product.status
+            }
+        })
+    },
+    customer: {
+        model: Customer,
+        permission: PERMISSIONS.VIEW_CUSTOMERS,
+        fields: ["name", "lastname", "email", "phone"],
+        select: "name lastname email phone status isDefault",
+        format: (customer) => ({
+            title: `${customer.name} ${customer.lastname}`,
+            subtitle: customer.email,
+            data: {
+                id: customer._id,
+                name: customer.name,
+                lastname: customer.lastname,
+                email: customer.email,
+                phone: customer.phone,
+                status: customer.status,
+                isDefault: customer.isDefault || false
+            }
+        })
+    },
+    provider: {
+        model: Provider,
+        permission: PERMISSIONS.VIEW_PROVIDERS,
+        fields: ["company", "name", "nit"],
+        select: "id nit company name contact_phone email status",
+        format: (provider) => ({
+            title: provider.company,
+            subtitle: `${provider.name} · NIT ${provider.nit}`,
+            data: {
+                id: provider.id,
+                nit: provider.nit,
+                company: provider.company,
+                name: provider.name,
+                contact_phone: provider.contact_phone,
+                email: provider.email,
+                status: provider.status
+            }
+        })
+    }
+};
+
+// Mejor coincidencia parcial del término en los campos del documento
+function partialMatchBonus(doc, fields, term) {
+    const needle = term.toLowerCase();
+    let bonus = 0;
+
+    for (const field of fields) {
+        const value = String(doc[field] ?? "").toLowerCase();
+        if (!value) continue;
+
+        if (value === needle) bonus = Math.max(bonus, MATCH_BONUS.exact);
+        else if (value.startsWith(needle)) bonus = Math.max(bonus, MATCH_BONUS.prefix);
+        else if (value.includes(needle)) bonus = Math.max(bonus, MATCH_BONUS.contains);
+    }
+
+    return bonus;
+}
+
+/**
+ * Busca en una fuente combinando el índice de texto (palabras completas, con relevancia)
+ * con coincidencias parciales por expresión regular (prefijos de nombre, teléfono, código)
+ */
+async function searchSource(source, term, baseFilter, limit) {
+    const { model, fields, select } = source;
+
+    const textMatches = await model
+        .find({ ...baseFilter, $text: { $search: term } }, { score: { $meta: "textScore" } })
+        .select(select)
+        .sort({ score: { $meta: "textScore" } })
+        .limit(limit)
+        .lean();
+
+    const seen = textMatches.map(doc => doc._id);
+    const pattern = new RegExp(escapeRegex(term), "i");
+
+    const partialMatches = await model
+        .find({
+            ...baseFilter,
+            _id: { $nin: seen },
+            $or: fields.map(field => ({ [field]: pattern }))
+        })
+        .select(select)
+        .limit(limit)
+        .lean();
+
+    return [...textMatches, ...partialMatches].map(doc => ({
+        doc,
+        score: (doc.score || 0) + partialMatchBonus(doc, fields, term)
+    }));
+}
+
+// Búsqueda global: GET /api/search?q=texto&types=product,customer&limit=20
+export const search = async (req, res) => {
+    try {
+        const term = String(req.query.q || "").trim();
+        const errors = [];
+
+        if (term.length < MIN_QUERY_LENGTH || term.length > MAX_QUERY_LENGTH) {
+            errors.push(`q must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters`);
+        }
+
+        let limit = DEFAULT_LIMIT;
+        if (req.query.limit !== undefined) {
+            limit = Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+                errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+            }
+        }
+
+        let requestedTypes = Object.keys(SEARCH_SOURCES);
+        if (req.query.types) {
+            requestedTypes = String(req.query.types).split(",").map(type => type.trim()).filter(Boolean);
+            const unknown = requestedTypes.filter(type => !SEARCH_SOURCES[type]);
+            if (unknown.length > 0) {
+                errors.push(`types must be a comma-separated list of: ${Object.keys(SEARCH_SOURCES).join(", ")}`);
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({ message: "Validation error", errors });
+        }
+
+        // Solo se busca en los tipos que el rol del usuario puede ver
+        const allowedTypes = requestedTypes.filter(type =>
+            checkPermission(req.user.role, SEARCH_SOURCES[type].permission)
+        );
+
+        if (allowedTypes.length === 0) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        // Por defecto solo registros activos; includeInactive=true para incluir todos
+        const baseFilter = req.query.includeInactive === "true" ? {} : { status: "active" };
+
+        const matchesByType = await Promise.all(
+            allowedTypes.map(type => searchSource(SEARCH_SOURCES[type], term, baseFilter, limit))
+        );
+
+        const results = allowedTypes
+            .flatMap((type, index) => matchesByType[index].map(({ doc, score }) => ({
+                type,
+                _id: doc._id,
+                score: Math.round(score * 1000) / 1000,
+                ...SEARCH_SOURCES[type].format(doc)
+            })))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        const counts = Object.fromEntries(allowedTypes.map(type => [
+            type,
+            results.filter(result => result.type === type).length
+        ]));
+
+        res.status(200).json({
+            query: term,
+            types: allowedTypes,
+            counts,
+            results
+        });
+    } catch (error) {
+        console.error("Error in search:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
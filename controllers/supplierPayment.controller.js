@@ -0,0 +1,244 @@
+import mongoose from "mongoose";
+import SupplierPayment, { SUPPLIER_PAYMENT_METHODS } from "../models/supplierPayment.js";
+import Purchase from "../models/purchase.js";
+import Branch from "../models/branches.js";
+import { checkPermission } from "../utils/permissions.js";
+import { runInTransaction, ConcurrentModificationError } from "../utils/transaction.js";
+import { nextDocumentId } from "../utils/sequence.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+
+/**
+ * Convierte fecha de string YYYY-MM-DD a objeto Date (zona local)
+ * @param {string} dateString
+ * @returns {Date}
+ */
+function parseLocalDate(dateString) {
+    if (!dateString) return new Date();
+
+    if (typeof dateString === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    return new Date(dateString);
+}
+
+// Estado de pago de la compra para las respuestas
+function formatPurchasePaymentState(purchase) {
+    return {
+        _id: purchase._id,
+        id: purchase.id,
+        status: purchase.status,
+        total: purchase.total,
+        paid_total: purchase.paid_total || 0,
+        balance: purchase.balance,
+        payment_status: purchase.payment_status || "unpaid",
+        due_date: purchase.due_date || null
+    };
+}
+
+// Función para validar datos de un pago a proveedor
+function validateSupplierPaymentData(data) {
+    const errors = [];
+
+    if (!data.method || !SUPPLIER_PAYMENT_METHODS.includes(data.method)) {
+        errors.push(`Method must be one of: ${SUPPLIER_PAYMENT_METHODS.join(", ")}`);
+    }
+
+    if (typeof data.amount !== 'number' || !Number.isInteger(data.amount) || data.amount <= 0) {
+        errors.push("Amount must be a positive integer");
+    }
+
+    if (data.method && data.method !== "cash" && (!data.reference || !String(data.reference).trim())) {
+        errors.push("Reference is required for non-cash payments");
+    }
+
+    if (data.paidAt !== undefined && !/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d{3})?Z)?$/.test(data.paidAt)) {
+        errors.push("Invalid paidAt format. Use YYYY-MM-DD or ISO format");
+    }
+
+    return errors;
+}
+
+// Registrar un pago (total o parcial) a proveedor sobre una compra
+export const postPurchasePayment = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_PURCHASE_PAYMENTS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase ID format" });
+        }
+
+        const validationErrors = validateSupplierPaymentData(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                message: "Validation error",
+                errors: validationErrors
+            });
+        }
+
+        const purchase = await Purchase.findById(id);
+        if (!purchase) {
+            return res.status(404).json({ message: "Purchase not found" });
+        }
+
+        if (purchase.status !== "active") {
+            return res.status(400).json({ message: "Cannot register payments for an inactive purchase" });
+        }
+
+        const { method, amount, reference } = req.body;
+
+        if (amount > purchase.balance) {
+            return res.status(400).json({
+                message: `Payment exceeds the outstanding balance. Balance: ${purchase.balance}, Payment: ${amount}`
+            });
+        }
+
+        const paidAt = req.body.paidAt ? parseLocalDate(req.body.paidAt) : new Date();
+        const branch = purchase.branch ? await Branch.findById(purchase.branch).select("id") : null;
+        const paymentId = await nextDocumentId("supplierPayment", { branchCode: branch?.id, date: paidAt });
+
+        const payment = await runInTransaction(async (session) => {
+            // Se vuelve a comprobar el saldo (y que la compra siga activa) de forma atómica
+            const updatedPurchase = await Purchase.applyPayment(purchase._id, amount, session);
+            if (!updatedPurchase) {
+                throw new ConcurrentModificationError("Payment exceeds the outstanding balance or the purchase was deactivated, please check the purchase and try again");
+            }
+
+            const [created] = await SupplierPayment.create([{
+                id: paymentId,
+                purchase: purchase._id,
+                provider: purchase.provider,
+                method,
+                amount,
+                reference: reference ? String(reference).trim() : undefined,
+                paidBy: req.user.id,
+                paidAt
+            }], { session });
+
+            return created;
+        });
+
+        const updatedPurchase = await Purchase.findById(id);
+
+        res.status(201).json({
+            message: updatedPurchase.payment_status === "paid"
+                ? "Payment registered. The purchase is fully paid"
+                : "Payment registered",
+            payment,
+            purchase: formatPurchasePaymentState(updatedPurchase)
+        });
+    } catch (error) {
+        console.error("Error registering supplier payment:", error);
+
+        if (error instanceof ConcurrentModificationError) {
+            return res.status(409).json({ message: error.message });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Listar los pagos de una compra con su saldo pendiente
+export const getPurchasePayments = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VIEW_PURCHASE_PAYMENTS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid purchase ID format" });
+        }
+
+        const purchase = await Purchase.findById(id);
+        if (!purchase) {
+            return res.status(404).json({ message: "Purchase not found" });
+        }
+
+        const payments = await SupplierPayment.find({ purchase: purchase._id })
+            .populate("paidBy", "name lastname")
+            .populate("voided_by", "name lastname")
+            .sort({ paidAt: 1, _id: 1 });
+
+        res.status(200).json({
+            purchase: formatPurchasePaymentState(purchase),
+            payments
+        });
+    } catch (error) {
+        console.error("Error fetching supplier payments:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Anular (reversar) un pago a proveedor
+export const voidPurchasePayment = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.VOID_PURCHASE_PAYMENTS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id, paymentId } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(paymentId)) {
+            return res.status(400).json({ message: "Invalid purchase or payment ID format" });
+        }
+
+        if (!reason || !String(reason).trim()) {
+            return res.status(400).json({ message: "A reason is required to void a payment" });
+        }
+
+        const purchase = await Purchase.findById(id);
+        if (!purchase) {
+            return res.status(404).json({ message: "Purchase not found" });
+        }
+
+        const payment = await SupplierPayment.findOne({ _id: paymentId, purchase: purchase._id });
+        if (!payment) {
+            return res.status(404).json({ message: "Payment not found" });
+        }
+
+        if (payment.status === "voided") {
+            return res.status(400).json({ message: "Payment is already voided" });
+        }
+
+        await runInTransaction(async (session) => {
+            const voided = await SupplierPayment.findOneAndUpdate(
+                { _id: payment._id, status: "active" },
+                {
+                    status: "voided",
+                    void_reason: String(reason).trim(),
+                    voided_at: new Date(),
+                    voided_by: req.user.id
+                },
+                { new: true, session }
+            );
+            if (!voided) {
+                throw new ConcurrentModificationError("Payment is already voided");
+            }
+
+            await Purchase.applyPayment(purchase._id, -payment.amount, session);
+        });
+
+        const updatedPurchase = await Purchase.findById(id);
+
+        res.status(200).json({
+            message: "Payment voided",
+            purchase: formatPurchasePaymentState(updatedPurchase)
+        });
+    } catch (error) {
+        console.error("Error voiding supplier payment:", error);
+
+        if (error instanceof ConcurrentModificationError) {
+            return res.status(409).json({ message: error.message });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
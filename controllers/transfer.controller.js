@@ -0,0 +1,419 @@
+import mongoose from "mongoose";
+import Transfer from "../models/transfer.js";
+import Product from "../models/product.js";
+import Branch from "../models/branches.js";
+import BranchStock from "../models/branchStock.js";
+import Lot from "../models/lot.js";
+import { checkPermission } from "../utils/permissions.js";
+import { nextDocumentId } from "../utils/sequence.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+import { DOMAIN_EVENTS, emitDomainEvent } from "../utils/domainEvents.js";
+
+function validateTransferData(data) {
+    const errors = [];
+
+    if (!data.originBranch) errors.push("Origin branch is required");
+    if (!data.destinationBranch) errors.push("Destination branch is required");
+
+    if (data.originBranch && !mongoose.Types.ObjectId.isValid(data.originBranch)) {
+        errors.push("Invalid origin branch ID format");
+    }
+
+    if (data.destinationBranch && !mongoose.Types.ObjectId.isValid(data.destinationBranch)) {
+        errors.push("Invalid destination branch ID format");
+    }
+
+    if (data.originBranch && data.destinationBranch && data.originBranch === data.destinationBranch) {
+        errors.push("Origin and destination branches must be different");
+    }
+
+    if (!data.products || !Array.isArray(data.products) || data.products.length === 0) {
+        errors.push("At least one product is required");
+    }
+
+    if (data.products && Array.isArray(data.products)) {
+        data.products.forEach((item, index) => {
+            if (!item.product || !mongoose.Types.ObjectId.isValid(item.product)) {
+                errors.push(`Invalid product ID at index ${index}`);
+            }
+            if (typeof item.quantity !== 'number' || !Number.isInteger(item.quantity) || item.quantity <= 0) {
+                errors.push(`Invalid quantity at index ${index}. Must be a positive integer`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Solo se puede trasladar desde y hacia sucursales activas (no inactivas ni pendientes)
+async function findActiveBranch(branchId, label) {
+    const branch = await Branch.findById(branchId);
+    if (!branch) {
+        return { error: { status: 404, message: `${label} branch not found` } };
+    }
+
+    if (branch.status !== "active") {
+        return { error: { status: 400, message: `${label} branch is ${branch.status} and cannot be used for transfers` } };
+    }
+
+    return { branch };
+}
+
+function populateTransfer(query) {
+    return query
+        .populate("originBranch", "id name status")
+        .populate("destinationBranch", "id name status")
+        .populate("products.product", "id name price")
+        .populate("products.lots.lot", "id");
+}
+
+// Obtener todos los traslados
+export const getTransfers = async (req, res) => {
+    try {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_TRANSFERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { status, branch } = req.query;
+        const filter = {};
+
+        if (status) {
+            filter.status = status;
+        }
+
+        if (branch) {
+            if (!mongoose.Types.ObjectId.isValid(branch)) {
+                return res.status(400).json({ message: "Invalid branch ID format" });
+            }
+            filter.$or = [{ originBranch: branch }, { destinationBranch: branch }];
+        }
+
+        const transfers = await populateTransfer(Transfer.find(filter))
+            .sort({ createdAt: -1 });
+
+        res.status(200).json(transfers);
+    } catch (error) {
+        console.error("Error fetching transfers:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Obtener un traslado por ID
+export const getTransferById = async (req, res) => {
+    try {
+        if (!req.user || !checkPermission(req.user.role, PERMISSIONS.VIEW_TRANSFERS_ID)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid transfer ID format" });
+        }
+
+        const transfer = await populateTransfer(Transfer.findById(id));
+
+        if (!transfer) {
+            return res.status(404).json({ message: "Transfer not found" });
+        }
+
+        res.status(200).json(transfer);
+    } catch (error) {
+        console.error("Error fetching transfer:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Crear traslado en borrador
+export const postTransfer = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.CREATE_TRANSFERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { originBranch, destinationBranch, products, notes } = req.body;
+
+        const validationErrors = validateTransferData(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                message: "Validation error",
+                errors: validationErrors
+            });
+        }
+
+        const origin = await findActiveBranch(originBranch, "Origin");
+        if (origin.error) {
+            return res.status(origin.error.status).json({ message: origin.error.message });
+        }
+
+        const destination = await findActiveBranch(destinationBranch, "Destination");
+        if (destination.error) {
+            return res.status(destination.error.status).json({ message: destination.error.message });
+        }
+
+        for (let i = 0; i < products.length; i++) {
+            const foundProduct = await Product.findById(products[i].product);
+            if (!foundProduct) {
+                return res.status(404).json({ message: `Product not found at index ${i}` });
+            }
+
+            if (foundProduct.status !== "active") {
+                return res.status(400).json({ message: `Cannot transfer inactive product "${foundProduct.name}" at index ${i}` });
+            }
+        }
+
+        const transferId = await nextDocumentId("transfer");
+
+        const newTransfer = new Transfer({
+            id: transferId,
+            originBranch,
+            destinationBranch,
+            products: products.map(item => ({
+                product: item.product,
+                quantity: item.quantity
+            })),
+            notes,
+            created_by: req.user.id
+        });
+
+        await newTransfer.save();
+
+        const createdTransfer = await populateTransfer(Transfer.findById(newTransfer._id));
+        emitDomainEvent(DOMAIN_EVENTS.TRANSFER_CREATED, { transfer: createdTransfer, userId: req.user.id });
+
+        res.status(201).json({
+            message: "Transfer created as draft. Stock will be moved when it is dispatched.",
+            transfer: createdTransfer
+        });
+    } catch (error) {
+        console.error("Error creating transfer:", error);
+
+        if (error.code === 11000 && error.keyPattern?.id) {
+            return res.status(409).json({
+                message: "Transfer ID conflict, please try again"
+            });
+        }
+
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Despachar traslado: descuenta el stock de la sucursal de origen
+export const dispatchTransfer = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.DISPATCH_TRANSFERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid transfer ID format" });
+        }
+
+        const transfer = await Transfer.findById(id);
+
+        if (!transfer) {
+            return res.status(404).json({ message: "Transfer not found" });
+        }
+
+        if (!Transfer.getAllowedTransitions()[transfer.status].includes("in_transit")) {
+            return res.status(400).json({
+                message: `Cannot dispatch a transfer in ${transfer.status} status`
+            });
+        }
+
+        const origin = await findActiveBranch(transfer.originBranch, "Origin");
+        if (origin.error) {
+            return res.status(origin.error.status).json({ message: origin.error.message });
+        }
+
+        const destination = await findActiveBranch(transfer.destinationBranch, "Destination");
+        if (destination.error) {
+            return res.status(destination.error.status).json({ message: destination.error.message });
+        }
+
+        const movement = { sourceModel: "Transfer", sourceId: transfer._id, user: req.user.id };
+
+        // Descontar del origen (lotes por FEFO); si algún producto no alcanza se devuelve lo ya descontado
+        const dispatched = [];
+        for (const item of transfer.products) {
+            let allocations = [];
+            try {
+                allocations = await Lot.consume(item.product, transfer.originBranch, item.quantity);
+                await BranchStock.decrement(item.product, transfer.originBranch, item.quantity, { ...movement, reason: "transfer_dispatch" });
+                item.lots = allocations;
+                dispatched.push(item);
+            } catch (stockError) {
+                await Lot.restore(allocations);
+                for (const done of dispatched) {
+                    await Lot.restore(done.lots);
+                    await BranchStock.increment(done.product, transfer.originBranch, done.quantity, { ...movement, reason: "rollback" });
+                }
+
+                if (stockError.message !== 'Insufficient stock in branch') {
+                    throw stockError;
+                }
+
+                const product = await Product.findById(item.product).select("name");
+                const available = await Lot.getAvailableQuantity(item.product, transfer.originBranch);
+                return res.status(400).json({
+                    message: `Insufficient stock for product "${product?.name || item.product}" in origin branch`,
+                    requiredStock: item.quantity,
+                    availableStock: available
+                });
+            }
+        }
+
+        transfer.status = "in_transit";
+        transfer.dispatched_at = new Date();
+        transfer.dispatched_by = req.user.id;
+        await transfer.save();
+
+        const updatedTransfer = await populateTransfer(Transfer.findById(id));
+        emitDomainEvent(DOMAIN_EVENTS.TRANSFER_DISPATCHED, { transfer: updatedTransfer, userId: req.user.id });
+
+        res.status(200).json({
+            message: "Transfer dispatched - stock deducted from origin branch",
+            transfer: updatedTransfer
+        });
+    } catch (error) {
+        console.error("Error dispatching transfer:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Recibir traslado: acredita el stock en la sucursal de destino
+export const receiveTransfer = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.RECEIVE_TRANSFERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid transfer ID format" });
+        }
+
+        const transfer = await Transfer.findById(id);
+
+        if (!transfer) {
+            return res.status(404).json({ message: "Transfer not found" });
+        }
+
+        if (!Transfer.getAllowedTransitions()[transfer.status].includes("received")) {
+            return res.status(400).json({
+                message: `Cannot receive a transfer in ${transfer.status} status`
+            });
+        }
+
+        const destination = await findActiveBranch(transfer.destinationBranch, "Destination");
+        if (destination.error) {
+            return res.status(destination.error.status).json({ message: destination.error.message });
+        }
+
+        for (const item of transfer.products) {
+            await BranchStock.increment(item.product, transfer.destinationBranch, item.quantity, {
+                reason: "transfer_receipt",
+                sourceModel: "Transfer",
+                sourceId: transfer._id,
+                user: req.user.id
+            });
+
+            // Los lotes conservan sus fechas en la sucursal de destino
+            for (const allocation of item.lots) {
+                await Lot.receive({
+                    product: item.product,
+                    branch: transfer.destinationBranch,
+                    quantity: allocation.quantity,
+                    batchDate: allocation.batchDate,
+                    expirationDate: allocation.expirationDate,
+                    sourceModel: "Transfer",
+                    sourceId: transfer._id
+                });
+            }
+        }
+
+        transfer.status = "received";
+        transfer.received_at = new Date();
+        transfer.received_by = req.user.id;
+        await transfer.save();
+
+        const updatedTransfer = await populateTransfer(Transfer.findById(id));
+        emitDomainEvent(DOMAIN_EVENTS.TRANSFER_RECEIVED, { transfer: updatedTransfer, userId: req.user.id });
+
+        res.status(200).json({
+            message: "Transfer received - stock credited to destination branch",
+            transfer: updatedTransfer
+        });
+    } catch (error) {
+        console.error("Error receiving transfer:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
+
+// Cancelar traslado: si estaba en tránsito el stock vuelve al origen
+export const cancelTransfer = async (req, res) => {
+    try {
+        if (!checkPermission(req.user.role, PERMISSIONS.CANCEL_TRANSFERS)) {
+            return res.status(403).json({ message: "Unauthorized access" });
+        }
+
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid transfer ID format" });
+        }
+
+        if (!reason || reason.trim().length === 0) {
+            return res.status(400).json({
+                message: "Cancellation reason is required"
+            });
+        }
+
+        const transfer = await Transfer.findById(id);
+
+        if (!transfer) {
+            return res.status(404).json({ message: "Transfer not found" });
+        }
+
+        if (!Transfer.getAllowedTransitions()[transfer.status].includes("cancelled")) {
+            return res.status(400).json({
+                message: `Cannot cancel a transfer in ${transfer.status} status`
+            });
+        }
+
+        const wasInTransit = transfer.status === "in_transit";
+
+        if (wasInTransit) {
+            for (const item of transfer.products) {
+                await Lot.restore(item.lots);
+                await BranchStock.increment(item.product, transfer.originBranch, item.quantity, {
+                    reason: "transfer_cancellation",
+                    sourceModel: "Transfer",
+                    sourceId: transfer._id,
+                    user: req.user.id
+                });
+            }
+        }
+
+        transfer.status = "cancelled";
+        transfer.cancellation_reason = reason.trim();
+        transfer.cancelled_at = new Date();
+        transfer.cancelled_by = req.user.id;
+        await transfer.save();
+
+        const updatedTransfer = await populateTransfer(Transfer.findById(id));
+        emitDomainEvent(DOMAIN_EVENTS.TRANSFER_CANCELLED, { transfer: updatedTransfer, userId: req.user.id });
+
+        res.status(200).json({
+            message: "Transfer cancelled" + (wasInTransit ? " - stock returned to origin branch" : ""),
+            transfer: updatedTransfer
+        });
+    } catch (error) {
+        console.error("Error cancelling transfer:", error);
+        res.status(500).json({ message: "Server error", details: error.message });
+    }
+};
@@ -1,6 +1,9 @@
 import User from "../models/user.js";
 import Role from "../models/role.js";
+import Session from "../models/session.js";
+import { unlockAccount } from "../utils/loginThrottle.js";
 import mongoose from "mongoose";
+import { parseListQuery, findPaginated, listResponse } from "../utils/listQuery.js";
 
 // Mapeo de nombres de roles a español
 const roleTranslations = {
@@ -47,14 +50,28 @@ const processUserWithDisplayName = (user) => {
 // Get all users
 export const getUsers = async (req, res) => {
     try {
-        const users = await User.find()
-            .select("-password")
-            .populate("role", "id name");
+        const listQuery = parseListQuery(req.query, {
+            filters: {
+                status: { type: "enum", values: ["active", "inactive"] },
+                role: { type: "objectId" }
+            },
+            sortable: ["name", "lastname", "email", "status"],
+            defaultSort: "name"
+        });
+
+        if (listQuery.errors.length > 0) {
+            return res.status(400).json({ message: "Validation error", errors: listQuery.errors });
+        }
+
+        const { items, meta } = await findPaginated(User, listQuery, {
+            select: "-password",
+            populate: [["role", "id name"]]
+        });
         
         // Añadir displayName para cada usuario
-        const usersWithDisplayNames = users.map(user => processUserWithDisplayName(user));
+        const usersWithDisplayNames = items.map(user => processUserWithDisplayName(user));
         
-        res.status(200).json({ users: usersWithDisplayNames });
+        res.status(200).json(listResponse({ items: usersWithDisplayNames, meta }, users => ({ users })));
     } catch (error) {
         res.status(500).json({ message: "Error fetching users", error: error.message });
     }
@@ -216,6 +233,11 @@ export const putUser = async (req, res) => {
             return res.status(404).json({ message: "User not found" });
         }
 
+        // Un usuario desactivado pierde todas sus sesiones
+        if (updatedUser.status === 'inactive') {
+            await Session.revokeAllForUser(updatedUser._id, "user_deactivated");
+        }
+
         // Procesar usuario para añadir displayName al rol
         const processedUser = processUserWithDisplayName(updatedUser);
 
@@ -278,6 +300,11 @@ export const updateUserStatus = async (req, res) => {
             return res.status(404).json({ message: "User not found" });
         }
 
+        // Un usuario desactivado pierde todas sus sesiones
+        if (updatedUser.status === 'inactive') {
+            await Session.revokeAllForUser(updatedUser._id, "user_deactivated");
+        }
+
         // Procesar usuario para añadir displayName al rol
         const processedUser = processUserWithDisplayName(updatedUser);
 
@@ -331,9 +358,34 @@ export const deleteUser = async (req, res) => {
             return res.status(404).json({ message: "User not found" });
         }
 
+        await Session.revokeAllForUser(deletedUser._id, "user_deleted");
+
         res.status(200).json({ message: "User deleted successfully" });
 
     } catch (error) {
         res.status(500).json({ message: "Error deleting user", error: error.message });
     }
-};
\ No newline at end of file
+};
+
+// Desbloquear una cuenta bloqueada por intentos fallidos de inicio de sesión
+export const unlockUser = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: "Invalid user ID" });
+        }
+
+        const user = await User.findById(id).select("email");
+
+        if (!user) {
+            return res.status(404).json({ message: "User not found" });
+        }
+
+        await unlockAccount(user.email);
+
+        res.status(200).json({ message: "User account unlocked successfully" });
+    } catch (error) {
+        res.status(500).json({ message: "Error unlocking user", error: error.message });
+    }
+};
@@ -15,14 +15,34 @@ import customerRoutes from "./routes/customer.routes.js";
 import branchesRoutes from "./routes/branches.routes.js";
 import permissionRoutes from "./routes/permission.routes.js";
 import dashboardRoutes from './routes/dashboard.routes.js';
+import transferRoutes from "./routes/transfer.routes.js";
+import searchRoutes from "./routes/search.routes.js";
+import paymentRoutes from "./routes/payment.routes.js";
+import purchaseOrderRoutes from "./routes/purchaseOrder.routes.js";
 
-import { createInitialPermissions } from "./utils/permissions.js";
+import { syncPermissionRegistry } from "./utils/permissions.js";
+import { getPendingMigrations } from "./utils/migrator.js";
+import { registerDashboardActivityFeed } from "./utils/dashboardActivityFeed.js";
+import { registerDashboardStream } from "./utils/dashboardStream.js";
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Connect to MongoDB
-connectDB();
+// Suscriptores de eventos de dominio
+registerDashboardActivityFeed();
+registerDashboardStream();
+
+// Connect to MongoDB and reconcile the permission registry with the database
+connectDB().then(async () => {
+  const pending = await getPendingMigrations();
+  if (pending.length > 0) {
+    console.warn(`⚠️  Pending database migrations: ${pending.join(", ")}. Run "npm run migrate"`);
+  }
+
+  await syncPermissionRegistry();
+}).catch(error => {
+  console.error("Error checking database state:", error);
+});
 
 // Middleware
 app.use(cors());
@@ -41,6 +61,10 @@ app.use("/api/customers", customerRoutes);
 app.use("/api/branches", branchesRoutes);
 app.use("/api/permissions", permissionRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use("/api/transfers", transferRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/purchase-orders", purchaseOrderRoutes);
 
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
@@ -1,8 +1,76 @@
 import jwt from "jsonwebtoken";
-import Role from "../models/role.js";
 import User from "../models/user.js";
+import Session from "../models/session.js";
 import mongoose from "mongoose";
-import { checkPermissionSync, getDefaultPermissions } from "../utils/permissions.js";
+import { checkPermission } from "../utils/permissions.js";
+import { getCachedRoles, roleLookupStage, cacheRole } from "../utils/permissionCache.js";
+import { assertRegisteredPermission } from "../utils/permissionRegistry.js";
+
+// Los tokens anteriores a las sesiones (sin sid) no pueden revocarse. Solo se aceptan
+// hasta LEGACY_TOKENS_ACCEPTED_UNTIL (fecha ISO, p. ej. el despliegue más la vigencia de
+// 24 h que tenían); sin esa variable se rechazan
+const LEGACY_TOKENS_ACCEPTED_UNTIL = process.env.LEGACY_TOKENS_ACCEPTED_UNTIL
+  ? new Date(process.env.LEGACY_TOKENS_ACCEPTED_UNTIL)
+  : null;
+
+const acceptsLegacyToken = () =>
+  LEGACY_TOKENS_ACCEPTED_UNTIL !== null && Date.now() < LEGACY_TOKENS_ACCEPTED_UNTIL.getTime();
+
+// Busca al usuario en una sola consulta. Si el token trae sesión, la adjunta como
+// activeSession (null si fue revocada o venció). Si su rol no está en `cachedRoles`, lo
+// adjunta con sus permisos en loadedRoles: un fallo de caché no cuesta otra consulta
+async function findUserWithSession(decoded, cachedRoles) {
+  if (!mongoose.Types.ObjectId.isValid(decoded.id)) return null;
+
+  const pipeline = [
+    { $match: { _id: new mongoose.Types.ObjectId(String(decoded.id)) } },
+    { $project: { status: 1, role: 1 } }
+  ];
+
+  if (decoded.sid && mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    pipeline.push(
+      {
+        $lookup: {
+          from: Session.collection.name,
+          pipeline: [
+            {
+              $match: {
+                _id: new mongoose.Types.ObjectId(String(decoded.sid)),
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+              }
+            },
+            { $project: { _id: 1 } }
+          ],
+          as: "sessions"
+        }
+      },
+      { $addFields: { activeSession: { $arrayElemAt: ["$sessions", 0] } } },
+      { $project: { sessions: 0 } }
+    );
+  }
+
+  pipeline.push(roleLookupStage("role", "loadedRoles", [...cachedRoles.keys()]));
+
+  const [user] = await User.aggregate(pipeline);
+  return user || null;
+}
+
+// Rol del usuario: el leído en la consulta (y se guarda en caché) o el que ya estaba en caché
+function resolveRole(user, cachedRoles) {
+  if (!user.role) return null;
+  if (user.loadedRoles.length > 0) return cacheRole(user.loadedRoles[0]);
+  return cachedRoles.get(String(user.role)) || null;
+}
+
+// EventSource no permite enviar cabeceras: para los streams SSE se acepta el mismo JWT
+// en ?token=. Solo debe usarse en esas rutas, ya que la URL puede quedar en los logs
+export const acceptQueryToken = (req, res, next) => {
+  if (!req.header("Authorization") && typeof req.query.token === "string" && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
 
 export const authenticateUser = async (req, res, next) => {
   try {
@@ -29,10 +97,16 @@ export const authenticateUser = async (req, res, next) => {
       return res.status(401).json({ message: "Invalid token content" });
     }
 
-    // Verificar si el usuario existe y está activo
+    if (!decoded.sid && !acceptsLegacyToken()) {
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    // Una sola consulta: el usuario, la sesión activa si el token pertenece a una y el
+    // rol con sus permisos si no está en caché
+    const cachedRoles = getCachedRoles();
     let user;
     try {
-      user = await User.findById(decoded.id);
+      user = await findUserWithSession(decoded, cachedRoles);
       if (!user) {
         return res.status(404).json({ message: "User not found" });
       }
@@ -46,66 +120,23 @@ export const authenticateUser = async (req, res, next) => {
       return res.status(403).json({ message: "Your account is inactive. Please contact an administrator." });
     }
 
-    // Intentar obtener el rol directamente sin usar populate
+    // Tokens emitidos con sesión: la sesión debe seguir activa (logout, revocación)
+    if (decoded.sid && !user.activeSession) {
+      return res.status(401).json({ message: "Session has been revoked" });
+    }
+
     try {
-      // Primero, obtener un rol por defecto (en caso de que nada funcione)
-      const defaultRole = await Role.findOne();
-      
-      if (!defaultRole) {
-        console.error("No roles found in the database");
-        return res.status(500).json({ message: "System configuration error: No roles available" });
-      }
-      
-      // Ahora, intentar buscar el rol específico (primero del token, luego del usuario)
-      let role = null;
-      let roleId = null;
-      
-      // Intento 1: Usar decoded.role si existe
-      if (decoded.role) {
-        if (mongoose.Types.ObjectId.isValid(decoded.role)) {
-          roleId = decoded.role;
-          role = await Role.findById(roleId);
-        } else {
-          role = await Role.findOne({ name: decoded.role });
-          roleId = role ? role._id : null;
-        }
-      }
-      
-      // Intento 2: Usar user.role si existe y el intento 1 falló
-      if (!role && user.role) {
-        if (mongoose.Types.ObjectId.isValid(user.role)) {
-          roleId = user.role;
-          role = await Role.findById(roleId);
-        } else {
-          role = await Role.findOne({ name: user.role });
-          roleId = role ? role._id : null;
-        }
-      }
-      
-      // Si ninguno funcionó, usar el rol predeterminado
+      const role = resolveRole(user, cachedRoles);
+
+      // Los usuarios sin rol válido se corrigen con la migración 004-assign-missing-user-roles
       if (!role) {
-        role = defaultRole;
-        roleId = defaultRole._id;
-        
-        // Actualizar el usuario con el rol predeterminado
-        user.role = roleId;
-        await user.save();
-        console.log(`User ${user._id} role has been updated to default role`);
-      }
-      
-      // Ahora tener más cuidado con el populate
-      if (role) {
-        try {
-          role = await Role.findById(role._id).populate('permissions');
-        } catch (populateError) {
-          console.error("Error populating permissions:", populateError);
-          // Si falla el populate, usar el rol sin populate
-          role = await Role.findById(role._id);
-        }
+        return res.status(403).json({ 
+          message: "Your account has no role assigned. Please contact an administrator." 
+        });
       }
       
-      // NUEVO: Verificar el estado del rol
-      if (role && role.status === 'inactive') {
+      // Verificar el estado del rol
+      if (role.status === 'inactive') {
         return res.status(403).json({ 
           message: "Access denied. Your role is currently inactive. Please contact an administrator." 
         });
@@ -114,9 +145,10 @@ export const authenticateUser = async (req, res, next) => {
       // Configurar req.user con valores seguros
       req.user = {
         id: user._id,
-        roleId: roleId,
-        role: role || { name: 'unknown', permissions: [] },
-        status: user.status
+        roleId: role._id,
+        role,
+        status: user.status,
+        sessionId: decoded.sid || null
       };
       
       next();
@@ -137,6 +169,9 @@ export const authenticateUser = async (req, res, next) => {
 };
 
 export const authorizePermission = (permissionCode) => {
+  // Un código desconocido en una ruta detiene el arranque (o advierte, según configuración)
+  assertRegisteredPermission(permissionCode, "authorizePermission");
+
   return async (req, res, next) => {
     try {
       if (!req.user) {
@@ -162,38 +197,7 @@ export const authorizePermission = (permissionCode) => {
         });
       }
 
-      // Caso especial: Si es admin, permitir todo
-      if (role.name === 'admin') {
-        return next();
-      }
-
-      // Verificar el permiso
-      let hasPermission = false;
-
-      // 1. Si es un rol predefinido, verificar primero en la configuración estática
-      if (role.isDefault) {
-        const defaultPermissions = getDefaultPermissions(role.name);
-        if (defaultPermissions && defaultPermissions.includes(permissionCode)) {
-          hasPermission = true;
-        }
-      }
-
-      // 2. Si no se encontró en la configuración estática o no es un rol predefinido,
-      // verificar en los permisos almacenados
-      if (!hasPermission && role.permissions && role.permissions.length > 0) {
-        hasPermission = role.permissions.some(permission => {
-          // Si es un string
-          if (typeof permission === 'string') {
-            return permission === permissionCode;
-          }
-          // Si es un objeto Permission
-          if (permission && typeof permission === 'object') {
-            // Verificar si tiene el código del permiso
-            return permission.code === permissionCode;
-          }
-          return false;
-        });
-      }
+      const hasPermission = checkPermission(role, permissionCode);
 
       if (hasPermission) {
         return next();
@@ -2,7 +2,7 @@ import { validateProductForSale } from "../controllers/product.controller.js";
 
 export const validateProductsForSale = async (req, res, next) => {
     try {
-        const { products } = req.body;
+        const { products, branch } = req.body;
         
         if (!products || !Array.isArray(products)) {
             return res.status(400).json({ 
@@ -16,7 +16,7 @@ export const validateProductsForSale = async (req, res, next) => {
         // Validar cada producto
         for (const item of products) {
             // CAMBIO: usar item.product en lugar de item.productId
-            const validation = await validateProductForSale(item.product);
+            const validation = await validateProductForSale(item.product, branch);
             
             if (!validation.isValid) {
                 invalidProducts.push({
@@ -24,11 +24,11 @@ export const validateProductsForSale = async (req, res, next) => {
                     error: validation.message
                 });
             } else {
-                // Verificar que hay suficiente stock
-                if (validation.product.stock < item.quantity) {
+                // Verificar que hay suficiente stock en la sucursal
+                if (validation.availableStock < item.quantity) {
                     invalidProducts.push({
                         productId: item.product, // CAMBIO: usar item.product
-                        error: `Stock insuficiente. Disponible: ${validation.product.stock}, Solicitado: ${item.quantity}`
+                        error: `Stock insuficiente. Disponible: ${validation.availableStock}, Solicitado: ${item.quantity}`
                     });
                 } else {
                     validationResults.push({
@@ -64,9 +64,9 @@ export const validateProductsForSale = async (req, res, next) => {
 export const checkProductAvailability = async (req, res) => {
     try {
         const { productId } = req.params;
-        const { quantity } = req.query;
+        const { quantity, branch } = req.query;
         
-        const validation = await validateProductForSale(productId);
+        const validation = await validateProductForSale(productId, branch);
         
         if (!validation.isValid) {
             return res.status(400).json({
@@ -79,7 +79,7 @@ export const checkProductAvailability = async (req, res) => {
         const requestedQuantity = parseInt(quantity) || 1;
         
         const response = {
-            available: product.stock >= requestedQuantity,
+            available: validation.availableStock >= requestedQuantity,
             product: {
                 id: product.id,
                 name: product.name,
@@ -88,11 +88,11 @@ export const checkProductAvailability = async (req, res) => {
                 status: product.status
             },
             requestedQuantity,
-            availableStock: product.stock
+            availableStock: validation.availableStock
         };
 
         if (!response.available) {
-            response.message = `Stock insuficiente. Disponible: ${product.stock}, Solicitado: ${requestedQuantity}`;
+            response.message = `Stock insuficiente. Disponible: ${validation.availableStock}, Solicitado: ${requestedQuantity}`;
         }
 
         res.status(200).json(response);
@@ -0,0 +1,13 @@
+import Permission from "../models/permission.js";
+import { syncPermissionRegistry } from "../utils/permissions.js";
+import { PERMISSION_CODES } from "../utils/permissionRegistry.js";
+
+export const description = "Crear los permisos declarados en el registro";
+
+export const up = async () => {
+  await syncPermissionRegistry();
+};
+
+export const down = async () => {
+  await Permission.deleteMany({ code: { $in: PERMISSION_CODES } });
+};
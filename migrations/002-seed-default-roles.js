@@ -0,0 +1,42 @@
+import Role from "../models/role.js";
+import User from "../models/user.js";
+import Permission from "../models/permission.js";
+import { getDefaultPermissions } from "../utils/permissions.js";
+import { nextDocumentId } from "../utils/sequence.js";
+
+export const description = "Crear los roles predefinidos (admin, assistant, employee) con sus permisos";
+
+export const up = async () => {
+  for (const name of Role.getDefaultRoles()) {
+    const existing = await Role.findOne({ name });
+    if (existing) {
+      if (!existing.isDefault) {
+        existing.isDefault = true;
+        await existing.save();
+      }
+      continue;
+    }
+
+    const permissions = await Permission.find({ code: { $in: getDefaultPermissions(name) } }).select("_id");
+
+    await Role.create({
+      id: await nextDocumentId("role"),
+      name,
+      isDefault: true,
+      status: "active",
+      permissions: permissions.map(permission => permission._id)
+    });
+  }
+};
+
+// Solo se eliminan los roles predefinidos que no tienen usuarios asignados
+export const down = async () => {
+  const roles = await Role.find({ name: { $in: Role.getDefaultRoles() } });
+
+  for (const role of roles) {
+    const users = await User.countDocuments({ role: role._id });
+    if (users === 0) {
+      await Role.deleteOne({ _id: role._id });
+    }
+  }
+};
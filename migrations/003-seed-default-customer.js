@@ -0,0 +1,19 @@
+import Customer from "../models/customer.js";
+import Sale from "../models/sales.js";
+
+export const description = "Crear el cliente predeterminado para ventas sin cliente registrado";
+
+export const up = async () => {
+  await Customer.ensureDefaultCustomer();
+};
+
+// Se conserva si ya tiene ventas asociadas
+export const down = async () => {
+  const defaultCustomer = await Customer.findOne({ isDefault: true });
+  if (!defaultCustomer) return;
+
+  const sales = await Sale.countDocuments({ customer: defaultCustomer._id });
+  if (sales === 0) {
+    await Customer.deleteOne({ _id: defaultCustomer._id });
+  }
+};
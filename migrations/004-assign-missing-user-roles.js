@@ -0,0 +1,29 @@
+import Role from "../models/role.js";
+import User from "../models/user.js";
+
+export const description = "Asignar el rol employee a usuarios sin rol o con un rol inexistente";
+
+export const up = async () => {
+  const employee = await Role.findOne({ name: "employee" }).select("_id");
+  if (!employee) {
+    throw new Error("Default role employee not found. Run 002-seed-default-roles first");
+  }
+
+  const roleIds = (await Role.find().select("_id")).map(role => role._id);
+
+  // Antes authenticateUser reasignaba estos usuarios en cada petición
+  const users = await User.find({
+    $or: [
+      { role: { $exists: false } },
+      { role: null },
+      { role: { $nin: roleIds } }
+    ]
+  }).select("_id");
+
+  for (const user of users) {
+    await User.updateOne({ _id: user._id }, { role: employee._id });
+  }
+};
+
+// No se puede saber qué rol (inválido) tenía cada usuario
+export const down = async () => {};
@@ -0,0 +1,27 @@
+import Product from "../models/product.js";
+import Customer from "../models/customer.js";
+import Provider from "../models/provider.js";
+
+export const description = "Crear los índices de texto usados por GET /api/search";
+
+const TEXT_INDEXES = [
+  [Product, "product_text_search"],
+  [Customer, "customer_text_search"],
+  [Provider, "provider_text_search"]
+];
+
+// createIndexes solo crea los índices declarados en el esquema que aún no existen
+export const up = async () => {
+  for (const [Model] of TEXT_INDEXES) {
+    await Model.createIndexes();
+  }
+};
+
+export const down = async () => {
+  for (const [Model, indexName] of TEXT_INDEXES) {
+    const exists = await Model.collection.indexExists(indexName);
+    if (exists) {
+      await Model.collection.dropIndex(indexName);
+    }
+  }
+};
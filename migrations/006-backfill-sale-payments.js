@@ -0,0 +1,19 @@
+import Sale from "../models/sales.js";
+
+export const description = "Marcar como pagadas las ventas completadas antes de registrar pagos";
+
+// Las ventas completadas antes del módulo de pagos se cobraron por fuera del sistema
+export const up = async () => {
+  await Sale.updateMany(
+    { status: "completed", paymentStatus: { $exists: false } },
+    [{ $set: { paidTotal: "$total", paymentStatus: "paid", paymentsBackfilled: true } }]
+  );
+};
+
+export const down = async () => {
+  await Sale.updateMany(
+    { paymentsBackfilled: true },
+    { $unset: { paidTotal: "", paymentStatus: "", paymentsBackfilled: "" } },
+    { strict: false }
+  );
+};
@@ -0,0 +1,51 @@
+import Sale from "../models/sales.js";
+import Customer from "../models/customer.js";
+import CustomerLedger from "../models/customerLedger.js";
+
+export const description = "Abrir la cartera de clientes con el saldo de las ventas completadas a crédito";
+
+// Ventas completadas con saldo antes de existir la cartera: pasan a ser ventas a crédito
+// con vencimiento según el plazo del cliente, contado desde la fecha de la venta
+export const up = async () => {
+  const sales = await Sale.find({
+    status: "completed",
+    dueDate: { $exists: false },
+    $expr: {
+      $gt: [
+        { $subtract: ["$total", { $add: [{ $ifNull: ["$returnedTotal", 0] }, { $ifNull: ["$paidTotal", 0] }] }] },
+        0
+      ]
+    }
+  });
+
+  for (const sale of sales) {
+    const customer = await Customer.findById(sale.customer).select("paymentTermDays");
+    if (!customer) continue;
+
+    const saleDate = sale.get("salesDate", null, { getters: false }) || sale.createdAt;
+    const dueDate = new Date(saleDate);
+    dueDate.setDate(dueDate.getDate() + (customer.paymentTermDays ?? 0));
+
+    await CustomerLedger.post({
+      customer: sale.customer,
+      type: "sale",
+      amount: sale.balance,
+      sale: sale._id,
+      dueDate,
+      description: `Saldo inicial venta ${sale.id}`,
+      date: saleDate
+    });
+
+    await Sale.updateOne({ _id: sale._id }, { paymentTerms: "credit", dueDate });
+  }
+};
+
+export const down = async () => {
+  const entries = await CustomerLedger.find({ description: /^Saldo inicial venta / });
+
+  for (const entry of entries) {
+    await Customer.updateOne({ _id: entry.customer }, { $inc: { balance: -entry.amount } });
+    await Sale.updateOne({ _id: entry.sale }, { paymentTerms: "cash", $unset: { dueDate: "" } });
+    await CustomerLedger.deleteOne({ _id: entry._id });
+  }
+};
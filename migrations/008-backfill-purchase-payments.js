@@ -0,0 +1,27 @@
+import Purchase from "../models/purchase.js";
+
+export const description = "Marcar como pagadas las compras registradas antes de las cuentas por pagar";
+
+// Las compras anteriores al módulo de pagos a proveedores se pagaron por fuera del sistema;
+// su vencimiento es la misma fecha de compra
+export const up = async () => {
+  await Purchase.updateMany(
+    { payment_status: { $exists: false } },
+    [{
+      $set: {
+        paid_total: { $cond: [{ $eq: ["$status", "active"] }, "$total", 0] },
+        payment_status: { $cond: [{ $eq: ["$status", "active"] }, "paid", "unpaid"] },
+        due_date: { $ifNull: ["$due_date", "$purchase_date"] },
+        paymentsBackfilled: true
+      }
+    }]
+  );
+};
+
+export const down = async () => {
+  await Purchase.updateMany(
+    { paymentsBackfilled: true },
+    { $unset: { paid_total: "", payment_status: "", due_date: "", paymentsBackfilled: "" } },
+    { strict: false }
+  );
+};
@@ -0,0 +1,13 @@
+import DailyRollup from "../models/dailyRollup.js";
+import { rebuildRollups } from "../utils/rollups.js";
+
+export const description = "Calcular los totales diarios del dashboard desde el historial de ventas y compras";
+
+export const up = async () => {
+  await DailyRollup.createIndexes();
+  await rebuildRollups();
+};
+
+export const down = async () => {
+  await DailyRollup.deleteMany({});
+};
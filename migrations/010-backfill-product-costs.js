@@ -0,0 +1,131 @@
+import Product from "../models/product.js";
+import Purchase from "../models/purchase.js";
+import Sale from "../models/sales.js";
+import CreditNote from "../models/creditNote.js";
+import { rebuildRollups } from "../utils/rollups.js";
+
+export const description = "Calcular el costo promedio de los productos y el costo de las ventas registradas antes del reporte de márgenes";
+
+const BATCH_SIZE = 500;
+
+async function flush(Model, operations) {
+  if (operations.length > 0) {
+    await Model.bulkWrite(operations.splice(0), { ordered: false, strict: false });
+  }
+}
+
+// El costo promedio inicial es el promedio ponderado de las compras activas. Las ventas y
+// devoluciones anteriores se valoran con ese mismo costo (no se conoce el de su momento)
+export const up = async () => {
+  const costs = await Purchase.aggregate([
+    { $match: { status: "active" } },
+    { $unwind: "$products" },
+    {
+      $group: {
+        _id: "$products.product",
+        quantity: { $sum: "$products.quantity" },
+        cost: { $sum: { $multiply: ["$products.purchase_price", "$products.quantity"] } }
+      }
+    }
+  ]);
+
+  const averageCosts = new Map();
+  const productOperations = [];
+  for (const entry of costs) {
+    if (entry.quantity <= 0) continue;
+    const averageCost = entry.cost / entry.quantity;
+    averageCosts.set(entry._id.toString(), averageCost);
+    productOperations.push({
+      updateOne: {
+        filter: { _id: entry._id, averageCost: null },
+        update: { $set: { averageCost, averageCostBackfilled: true } }
+      }
+    });
+  }
+  await flush(Product, productOperations);
+
+  // Costo por línea de venta; lineCosts guarda el de cada línea para valorar sus devoluciones
+  const lineCosts = new Map();
+  const saleOperations = [];
+  const sales = Sale.find({ "products.unitCost": { $exists: false } }).select("products").lean().cursor();
+  for await (const sale of sales) {
+    const set = { costBackfilled: true };
+    sale.products.forEach((line, index) => {
+      const unitCost = averageCosts.get(line.product.toString()) ?? null;
+      set[`products.${index}.unitCost`] = unitCost;
+      set[`products.${index}.cost`] = unitCost === null ? null : Math.round(unitCost * line.quantity);
+      set[`products.${index}.returnedCost`] = 0;
+      lineCosts.set(line._id.toString(), { sale: sale._id, index, unitCost });
+    });
+
+    saleOperations.push({ updateOne: { filter: { _id: sale._id }, update: { $set: set } } });
+    if (saleOperations.length >= BATCH_SIZE) await flush(Sale, saleOperations);
+  }
+  await flush(Sale, saleOperations);
+
+  // Las devoluciones al inventario revierten su costo; la mercancía dañada no
+  const returnedCosts = new Map();
+  const creditNoteOperations = [];
+  const creditNotes = CreditNote.find({ "products.cost": { $exists: false } }).select("products").lean().cursor();
+  for await (const creditNote of creditNotes) {
+    const set = { costBackfilled: true };
+    creditNote.products.forEach((item, index) => {
+      const line = lineCosts.get(item.saleLine.toString());
+      const cost = item.disposition === "restock" && line?.unitCost != null ? Math.round(line.unitCost * item.quantity) : 0;
+      set[`products.${index}.cost`] = cost;
+
+      if (line && cost > 0) {
+        const key = `${line.sale}|${line.index}`;
+        returnedCosts.set(key, (returnedCosts.get(key) || 0) + cost);
+      }
+    });
+
+    creditNoteOperations.push({ updateOne: { filter: { _id: creditNote._id }, update: { $set: set } } });
+    if (creditNoteOperations.length >= BATCH_SIZE) await flush(CreditNote, creditNoteOperations);
+  }
+  await flush(CreditNote, creditNoteOperations);
+
+  const returnedOperations = [...returnedCosts].map(([key, cost]) => {
+    const [sale, index] = key.split("|");
+    return { updateOne: { filter: { _id: sale }, update: { $set: { [`products.${index}.returnedCost`]: cost } } } };
+  });
+  await flush(Sale, returnedOperations);
+
+  await rebuildRollups();
+};
+
+export const down = async () => {
+  const sales = Sale.find({ costBackfilled: true }).select("products").lean().cursor();
+  const saleOperations = [];
+  for await (const sale of sales) {
+    const unset = { costBackfilled: "" };
+    sale.products.forEach((line, index) => {
+      unset[`products.${index}.unitCost`] = "";
+      unset[`products.${index}.cost`] = "";
+      unset[`products.${index}.returnedCost`] = "";
+    });
+    saleOperations.push({ updateOne: { filter: { _id: sale._id }, update: { $unset: unset } } });
+    if (saleOperations.length >= BATCH_SIZE) await flush(Sale, saleOperations);
+  }
+  await flush(Sale, saleOperations);
+
+  const creditNotes = CreditNote.find({ costBackfilled: true }).select("products").lean().cursor();
+  const creditNoteOperations = [];
+  for await (const creditNote of creditNotes) {
+    const unset = { costBackfilled: "" };
+    creditNote.products.forEach((item, index) => {
+      unset[`products.${index}.cost`] = "";
+    });
+    creditNoteOperations.push({ updateOne: { filter: { _id: creditNote._id }, update: { $unset: unset } } });
+    if (creditNoteOperations.length >= BATCH_SIZE) await flush(CreditNote, creditNoteOperations);
+  }
+  await flush(CreditNote, creditNoteOperations);
+
+  await Product.updateMany(
+    { averageCostBackfilled: true },
+    { $set: { averageCost: null }, $unset: { averageCostBackfilled: "" } },
+    { strict: false }
+  );
+
+  await rebuildRollups();
+};
@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+import Product from "../models/product.js";
+import Branch from "../models/branches.js";
+import BranchStock from "../models/branchStock.js";
+import StockMovement from "../models/stockMovement.js";
+
+export const description = "Asignar a la sucursal predeterminada el stock registrado antes del inventario por sucursal";
+
+// Sucursal que recibe el stock anterior: DEFAULT_BRANCH (_id o código, p. ej. "Br01") o,
+// si no está configurada, la única sucursal activa
+async function resolveDefaultBranch() {
+  const configured = process.env.DEFAULT_BRANCH;
+  if (configured) {
+    const branch = mongoose.Types.ObjectId.isValid(configured)
+      ? await Branch.findById(configured)
+      : await Branch.findOne({ id: configured });
+    if (!branch) {
+      throw new Error(`DEFAULT_BRANCH "${configured}" does not match any branch`);
+    }
+    return branch;
+  }
+
+  const branches = await Branch.find({ status: "active" }).limit(2);
+  if (branches.length !== 1) {
+    throw new Error("Set DEFAULT_BRANCH to the branch that holds the existing product stock");
+  }
+  return branches[0];
+}
+
+// Stock global de cada producto que ninguna sucursal tiene registrado
+async function findUntrackedStock() {
+  return Product.aggregate([
+    { $match: { stock: { $gt: 0 } } },
+    {
+      $lookup: {
+        from: BranchStock.collection.name,
+        localField: "_id",
+        foreignField: "product",
+        as: "branches"
+      }
+    },
+    { $project: { stock: 1, untracked: { $subtract: ["$stock", { $sum: "$branches.quantity" }] } } },
+    { $match: { untracked: { $gt: 0 } } }
+  ]);
+}
+
+// Product.stock ya incluye estas unidades: solo se registran en la sucursal
+export const up = async () => {
+  const products = await findUntrackedStock();
+  if (products.length === 0) return;
+
+  const branch = await resolveDefaultBranch();
+
+  for (const product of products) {
+    const entry = await BranchStock.findOneAndUpdate(
+      { product: product._id, branch: branch._id },
+      { $inc: { quantity: product.untracked, legacyQuantity: product.untracked } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, strict: false }
+    );
+
+    await StockMovement.create({
+      product: product._id,
+      branch: branch._id,
+      delta: product.untracked,
+      balance: product.stock,
+      branchBalance: entry.quantity,
+      reason: "adjustment",
+      sourceModel: "Product",
+      sourceId: product._id
+    });
+  }
+};
+
+// El diario no se modifica: la reversión queda registrada como un movimiento más
+export const down = async () => {
+  const entries = await BranchStock.find({ legacyQuantity: { $gt: 0 } }).lean();
+
+  for (const entry of entries) {
+    const updated = await BranchStock.findOneAndUpdate(
+      { _id: entry._id, quantity: { $gte: entry.legacyQuantity } },
+      { $inc: { quantity: -entry.legacyQuantity }, $unset: { legacyQuantity: "" } },
+      { new: true, strict: false }
+    );
+    if (!updated) continue;
+
+    const product = await Product.findById(entry.product).select("stock");
+    await StockMovement.create({
+      product: entry.product,
+      branch: entry.branch,
+      delta: -entry.legacyQuantity,
+      balance: product ? product.stock : 0,
+      branchBalance: updated.quantity,
+      reason: "rollback",
+      sourceModel: "Product",
+      sourceId: entry.product
+    });
+  }
+};
@@ -0,0 +1,41 @@
+import Permission from "../models/permission.js";
+import Role from "../models/role.js";
+import { syncPermissionRegistry } from "../utils/permissions.js";
+import { nextDocumentId } from "../utils/sequence.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+
+export const description = "Reasignar a los roles el permiso reactivate_purchases en lugar del código mal escrito reatcivate_purchases";
+
+// Código con el que se sembró el permiso antes de corregirlo en el registro
+const LEGACY_CODE = "reatcivate_purchases";
+
+export const up = async () => {
+  const legacy = await Permission.findOne({ code: LEGACY_CODE });
+  if (!legacy) return;
+
+  // El permiso con el código correcto debe existir antes de reasignarlo
+  await syncPermissionRegistry();
+  const current = await Permission.findOne({ code: PERMISSIONS.REACTIVATE_PURCHASES });
+
+  await Role.updateMany({ permissions: legacy._id }, { $addToSet: { permissions: current._id } });
+  await Role.updateMany({ permissions: legacy._id }, { $pull: { permissions: legacy._id } });
+  await Permission.deleteOne({ _id: legacy._id });
+};
+
+// Vuelve a crear el código anterior en los roles que tienen el permiso corregido
+export const down = async () => {
+  const current = await Permission.findOne({ code: PERMISSIONS.REACTIVATE_PURCHASES });
+  if (!current || await Permission.exists({ code: LEGACY_CODE })) return;
+
+  const legacy = await Permission.create({
+    id: await nextDocumentId("permission"),
+    code: LEGACY_CODE,
+    name: current.name,
+    description: current.description,
+    status: current.status,
+    orphaned: true
+  });
+
+  await Role.updateMany({ permissions: current._id }, { $addToSet: { permissions: legacy._id } });
+  await Role.updateMany({ permissions: legacy._id }, { $pull: { permissions: current._id } });
+};
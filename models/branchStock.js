@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import Product from "./product.js";
+import StockMovement from "./stockMovement.js";
+
+const BranchStockSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true },
+  quantity: {
+    type: Number,
+    required: true,
+    default: 0,
+    validate: {
+      validator: function(v) {
+        return Number.isInteger(v) && v >= 0;
+      },
+      message: props => `${props.value} is not a valid quantity. Stock must be a non-negative integer`
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Un solo registro de stock por producto y sucursal
+BranchStockSchema.index({ product: 1, branch: 1 }, { unique: true });
+
+// Cantidad disponible de un producto en una sucursal
+BranchStockSchema.statics.getQuantity = async function(productId, branchId) {
+  const entry = await this.findOne({ product: productId, branch: branchId }).select("quantity");
+  return entry ? entry.quantity : 0;
+};
+
+// Actualiza el total global del producto y registra el movimiento en el diario
+async function applyToProduct(entry, delta, movement, session) {
+  const product = await Product.findByIdAndUpdate(
+    entry.product,
+    { $inc: { stock: delta } },
+    { new: true, session }
+  ).select("stock");
+
+  await StockMovement.create([{
+    product: entry.product,
+    branch: entry.branch,
+    delta,
+    balance: product ? product.stock : 0,
+    branchBalance: entry.quantity,
+    reason: movement.reason,
+    sourceModel: movement.sourceModel,
+    sourceId: movement.sourceId,
+    user: movement.user
+  }], { session });
+}
+
+// Suma stock a la sucursal y al total global del producto
+// movement: { reason, sourceModel, sourceId, user } para el diario de movimientos
+// session: sesión de mongoose cuando la operación forma parte de una transacción
+BranchStockSchema.statics.increment = async function(productId, branchId, quantity, movement, session = null) {
+  const entry = await this.findOneAndUpdate(
+    { product: productId, branch: branchId },
+    { $inc: { quantity } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+
+  await applyToProduct(entry, quantity, movement, session);
+
+  return entry;
+};
+
+// Descuenta stock de la sucursal solo si hay suficiente (operación atómica)
+BranchStockSchema.statics.decrement = async function(productId, branchId, quantity, movement, session = null) {
+  const entry = await this.findOneAndUpdate(
+    { product: productId, branch: branchId, quantity: { $gte: quantity } },
+    { $inc: { quantity: -quantity } },
+    { new: true, session }
+  );
+
+  if (!entry) {
+    throw new Error('Insufficient stock in branch');
+  }
+
+  await applyToProduct(entry, -quantity, movement, session);
+
+  return entry;
+};
+
+// Desglose de stock por sucursal de un producto
+BranchStockSchema.statics.getBreakdown = async function(productId) {
+  const entries = await this.find({ product: productId })
+    .populate("branch", "id name status");
+
+  const branches = entries.map(entry => ({
+    branch: entry.branch,
+    quantity: entry.quantity
+  }));
+
+  return {
+    branches,
+    total: branches.reduce((sum, entry) => sum + entry.quantity, 0)
+  };
+};
+
+export default mongoose.model("BranchStock", BranchStockSchema);
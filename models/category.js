@@ -1,9 +1,19 @@
 import mongoose from "mongoose";
+import { DEFAULT_IVA_RATE, IVA_RATES, isValidTaxRate } from "../utils/pricing.js";
 
 const CategorySchema = new mongoose.Schema({
   id: { type: String, unique: true, required: true, trim: true },
   name: { type: String, required: true, trim: true },
-  status: { type: String, enum: ["active", "inactive"], default: "active" }
+  status: { type: String, enum: ["active", "inactive"], default: "active" },
+  // Tarifa de IVA (%) de los productos de la categoría que no definen la suya
+  taxRate: {
+    type: Number,
+    default: DEFAULT_IVA_RATE,
+    validate: {
+      validator: isValidTaxRate,
+      message: props => `${props.value} is not a valid IVA rate. Allowed rates: ${IVA_RATES.join(", ")}`
+    }
+  }
 });
 
 export default mongoose.model("Category", CategorySchema);
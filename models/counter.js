@@ -0,0 +1,11 @@
+import mongoose from "mongoose";
+
+// Contadores atómicos para la numeración de documentos (ventas, compras, etc.)
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, required: true, default: 0 }
+}, {
+  versionKey: false
+});
+
+export default mongoose.model("Counter", CounterSchema);
@@ -0,0 +1,144 @@
+import mongoose from "mongoose";
+
+// Nota crédito: registra una devolución (parcial o total) de una venta completada.
+// Cada devolución genera su propia nota con numeración independiente (secuencia "creditNote").
+const CreditNoteSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    sale: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Sale",
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        required: true
+    },
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Branch",
+        required: true
+    },
+    products: [{
+        // Línea de la venta a la que corresponde la devolución
+        saleLine: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            validate: {
+                validator: function(v) {
+                    return Number.isInteger(v) && v > 0;
+                },
+                message: props => `${props.value} is not a valid quantity. Quantity must be a positive integer`
+            }
+        },
+        sale_price: {
+            type: Number,
+            required: true
+        },
+        // IVA incluido en el valor devuelto (proporcional al de la línea de la venta)
+        taxRate: {
+            type: Number,
+            default: 0
+        },
+        tax: {
+            type: Number,
+            default: 0
+        },
+        // Valor devuelto: parte proporcional del total de la línea, con descuentos e IVA
+        total: {
+            type: Number,
+            required: true
+        },
+        // Costo que se revierte de la venta: el de las unidades que vuelven al inventario.
+        // La mercancía dañada sigue contando como costo (0)
+        cost: {
+            type: Number,
+            default: 0
+        },
+        // restock: vuelve al inventario de la sucursal; damaged: se da de baja (no vuelve al stock)
+        disposition: {
+            type: String,
+            enum: ["restock", "damaged"],
+            required: true
+        },
+        reason: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        // Lotes a los que se devolvió la mercancía (solo restock)
+        lots: [{
+            _id: false,
+            lot: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Lot"
+            },
+            quantity: {
+                type: Number,
+                required: true
+            }
+        }]
+    }],
+    tax: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    returnDate: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+CreditNoteSchema.index({ sale: 1 });
+CreditNoteSchema.index({ returnDate: -1 });
+CreditNoteSchema.index({ branch: 1, returnDate: -1 });
+
+/**
+ * Total devuelto (notas crédito) en un rango de fechas, opcionalmente agrupado
+ * @param {Date} startDate - inicio (inclusivo)
+ * @param {Date} endDate - fin (exclusivo)
+ * @param {string|null} groupBy - campo por el que agrupar (ej. "branch") o null para el total
+ * @returns {Promise<Array<{_id, total, count}>>}
+ */
+CreditNoteSchema.statics.sumReturns = function(startDate, endDate, groupBy = null) {
+    return this.aggregate([
+        { $match: { returnDate: { $gte: startDate, $lt: endDate } } },
+        {
+            $group: {
+                _id: groupBy ? `$${groupBy}` : null,
+                total: { $sum: "$total" },
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+};
+
+export default mongoose.model("CreditNote", CreditNoteSchema);
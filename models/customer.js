@@ -41,11 +41,90 @@ const CustomerSchema = new mongoose.Schema({
   isDefault: {
     type: Boolean,
     default: false
+  },
+  // Cupo de crédito en pesos; 0 significa que el cliente paga de contado
+  creditLimit: {
+    type: Number,
+    default: 0,
+    validate: {
+      validator: function(v) {
+        return Number.isInteger(v) && v >= 0;
+      },
+      message: props => `${props.value} is not a valid credit limit. It must be a non-negative integer`
+    }
+  },
+  // Plazo en días para pagar las ventas a crédito
+  paymentTermDays: {
+    type: Number,
+    default: 30,
+    validate: {
+      validator: function(v) {
+        return Number.isInteger(v) && v >= 0 && v <= 365;
+      },
+      message: props => `${props.value} is not a valid payment term. It must be an integer between 0 and 365 days`
+    }
+  },
+  // Cartera: saldo pendiente de las ventas a crédito completadas (ver CustomerLedger)
+  balance: {
+    type: Number,
+    default: 0
+  },
+  // Cupo comprometido por ventas a crédito que aún están en processing
+  creditReserved: {
+    type: Number,
+    default: 0
   }
 });
 
-CustomerSchema.statics.getDefaultCustomer = async function() {
-  let defaultCustomer = await this.findOne({ isDefault: true });
+// Índice de texto para GET /api/search; sin stemming porque son nombres y datos de contacto
+CustomerSchema.index(
+  { name: "text", lastname: "text", email: "text", phone: "text" },
+  { name: "customer_text_search", default_language: "none", weights: { name: 3, lastname: 3, email: 2, phone: 2 } }
+);
+
+// Un cliente con cupo puede llevarse la venta sin pagarla por completo
+CustomerSchema.methods.hasCredit = function() {
+  return !this.isDefault && (this.creditLimit || 0) > 0;
+};
+
+// Cupo disponible para nuevas ventas a crédito
+CustomerSchema.virtual('availableCredit').get(function() {
+  return Math.max(0, (this.creditLimit || 0) - (this.balance || 0) - (this.creditReserved || 0));
+});
+
+/**
+ * Compromete cupo para una venta a crédito solo si no supera el límite (operación atómica)
+ * @returns {Promise<Document|null>} el cliente actualizado o null si excede el cupo
+ */
+CustomerSchema.statics.reserveCredit = function(customerId, amount, session = null) {
+  return this.findOneAndUpdate(
+    {
+      _id: customerId,
+      isDefault: { $ne: true },
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ["$balance", 0] }, { $ifNull: ["$creditReserved", 0] }, amount] },
+          { $ifNull: ["$creditLimit", 0] }
+        ]
+      }
+    },
+    { $inc: { creditReserved: amount } },
+    { new: true, session }
+  );
+};
+
+// Libera cupo comprometido (venta completada, cancelada o eliminada)
+CustomerSchema.statics.releaseCredit = function(customerId, amount, session = null) {
+  return this.updateOne({ _id: customerId }, { $inc: { creditReserved: -amount } }, { session });
+};
+
+CustomerSchema.statics.getDefaultCustomer = function() {
+  return this.findOne({ isDefault: true });
+};
+
+// Crea el cliente predeterminado si no existe (migración 003-seed-default-customer)
+CustomerSchema.statics.ensureDefaultCustomer = async function() {
+  let defaultCustomer = await this.getDefaultCustomer();
   
   if (!defaultCustomer) {
     defaultCustomer = new this({
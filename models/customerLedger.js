@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+import Customer from "./customer.js";
+
+// Libro de cartera (cuentas por cobrar) por cliente. Solo registra ventas a crédito:
+//   sale         +saldo pendiente de la venta al completarse
+//   payment      -pago recibido después de completar la venta
+//   credit_note  -reducción del saldo por una devolución
+// El saldo del cliente (Customer.balance) es la suma de sus movimientos.
+const CustomerLedgerSchema = new mongoose.Schema({
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", required: true },
+  type: {
+    type: String,
+    enum: ["sale", "payment", "credit_note"],
+    required: true
+  },
+  // Positivo aumenta lo que debe el cliente, negativo lo disminuye
+  amount: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return Number.isInteger(v) && v !== 0;
+      },
+      message: props => `${props.value} is not a valid amount. Amount must be a non-zero integer`
+    }
+  },
+  // Saldo del cliente después del movimiento
+  balance: { type: Number, required: true },
+  sale: { type: mongoose.Schema.Types.ObjectId, ref: "Sale", required: true },
+  payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+  creditNote: { type: mongoose.Schema.Types.ObjectId, ref: "CreditNote" },
+  // Vencimiento del cargo (solo type "sale")
+  dueDate: { type: Date },
+  description: { type: String, trim: true },
+  date: { type: Date, required: true, default: Date.now },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+CustomerLedgerSchema.index({ customer: 1, date: 1, _id: 1 });
+CustomerLedgerSchema.index({ sale: 1 });
+
+/**
+ * Registra un movimiento y actualiza el saldo del cliente de forma atómica
+ * @param {Object} entry - { customer, type, amount, sale, payment, creditNote, dueDate, description, date, user }
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document>} movimiento creado
+ */
+CustomerLedgerSchema.statics.post = async function(entry, session = null) {
+  const customer = await Customer.findByIdAndUpdate(
+    entry.customer,
+    { $inc: { balance: entry.amount } },
+    { new: true, session }
+  ).select("balance");
+
+  if (!customer) {
+    throw new Error("Customer not found");
+  }
+
+  const [created] = await this.create([{ ...entry, balance: customer.balance }], { session });
+  return created;
+};
+
+export default mongoose.model("CustomerLedger", CustomerLedgerSchema);
@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+// Totales diarios precalculados de ventas, devoluciones y compras. Hay una fila por día
+// y por sucursal, producto o categoría; se mantienen en la misma transacción que la
+// operación que los cambia (utils/rollups.js) y se pueden reconstruir desde el historial.
+export const ROLLUP_DIMENSIONS = ["branch", "product", "category"];
+
+// Métricas sumables
+export const ROLLUP_METRICS = [
+    // Ventas completadas (por fecha de venta)
+    "salesTotal",
+    "salesCount",
+    "salesTax",
+    "salesUnits",
+    // Costo de la mercancía vendida y unidades vendidas sin costo registrado
+    "salesCost",
+    "uncostedUnits",
+    // Todas las ventas registradas, sin importar su estado
+    "registeredSalesTotal",
+    "registeredSalesCount",
+    // Devoluciones (por fecha de la nota crédito)
+    "returnsTotal",
+    "returnsCount",
+    "returnedUnits",
+    "returnsTax",
+    // Costo revertido por las unidades devueltas al inventario
+    "returnsCost",
+    // Compras activas (por fecha de compra)
+    "purchasesTotal",
+    "purchasesCount",
+    "purchasedUnits",
+    // Todas las compras registradas, activas o no
+    "registeredPurchasesTotal",
+    "registeredPurchasesCount"
+];
+
+const metricFields = Object.fromEntries(ROLLUP_METRICS.map(metric => [metric, { type: Number, default: 0 }]));
+
+const DailyRollupSchema = new mongoose.Schema({
+    // Inicio del día en la zona horaria del servidor
+    date: {
+        type: Date,
+        required: true
+    },
+    dimension: {
+        type: String,
+        enum: ROLLUP_DIMENSIONS,
+        required: true
+    },
+    // Sucursal, producto o categoría; null para ventas y compras antiguas sin sucursal
+    key: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    ...metricFields,
+    // Venta completada más alta y más baja del día (solo en las filas por sucursal)
+    salesMax: {
+        type: Number
+    },
+    salesMin: {
+        type: Number
+    }
+}, {
+    timestamps: true
+});
+
+DailyRollupSchema.index({ dimension: 1, date: 1, key: 1 }, { unique: true });
+DailyRollupSchema.index({ dimension: 1, key: 1, date: 1 });
+
+/**
+ * Suma las métricas de un rango de días
+ * @param {Date} startDate - inicio (inclusivo, inicio de día)
+ * @param {Date} endDate - fin (exclusivo, inicio de día)
+ * @param {Object} [options]
+ * @param {string} [options.dimension="branch"] - las filas por sucursal cubren todas las operaciones
+ * @param {ObjectId[]} [options.keys] - limitar a estas sucursales, productos o categorías
+ * @param {"key"|"date"|null} [options.groupBy=null] - agrupar por clave, por día o un solo total
+ * @returns {Promise<Array>} filas con _id (clave, día o null) y las métricas sumadas
+ */
+DailyRollupSchema.statics.summarize = function(startDate, endDate, { dimension = "branch", keys, groupBy = null } = {}) {
+    const match = { dimension, date: { $gte: startDate, $lt: endDate } };
+    if (keys && keys.length > 0) {
+        match.key = { $in: keys };
+    }
+
+    return this.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: groupBy ? `$${groupBy}` : null,
+                ...Object.fromEntries(ROLLUP_METRICS.map(metric => [metric, { $sum: `$${metric}` }])),
+                salesMax: { $max: "$salesMax" },
+                salesMin: { $min: "$salesMin" }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+};
+
+export default mongoose.model("DailyRollup", DailyRollupSchema);
@@ -54,7 +54,7 @@ const activitySchema = new mongoose.Schema({
     // Modelo del documento relacionado
     relatedModel: {
         type: String,
-        enum: ['Sale', 'Purchase', 'Product', 'Customer', 'Provider', 'Branch', 'User'],
+        enum: ['Sale', 'Purchase', 'Product', 'Customer', 'Provider', 'Branch', 'User', 'Transfer'],
         required: false
     },
     
@@ -114,15 +114,23 @@ activitySchema.index({ relatedId: 1, relatedModel: 1 });
 // ===== MÉTODOS ESTÁTICOS =====
 
 // Crear actividad de venta
-activitySchema.statics.createSaleActivity = async function(saleData, userId = null) {
+activitySchema.statics.createSaleActivity = async function(saleData, userId = null, action = 'created') {
     const activityId = `act_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
+    const actionTexts = {
+        created: 'Nueva venta registrada',
+        completed: 'Venta completada',
+        cancelled: 'Venta cancelada',
+        deleted: 'Venta eliminada',
+        returned: 'Devolución registrada'
+    };
+    
     return this.create({
         activityId,
         type: 'sale',
-        icon: '💰',
-        title: `Nueva venta registrada - Cliente: ${saleData.customerName || 'Cliente'}`,
-        description: `Venta por $${saleData.amount?.toLocaleString() || '0'} - ${saleData.products || 0} productos`,
+        icon: action === 'cancelled' || action === 'deleted' ? '🚫' : action === 'returned' ? '↩️' : '💰',
+        title: `${actionTexts[action] || 'Actividad de venta'} - Cliente: ${saleData.customerName || 'Cliente'}`,
+        description: `${saleData.code ? `Venta ${saleData.code} - ` : ''}$${saleData.amount?.toLocaleString() || '0'} - ${saleData.products || 0} productos`,
         userId,
         relatedId: saleData.saleId,
         relatedModel: 'Sale',
@@ -138,21 +146,28 @@ activitySchema.statics.createSaleActivity = async function(saleData, userId = nu
 };
 
 // Crear actividad de compra
-activitySchema.statics.createPurchaseActivity = async function(purchaseData, userId = null) {
+activitySchema.statics.createPurchaseActivity = async function(purchaseData, userId = null, action = 'created') {
     const activityId = `act_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
+    const actionTexts = {
+        created: 'Compra realizada',
+        deactivated: 'Compra anulada',
+        reactivated: 'Compra reactivada'
+    };
+    
     return this.create({
         activityId,
         type: 'purchase',
-        icon: '🛒',
-        title: `Compra realizada - Proveedor: ${purchaseData.providerName || 'Proveedor'}`,
-        description: `Compra por $${purchaseData.amount?.toLocaleString() || '0'} - ${purchaseData.products || 0} productos`,
+        icon: action === 'deactivated' ? '🚫' : '🛒',
+        title: `${actionTexts[action] || 'Actividad de compra'} - Proveedor: ${purchaseData.providerName || 'Proveedor'}`,
+        description: `${purchaseData.code ? `Compra ${purchaseData.code} - ` : ''}$${purchaseData.amount?.toLocaleString() || '0'} - ${purchaseData.products || 0} productos`,
         userId,
         relatedId: purchaseData.purchaseId,
         relatedModel: 'Purchase',
         amount: purchaseData.amount,
         metadata: {
             providerName: purchaseData.providerName,
+            branchName: purchaseData.branchName,
             quantity: purchaseData.products,
             status: purchaseData.status
         },
@@ -219,6 +234,34 @@ activitySchema.statics.createProductActivity = async function(productData, actio
     });
 };
 
+// Crear actividad de traslado entre sucursales
+activitySchema.statics.createTransferActivity = async function(transferData, action = 'created', userId = null) {
+    const activityId = `act_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    const actionTexts = {
+        created: 'Traslado registrado',
+        dispatched: 'Traslado despachado',
+        received: 'Traslado recibido',
+        cancelled: 'Traslado cancelado'
+    };
+    
+    return this.create({
+        activityId,
+        type: 'inventory',
+        icon: action === 'cancelled' ? '🚫' : '🚚',
+        title: `${actionTexts[action] || 'Actividad de traslado'} - ${transferData.originName || 'Origen'} → ${transferData.destinationName || 'Destino'}`,
+        description: `Traslado ${transferData.code || ''} - ${transferData.products || 0} productos`.trim(),
+        userId,
+        relatedId: transferData.transferId,
+        relatedModel: 'Transfer',
+        metadata: {
+            branchName: transferData.destinationName,
+            quantity: transferData.products,
+            status: transferData.status
+        }
+    });
+};
+
 // Crear actividad del sistema
 activitySchema.statics.createSystemActivity = async function(title, description = '', userId = null, priority = 'normal') {
     const activityId = `act_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -329,7 +372,7 @@ const dashboardConfigSchema = new mongoose.Schema({
         }
     },
     
-    // Preferencias de notificaciones
+    // Preferencias de notificaciones (filtran los eventos del stream en tiempo real)
     notifications: {
         lowStock: { type: Boolean, default: true },
         newSales: { type: Boolean, default: true },
@@ -337,7 +380,7 @@ const dashboardConfigSchema = new mongoose.Schema({
         systemAlerts: { type: Boolean, default: true }
     },
     
-    // Configuración de refresh automático
+    // Configuración de refresh automático (respaldo si se pierde el stream /api/dashboard/stream)
     autoRefresh: {
         enabled: { type: Boolean, default: true },
         interval: { type: Number, default: 120000, min: 30000 } // en milisegundos
@@ -0,0 +1,203 @@
+import mongoose from "mongoose";
+import Product from "./product.js";
+import BranchStock from "./branchStock.js";
+import { nextDocumentId } from "../utils/sequence.js";
+
+const LotSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true },
+  batchDate: { type: Date, required: true },
+  expirationDate: { type: Date, required: true },
+  initialQuantity: { type: Number, required: true, min: 0 },
+  // Cantidad que aún queda del lote
+  quantity: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return Number.isInteger(v) && v >= 0;
+      },
+      message: props => `${props.value} is not a valid quantity. Lot quantity must be a non-negative integer`
+    }
+  },
+  // Documento que originó el lote
+  sourceModel: { type: String, enum: ["Purchase", "Transfer", "Product"] },
+  sourceId: { type: mongoose.Schema.Types.ObjectId },
+  // Lote creado para stock existente antes del control por lotes
+  isLegacy: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+LotSchema.index({ product: 1, branch: 1, expirationDate: 1 });
+LotSchema.index({ sourceModel: 1, sourceId: 1 });
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+// Registra un lote nuevo en una sucursal
+// data: { product, branch, quantity, batchDate, expirationDate, sourceModel, sourceId }
+LotSchema.statics.receive = async function(data, session = null) {
+  const id = await nextDocumentId("lot");
+  const [lot] = await this.create([{
+    ...data,
+    id,
+    initialQuantity: data.quantity
+  }], { session });
+  return lot;
+};
+
+// El stock que existía antes de los lotes (o sin lote asociado) se agrupa en un lote
+// con las fechas generales del producto para que pueda consumirse por FEFO
+LotSchema.statics.ensureLegacyLot = async function(productId, branchId, session = null) {
+  const [branchQuantity, lots] = await Promise.all([
+    BranchStock.findOne({ product: productId, branch: branchId }).session(session),
+    this.find({ product: productId, branch: branchId }).select("quantity").session(session)
+  ]);
+
+  const tracked = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  const untracked = (branchQuantity ? branchQuantity.quantity : 0) - tracked;
+  if (untracked <= 0) return null;
+
+  const product = await Product.findById(productId).session(session);
+  if (!product) return null;
+
+  return this.receive({
+    product: productId,
+    branch: branchId,
+    quantity: untracked,
+    batchDate: product.get("batchDate", null, { getters: false }),
+    expirationDate: product.get("expirationDate", null, { getters: false }),
+    sourceModel: "Product",
+    sourceId: product._id,
+    isLegacy: true
+  }, session);
+};
+
+/**
+ * Consume stock de los lotes en orden FEFO (primero en vencer, primero en salir)
+ * @param {ObjectId} productId
+ * @param {ObjectId} branchId
+ * @param {number} quantity
+ * @param {Object} [options]
+ * @param {boolean} [options.includeExpired=false] - Consumir también lotes vencidos (ajustes, reversiones)
+ * @param {ObjectId} [options.preferSource] - Consumir primero los lotes de este documento
+ * @param {ClientSession} [session]
+ * @returns {Promise<Array>} Lotes consumidos: [{ lot, id, quantity, batchDate, expirationDate }]
+ */
+LotSchema.statics.consume = async function(productId, branchId, quantity, options = {}, session = null) {
+  const { includeExpired = false, preferSource = null } = options;
+
+  await this.ensureLegacyLot(productId, branchId, session);
+
+  const filter = { product: productId, branch: branchId, quantity: { $gt: 0 } };
+  if (!includeExpired) {
+    filter.expirationDate = { $gte: startOfToday() };
+  }
+
+  const candidates = await this.find(filter)
+    .sort({ expirationDate: 1, createdAt: 1 })
+    .session(session);
+
+  if (preferSource) {
+    candidates.sort((a, b) => {
+      const aPreferred = a.sourceId?.equals(preferSource) ? 0 : 1;
+      const bPreferred = b.sourceId?.equals(preferSource) ? 0 : 1;
+      return aPreferred - bPreferred;
+    });
+  }
+
+  const allocations = [];
+  let remaining = quantity;
+
+  for (const lot of candidates) {
+    if (remaining <= 0) break;
+
+    const take = Math.min(lot.quantity, remaining);
+    const updated = await this.findOneAndUpdate(
+      { _id: lot._id, quantity: { $gte: take } },
+      { $inc: { quantity: -take } },
+      { new: true, session }
+    );
+
+    // Otro proceso consumió el lote entre la lectura y la actualización
+    if (!updated) continue;
+
+    allocations.push({
+      lot: lot._id,
+      id: lot.id,
+      quantity: take,
+      batchDate: lot.batchDate,
+      expirationDate: lot.expirationDate
+    });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    // Devolver lo tomado antes de fallar
+    await this.restore(allocations, session);
+    throw new Error('Insufficient stock in branch');
+  }
+
+  return allocations;
+};
+
+// Devuelve a sus lotes las cantidades consumidas
+LotSchema.statics.restore = async function(allocations, session = null) {
+  for (const allocation of allocations) {
+    await this.updateOne(
+      { _id: allocation.lot },
+      { $inc: { quantity: allocation.quantity } },
+      { session }
+    );
+  }
+};
+
+// Cantidad vendible (lotes no vencidos) de un producto, en una sucursal o en todas
+LotSchema.statics.getAvailableQuantity = async function(productId, branchId = null) {
+  const productObjectId = new mongoose.Types.ObjectId(String(productId));
+  const match = { product: productObjectId };
+  if (branchId) {
+    match.branch = new mongoose.Types.ObjectId(String(branchId));
+  }
+
+  const [lots, stock] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          tracked: { $sum: "$quantity" },
+          available: {
+            $sum: { $cond: [{ $gte: ["$expirationDate", startOfToday()] }, "$quantity", 0] }
+          }
+        }
+      }
+    ]),
+    BranchStock.aggregate([
+      { $match: match },
+      { $group: { _id: null, total: { $sum: "$quantity" } } }
+    ])
+  ]);
+
+  const tracked = lots[0]?.tracked || 0;
+  const available = lots[0]?.available || 0;
+  const untracked = Math.max(0, (stock[0]?.total || 0) - tracked);
+
+  // El stock sin lote se considera vendible mientras el producto no esté vencido
+  if (untracked > 0) {
+    const product = await Product.findById(productObjectId);
+    const expiration = product ? product.get("expirationDate", null, { getters: false }) : null;
+    if (!expiration || expiration >= startOfToday()) {
+      return available + untracked;
+    }
+  }
+
+  return available;
+};
+
+export default mongoose.model("Lot", LotSchema);
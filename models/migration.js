@@ -0,0 +1,12 @@
+import mongoose from "mongoose";
+
+// Registro de migraciones aplicadas (una entrada por script ejecutado)
+const MigrationSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  runAt: { type: Date, default: Date.now }
+}, {
+  collection: "migrations",
+  versionKey: false
+});
+
+export default mongoose.model("Migration", MigrationSchema);
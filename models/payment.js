@@ -0,0 +1,107 @@
+import mongoose from "mongoose";
+
+export const PAYMENT_METHODS = ["cash", "card", "transfer", "nequi", "daviplata"];
+
+// Pago (total o parcial) recibido sobre una venta
+const PaymentSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    sale: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Sale",
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Customer",
+        required: true
+    },
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Branch",
+        required: true
+    },
+    method: {
+        type: String,
+        enum: PAYMENT_METHODS,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        validate: {
+            validator: function(v) {
+                return Number.isInteger(v) && v > 0;
+            },
+            message: props => `${props.value} is not a valid amount. Amount must be a positive integer`
+        }
+    },
+    // Comprobante del datáfono, de la transferencia o de la billetera (no aplica en efectivo)
+    reference: {
+        type: String,
+        trim: true
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    paidAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    status: {
+        type: String,
+        enum: ["active", "voided"],
+        default: "active"
+    },
+    // Campos de anulación
+    void_reason: {
+        type: String,
+        trim: true
+    },
+    voided_at: {
+        type: Date
+    },
+    voided_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+PaymentSchema.index({ sale: 1, paidAt: 1 });
+PaymentSchema.index({ paidAt: -1, method: 1 });
+
+/**
+ * Pagos activos agrupados por día (zona horaria local) y método
+ * @param {Date} startDate - inicio (inclusivo)
+ * @param {Date} endDate - fin (exclusivo)
+ * @param {Object} [filter] - filtros adicionales (ej. { branch })
+ * @returns {Promise<Array<{_id: {day, method}, total, count}>>}
+ */
+PaymentSchema.statics.summarizeByDayAndMethod = function(startDate, endDate, filter = {}) {
+    const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    return this.aggregate([
+        { $match: { ...filter, status: "active", paidAt: { $gte: startDate, $lt: endDate } } },
+        {
+            $group: {
+                _id: {
+                    day: { $dateToString: { format: "%Y-%m-%d", date: "$paidAt", timezone } },
+                    method: "$method"
+                },
+                total: { $sum: "$amount" },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { "_id.day": 1, "_id.method": 1 } }
+    ]);
+};
+
+export default mongoose.model("Payment", PaymentSchema);
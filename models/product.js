@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import StockMovement from "./stockMovement.js";
+import { IVA_RATES, isValidTaxRate } from "../utils/pricing.js";
 
 const ProductSchema = new mongoose.Schema({
   id: { type: String, unique: true, required: true, trim: true },
@@ -44,20 +46,76 @@ const ProductSchema = new mongoose.Schema({
     type: String,
     enum: ["active", "inactive"],
     default: "active"
+  },
+  // Tarifa de IVA (%) propia del producto; null usa la de su categoría
+  taxRate: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return v === null || isValidTaxRate(v);
+      },
+      message: props => `${props.value} is not a valid IVA rate. Allowed rates: ${IVA_RATES.join(", ")}`
+    }
+  },
+  // Costo unitario promedio ponderado (sin IVA) de las unidades en inventario; se
+  // recalcula con cada ingreso de mercancía. null hasta la primera compra
+  averageCost: {
+    type: Number,
+    default: null,
+    min: [0, 'Average cost cannot be negative']
   }
 });
 
-ProductSchema.methods.incrementStock = function(quantity) {
+// Índice de texto para GET /api/search (stemming en español sobre el nombre)
+ProductSchema.index({ name: "text" }, { name: "product_text_search", default_language: "spanish" });
+
+// movement: { reason, sourceModel, sourceId, user } para el diario de movimientos
+// session: sesión de mongoose cuando la operación forma parte de una transacción
+ProductSchema.methods.incrementStock = async function(quantity, movement, session = null) {
   this.stock += quantity;
-  return this.save();
+  await this.save({ session });
+  await StockMovement.create([{ product: this._id, delta: quantity, balance: this.stock, ...movement }], { session });
+  return this;
 };
 
-ProductSchema.methods.decrementStock = function(quantity) {
+ProductSchema.methods.decrementStock = async function(quantity, movement, session = null) {
   if (this.stock < quantity) {
     throw new Error('Insufficient stock');
   }
   this.stock -= quantity;
-  return this.save();
+  await this.save({ session });
+  await StockMovement.create([{ product: this._id, delta: -quantity, balance: this.stock, ...movement }], { session });
+  return this;
+};
+
+/**
+ * Recalcula el costo promedio con un ingreso de mercancía. Debe llamarse antes de sumar
+ * las unidades al stock; las salidas no cambian el promedio
+ * @param {ObjectId} productId
+ * @param {number} quantity - unidades que ingresan
+ * @param {number} unitCost - costo unitario del ingreso
+ * @param {ClientSession} [session]
+ */
+ProductSchema.statics.receiveAtCost = function(productId, quantity, unitCost, session = null) {
+  // Sin costo previo o sin unidades en inventario, el promedio es el costo del ingreso
+  const currentStock = { $max: ["$stock", 0] };
+  return this.updateOne({ _id: productId }, [{
+    $set: {
+      averageCost: {
+        $cond: [
+          { $or: [{ $eq: [{ $ifNull: ["$averageCost", null] }, null] }, { $lte: ["$stock", 0] }] },
+          unitCost,
+          {
+            $divide: [
+              { $add: [{ $multiply: ["$averageCost", currentStock] }, unitCost * quantity] },
+              { $add: [currentStock, quantity] }
+            ]
+          }
+        ]
+      }
+    }
+  }], { session });
 };
 
 ProductSchema.methods.getFormattedPrice = function() {
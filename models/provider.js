@@ -24,7 +24,24 @@ const providerSchema = new mongoose.Schema({
         }
     },
     email: { type: String, required: true, unique: true },
-    status: { type: String, enum: ["active", "inactive"], default: "active" }
+    status: { type: String, enum: ["active", "inactive"], default: "active" },
+    // Plazo en días para pagar las compras (0 = de contado)
+    payment_term_days: {
+        type: Number,
+        default: 0,
+        validate: {
+            validator: function(v) {
+                return Number.isInteger(v) && v >= 0 && v <= 365;
+            },
+            message: props => `${props.value} is not a valid payment term. It must be an integer between 0 and 365 days`
+        }
+    }
 });
 
+// Índice de texto para GET /api/search
+providerSchema.index(
+    { company: "text", name: "text", nit: "text" },
+    { name: "provider_text_search", default_language: "none", weights: { company: 3, name: 2, nit: 2 } }
+);
+
 export default mongoose.model("Provider", providerSchema);
\ No newline at end of file
@@ -11,6 +11,11 @@ const PurchaseSchema = new mongoose.Schema({
         ref: "Provider",
         required: true
     },
+    // Sucursal que recibe la mercancía
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Branch"
+    },
     products: [{
         product: {
             type: mongoose.Schema.Types.ObjectId,
@@ -42,8 +47,29 @@ const PurchaseSchema = new mongoose.Schema({
         total: {
             type: Number,
             required: true
+        },
+        // Fechas del lote recibido; por defecto las del producto
+        batch_date: {
+            type: Date
+        },
+        expiration_date: {
+            type: Date
+        },
+        // Lote creado al recibir la línea
+        lot: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Lot"
+        },
+        // Línea de la orden de compra que se recibió (compras generadas por una recepción)
+        order_line: {
+            type: mongoose.Schema.Types.ObjectId
         }
     }],
+    // Orden de compra de la que proviene la compra (recepción); vacío en compras directas
+    purchase_order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PurchaseOrder"
+    },
     purchase_date: {
         type: Date,
         default: Date.now
@@ -57,6 +83,19 @@ const PurchaseSchema = new mongoose.Schema({
         enum: ["active", "inactive"],
         default: "active"
     },
+    // Cuentas por pagar: vencimiento según el plazo del proveedor y lo ya pagado
+    due_date: {
+        type: Date
+    },
+    paid_total: {
+        type: Number,
+        default: 0
+    },
+    payment_status: {
+        type: String,
+        enum: ["unpaid", "partial", "paid"],
+        default: "unpaid"
+    },
     // Campos para desactivación
     deactivation_reason: {
         type: String,
@@ -83,4 +122,49 @@ const PurchaseSchema = new mongoose.Schema({
     }
 });
 
+// Índices para el listado paginado (orden por fecha con _id como desempate)
+PurchaseSchema.index({ purchase_date: -1, _id: -1 });
+PurchaseSchema.index({ provider: 1, purchase_date: -1 });
+PurchaseSchema.index({ status: 1, due_date: 1 });
+
+/**
+ * Suma (o resta, con amount negativo) un pago a proveedor de forma atómica y recalcula
+ * payment_status. Un pago positivo solo se aplica si la compra está activa y no supera
+ * el saldo pendiente; uno negativo, si no deja el pagado en negativo.
+ * @returns {Promise<Document|null>} la compra actualizada o null si no se cumplió la condición
+ */
+PurchaseSchema.statics.applyPayment = function(purchaseId, amount, session = null) {
+    const paidAfter = { $add: [{ $ifNull: ["$paid_total", 0] }, amount] };
+
+    const condition = amount > 0
+        ? { status: "active", $expr: { $lte: [paidAfter, "$total"] } }
+        : { $expr: { $gte: [paidAfter, 0] } };
+
+    return this.findOneAndUpdate(
+        { _id: purchaseId, ...condition },
+        [
+            { $set: { paid_total: paidAfter } },
+            {
+                $set: {
+                    payment_status: {
+                        $switch: {
+                            branches: [
+                                { case: { $lte: ["$paid_total", 0] }, then: "unpaid" },
+                                { case: { $gte: ["$paid_total", "$total"] }, then: "paid" }
+                            ],
+                            default: "partial"
+                        }
+                    }
+                }
+            }
+        ],
+        { new: true, session }
+    );
+};
+
+// Saldo pendiente de pago al proveedor
+PurchaseSchema.virtual('balance').get(function() {
+    return Math.max(0, (this.total || 0) - (this.paid_total || 0));
+});
+
 export default mongoose.model("Purchase", PurchaseSchema);
\ No newline at end of file
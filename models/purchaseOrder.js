@@ -0,0 +1,228 @@
+import mongoose from "mongoose";
+
+// Orden de compra: lo pedido al proveedor. La mercancía entra al inventario solo con
+// cada recepción, que genera su propia compra (Purchase) con lotes y cuenta por pagar.
+const PurchaseOrderSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Provider",
+        required: true
+    },
+    // Sucursal que recibe la mercancía
+    branch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Branch",
+        required: true
+    },
+    products: [{
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true
+        },
+        // Cantidad pedida
+        quantity: {
+            type: Number,
+            required: true,
+            validate: {
+                validator: function(v) {
+                    return Number.isInteger(v) && v > 0;
+                },
+                message: props => `${props.value} is not a valid quantity. Quantity must be a positive integer`
+            }
+        },
+        purchase_price: {
+            type: Number,
+            required: true,
+            validate: {
+                validator: function(v) {
+                    return v > 0;
+                },
+                message: props => `${props.value} is not a valid price. Price must be a positive number`
+            }
+        },
+        total: {
+            type: Number,
+            required: true
+        },
+        // Cantidad recibida en las recepciones vigentes (puede superar lo pedido)
+        received_quantity: {
+            type: Number,
+            default: 0
+        }
+    }],
+    // Recepciones: cada una enlaza la compra con la que ingresó la mercancía
+    receipts: [{
+        purchase: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Purchase",
+            required: true
+        },
+        lines: [{
+            _id: false,
+            order_line: {
+                type: mongoose.Schema.Types.ObjectId,
+                required: true
+            },
+            product: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Product",
+                required: true
+            },
+            quantity: {
+                type: Number,
+                required: true
+            }
+        }],
+        received_at: {
+            type: Date,
+            required: true
+        },
+        received_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        notes: {
+            type: String,
+            trim: true
+        },
+        // La compra de la recepción se desactivó: sus cantidades dejan de contar
+        reversed: {
+            type: Boolean,
+            default: false
+        }
+    }],
+    order_date: {
+        type: Date,
+        default: Date.now
+    },
+    // Fecha de entrega acordada con el proveedor
+    expected_date: {
+        type: Date
+    },
+    total: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ["draft", "sent", "partially_received", "received", "closed", "cancelled"],
+        default: "draft"
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    // Campos de envío al proveedor
+    sent_at: {
+        type: Date
+    },
+    sent_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    // Campos de cierre (lo pendiente queda como faltante del proveedor)
+    close_reason: {
+        type: String,
+        trim: true
+    },
+    closed_at: {
+        type: Date
+    },
+    closed_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    // Campos de cancelación
+    cancellation_reason: {
+        type: String,
+        trim: true
+    },
+    cancelled_at: {
+        type: Date
+    },
+    cancelled_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true,
+    // Dos recepciones simultáneas sobre la misma orden no pueden sobrescribirse
+    optimisticConcurrency: true
+});
+
+PurchaseOrderSchema.index({ order_date: -1, _id: -1 });
+PurchaseOrderSchema.index({ provider: 1, order_date: -1 });
+PurchaseOrderSchema.index({ status: 1 });
+
+// Transiciones de estado permitidas
+PurchaseOrderSchema.statics.getAllowedTransitions = function() {
+    return {
+        "draft": ["sent", "cancelled"],
+        "sent": ["partially_received", "received", "cancelled"],
+        "partially_received": ["partially_received", "received", "closed"],
+        "received": ["closed"],
+        "closed": [],
+        "cancelled": []
+    };
+};
+
+// Estado según lo recibido: todo lo pedido, una parte o nada
+PurchaseOrderSchema.methods.getReceivingStatus = function() {
+    const received = this.products.filter(line => (line.received_quantity || 0) > 0);
+    if (received.length === 0) return "sent";
+
+    const complete = this.products.every(line => (line.received_quantity || 0) >= line.quantity);
+    return complete ? "received" : "partially_received";
+};
+
+/**
+ * Revierte (o vuelve a aplicar) las cantidades de la recepción asociada a una compra.
+ * Se usa al desactivar y reactivar la compra. Las órdenes cerradas conservan su estado.
+ * @param {ObjectId} orderId
+ * @param {ObjectId} purchaseId
+ * @param {boolean} reversed - true al desactivar la compra, false al reactivarla
+ * @param {ClientSession} [session]
+ */
+PurchaseOrderSchema.statics.setReceiptReversed = async function(orderId, purchaseId, reversed, session = null) {
+    const order = await this.findById(orderId).session(session);
+    if (!order) return null;
+
+    const receipt = order.receipts.find(item => item.purchase.equals(purchaseId));
+    if (!receipt || receipt.reversed === reversed) return order;
+
+    const sign = reversed ? -1 : 1;
+    for (const receiptLine of receipt.lines) {
+        const line = order.products.id(receiptLine.order_line);
+        if (line) {
+            line.received_quantity = (line.received_quantity || 0) + sign * receiptLine.quantity;
+        }
+    }
+    receipt.reversed = reversed;
+
+    if (["sent", "partially_received", "received"].includes(order.status)) {
+        order.status = order.getReceivingStatus();
+    }
+
+    await order.save({ session });
+    return order;
+};
+
+// Virtual para el total de unidades pedidas
+PurchaseOrderSchema.virtual('totalItems').get(function() {
+    return this.products.reduce((sum, item) => sum + item.quantity, 0);
+});
+
+PurchaseOrderSchema.set('toJSON', { virtuals: true });
+PurchaseOrderSchema.set('toObject', { virtuals: true });
+
+export default mongoose.model("PurchaseOrder", PurchaseOrderSchema);
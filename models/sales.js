@@ -1,4 +1,19 @@
 import mongoose from "mongoose";
+import { DISCOUNT_TYPES, calculateSaleBreakdown, pricesIncludeTax } from "../utils/pricing.js";
+
+// Regla de descuento de una línea o de la venta completa
+const DiscountSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: DISCOUNT_TYPES,
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
 
 const SaleSchema = new mongoose.Schema({
     id: {
@@ -43,10 +58,70 @@ const SaleSchema = new mongoose.Schema({
                 message: props => `${props.value} is not a valid price. Price must be a non-negative integer`
             }
         },
+        discountRule: DiscountSchema,
+        // Desglose de la línea: subtotal (cantidad × precio) - descuento = base gravable; base + IVA = total
+        subtotal: {
+            type: Number
+        },
+        // Descuento total de la línea: el propio más su parte del descuento de la venta
+        discount: {
+            type: Number,
+            default: 0
+        },
+        taxableBase: {
+            type: Number
+        },
+        // Tarifa de IVA (%) aplicada; las ventas anteriores al cálculo de impuestos quedan en 0
+        taxRate: {
+            type: Number,
+            default: 0
+        },
+        tax: {
+            type: Number,
+            default: 0
+        },
         total: {
             type: Number,
             required: true
-        }
+        },
+        // Costo de la mercancía vendida: costo promedio del producto al momento de la venta.
+        // null en las ventas de productos sin costo registrado
+        unitCost: {
+            type: Number,
+            default: null
+        },
+        cost: {
+            type: Number,
+            default: null
+        },
+        // Unidades de la línea ya devueltas mediante notas crédito
+        returnedQuantity: {
+            type: Number,
+            default: 0
+        },
+        // Costo revertido por las unidades devueltas al inventario
+        returnedCost: {
+            type: Number,
+            default: 0
+        },
+        // Lotes consumidos por la línea (FEFO)
+        lots: [{
+            _id: false,
+            lot: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Lot"
+            },
+            quantity: {
+                type: Number,
+                required: true
+            },
+            expirationDate: {
+                type: Date,
+                get: function(date) {
+                    return date ? date.toISOString().split('T')[0] : null;
+                }
+            }
+        }]
     }],
     salesDate: {
         type: Date,
@@ -70,16 +145,145 @@ const SaleSchema = new mongoose.Schema({
         type: String,
         enum: ["processing", "completed", "cancelled"],
         default: "processing"
+    },
+    // Suma de las notas crédito emitidas sobre la venta
+    returnedTotal: {
+        type: Number,
+        default: 0
+    },
+    // Suma de los pagos activos registrados sobre la venta
+    paidTotal: {
+        type: Number,
+        default: 0
+    },
+    paymentStatus: {
+        type: String,
+        enum: ["unpaid", "partial", "paid"],
+        default: "unpaid"
+    },
+    // cash: se completa pagada; credit: el saldo pasa a la cartera del cliente al completarse
+    paymentTerms: {
+        type: String,
+        enum: ["cash", "credit"],
+        default: "cash"
+    },
+    // Cupo del cliente comprometido mientras la venta a crédito está en processing
+    creditReserved: {
+        type: Number,
+        default: 0
+    },
+    // Vencimiento del saldo enviado a cartera (ventas a crédito completadas con saldo)
+    dueDate: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    },
+    // Descuento sobre el total de la venta (se reparte entre las líneas)
+    discountRule: DiscountSchema,
+    // Desglose almacenado de la venta; total === breakdown.total
+    breakdown: {
+        subtotal: Number,
+        lineDiscount: Number,
+        orderDiscount: Number,
+        discount: Number,
+        taxableBase: Number,
+        tax: Number,
+        total: Number,
+        pricesIncludeTax: Boolean,
+        taxes: [{
+            _id: false,
+            rate: Number,
+            base: Number,
+            tax: Number
+        }]
     }
 });
 
-// Pre-save middleware para calcular el total
+// Índices para el listado paginado (orden por fecha con _id como desempate)
+SaleSchema.index({ salesDate: -1, _id: -1 });
+SaleSchema.index({ branch: 1, salesDate: -1 });
+SaleSchema.index({ customer: 1, salesDate: -1 });
+SaleSchema.index({ status: 1, dueDate: 1 });
+
+// Pre-save: recalcula el desglose de líneas y venta con las mismas reglas que
+// validateProductsAvailability, de modo que total siempre coincide con breakdown.total
 SaleSchema.pre('save', function() {
-    if (this.products && Array.isArray(this.products)) {
-        this.total = this.products.reduce((sum, item) => {
-            return sum + item.total;
-        }, 0);
+    if (!this.products || !Array.isArray(this.products)) return;
+    if (!this.isNew && !this.isModified("products") && !this.isModified("discountRule")) return;
+
+    const includeTax = this.breakdown?.pricesIncludeTax ?? pricesIncludeTax();
+    const { lines, breakdown } = calculateSaleBreakdown(this.products, this.discountRule, { includeTax });
+
+    this.products.forEach((item, index) => {
+        const line = lines[index];
+        item.subtotal = line.subtotal;
+        item.discount = line.discount;
+        item.taxableBase = line.taxableBase;
+        item.tax = line.tax;
+        item.total = line.total;
+    });
+
+    this.breakdown = breakdown;
+    this.total = breakdown.total;
+});
+
+// Monto que se debe cobrar: total menos devoluciones
+const amountDueExpression = { $subtract: ["$total", { $ifNull: ["$returnedTotal", 0] }] };
+
+// Estado de pago según lo pagado frente al monto que se debe cobrar
+const paymentStatusStage = {
+    $set: {
+        paymentStatus: {
+            $switch: {
+                branches: [
+                    { case: { $lte: [{ $ifNull: ["$paidTotal", 0] }, 0] }, then: "unpaid" },
+                    { case: { $gte: ["$paidTotal", amountDueExpression] }, then: "paid" }
+                ],
+                default: "partial"
+            }
+        }
     }
+};
+
+/**
+ * Suma (o resta, con amount negativo) un pago a la venta de forma atómica y recalcula
+ * paymentStatus. Un pago positivo solo se aplica si la venta no está cancelada y no
+ * supera el saldo pendiente; uno negativo, si no deja el pagado en negativo.
+ * @returns {Promise<Document|null>} la venta actualizada o null si no se cumplió la condición
+ */
+SaleSchema.statics.applyPayment = function(saleId, amount, session = null) {
+    const paidAfter = { $add: [{ $ifNull: ["$paidTotal", 0] }, amount] };
+
+    const condition = amount > 0
+        ? { status: { $ne: "cancelled" }, $expr: { $lte: [paidAfter, amountDueExpression] } }
+        : { $expr: { $gte: [paidAfter, 0] } };
+
+    return this.findOneAndUpdate(
+        { _id: saleId, ...condition },
+        [
+            { $set: { paidTotal: paidAfter } },
+            paymentStatusStage
+        ],
+        { new: true, session }
+    );
+};
+
+/**
+ * Recalcula paymentStatus después de cambiar el monto a cobrar (p. ej. una devolución).
+ * El saldo pendiente (virtual balance) se deriva de los mismos campos
+ * @returns {Promise<Document|null>} la venta actualizada
+ */
+SaleSchema.statics.refreshPaymentStatus = function(saleId, session = null) {
+    return this.findOneAndUpdate({ _id: saleId }, [paymentStatusStage], { new: true, session });
+};
+
+// Saldo pendiente de pago (total - devoluciones - pagado)
+SaleSchema.virtual('balance').get(function() {
+    return Math.max(0, (this.total || 0) - (this.returnedTotal || 0) - (this.paidTotal || 0));
 });
 
 // Virtual to get total items
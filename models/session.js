@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+// Vigencia del refresh token (días)
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const SessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  // Solo se guarda el hash del refresh token vigente
+  refreshTokenHash: { type: String, required: true, unique: true },
+  // Hash del token anterior: si se vuelve a presentar, el token fue robado
+  previousTokenHash: { type: String },
+  userAgent: { type: String, trim: true },
+  ip: { type: String, trim: true },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: {
+    type: String,
+    enum: ["logout", "user_revoked", "password_change", "user_deactivated", "user_deleted", "token_reuse"]
+  }
+}, {
+  timestamps: true
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+SessionSchema.index({ previousTokenHash: 1 });
+// MongoDB elimina las sesiones vencidas automáticamente
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateToken() {
+  return crypto.randomBytes(48).toString("hex");
+}
+
+function nextExpiration() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Abre una sesión para un dispositivo y devuelve el refresh token en claro
+SessionSchema.statics.start = async function(userId, { userAgent, ip } = {}) {
+  const refreshToken = generateToken();
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    ip,
+    expiresAt: nextExpiration()
+  });
+
+  return { session, refreshToken };
+};
+
+// Cambia el refresh token por uno nuevo (rotación). Devuelve null si el token no es válido.
+SessionSchema.statics.rotate = async function(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = generateToken();
+
+  const session = await this.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      expiresAt: nextExpiration()
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // Un token ya rotado indica que alguien más lo tiene: se cierra esa sesión
+    await this.updateOne(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "token_reuse" }
+    );
+    return null;
+  }
+
+  return { session, refreshToken: newRefreshToken };
+};
+
+// Sesión activa (no revocada ni vencida) por su id
+SessionSchema.statics.findActive = function(sessionId) {
+  return this.findOne({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+SessionSchema.statics.revoke = function(filter, reason) {
+  return this.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Cierra todas las sesiones de un usuario (cambio de contraseña, desactivación, etc.)
+SessionSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.revoke({ user: userId }, reason);
+};
+
+export default mongoose.model("Session", SessionSchema);
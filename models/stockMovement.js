@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const StockMovementSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+  branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch" },
+  // Cambio aplicado: positivo entra stock, negativo sale stock
+  delta: {
+    type: Number,
+    required: true,
+    validate: {
+      validator: function(v) {
+        return Number.isInteger(v) && v !== 0;
+      },
+      message: props => `${props.value} is not a valid delta. Delta must be a non-zero integer`
+    }
+  },
+  // Stock total del producto después del movimiento
+  balance: { type: Number, required: true },
+  // Stock de la sucursal después del movimiento (si aplica)
+  branchBalance: { type: Number },
+  reason: {
+    type: String,
+    required: true,
+    enum: [
+      "purchase", "purchase_deactivation", "purchase_reactivation",
+      "sale", "sale_cancellation", "sale_deletion", "sale_return",
+      "transfer_dispatch", "transfer_receipt", "transfer_cancellation",
+      "adjustment", "rollback"
+    ]
+  },
+  sourceModel: { type: String, enum: ["Sale", "Purchase", "Transfer", "Product", "CreditNote"] },
+  sourceId: { type: mongoose.Schema.Types.ObjectId },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+StockMovementSchema.index({ product: 1, createdAt: -1 });
+StockMovementSchema.index({ sourceModel: 1, sourceId: 1 });
+
+// El diario es de solo inserción: no se permite modificar ni borrar movimientos
+function rejectMutation(next) {
+  next(new Error("Stock movements are immutable"));
+}
+
+StockMovementSchema.pre("save", function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+StockMovementSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete", "findOneAndReplace"],
+  rejectMutation
+);
+
+export default mongoose.model("StockMovement", StockMovementSchema);
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+export const SUPPLIER_PAYMENT_METHODS = ["cash", "transfer", "check", "card"];
+
+// Pago (total o parcial) hecho a un proveedor sobre una compra
+const SupplierPaymentSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    purchase: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Purchase",
+        required: true
+    },
+    provider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Provider",
+        required: true
+    },
+    method: {
+        type: String,
+        enum: SUPPLIER_PAYMENT_METHODS,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        validate: {
+            validator: function(v) {
+                return Number.isInteger(v) && v > 0;
+            },
+            message: props => `${props.value} is not a valid amount. Amount must be a positive integer`
+        }
+    },
+    // Número de la transferencia, del cheque o del comprobante (no aplica en efectivo)
+    reference: {
+        type: String,
+        trim: true
+    },
+    paidBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    paidAt: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    status: {
+        type: String,
+        enum: ["active", "voided"],
+        default: "active"
+    },
+    // Campos de anulación
+    void_reason: {
+        type: String,
+        trim: true
+    },
+    voided_at: {
+        type: Date
+    },
+    voided_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+SupplierPaymentSchema.index({ purchase: 1, paidAt: 1 });
+SupplierPaymentSchema.index({ provider: 1, paidAt: 1 });
+
+export default mongoose.model("SupplierPayment", SupplierPaymentSchema);
@@ -0,0 +1,117 @@
+import mongoose from "mongoose";
+
+const TransferSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    originBranch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Branch",
+        required: true
+    },
+    destinationBranch: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Branch",
+        required: true
+    },
+    products: [{
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Product",
+            required: true
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            validate: {
+                validator: function(v) {
+                    return Number.isInteger(v) && v > 0;
+                },
+                message: props => `${props.value} is not a valid quantity. Quantity must be a positive integer`
+            }
+        },
+        // Lotes descontados del origen al despachar; se recrean en el destino al recibir
+        lots: [{
+            _id: false,
+            lot: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Lot"
+            },
+            quantity: {
+                type: Number,
+                required: true
+            },
+            batchDate: {
+                type: Date
+            },
+            expirationDate: {
+                type: Date
+            }
+        }]
+    }],
+    status: {
+        type: String,
+        enum: ["draft", "in_transit", "received", "cancelled"],
+        default: "draft"
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    created_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    // Campos de despacho
+    dispatched_at: {
+        type: Date
+    },
+    dispatched_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    // Campos de recepción
+    received_at: {
+        type: Date
+    },
+    received_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    // Campos de cancelación
+    cancellation_reason: {
+        type: String,
+        trim: true
+    },
+    cancelled_at: {
+        type: Date
+    },
+    cancelled_by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+// Transiciones de estado permitidas
+TransferSchema.statics.getAllowedTransitions = function() {
+    return {
+        "draft": ["in_transit", "cancelled"],
+        "in_transit": ["received", "cancelled"],
+        "received": [],
+        "cancelled": []
+    };
+};
+
+// Virtual para el total de unidades trasladadas
+TransferSchema.virtual('totalItems').get(function() {
+    return this.products.reduce((sum, item) => sum + item.quantity, 0);
+});
+
+TransferSchema.set('toJSON', { virtuals: true });
+TransferSchema.set('toObject', { virtuals: true });
+
+export default mongoose.model("Transfer", TransferSchema);
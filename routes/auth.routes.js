@@ -3,17 +3,29 @@ import {
   registerUser,
   loginUser,
   getAuthenticatedUser,
-  verifyEmail,
+  refreshSession,
+  logoutUser,
+  getSessions,
+  revokeSessions,
+  forgotPassword,
   resetPassword,
 } from "../controllers/auth.controller.js";
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = Router();
 
-router.post("/register", authenticateUser, authorizePermission("create_users"), registerUser);
+router.post("/register", authenticateUser, authorizePermission(PERMISSIONS.CREATE_USERS), registerUser);
 router.post("/login", loginUser);
+router.post("/refresh", refreshSession);
+router.post("/logout", authenticateUser, logoutUser);
 router.get("/me", authenticateUser, getAuthenticatedUser);
-router.post("/verify-email", verifyEmail);
+router.get("/sessions", authenticateUser, getSessions);
+router.delete("/sessions", authenticateUser, revokeSessions);
+router.delete("/sessions/:id", authenticateUser, revokeSessions);
+router.post("/forgot-password", forgotPassword);
+// Ruta anterior del flujo de recuperación; ahora responde igual que forgot-password
+router.post("/verify-email", forgotPassword);
 router.post("/reset-password", resetPassword);
 
 export default router;
\ No newline at end of file
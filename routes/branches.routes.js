@@ -8,16 +8,17 @@ import {
     updateBranchStatus  // <-- Agregar esta importación
 } from '../controllers/branch.controller.js';
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = Router();
 
-router.get('/', authenticateUser, authorizePermission("view_branches"), getBranches);
-router.get('/:id', authenticateUser, authorizePermission("view_branches"), getBranchesById);
-router.post('/', authenticateUser, authorizePermission("create_branches"), postBranches);
-router.put('/:id', authenticateUser, authorizePermission("update_branches"), updateBranches);
-router.delete('/:id', authenticateUser, authorizePermission("delete_branches"), deleteBranches);
+router.get('/', authenticateUser, authorizePermission(PERMISSIONS.VIEW_BRANCHES), getBranches);
+router.get('/:id', authenticateUser, authorizePermission(PERMISSIONS.VIEW_BRANCHES), getBranchesById);
+router.post('/', authenticateUser, authorizePermission(PERMISSIONS.CREATE_BRANCHES), postBranches);
+router.put('/:id', authenticateUser, authorizePermission(PERMISSIONS.UPDATE_BRANCHES), updateBranches);
+router.delete('/:id', authenticateUser, authorizePermission(PERMISSIONS.DELETE_BRANCHES), deleteBranches);
 
 // Nueva ruta para cambio de estado - DEBE IR ANTES de router.get('/:id')
-router.patch('/status/:id', authenticateUser, authorizePermission("update_branches"), updateBranchStatus);
+router.patch('/status/:id', authenticateUser, authorizePermission(PERMISSIONS.UPDATE_BRANCHES), updateBranchStatus);
 
 export default router;
\ No newline at end of file
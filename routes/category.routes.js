@@ -1,14 +1,15 @@
 import { Router } from "express";
 import { getCategories, getOneCategory, postCategory, putCategory, deleteCategory, updateCategoryStatus } from "../controllers/category.controller.js";
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = Router();
 
-router.get("/", authenticateUser, authorizePermission("view_categories"), getCategories);
-router.get("/:id", authenticateUser, authorizePermission("view_categories_id"), getOneCategory);
-router.post("/", authenticateUser, authorizePermission("create_categories"), postCategory);
-router.put("/:id", authenticateUser, authorizePermission("update_categories"), putCategory);
-router.delete("/:id", authenticateUser, authorizePermission("delete_categories"), deleteCategory);
-router.patch("/:id/status", authenticateUser, authorizePermission("update_status_categories"), updateCategoryStatus);
+router.get("/", authenticateUser, authorizePermission(PERMISSIONS.VIEW_CATEGORIES), getCategories);
+router.get("/:id", authenticateUser, authorizePermission(PERMISSIONS.VIEW_CATEGORIES_ID), getOneCategory);
+router.post("/", authenticateUser, authorizePermission(PERMISSIONS.CREATE_CATEGORIES), postCategory);
+router.put("/:id", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_CATEGORIES), putCategory);
+router.delete("/:id", authenticateUser, authorizePermission(PERMISSIONS.DELETE_CATEGORIES), deleteCategory);
+router.patch("/:id/status", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_STATUS_CATEGORIES), updateCategoryStatus);
 
 export default router;
\ No newline at end of file
@@ -8,18 +8,23 @@ import {
     updateCustomer, 
     deleteCustomer, 
     updateCustomerStatus,
+    getCustomerStatement,
+    getReceivablesAging,
 } from '../controllers/customer.controller.js';
 import {  authenticateUser, authorizePermission} from '../middlewares/auth.middleware.js';
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = express.Router();
 
 // Rutas existentes
-router.get('/',  authenticateUser, authorizePermission("view_customers"), getCustomers);
-router.get('/default',  authenticateUser, authorizePermission("view_customers"), getDefaultCustomer);
-router.get('/:id', authenticateUser, authorizePermission("view_customers_id"), getCustomerById);
-router.post('/',  authenticateUser, authorizePermission("create_customers"), createCustomer);
-router.put('/:id',  authenticateUser, authorizePermission("update_customers"), updateCustomer);
-router.delete('/:id',  authenticateUser, authorizePermission("delete_customers"), deleteCustomer);
-router.patch('/:id/status',  authenticateUser, authorizePermission("update_customers_status"), updateCustomerStatus);
+router.get('/',  authenticateUser, authorizePermission(PERMISSIONS.VIEW_CUSTOMERS), getCustomers);
+router.get('/default',  authenticateUser, authorizePermission(PERMISSIONS.VIEW_CUSTOMERS), getDefaultCustomer);
+router.get('/receivables/aging', authenticateUser, authorizePermission(PERMISSIONS.VIEW_RECEIVABLES_AGING), getReceivablesAging);
+router.get('/:id/statement', authenticateUser, authorizePermission(PERMISSIONS.VIEW_CUSTOMER_STATEMENTS), getCustomerStatement);
+router.get('/:id', authenticateUser, authorizePermission(PERMISSIONS.VIEW_CUSTOMERS_ID), getCustomerById);
+router.post('/',  authenticateUser, authorizePermission(PERMISSIONS.CREATE_CUSTOMERS), createCustomer);
+router.put('/:id',  authenticateUser, authorizePermission(PERMISSIONS.UPDATE_CUSTOMERS), updateCustomer);
+router.delete('/:id',  authenticateUser, authorizePermission(PERMISSIONS.DELETE_CUSTOMERS), deleteCustomer);
+router.patch('/:id/status',  authenticateUser, authorizePermission(PERMISSIONS.UPDATE_CUSTOMERS_STATUS), updateCustomerStatus);
 
 export default router;
\ No newline at end of file
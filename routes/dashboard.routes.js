@@ -7,9 +7,15 @@ import {
     getQuickStats,
     refreshDashboard,
     getDashboardSummary,
-    getBranchPerformance
+    getBranchPerformance,
+    getSalesChart,
+    getTopProducts,
+    getLowStockAlerts,
+    getMarginReport,
+    streamDashboard
 } from "../controllers/dashboard.controller.js";
-import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { acceptQueryToken, authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { updateStreamPreferences } from "../utils/dashboardStream.js";
 
 const router = express.Router();
 
@@ -53,13 +59,23 @@ router.get("/activities", authenticateUser, getRecentActivities);
 
 /**
  * @route   GET /api/dashboard/branch-performance
- * @desc    Obtener análisis de rendimiento por sucursal
+ * @desc    Obtener análisis de rendimiento por sucursal (ventas, compras y margen bruto sobre el costo de lo vendido)
  * @access  Private (requiere permisos view_dashboard)
  * @params  ?period=month|week|today|year (opcional, default: month)
  * @controller getBranchPerformance ✅
  */
 router.get("/branch-performance", authenticateUser, getBranchPerformance);
 
+/**
+ * @route   GET /api/dashboard/stream
+ * @desc    Actualizaciones en tiempo real (SSE): actividades, totales del día y alertas de stock,
+ *          filtradas según las preferencias de notificación del usuario
+ * @access  Private (requiere permisos view_dashboard)
+ * @params  ?token=JWT (solo si el cliente no puede enviar Authorization, p. ej. EventSource)
+ * @controller streamDashboard ✅
+ */
+router.get("/stream", acceptQueryToken, authenticateUser, streamDashboard);
+
 // ===== RUTAS DE ACCIONES =====
 
 /**
@@ -68,6 +84,7 @@ router.get("/branch-performance", authenticateUser, getBranchPerformance);
  * @access  Private (requiere permisos create_sales)
  * @body    { amount: number, client: string }
  * @controller addDashboardSale ✅
+ * @deprecated Las ventas registran su actividad automáticamente (evento sale.created)
  */
 router.post("/sale", authenticateUser, addDashboardSale);
 
@@ -77,6 +94,7 @@ router.post("/sale", authenticateUser, addDashboardSale);
  * @access  Private (requiere permisos create_purchases)
  * @body    { amount: number, provider: string }
  * @controller addDashboardPurchase ✅
+ * @deprecated Las compras registran su actividad automáticamente (evento purchase.created)
  */
 router.post("/purchase", authenticateUser, addDashboardPurchase);
 
@@ -98,7 +116,7 @@ router.post("/refresh", authenticateUser, refreshDashboard);
  */
 router.get("/config", authenticateUser, async (req, res) => {
     try {
-        const { DashboardConfig } = await import("../models/dashboardActivity.js");
+        const { DashboardConfig } = await import("../models/dashboard.js");
         
         let config = await DashboardConfig.findOne({ userId: req.user.id });
         
@@ -152,7 +170,7 @@ router.get("/config", authenticateUser, async (req, res) => {
  */
 router.put("/config", authenticateUser, async (req, res) => {
     try {
-        const { DashboardConfig } = await import("../models/dashboardActivity.js");
+        const { DashboardConfig } = await import("../models/dashboard.js");
         
         const config = await DashboardConfig.findOneAndUpdate(
             { userId: req.user.id },
@@ -169,6 +187,9 @@ router.put("/config", authenticateUser, async (req, res) => {
             }
         );
         
+        // Los streams abiertos aplican las nuevas preferencias sin reconectarse
+        updateStreamPreferences(req.user.id, config.toObject().notifications);
+        
         res.status(200).json({ 
             success: true,
             message: "Configuración del dashboard actualizada exitosamente",
@@ -185,59 +206,43 @@ router.put("/config", authenticateUser, async (req, res) => {
     }
 });
 
-// ===== RUTAS PENDIENTES DE IMPLEMENTAR =====
-// Estas rutas necesitan que se implementen sus controladores correspondientes
+// ===== RUTAS DE GRÁFICOS Y ALERTAS =====
 
 /**
  * @route   GET /api/dashboard/charts-sales
- * @desc    Obtener datos específicos para gráficos de ventas
+ * @desc    Serie de ventas (brutas, devoluciones y netas) por día, semana o mes
  * @access  Private (requiere permisos view_dashboard)
- * @params  ?period=month&chartType=daily|weekly|monthly
- * @todo    IMPLEMENTAR: getSalesChart en dashboard.controller.js
+ * @params  ?granularity=daily|weekly|monthly&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&branch=id1,id2
+ * @controller getSalesChart ✅
  */
-router.get("/charts-sales", authenticateUser, (req, res) => {
-    res.status(501).json({ 
-        success: false,
-        message: "Endpoint pendiente de implementación", 
-        controller: "getSalesChart",
-        location: "dashboard.controller.js",
-        note: "Este controlador devolvería datos específicos para gráficos de ventas con diferentes granularidades"
-    });
-});
+router.get("/charts-sales", authenticateUser, getSalesChart);
 
 /**
  * @route   GET /api/dashboard/top-products
- * @desc    Obtener lista de productos más vendidos
+ * @desc    Ranking de productos por unidades, ingresos o margen (netos de devoluciones)
  * @access  Private (requiere permisos view_dashboard)
- * @params  ?period=month&limit=10
- * @todo    IMPLEMENTAR: getTopProducts en dashboard.controller.js
+ * @params  ?period=month|week|today|year&startDate=&endDate=&branch=id1,id2&sortBy=units|revenue|margin&limit=10
+ * @controller getTopProducts ✅
  */
-router.get("/top-products", authenticateUser, (req, res) => {
-    res.status(501).json({ 
-        success: false,
-        message: "Endpoint pendiente de implementación", 
-        controller: "getTopProducts",
-        location: "dashboard.controller.js",
-        note: "Este controlador devolvería los productos más vendidos con estadísticas detalladas"
-    });
-});
+router.get("/top-products", authenticateUser, getTopProducts);
 
 /**
  * @route   GET /api/dashboard/alerts-stock
- * @desc    Obtener alertas de inventario (stock bajo, productos vencidos)
+ * @desc    Alertas de inventario: sin stock, stock bajo, vencidos y próximos a vencer
  * @access  Private (requiere permisos view_dashboard)
- * @params  ?threshold=10 (umbral de stock bajo)
- * @todo    IMPLEMENTAR: getLowStockAlerts en dashboard.controller.js
+ * @params  ?threshold=10 (umbral de stock bajo)&days=7 (ventana de vencimiento)&branch=id1,id2
+ * @controller getLowStockAlerts ✅
  */
-router.get("/alerts-stock", authenticateUser, (req, res) => {
-    res.status(501).json({ 
-        success: false,
-        message: "Endpoint pendiente de implementación", 
-        controller: "getLowStockAlerts",
-        location: "dashboard.controller.js",
-        note: "Este controlador devolvería alertas de stock bajo y productos próximos a vencer"
-    });
-});
+router.get("/alerts-stock", authenticateUser, getLowStockAlerts);
+
+/**
+ * @route   GET /api/dashboard/margin
+ * @desc    Margen bruto y costo de ventas (costo promedio registrado en cada venta), netos de devoluciones
+ * @access  Private (requiere permisos view_margin_report)
+ * @params  ?groupBy=product|category|branch|period&period=month|week|today|year&startDate=&endDate=&granularity=daily|weekly|monthly&branch=id1,id2 (solo con branch o period)&limit=50
+ * @controller getMarginReport ✅
+ */
+router.get("/margin", authenticateUser, getMarginReport);
 
 // ===== RUTAS DE ADMINISTRACIÓN =====
 
@@ -267,7 +272,7 @@ router.delete("/activities-cleanup", authenticateUser, async (req, res) => {
             });
         }
         
-        const { DashboardActivity } = await import("../models/dashboardActivity.js");
+        const { DashboardActivity } = await import("../models/dashboard.js");
         const deleted = await DashboardActivity.cleanOldActivities(daysToKeep);
         
         res.status(200).json({ 
@@ -313,7 +318,7 @@ router.put("/activities-archive", authenticateUser, async (req, res) => {
             });
         }
         
-        const { DashboardActivity } = await import("../models/dashboardActivity.js");
+        const { DashboardActivity } = await import("../models/dashboard.js");
         const archived = await DashboardActivity.archiveOldActivities(daysToArchive);
         
         res.status(200).json({ 
@@ -352,7 +357,7 @@ router.post("/test-populate", authenticateUser, async (req, res) => {
         }
         
         const { salesCount = 10, purchasesCount = 5 } = req.body;
-        const { DashboardActivity } = await import("../models/dashboardActivity.js");
+        const { DashboardActivity } = await import("../models/dashboard.js");
         const mongoose = await import("mongoose");
         
         const testActivities = [];
@@ -415,17 +420,17 @@ router.use((req, res) => {
                 "GET /stats - Estadísticas rápidas",
                 "GET /activities - Actividades recientes",
                 "GET /branch-performance - Rendimiento por sucursal",
+                "GET /stream - Actualizaciones en tiempo real (SSE)",
+                "GET /charts-sales - Datos para gráficos",
+                "GET /top-products - Productos más vendidos",
+                "GET /alerts-stock - Alertas de inventario",
+                "GET /margin - Reporte de márgenes y costo de ventas",
                 "POST /sale - Registrar venta",
                 "POST /purchase - Registrar compra",
                 "POST /refresh - Actualizar dashboard",
                 "GET /config - Configuración del usuario",
                 "PUT /config - Actualizar configuración"
             ],
-            pending: [
-                "GET /charts-sales - Datos para gráficos",
-                "GET /top-products - Productos más vendidos",
-                "GET /alerts-stock - Alertas de inventario"
-            ],
             admin: [
                 "DELETE /activities-cleanup - Limpiar actividades",
                 "PUT /activities-archive - Archivar actividades"
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { getDailyPaymentsSummary } from "../controllers/payment.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+
+const router = Router();
+
+// Los pagos se registran por venta en /api/sales/:id/payments
+router.get("/daily-summary", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PAYMENTS_SUMMARY), getDailyPaymentsSummary);
+
+export default router
@@ -8,15 +8,16 @@ import {
   togglePermissionStatus
 } from "../controllers/permission.controller.js";
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = Router();
 
 // Rutas para permisos
-router.get("/", authenticateUser, authorizePermission("view_permissions"), getPermissions);
-router.get("/:id", authenticateUser, authorizePermission("view_permissions_id"), getPermissionById);
-router.post("/", authenticateUser, authorizePermission("create_permissions"), postPermission);
-router.put("/:id", authenticateUser, authorizePermission("update_permissions"), updatePermission);
-router.patch("/:id/status", authenticateUser, authorizePermission("update_permission_status"), togglePermissionStatus);
-router.delete("/:id", authenticateUser, authorizePermission("delete_permissions"), deletePermission);
+router.get("/", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PERMISSIONS), getPermissions);
+router.get("/:id", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PERMISSIONS_ID), getPermissionById);
+router.post("/", authenticateUser, authorizePermission(PERMISSIONS.CREATE_PERMISSIONS), postPermission);
+router.put("/:id", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_PERMISSIONS), updatePermission);
+router.patch("/:id/status", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_PERMISSION_STATUS), togglePermissionStatus);
+router.delete("/:id", authenticateUser, authorizePermission(PERMISSIONS.DELETE_PERMISSIONS), deletePermission);
 
 export default router;
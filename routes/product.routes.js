@@ -5,18 +5,21 @@ import {
     postProduct,
     updateProduct,
     deleteProduct,
-    updateProductStatus
+    updateProductStatus,
+    getProductMovements
 } from "../controllers/product.controller.js";
 
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = express.Router();
 
-router.get("/", authenticateUser, authorizePermission("view_products"), getProducts);
-router.get("/:id", authenticateUser, authorizePermission("view_products_id"), getProductById);
-router.post("/", authenticateUser, authorizePermission("create_products"), postProduct);
-router.put("/:id", authenticateUser, authorizePermission("edit_products"), updateProduct);
-router.delete("/:id", authenticateUser, authorizePermission("delete_products"), deleteProduct);
-router.patch("/:id/status", authenticateUser, authorizePermission("update_status_products"), updateProductStatus);
+router.get("/", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PRODUCTS), getProducts);
+router.get("/:id/movements", authenticateUser, authorizePermission(PERMISSIONS.VIEW_STOCK_MOVEMENTS), getProductMovements);
+router.get("/:id", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PRODUCTS_ID), getProductById);
+router.post("/", authenticateUser, authorizePermission(PERMISSIONS.CREATE_PRODUCTS), postProduct);
+router.put("/:id", authenticateUser, authorizePermission(PERMISSIONS.EDIT_PRODUCTS), updateProduct);
+router.delete("/:id", authenticateUser, authorizePermission(PERMISSIONS.DELETE_PRODUCTS), deleteProduct);
+router.patch("/:id/status", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_STATUS_PRODUCTS), updateProductStatus);
 
 export default router;
\ No newline at end of file
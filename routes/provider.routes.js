@@ -1,14 +1,17 @@
 import { Router } from "express";
-import { getProviders, getOneProvider, postProvider, putProvider, deleteProvider, updateProviderStatus } from "../controllers/provider.controller.js";
+import { getProviders, getOneProvider, postProvider, putProvider, deleteProvider, updateProviderStatus, getProviderStatement, getPayablesAging } from "../controllers/provider.controller.js";
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = Router();
 
-router.get("/", authenticateUser, authorizePermission("view_providers"),getProviders);
-router.get("/:id",authenticateUser, authorizePermission("view_providers_id"), getOneProvider);
-router.post("/", authenticateUser, authorizePermission("create_providers"),postProvider);
-router.put("/:id", authenticateUser, authorizePermission("update_providers"),putProvider);
-router.delete("/:id", authenticateUser, authorizePermission("delete_providers"), deleteProvider);
-router.patch("/:id/status", authenticateUser, authorizePermission("update_status_providers"), updateProviderStatus);
+router.get("/", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PROVIDERS),getProviders);
+router.get("/payables/aging", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PAYABLES_AGING), getPayablesAging);
+router.get("/:id/statement", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PROVIDER_STATEMENTS), getProviderStatement);
+router.get("/:id",authenticateUser, authorizePermission(PERMISSIONS.VIEW_PROVIDERS_ID), getOneProvider);
+router.post("/", authenticateUser, authorizePermission(PERMISSIONS.CREATE_PROVIDERS),postProvider);
+router.put("/:id", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_PROVIDERS),putProvider);
+router.delete("/:id", authenticateUser, authorizePermission(PERMISSIONS.DELETE_PROVIDERS), deleteProvider);
+router.patch("/:id/status", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_STATUS_PROVIDERS), updateProviderStatus);
 
 export default router
\ No newline at end of file
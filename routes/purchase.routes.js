@@ -7,15 +7,24 @@ import {
   deactivatePurchase,
   reactivatePurchase
 } from "../controllers/purchase.controller.js";
+import {
+  postPurchasePayment,
+  getPurchasePayments,
+  voidPurchasePayment
+} from "../controllers/supplierPayment.controller.js";
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = Router(); 
 
-router.get("/", authenticateUser, authorizePermission("view_purchases"), getPurchases);
-router.get("/:id", authenticateUser, authorizePermission("view_purchases_id"), getPurchaseById);
-router.post("/", authenticateUser, authorizePermission("create_purchases"), postPurchase);
-router.patch("/:id/deactivate", authenticateUser, authorizePermission("update_status_purchases"), deactivatePurchase);
-router.patch("/:id/reactivate", authenticateUser, authorizePermission("reatcivate_purchases"), reactivatePurchase);
-router.delete("/:id", authenticateUser, authorizePermission("delete_purchases"), deletePurchase);
+router.get("/", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PURCHASES), getPurchases);
+router.get("/:id", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PURCHASES_ID), getPurchaseById);
+router.post("/", authenticateUser, authorizePermission(PERMISSIONS.CREATE_PURCHASES), postPurchase);
+router.patch("/:id/deactivate", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_STATUS_PURCHASES), deactivatePurchase);
+router.patch("/:id/reactivate", authenticateUser, authorizePermission(PERMISSIONS.REACTIVATE_PURCHASES), reactivatePurchase);
+router.get("/:id/payments", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PURCHASE_PAYMENTS), getPurchasePayments);
+router.post("/:id/payments", authenticateUser, authorizePermission(PERMISSIONS.CREATE_PURCHASE_PAYMENTS), postPurchasePayment);
+router.patch("/:id/payments/:paymentId/void", authenticateUser, authorizePermission(PERMISSIONS.VOID_PURCHASE_PAYMENTS), voidPurchasePayment);
+router.delete("/:id", authenticateUser, authorizePermission(PERMISSIONS.DELETE_PURCHASES), deletePurchase);
 
 export default router;
\ No newline at end of file
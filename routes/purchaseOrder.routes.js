@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  postPurchaseOrder,
+  updatePurchaseOrder,
+  sendPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder,
+  cancelPurchaseOrder,
+  getDeliveryReport
+} from "../controllers/purchaseOrder.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+
+const router = Router();
+
+router.get("/", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PURCHASE_ORDERS), getPurchaseOrders);
+router.get("/delivery-report", authenticateUser, authorizePermission(PERMISSIONS.VIEW_DELIVERY_REPORT), getDeliveryReport);
+router.get("/:id", authenticateUser, authorizePermission(PERMISSIONS.VIEW_PURCHASE_ORDERS_ID), getPurchaseOrderById);
+router.post("/", authenticateUser, authorizePermission(PERMISSIONS.CREATE_PURCHASE_ORDERS), postPurchaseOrder);
+router.put("/:id", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_PURCHASE_ORDERS), updatePurchaseOrder);
+router.patch("/:id/send", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_PURCHASE_ORDERS), sendPurchaseOrder);
+router.post("/:id/receipts", authenticateUser, authorizePermission(PERMISSIONS.RECEIVE_PURCHASE_ORDERS), receivePurchaseOrder);
+router.patch("/:id/close", authenticateUser, authorizePermission(PERMISSIONS.CLOSE_PURCHASE_ORDERS), closePurchaseOrder);
+router.patch("/:id/cancel", authenticateUser, authorizePermission(PERMISSIONS.CLOSE_PURCHASE_ORDERS), cancelPurchaseOrder);
+
+export default router;
@@ -8,15 +8,16 @@ import {
   toggleRoleStatus
 } from "../controllers/role.controller.js";
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = Router();
 
 // Rutas para roles
-router.get("/", authenticateUser, authorizePermission("view_roles"), getRoles);
-router.get("/:id", authenticateUser, authorizePermission("view_roles_id"), getRoleById);
-router.post("/", authenticateUser, authorizePermission("create_roles"), postRole);
-router.put("/:id", authenticateUser, authorizePermission("update_roles"), updateRole);
-router.patch("/:id/status", authenticateUser, authorizePermission("update_role_status"), toggleRoleStatus);
-router.delete("/:id", authenticateUser, authorizePermission("delete_roles"), deleteRole);
+router.get("/", authenticateUser, authorizePermission(PERMISSIONS.VIEW_ROLES), getRoles);
+router.get("/:id", authenticateUser, authorizePermission(PERMISSIONS.VIEW_ROLES_ID), getRoleById);
+router.post("/", authenticateUser, authorizePermission(PERMISSIONS.CREATE_ROLES), postRole);
+router.put("/:id", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_ROLES), updateRole);
+router.patch("/:id/status", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_ROLE_STATUS), toggleRoleStatus);
+router.delete("/:id", authenticateUser, authorizePermission(PERMISSIONS.DELETE_ROLES), deleteRole);
 
 export default router;
\ No newline at end of file
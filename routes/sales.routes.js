@@ -5,20 +5,33 @@ import {
     postSale,
     updateSaleStatus,
     deleteSale,
+    postSaleReturn,
+    getSaleReturns
 } from "../controllers/sales.controller.js";
+import { getSalePayments, postSalePayment, voidSalePayment } from "../controllers/payment.controller.js";
 
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
 import { validateProductsForSale } from "../middlewares/sales-validation.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = express.Router();
 
 // Rutas CRUD básicas
-router.get("/", authenticateUser, authorizePermission("view_sales"), getSales);
-router.get("/:id", authenticateUser, authorizePermission("view_sales_id"), getSaleById);
+router.get("/", authenticateUser, authorizePermission(PERMISSIONS.VIEW_SALES), getSales);
+router.get("/:id", authenticateUser, authorizePermission(PERMISSIONS.VIEW_SALES_ID), getSaleById);
 
-router.post("/", authenticateUser, authorizePermission("create_sales"), validateProductsForSale, postSale);
+router.post("/", authenticateUser, authorizePermission(PERMISSIONS.CREATE_SALES), validateProductsForSale, postSale);
 
-router.delete("/:id", authenticateUser, authorizePermission("delete_sales"), deleteSale);
-router.patch("/:id/status", authenticateUser, authorizePermission("update_status_sales"), updateSaleStatus);
+router.delete("/:id", authenticateUser, authorizePermission(PERMISSIONS.DELETE_SALES), deleteSale);
+router.patch("/:id/status", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_STATUS_SALES), updateSaleStatus);
+
+// Devoluciones (notas crédito) de ventas completadas
+router.get("/:id/returns", authenticateUser, authorizePermission(PERMISSIONS.VIEW_SALE_RETURNS), getSaleReturns);
+router.post("/:id/returns", authenticateUser, authorizePermission(PERMISSIONS.CREATE_SALE_RETURNS), postSaleReturn);
+
+// Pagos de la venta
+router.get("/:id/payments", authenticateUser, authorizePermission(PERMISSIONS.VIEW_SALE_PAYMENTS), getSalePayments);
+router.post("/:id/payments", authenticateUser, authorizePermission(PERMISSIONS.CREATE_SALE_PAYMENTS), postSalePayment);
+router.patch("/:id/payments/:paymentId/void", authenticateUser, authorizePermission(PERMISSIONS.VOID_SALE_PAYMENTS), voidSalePayment);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,10 @@
+import { Router } from "express";
+import { search } from "../controllers/search.controller.js";
+import { authenticateUser } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+// Los permisos se comprueban por tipo de resultado dentro del controlador
+router.get("/", authenticateUser, search);
+
+export default router
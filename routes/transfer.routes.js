@@ -0,0 +1,22 @@
+import { Router } from "express";
+import {
+  getTransfers,
+  getTransferById,
+  postTransfer,
+  dispatchTransfer,
+  receiveTransfer,
+  cancelTransfer
+} from "../controllers/transfer.controller.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+
+const router = Router();
+
+router.get("/", authenticateUser, authorizePermission(PERMISSIONS.VIEW_TRANSFERS), getTransfers);
+router.get("/:id", authenticateUser, authorizePermission(PERMISSIONS.VIEW_TRANSFERS_ID), getTransferById);
+router.post("/", authenticateUser, authorizePermission(PERMISSIONS.CREATE_TRANSFERS), postTransfer);
+router.patch("/:id/dispatch", authenticateUser, authorizePermission(PERMISSIONS.DISPATCH_TRANSFERS), dispatchTransfer);
+router.patch("/:id/receive", authenticateUser, authorizePermission(PERMISSIONS.RECEIVE_TRANSFERS), receiveTransfer);
+router.patch("/:id/cancel", authenticateUser, authorizePermission(PERMISSIONS.CANCEL_TRANSFERS), cancelTransfer);
+
+export default router;
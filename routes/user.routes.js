@@ -6,16 +6,19 @@ import {
     deleteUser, 
     updateUserStatus,
     getProfile,
+    unlockUser,
 } from "../controllers/user.controller.js";
 import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
 
 const router = Router();
 
 router.get("/profile/me", authenticateUser, getProfile);
-router.get("/", authenticateUser, authorizePermission("view_users"), getUsers);
-router.get("/:id", authenticateUser, authorizePermission("view_users_id"), getOneUser);
-router.put("/:id", authenticateUser, authorizePermission("update_users"), putUser);
-router.delete("/:id", authenticateUser, authorizePermission("delete_users"), deleteUser);
-router.patch("/:id/status", authenticateUser, authorizePermission("update_user_status"), updateUserStatus);
+router.get("/", authenticateUser, authorizePermission(PERMISSIONS.VIEW_USERS), getUsers);
+router.get("/:id", authenticateUser, authorizePermission(PERMISSIONS.VIEW_USERS_ID), getOneUser);
+router.put("/:id", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_USERS), putUser);
+router.delete("/:id", authenticateUser, authorizePermission(PERMISSIONS.DELETE_USERS), deleteUser);
+router.patch("/:id/status", authenticateUser, authorizePermission(PERMISSIONS.UPDATE_USER_STATUS), updateUserStatus);
+router.patch("/:id/unlock", authenticateUser, authorizePermission(PERMISSIONS.UNLOCK_USERS), unlockUser);
 
 export default router;
\ No newline at end of file
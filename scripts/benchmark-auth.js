@@ -0,0 +1,134 @@
+// Benchmark de autenticación/autorización: compara el flujo anterior (varias consultas
+// por petición) con authenticateUser + caché de permisos, con la caché vigente y sin ella
+// (cada petición es un fallo de caché). Muestra también las consultas a MongoDB por
+// petición: el flujo nuevo hace una sola, esté el rol en caché o no.
+//
+// Uso: npm run bench:auth
+// Variables opcionales: BENCH_USER_EMAIL (por defecto el primer usuario activo),
+// BENCH_DURATION_SECONDS (5), BENCH_CONCURRENCY (20), BENCH_PERMISSION (view_products)
+import "dotenv/config";
+import express from "express";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import Role from "../models/role.js";
+import Session from "../models/session.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { checkPermission } from "../utils/permissions.js";
+
+const DURATION_MS = (Number(process.env.BENCH_DURATION_SECONDS) || 5) * 1000;
+const CONCURRENCY = Number(process.env.BENCH_CONCURRENCY) || 20;
+const PERMISSION = process.env.BENCH_PERMISSION || "view_products";
+
+// Reproduce las consultas del middleware anterior: rol por defecto, usuario,
+// rol del token y rol con populate de permisos
+const legacyAuthenticate = async (req, res, next) => {
+  try {
+    const token = req.header("Authorization").slice(7);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const user = await User.findById(decoded.id);
+    if (!user || user.status === "inactive") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    await Role.findOne();
+    let role = await Role.findById(decoded.role || user.role);
+    role = await Role.findById(role._id).populate("permissions");
+
+    req.user = { id: user._id, role };
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const legacyAuthorize = (permissionCode) => (req, res, next) => {
+  if (checkPermission(req.user.role, permissionCode)) {
+    return next();
+  }
+  res.status(403).json({ message: "Insufficient permissions" });
+};
+
+function startServer(middlewares) {
+  const app = express();
+  app.get("/bench", ...middlewares, (req, res) => res.status(200).json({ ok: true }));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+// Comandos enviados a MongoDB durante la medición
+let commands = 0;
+
+async function run(label, middlewares, token) {
+  const server = await startServer(middlewares);
+  const url = `http://127.0.0.1:${server.address().port}/bench`;
+  const headers = { Authorization: `Bearer ${token}` };
+
+  let completed = 0;
+  let failed = 0;
+  const deadline = Date.now() + DURATION_MS;
+  const commandsBefore = commands;
+
+  const worker = async () => {
+    while (Date.now() < deadline) {
+      const response = await fetch(url, { headers });
+      await response.arrayBuffer();
+      if (response.ok) completed++;
+      else failed++;
+    }
+  };
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  await new Promise(resolve => server.close(resolve));
+
+  const rps = completed / (DURATION_MS / 1000);
+  const queries = (commands - commandsBefore) / Math.max(completed + failed, 1);
+  console.log(`${label.padEnd(9)} ${rps.toFixed(1).padStart(10)} req/s  ${queries.toFixed(2)} queries/req  (${completed} ok, ${failed} failed)`);
+  return rps;
+}
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_CNN, { monitorCommands: true });
+  mongoose.connection.getClient().on("commandStarted", () => {
+    commands++;
+  });
+
+  const user = process.env.BENCH_USER_EMAIL
+    ? await User.findOne({ email: process.env.BENCH_USER_EMAIL })
+    : await User.findOne({ status: "active" });
+
+  if (!user) {
+    throw new Error("No user available for the benchmark");
+  }
+
+  const { session } = await Session.start(user._id, { userAgent: "benchmark" });
+  const token = jwt.sign(
+    { id: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: "10m" }
+  );
+
+  console.log(`Permission: ${PERMISSION} | concurrency: ${CONCURRENCY} | duration: ${DURATION_MS / 1000}s`);
+
+  try {
+    const before = await run("before", [legacyAuthenticate, legacyAuthorize(PERMISSION)], token);
+    const after = await run("after", [authenticateUser, authorizePermission(PERMISSION)], token);
+
+    // Sin caché cada petición une el rol y sus permisos en la misma consulta del usuario
+    process.env.PERMISSION_CACHE_TTL_SECONDS = "0";
+    const uncached = await run("no cache", [authenticateUser, authorizePermission(PERMISSION)], token);
+
+    console.log(`speedup   ${(after / before).toFixed(2)}x (no cache: ${(uncached / before).toFixed(2)}x)`);
+  } finally {
+    await Session.revoke({ _id: session._id }, "logout");
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error("Benchmark failed:", error);
+  process.exit(1);
+});
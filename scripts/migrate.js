@@ -0,0 +1,51 @@
+// CLI de migraciones
+//   npm run migrate            aplica las migraciones pendientes
+//   npm run migrate:status     lista las migraciones y si están aplicadas
+//   npm run migrate:down [n]   revierte las últimas n migraciones (por defecto 1)
+import "dotenv/config";
+import mongoose from "mongoose";
+import { getMigrationStatus, migrateUp, migrateDown } from "../utils/migrator.js";
+
+const [command = "up", argument] = process.argv.slice(2);
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_CNN);
+
+  try {
+    if (command === "up") {
+      const executed = await migrateUp();
+      if (executed.length === 0) {
+        console.log("No pending migrations");
+      }
+      executed.forEach(name => console.log(`✔ applied ${name}`));
+    } else if (command === "down") {
+      const steps = argument ? parseInt(argument, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("Steps must be a positive integer");
+      }
+
+      const reverted = await migrateDown(steps);
+      if (reverted.length === 0) {
+        console.log("No applied migrations to revert");
+      }
+      reverted.forEach(name => console.log(`✔ reverted ${name}`));
+    } else if (command === "status") {
+      const status = await getMigrationStatus();
+      status.forEach(migration => {
+        const state = migration.applied
+          ? `applied ${migration.runAt.toISOString()}`
+          : "pending";
+        console.log(`${migration.name.padEnd(40)} ${state}`);
+      });
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down or status`);
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error("Migration failed:", error.message);
+  process.exit(1);
+});
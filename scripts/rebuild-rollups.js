@@ -0,0 +1,41 @@
+// Reconstruye los totales diarios del dashboard desde ventas, devoluciones y compras
+//   npm run rollups:rebuild                          todo el historial
+//   npm run rollups:rebuild -- 2024-01-01 2024-12-31 solo ese rango de fechas (inclusivo)
+import "dotenv/config";
+import mongoose from "mongoose";
+import { rebuildRollups } from "../utils/rollups.js";
+
+const [from, to] = process.argv.slice(2);
+
+function parseDate(value, name) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new Error(`Invalid ${name} date "${value}". Use YYYY-MM-DD`);
+  }
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(year, month - 1, day);
+}
+
+async function main() {
+  const range = {};
+  if (from) range.from = parseDate(from, "start");
+  if (to) {
+    range.to = parseDate(to, "end");
+    range.to.setDate(range.to.getDate() + 1);
+  }
+
+  await mongoose.connect(process.env.MONGO_CNN);
+
+  try {
+    const result = await rebuildRollups(range, (month, rows) => {
+      console.log(`✔ ${month.getFullYear()}-${String(month.getMonth() + 1).padStart(2, "0")}: ${rows} rows`);
+    });
+    console.log(`Rebuilt ${result.rows} daily rollup rows across ${result.months} month(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error("Rollup rebuild failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import { authenticateUser, authorizePermission } from "../middlewares/auth.middleware.js";
+import { invalidateAllRoles, invalidateRole } from "../utils/permissionCache.js";
+import { checkPermission } from "../utils/permissions.js";
+import { PERMISSIONS } from "../utils/permissionRegistry.js";
+import { mockResponse } from "./helpers.js";
+
+const roleId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+
+// Rol personalizado tal como lo une la consulta: con sus permisos poblados
+const storedRole = {
+  _id: roleId,
+  id: "Ro04",
+  name: "cajero",
+  status: "active",
+  isDefault: false,
+  permissions: [
+    { code: PERMISSIONS.VIEW_SALES, status: "active" },
+    { code: PERMISSIONS.CREATE_SALES, status: "inactive" }
+  ]
+};
+
+function authRequest(payload = { id: userId, role: roleId, sid: sessionId }) {
+  const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "5m" });
+  return { header: (name) => (name === "Authorization" ? `Bearer ${token}` : undefined), query: {} };
+}
+
+// Simula la consulta del usuario: solo une el rol si la consulta no lo excluye por estar en caché
+function mockUserAggregate({ activeSession = true } = {}) {
+  return mock.method(User, "aggregate", async (pipeline) => {
+    const roleLookup = pipeline.find(stage => stage.$lookup?.as === "loadedRoles").$lookup;
+    const excluded = roleLookup.pipeline[0].$match._id.$nin.map(String);
+
+    return [{
+      _id: userId,
+      status: "active",
+      role: roleId,
+      activeSession: activeSession ? { _id: sessionId } : undefined,
+      loadedRoles: excluded.includes(String(roleId)) ? [] : [storedRole]
+    }];
+  });
+}
+
+async function authenticate(req) {
+  const res = mockResponse();
+  let nextCalled = false;
+  await authenticateUser(req, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+describe("authenticateUser", () => {
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+  });
+
+  beforeEach(() => invalidateAllRoles());
+
+  afterEach(() => mock.restoreAll());
+
+  it("loads the role with its permissions in the user query on a cache miss", async () => {
+    const aggregate = mockUserAggregate();
+    const req = authRequest();
+
+    const { nextCalled } = await authenticate(req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(aggregate.mock.callCount(), 1);
+    assert.deepEqual(req.user.role.permissions, [PERMISSIONS.VIEW_SALES]);
+    assert.equal(String(req.user.sessionId), String(sessionId));
+  });
+
+  it("serves the role from the cache afterwards, still with one query", async () => {
+    const aggregate = mockUserAggregate();
+
+    await authenticate(authRequest());
+    const req = authRequest();
+    const { nextCalled } = await authenticate(req);
+
+    assert.equal(nextCalled, true);
+    assert.equal(aggregate.mock.callCount(), 2);
+    const [pipeline] = aggregate.mock.calls[1].arguments;
+    const roleLookup = pipeline.find(stage => stage.$lookup?.as === "loadedRoles").$lookup;
+    assert.deepEqual(roleLookup.pipeline[0].$match._id.$nin.map(String), [String(roleId)]);
+    assert.equal(req.user.role.name, "cajero");
+  });
+
+  it("joins the role again after it is invalidated", async () => {
+    const aggregate = mockUserAggregate();
+
+    await authenticate(authRequest());
+    invalidateRole(roleId);
+    await authenticate(authRequest());
+
+    const [pipeline] = aggregate.mock.calls[1].arguments;
+    const roleLookup = pipeline.find(stage => stage.$lookup?.as === "loadedRoles").$lookup;
+    assert.deepEqual(roleLookup.pipeline[0].$match._id.$nin, []);
+  });
+
+  it("rejects a token whose session was revoked", async () => {
+    mockUserAggregate({ activeSession: false });
+
+    const { res, nextCalled } = await authenticate(authRequest());
+
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, "Session has been revoked");
+  });
+
+  it("authorizes with the permission codes of the cached role", async () => {
+    mockUserAggregate();
+    const req = authRequest();
+    await authenticate(req);
+
+    const allowed = mockResponse();
+    let nextCalled = false;
+    await authorizePermission(PERMISSIONS.VIEW_SALES)(req, allowed, () => {
+      nextCalled = true;
+    });
+    assert.equal(nextCalled, true);
+
+    // Permiso asignado pero inactivo
+    const denied = mockResponse();
+    await authorizePermission(PERMISSIONS.CREATE_SALES)(req, denied, () => {});
+    assert.equal(denied.statusCode, 403);
+  });
+});
+
+describe("checkPermission", () => {
+  it("uses only the static list for default roles", () => {
+    const employee = { name: "employee", isDefault: true, permissions: [PERMISSIONS.DELETE_SALES] };
+
+    assert.equal(checkPermission(employee, PERMISSIONS.CREATE_SALES), true);
+    assert.equal(checkPermission(employee, PERMISSIONS.DELETE_SALES), false);
+  });
+
+  it("uses the assigned permissions for custom roles", () => {
+    const custom = { name: "cajero", isDefault: false, permissions: [PERMISSIONS.DELETE_SALES] };
+
+    assert.equal(checkPermission(custom, PERMISSIONS.DELETE_SALES), true);
+    assert.equal(checkPermission(custom, PERMISSIONS.CREATE_SALES), false);
+    assert.equal(checkPermission({ name: "admin" }, PERMISSIONS.DELETE_SALES), true);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Customer from "../models/customer.js";
+import CustomerLedger from "../models/customerLedger.js";
+import Branch from "../models/branches.js";
+import Product from "../models/product.js";
+import Lot from "../models/lot.js";
+import Sale from "../models/sales.js";
+import { postSale } from "../controllers/sales.controller.js";
+import { getCustomerStatement, getReceivablesAging } from "../controllers/customer.controller.js";
+import { mockResponse, mockSession } from "./helpers.js";
+
+const user = { id: new mongoose.Types.ObjectId(), role: "admin" };
+
+// Cliente con cupo de 5.000 del que ya debe 3.000 y tiene 1.000 comprometidos
+function creditCustomer(fields = {}) {
+  return new Customer({
+    name: "Tienda",
+    lastname: "La Esquina",
+    email: "esquina@example.com",
+    phone: "3001234567",
+    status: "active",
+    creditLimit: 5000,
+    paymentTermDays: 30,
+    balance: 3000,
+    creditReserved: 1000,
+    ...fields
+  });
+}
+
+// Sale.find(...).select().populate().sort() y Sale.find(...).select().sort()
+function mockSaleFind(sales) {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: async () => sales
+  };
+  return mock.method(Sale, "find", () => query);
+}
+
+function openSale(customer, dueDate, outstanding) {
+  return { _id: new mongoose.Types.ObjectId(), id: `Sa${outstanding}`, customer, dueDate, total: outstanding + 500, paidTotal: 500 };
+}
+
+describe("customer credit", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("offers the limit minus the balance and the reserved credit", () => {
+    assert.equal(creditCustomer().availableCredit, 1000);
+    assert.equal(creditCustomer().hasCredit(), true);
+    assert.equal(creditCustomer({ isDefault: true }).hasCredit(), false);
+  });
+
+  it("rejects a credit sale that would exceed the limit before touching the stock", async () => {
+    const customer = creditCustomer();
+    const branch = new Branch({ id: "Br01", name: "Centro", status: "active" });
+    const product = new Product({ name: "Helado", price: 2000, status: "active" });
+    mockSession();
+    mock.method(Customer, "findById", async () => customer);
+    mock.method(Branch, "findById", async () => branch);
+    mock.method(Product, "findById", () => ({ populate: async () => product }));
+    mock.method(Lot, "getAvailableQuantity", async () => 10);
+    const reserve = mock.method(Customer, "reserveCredit", async () => null);
+    const consume = mock.method(Lot, "consume", async () => []);
+
+    const res = mockResponse();
+    await postSale({
+      user,
+      body: {
+        customer: customer._id.toString(),
+        branch: branch._id.toString(),
+        paymentTerms: "credit",
+        products: [{ product: product._id.toString(), quantity: 1 }]
+      }
+    }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Sale exceeds the customer's credit limit");
+    assert.equal(res.body.availableCredit, 1000);
+    assert.equal(reserve.mock.calls[0].arguments[1], 2380);
+    assert.equal(consume.mock.callCount(), 0);
+  });
+
+  it("reserves credit only when balance, reserved and amount fit in the limit", async () => {
+    const update = mock.method(Customer, "findOneAndUpdate", async () => null);
+
+    await Customer.reserveCredit("customer", 2380);
+
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter.isDefault, { $ne: true });
+    assert.equal(filter.$expr.$lte[0].$add[2], 2380);
+    assert.deepEqual(change, { $inc: { creditReserved: 2380 } });
+  });
+
+  it("stores the customer balance after each ledger entry", async () => {
+    mock.method(Customer, "findByIdAndUpdate", () => ({ select: async () => ({ balance: 7000 }) }));
+    mock.method(CustomerLedger, "create", async ([entry]) => [entry]);
+
+    const entry = await CustomerLedger.post({ customer: new mongoose.Types.ObjectId(), type: "sale", amount: 4000 });
+
+    assert.equal(entry.balance, 7000);
+  });
+
+  it("lists the period movements after the opening balance", async () => {
+    const customer = creditCustomer();
+    mock.method(Customer, "findById", async () => customer);
+    mock.method(CustomerLedger, "aggregate", async () => [{ _id: null, total: 3000 }]);
+    const entries = [
+      { type: "sale", amount: 4000, date: new Date(2026, 2, 5), sale: { id: "Sa07" }, dueDate: new Date(2026, 3, 4) },
+      { type: "payment", amount: -1500, date: new Date(2026, 2, 20), sale: { id: "Sa07" }, payment: { id: "Pa03", method: "nequi" } }
+    ];
+    const query = { populate: () => query, sort: async () => entries };
+    mock.method(CustomerLedger, "find", () => query);
+    mockSaleFind([]);
+
+    const res = mockResponse();
+    await getCustomerStatement({
+      user,
+      params: { id: customer._id.toString() },
+      query: { startDate: "2026-03-01", endDate: "2026-03-31" }
+    }, res);
+
+    assert.equal(res.statusCode, 200);
+    const { openingBalance, movements, closingBalance } = res.body.data;
+    assert.equal(openingBalance, 3000);
+    assert.deepEqual(movements.map(({ charge, credit, balance }) => ({ charge, credit, balance })), [
+      { charge: 4000, credit: 0, balance: 7000 },
+      { charge: 0, credit: 1500, balance: 5500 }
+    ]);
+    assert.deepEqual(movements[1].payment, { id: "Pa03", method: "nequi" });
+    assert.equal(closingBalance, 5500);
+  });
+
+  it("groups the outstanding credit sales by days overdue", async () => {
+    const store = { _id: new mongoose.Types.ObjectId(), name: "Tienda", creditLimit: 5000 };
+    const bakery = { _id: new mongoose.Types.ObjectId(), name: "Panadería", creditLimit: 9000 };
+    mockSaleFind([
+      openSale(store, new Date(2026, 2, 1), 800),
+      openSale(bakery, new Date(2026, 4, 20), 2000),
+      openSale(store, new Date(2026, 5, 15), 1200),
+      openSale(store, new Date(2026, 6, 5), 1000)
+    ]);
+
+    const res = mockResponse();
+    await getReceivablesAging({ user, query: { asOf: "2026-06-30" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    const { customers, totals } = res.body.data;
+    assert.deepEqual(totals, { current: 1000, days1to30: 1200, days31to60: 2000, days61to90: 0, over90: 800, total: 5000 });
+    assert.deepEqual(customers.map(row => [row.customer.name, row.oldestDaysOverdue, row.total]), [
+      ["Tienda", 121, 3000],
+      ["Panadería", 41, 2000]
+    ]);
+    assert.deepEqual(customers[0].sales.map(sale => sale.bucket), ["over90", "days1to30", "current"]);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Sale from "../models/sales.js";
+import Product from "../models/product.js";
+import Lot from "../models/lot.js";
+import DailyRollup from "../models/dailyRollup.js";
+import { getSalesChart, getTopProducts, getLowStockAlerts } from "../controllers/dashboard.controller.js";
+import { LOW_STOCK_THRESHOLD } from "../utils/domainEvents.js";
+import { mockResponse } from "./helpers.js";
+
+const user = { id: new mongoose.Types.ObjectId(), role: "admin" };
+
+function daysFromToday(days) {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+}
+
+function dailyRow(date, salesTotal, salesCount, returnsTotal = 0) {
+  return { _id: date, salesTotal, salesTax: 0, salesCount, returnsTotal };
+}
+
+describe("dashboard charts and alerts", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("adds the daily rollups into weekly points and fills empty weeks", async () => {
+    const summarize = mock.method(DailyRollup, "summarize", async () => [
+      dailyRow(new Date(2026, 2, 2), 100, 1),
+      dailyRow(new Date(2026, 2, 7), 300, 2, 50),
+      dailyRow(new Date(2026, 2, 16), 200, 1)
+    ]);
+    const branch = new mongoose.Types.ObjectId().toString();
+
+    const res = mockResponse();
+    await getSalesChart({ user, query: { granularity: "weekly", startDate: "2026-03-01", endDate: "2026-03-21", branch } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.labels, ["2026-03-01", "2026-03-08", "2026-03-15"]);
+    assert.deepEqual(res.body.series.map(point => [point.gross, point.net, point.avgTicket]), [[400, 350, 133], [0, 0, 0], [200, 200, 200]]);
+    assert.deepEqual(res.body.totals, { gross: 600, returns: 50, net: 550, transactions: 4, avgTicket: 150 });
+    assert.deepEqual(summarize.mock.calls[0].arguments[2].keys.map(String), [branch]);
+  });
+
+  it("rejects unknown granularities and ranges with too many points", async () => {
+    const unknown = mockResponse();
+    await getSalesChart({ user, query: { granularity: "hourly" } }, unknown);
+    assert.equal(unknown.statusCode, 400);
+
+    const tooLong = mockResponse();
+    await getSalesChart({ user, query: { granularity: "daily", startDate: "2024-01-01", endDate: "2026-01-01" } }, tooLong);
+    assert.equal(tooLong.statusCode, 400);
+    assert.match(tooLong.body.message, /Maximum 366 points/);
+  });
+
+  it("requires the dashboard permission", async () => {
+    const res = mockResponse();
+    await getTopProducts({ user: { role: { name: "cajero", isDefault: false, permissions: [] } }, query: {} }, res);
+
+    assert.equal(res.statusCode, 403);
+  });
+
+  it("ranks products by margin and leaves those without cost at the end", async () => {
+    const costed = new Product({ name: "Helado", price: 2000, status: "active" });
+    const uncosted = new Product({ name: "Paleta", price: 1000, status: "active" });
+    mock.method(Sale, "aggregate", async () => [
+      { _id: uncosted._id, units: 50, returnedUnits: 0, revenue: 50000, netRevenue: 42017, cost: 0, uncostedUnits: 50, sales: 20 },
+      { _id: costed._id, units: 10, returnedUnits: 2, revenue: 23800, netRevenue: 20000, cost: 12000, uncostedUnits: 0, sales: 5 }
+    ]);
+    const query = { select: () => query, populate: async () => [costed, uncosted] };
+    mock.method(Product, "find", () => query);
+
+    const res = mockResponse();
+    await getTopProducts({ user, query: { sortBy: "margin" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.products.map(item => [item.product.name, item.margin, item.marginPercentage]), [
+      ["Helado", 8000, 40],
+      ["Paleta", null, null]
+    ]);
+    assert.equal(res.body.products[0].unitCost, 1200);
+  });
+
+  it("combines stock and expiration alerts with the shared low stock threshold", async () => {
+    const product = (name, stock, expirationDate) => new Product({ name, price: 1000, stock, status: "active", expirationDate });
+    const empty = product("Agotado", 0);
+    const half = product("Casi agotado", Math.floor(LOW_STOCK_THRESHOLD / 2));
+    const low = product("Bajo", LOW_STOCK_THRESHOLD);
+    const expired = product("Sin lotes", LOW_STOCK_THRESHOLD + 40, daysFromToday(-3));
+    mock.method(Product, "find", () => ({ select: async () => [empty, half, low, expired] }));
+
+    const lot = { _id: new mongoose.Types.ObjectId(), id: "Lo07", product: half._id, branch: null, quantity: 2, get: () => daysFromToday(1) };
+    mock.method(Lot, "find", () => ({ populate: () => ({ sort: async () => [lot] }) }));
+    mock.method(Lot, "distinct", async () => [half._id]);
+
+    const res = mockResponse();
+    await getLowStockAlerts({ user, query: {} }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.threshold, LOW_STOCK_THRESHOLD);
+    const { outOfStock, lowStock, expired: expiredAlerts, expiringSoon } = res.body.alerts;
+    assert.deepEqual(outOfStock.map(alert => alert.product.name), ["Agotado"]);
+    assert.deepEqual(lowStock.map(alert => [alert.product.name, alert.severity]), [["Casi agotado", "high"], ["Bajo", "medium"]]);
+    assert.deepEqual(expiredAlerts.map(alert => [alert.product.name, alert.lot, alert.daysExpired]), [["Sin lotes", null, 3]]);
+    assert.deepEqual(expiringSoon.map(alert => [alert.lot.id, alert.daysToExpire, alert.severity]), [["Lo07", 1, "high"]]);
+    assert.equal(res.body.summary.total, 5);
+  });
+});
@@ -0,0 +1,41 @@
+import { mock } from "node:test";
+import mongoose from "mongoose";
+
+// Utilidades compartidas por las pruebas que llaman a los controladores sin base de datos
+
+// Respuesta de Express mínima para llamar a los controladores
+export function mockResponse() {
+  return {
+    statusCode: null,
+    body: null,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Sesión falsa para runInTransaction: ejecuta el trabajo una vez y registra si se cerró.
+// Se restaura con mock.restoreAll()
+export function mockSession() {
+  const session = {
+    ended: false,
+    async withTransaction(work) {
+      await work();
+    },
+    async endSession() {
+      session.ended = true;
+    }
+  };
+  mock.method(mongoose, "startSession", async () => session);
+  return session;
+}
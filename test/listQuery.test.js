@@ -0,0 +1,173 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { parseListQuery, findPaginated, listResponse, DEFAULT_LIMIT } from "../utils/listQuery.js";
+
+const options = {
+  filters: {
+    status: { type: "enum", values: ["active", "inactive"] },
+    branch: { type: "objectId" }
+  },
+  dateField: "salesDate",
+  sortable: ["salesDate", "total"],
+  defaultSort: "-salesDate"
+};
+
+// Modelo falso: registra la consulta y devuelve los documentos hasta el límite pedido
+function fakeModel(documents) {
+  const calls = {};
+  const query = {
+    sort(value) {
+      calls.sort = value;
+      return query;
+    },
+    skip(value) {
+      calls.skip = value;
+      return query;
+    },
+    limit(value) {
+      calls.limit = value;
+      return query;
+    },
+    select() {
+      return query;
+    },
+    populate() {
+      return query;
+    },
+    then(resolve, reject) {
+      return Promise.resolve(documents.slice(0, calls.limit ?? documents.length)).then(resolve, reject);
+    }
+  };
+
+  return {
+    calls,
+    find(filter) {
+      calls.filter = filter;
+      return query;
+    },
+    countDocuments: async () => documents.length
+  };
+}
+
+function doc(salesDate) {
+  const _id = new mongoose.Types.ObjectId();
+  return { _id, get: (field) => (field === "_id" ? _id : salesDate) };
+}
+
+describe("parseListQuery", () => {
+  it("does not paginate without page, limit or cursor", () => {
+    const listQuery = parseListQuery({ status: "active" }, options);
+
+    assert.equal(listQuery.paginated, false);
+    assert.equal(listQuery.limit, null);
+    assert.deepEqual(listQuery.filter, { status: "active" });
+    assert.equal(listQuery.sortField, "salesDate");
+    assert.equal(listQuery.sortDirection, -1);
+  });
+
+  it("paginates with the default limit when only page is given", () => {
+    const listQuery = parseListQuery({ page: "2" }, options);
+
+    assert.equal(listQuery.paginated, true);
+    assert.equal(listQuery.page, 2);
+    assert.equal(listQuery.limit, DEFAULT_LIMIT);
+  });
+
+  it("reports invalid parameters", () => {
+    const { errors } = parseListQuery({ limit: "500", sort: "customer", status: "deleted", branch: "x", cursor: "bad" }, options);
+
+    assert.equal(errors.length, 5);
+    assert.match(errors.join("\n"), /limit must be an integer between 1 and 100/);
+    assert.match(errors.join("\n"), /sort must be one of: salesDate, total/);
+  });
+
+  it("filters an inclusive local date range", () => {
+    const { filter } = parseListQuery({ startDate: "2026-03-01", endDate: "2026-03-31" }, options);
+
+    assert.deepEqual(filter.salesDate, {
+      $gte: new Date(2026, 2, 1),
+      $lte: new Date(2026, 2, 31, 23, 59, 59, 999)
+    });
+  });
+});
+
+describe("findPaginated", () => {
+  it("returns every document without meta when not paginated", async () => {
+    const Model = fakeModel([doc(new Date()), doc(new Date()), doc(new Date())]);
+
+    const { items, meta } = await findPaginated(Model, parseListQuery({}, options));
+
+    assert.equal(items.length, 3);
+    assert.equal(meta, null);
+    assert.equal(Model.calls.limit, undefined);
+    assert.equal(Model.calls.skip, undefined);
+  });
+
+  it("returns one page with its meta and a cursor to the next page", async () => {
+    const Model = fakeModel([doc(new Date(2026, 0, 3)), doc(new Date(2026, 0, 2)), doc(new Date(2026, 0, 1))]);
+
+    const { items, meta } = await findPaginated(Model, parseListQuery({ limit: "2" }, options));
+
+    assert.equal(items.length, 2);
+    assert.equal(Model.calls.limit, 3);
+    assert.equal(Model.calls.skip, 0);
+    assert.deepEqual(Model.calls.sort, { salesDate: -1, _id: -1 });
+    assert.equal(meta.total, 3);
+    assert.equal(meta.pages, 2);
+    assert.equal(meta.hasMore, true);
+    assert.ok(meta.nextCursor);
+  });
+
+  it("includes null sort values after the cursor in descending order", async () => {
+    const first = fakeModel([doc(new Date(2026, 0, 2)), doc(new Date(2026, 0, 1))]);
+    const { meta } = await findPaginated(first, parseListQuery({ limit: "1" }, options));
+
+    const Model = fakeModel([]);
+    await findPaginated(Model, parseListQuery({ limit: "1", cursor: meta.nextCursor }, options));
+
+    const [, afterCursor] = Model.calls.filter.$and;
+    assert.deepEqual(afterCursor.$or[0], { salesDate: { $lt: new Date(2026, 0, 2) } });
+    assert.deepEqual(afterCursor.$or[2], { salesDate: null });
+  });
+
+  it("continues after a cursor that points at a null sort value", async () => {
+    const last = doc(null);
+    const first = fakeModel([last, doc(new Date())]);
+    const ascending = { ...options, defaultSort: "salesDate" };
+    const { meta } = await findPaginated(first, parseListQuery({ limit: "1" }, ascending));
+
+    // Ascendente: primero los demás null con _id mayor, luego todos los valores no nulos
+    const Model = fakeModel([]);
+    await findPaginated(Model, parseListQuery({ limit: "1", cursor: meta.nextCursor }, ascending));
+    const [, afterCursor] = Model.calls.filter.$and;
+    assert.deepEqual(afterCursor, {
+      $or: [
+        { salesDate: null, _id: { $gt: last._id } },
+        { salesDate: { $ne: null } }
+      ]
+    });
+
+    // Descendente: los null van al final, solo quedan los null con _id menor
+    const descending = fakeModel([]);
+    await findPaginated(descending, parseListQuery({ limit: "1", cursor: meta.nextCursor }, options));
+    assert.deepEqual(descending.calls.filter.$and[1], { salesDate: null, _id: { $lt: last._id } });
+  });
+});
+
+describe("listResponse", () => {
+  const meta = { total: 1 };
+
+  it("keeps the endpoint's previous body when the list is not paginated", () => {
+    assert.deepEqual(listResponse({ items: [1], meta: null }, items => items), [1]);
+    assert.deepEqual(listResponse({ items: [1], meta: null }, users => ({ users })), { users: [1] });
+  });
+
+  it("answers { data, meta } for every paginated list", () => {
+    assert.deepEqual(listResponse({ items: [1], meta }, users => ({ users })), { data: [1], meta });
+    assert.deepEqual(
+      listResponse({ items: [1], meta }, products => ({ products }), { alert: true }),
+      { data: [1], meta, alert: true }
+    );
+  });
+});
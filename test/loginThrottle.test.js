@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import User from "../models/user.js";
+import { loginUser } from "../controllers/auth.controller.js";
+import {
+  MemoryThrottleStore,
+  setThrottleStore,
+  getProgressiveDelay,
+  checkLoginAllowed,
+  registerLoginFailure,
+  registerLoginSuccess,
+  unlockAccount
+} from "../utils/loginThrottle.js";
+import { mockResponse } from "./helpers.js";
+
+const ENV_KEYS = ["LOGIN_MAX_ATTEMPTS", "LOGIN_IP_MAX_ATTEMPTS", "LOGIN_DELAY_BASE_MS"];
+const email = "Ana@Example.com";
+
+describe("login throttle", () => {
+  beforeEach(() => {
+    setThrottleStore(new MemoryThrottleStore());
+    process.env.LOGIN_MAX_ATTEMPTS = "3";
+    process.env.LOGIN_IP_MAX_ATTEMPTS = "5";
+    process.env.LOGIN_DELAY_BASE_MS = "0";
+  });
+
+  afterEach(() => {
+    for (const key of ENV_KEYS) delete process.env[key];
+    setThrottleStore(null);
+    mock.restoreAll();
+  });
+
+  it("doubles the delay with every failure up to the maximum", () => {
+    const config = { delayBaseMs: 500, delayMaxMs: 5000 };
+
+    assert.deepEqual([0, 1, 2, 3, 4, 5].map(attempts => getProgressiveDelay(attempts, config)), [0, 500, 1000, 2000, 4000, 5000]);
+  });
+
+  it("locks the account after the maximum failures regardless of the email case", async () => {
+    await registerLoginFailure({ email, ip: "10.0.0.1" });
+    await registerLoginFailure({ email: "ana@example.com ", ip: "10.0.0.2" });
+    const failure = await registerLoginFailure({ email, ip: "10.0.0.3" });
+
+    assert.equal(failure.account.attempts, 3);
+    assert.equal(failure.account.locked, true);
+    const check = await checkLoginAllowed({ email: "ana@example.com", ip: "10.0.0.4" });
+    assert.equal(check.allowed, false);
+    assert.equal(check.scope, "account");
+    assert.ok(check.retryAfter > 0);
+
+    await unlockAccount(email);
+    assert.deepEqual(await checkLoginAllowed({ email, ip: "10.0.0.4" }), { allowed: true });
+  });
+
+  it("locks the address after failures across accounts", async () => {
+    for (let i = 0; i < 5; i++) {
+      await registerLoginFailure({ email: `user${i}@example.com`, ip: "10.0.0.1" });
+    }
+
+    const check = await checkLoginAllowed({ email: "other@example.com", ip: "10.0.0.1" });
+    assert.equal(check.allowed, false);
+    assert.equal(check.scope, "ip");
+  });
+
+  it("resets the account counter, but not the address, after a successful login", async () => {
+    await registerLoginFailure({ email, ip: "10.0.0.1" });
+    await registerLoginFailure({ email, ip: "10.0.0.1" });
+    await registerLoginSuccess({ email });
+
+    const failure = await registerLoginFailure({ email, ip: "10.0.0.1" });
+    assert.equal(failure.account.attempts, 1);
+    assert.equal(failure.ip.attempts, 3);
+  });
+
+  it("answers 429 with Retry-After once the account is locked, whether or not it exists", async () => {
+    mock.method(User, "findOne", () => ({ populate: async () => null }));
+    const req = { body: { email, password: "wrong" }, ip: "10.0.0.1" };
+
+    for (let i = 0; i < 3; i++) {
+      const res = mockResponse();
+      await loginUser(req, res);
+      assert.equal(res.statusCode, 401);
+    }
+
+    const res = mockResponse();
+    await loginUser(req, res);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers["Retry-After"], String(res.body.retryAfter));
+    assert.equal(User.findOne.mock.callCount(), 3);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Lot from "../models/lot.js";
+
+const product = new mongoose.Types.ObjectId();
+const branch = new mongoose.Types.ObjectId();
+const purchase = new mongoose.Types.ObjectId();
+
+function daysFromToday(days) {
+  const date = new Date();
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + days);
+  return date;
+}
+
+function lot(id, quantity, expiresInDays, sourceId = new mongoose.Types.ObjectId()) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    id,
+    product,
+    branch,
+    quantity,
+    batchDate: daysFromToday(-30),
+    expirationDate: daysFromToday(expiresInDays),
+    createdAt: new Date(),
+    sourceId
+  };
+}
+
+// Lotes en memoria para Lot.find / findOneAndUpdate / updateOne
+function mockLots(lots) {
+  mock.method(Lot, "ensureLegacyLot", async () => null);
+  mock.method(Lot, "find", (filter) => ({
+    sort: () => ({
+      session: async () => lots
+        .filter(entry => entry.quantity > filter.quantity.$gt)
+        .filter(entry => !filter.expirationDate || entry.expirationDate >= filter.expirationDate.$gte)
+        .sort((a, b) => a.expirationDate - b.expirationDate || a.createdAt - b.createdAt)
+    })
+  }));
+  mock.method(Lot, "findOneAndUpdate", async ({ _id, quantity }, update) => {
+    const entry = lots.find(candidate => candidate._id.equals(_id));
+    if (!entry || entry.quantity < quantity.$gte) return null;
+    entry.quantity += update.$inc.quantity;
+    return entry;
+  });
+  mock.method(Lot, "updateOne", async ({ _id }, update) => {
+    lots.find(candidate => candidate._id.equals(_id)).quantity += update.$inc.quantity;
+  });
+}
+
+describe("Lot.consume", () => {
+  let lots;
+
+  beforeEach(() => {
+    lots = [
+      lot("Lo01", 5, 60, purchase),
+      lot("Lo02", 3, 10),
+      lot("Lo03", 4, -2)
+    ];
+    mockLots(lots);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("takes from the lot that expires first and skips expired lots", async () => {
+    const allocations = await Lot.consume(product, branch, 5);
+
+    assert.deepEqual(allocations.map(({ id, quantity }) => ({ id, quantity })), [
+      { id: "Lo02", quantity: 3 },
+      { id: "Lo01", quantity: 2 }
+    ]);
+    assert.deepEqual(lots.map(entry => entry.quantity), [3, 0, 4]);
+  });
+
+  it("consumes expired lots and the preferred source first when asked", async () => {
+    const allocations = await Lot.consume(product, branch, 6, { includeExpired: true, preferSource: purchase });
+
+    assert.deepEqual(allocations.map(({ id, quantity }) => ({ id, quantity })), [
+      { id: "Lo01", quantity: 5 },
+      { id: "Lo03", quantity: 1 }
+    ]);
+  });
+
+  it("gives back what it took when the lots are not enough", async () => {
+    await assert.rejects(Lot.consume(product, branch, 9), /Insufficient stock in branch/);
+
+    assert.deepEqual(lots.map(entry => entry.quantity), [5, 3, 4]);
+  });
+
+  it("skips a lot consumed by another request between the read and the update", async () => {
+    const update = Lot.findOneAndUpdate;
+    mock.method(Lot, "findOneAndUpdate", async (filter, change, options) => {
+      if (filter._id.equals(lots[1]._id)) return null;
+      return update(filter, change, options);
+    });
+
+    const allocations = await Lot.consume(product, branch, 4);
+
+    assert.deepEqual(allocations.map(({ id, quantity }) => ({ id, quantity })), [{ id: "Lo01", quantity: 4 }]);
+  });
+});
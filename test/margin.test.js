@@ -0,0 +1,121 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Product from "../models/product.js";
+import Category from "../models/category.js";
+import Branch from "../models/branches.js";
+import DailyRollup from "../models/dailyRollup.js";
+import { getMarginReport, getBranchPerformance } from "../controllers/dashboard.controller.js";
+import { mockResponse } from "./helpers.js";
+
+const user = { id: new mongoose.Types.ObjectId(), role: "admin" };
+
+// Evalúa las expresiones de agregación que usa receiveAtCost sobre un documento
+function evaluate(expression, doc) {
+  if (typeof expression === "string" && expression.startsWith("$")) return doc[expression.slice(1)];
+  if (expression === null || typeof expression !== "object") return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const values = args.map(arg => evaluate(arg, doc));
+  switch (operator) {
+    case "$cond": return values[0] ? values[1] : values[2];
+    case "$or": return values.some(Boolean);
+    case "$eq": return values[0] === values[1];
+    case "$lte": return values[0] <= values[1];
+    case "$ifNull": return values[0] ?? values[1];
+    case "$max": return Math.max(...values);
+    case "$add": return values.reduce((sum, value) => sum + value, 0);
+    case "$multiply": return values.reduce((product, value) => product * value, 1);
+    case "$divide": return values[0] / values[1];
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+}
+
+async function averageAfterReceipt(product, quantity, unitCost) {
+  const updateOne = mock.method(Product, "updateOne", async () => null);
+  await Product.receiveAtCost(product._id, quantity, unitCost);
+  const [, [stage]] = updateOne.mock.calls.at(-1).arguments;
+  return evaluate(stage.$set.averageCost, product);
+}
+
+// Métricas de DailyRollup: 10 unidades vendidas con IVA del 19 % y 1 devuelta
+const rollupRow = (_id, fields = {}) => ({
+  _id,
+  salesTotal: 11900,
+  salesTax: 1900,
+  salesCount: 4,
+  salesUnits: 10,
+  salesCost: 6000,
+  uncostedUnits: 0,
+  returnsTotal: 1190,
+  returnsTax: 190,
+  returnsCount: 1,
+  returnedUnits: 1,
+  returnsCost: 600,
+  purchasesTotal: 50000,
+  purchasesCount: 2,
+  ...fields
+});
+
+describe("cost and margin", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("keeps a weighted moving average cost as goods are received", async () => {
+    const product = { _id: new mongoose.Types.ObjectId(), stock: 10, averageCost: 1000 };
+
+    assert.equal(await averageAfterReceipt(product, 30, 1400), 1300);
+    assert.equal(await averageAfterReceipt({ ...product, averageCost: null }, 30, 1400), 1400);
+    // Con stock negativo (ventas sin existencias registradas) se toma el costo del ingreso
+    assert.equal(await averageAfterReceipt({ ...product, stock: -2 }, 30, 1400), 1400);
+  });
+
+  it("reports the margin over net revenue without IVA, net of returns", async () => {
+    const dairy = new mongoose.Types.ObjectId();
+    const summarize = mock.method(DailyRollup, "summarize", async () => [
+      rollupRow(dairy),
+      rollupRow(null, { salesTotal: 0, salesTax: 0, salesCount: 0, salesUnits: 0, salesCost: 0, returnsCount: 0, returnsTotal: 0, returnsTax: 0, returnedUnits: 0, returnsCost: 0 })
+    ]);
+    mock.method(Category, "find", () => ({ select: async () => [{ _id: dairy, name: "Lácteos" }] }));
+
+    const res = mockResponse();
+    await getMarginReport({ user, query: { groupBy: "category", startDate: "2026-03-01", endDate: "2026-03-31" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(summarize.mock.calls[0].arguments[2].dimension, "category");
+    assert.deepEqual(res.body.rows, [{
+      category: { _id: dairy, name: "Lácteos" },
+      netRevenue: 9000,
+      cost: 5400,
+      margin: 3600,
+      marginPercentage: 40,
+      units: 9,
+      uncostedUnits: 0
+    }]);
+    assert.equal(res.body.totals.marginPercentage, 40);
+  });
+
+  it("only filters the margin report by branch when grouping by branch or period", async () => {
+    const res = mockResponse();
+    await getMarginReport({ user, query: { groupBy: "product", branch: new mongoose.Types.ObjectId().toString() } }, res);
+
+    assert.equal(res.statusCode, 400);
+  });
+
+  it("reports branch profit as gross margin instead of sales minus purchases", async () => {
+    const branch = { _id: new mongoose.Types.ObjectId(), name: "Centro" };
+    mock.method(DailyRollup, "summarize", async () => [rollupRow(branch._id, { returnsTotal: 0, returnsTax: 0, returnsCount: 0, returnedUnits: 0, returnsCost: 0 })]);
+    mock.method(Branch, "find", () => ({ select: async () => [branch] }));
+
+    const res = mockResponse();
+    await getBranchPerformance({ user, query: {} }, res);
+
+    assert.equal(res.statusCode, 200);
+    const [row] = res.body.branchPerformance;
+    assert.equal(row.branchName, "Centro");
+    assert.equal(row.purchases.total, 50000);
+    assert.equal(row.cost.total, 6000);
+    assert.equal(row.profit, 4000);
+    assert.equal(row.efficiency, 40);
+    assert.equal(res.body.totals.averageEfficiency, 40);
+  });
+});
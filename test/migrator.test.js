@@ -0,0 +1,84 @@
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import Migration from "../models/migration.js";
+import { loadMigrations, getPendingMigrations, migrateUp, migrateDown } from "../utils/migrator.js";
+
+// Registro de migraciones aplicadas en memoria para Migration.find().select/sort/limit/lean
+function mockApplied(names) {
+  const query = {
+    entries: names.map(name => ({ name, runAt: new Date() })),
+    select: () => query,
+    sort: () => {
+      query.entries = [...query.entries].sort((a, b) => b.name.localeCompare(a.name));
+      return query;
+    },
+    limit: (steps) => {
+      query.entries = query.entries.slice(0, steps);
+      return query;
+    },
+    lean: async () => query.entries
+  };
+  mock.method(Migration, "find", () => query);
+}
+
+describe("migrator", () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "migrations-"));
+  });
+
+  after(() => fs.rm(directory, { recursive: true, force: true }));
+
+  afterEach(() => mock.restoreAll());
+
+  it("loads the repository migrations in numeric order", async () => {
+    const migrations = await loadMigrations();
+    const names = migrations.map(migration => migration.name);
+
+    assert.equal(names[0], "001-seed-permissions");
+    assert.deepEqual(names, [...names].sort());
+    assert.ok(migrations.every(migration => typeof migration.up === "function" && typeof migration.down === "function"));
+  });
+
+  it("ignores files without a numbered name and rejects scripts without down()", async () => {
+    await fs.writeFile(path.join(directory, "helpers.js"), "export const up = 1;\n");
+    await fs.writeFile(path.join(directory, "002-second.js"), "export const up = async () => {};\nexport const down = async () => {};\n");
+    await fs.writeFile(path.join(directory, "001-first.js"), "export const description = \"Primera\";\nexport const up = async () => {};\nexport const down = async () => {};\n");
+
+    const migrations = await loadMigrations(directory);
+    assert.deepEqual(migrations.map(({ name, description }) => ({ name, description })), [
+      { name: "001-first", description: "Primera" },
+      { name: "002-second", description: "" }
+    ]);
+
+    await fs.writeFile(path.join(directory, "003-broken.js"), "export const up = async () => {};\n");
+    await assert.rejects(loadMigrations(directory), /Migration 003-broken.js must export up\(\) and down\(\) functions/);
+  });
+
+  it("lists the migrations that have not been applied", async () => {
+    const names = (await loadMigrations()).map(migration => migration.name);
+    mockApplied(names.slice(0, -2));
+
+    assert.deepEqual(await getPendingMigrations(), names.slice(-2));
+  });
+
+  it("does nothing when every migration is applied", async () => {
+    mockApplied((await loadMigrations()).map(migration => migration.name));
+    const create = mock.method(Migration, "create", async () => null);
+
+    assert.deepEqual(await migrateUp(), []);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("refuses to revert a migration whose script is missing", async () => {
+    mockApplied(["999-removed"]);
+    const remove = mock.method(Migration, "deleteOne", async () => null);
+
+    await assert.rejects(migrateDown(1), /Migration script for 999-removed not found/);
+    assert.equal(remove.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../models/user.js";
+import Session from "../models/session.js";
+import { forgotPassword, resetPassword } from "../controllers/auth.controller.js";
+import { setMailTransport } from "../utils/mailer.js";
+import { mockResponse } from "./helpers.js";
+
+// Transporte que guarda los mensajes en lugar de enviarlos
+function stubTransport() {
+  const transport = {
+    messages: [],
+    delivered: null,
+    sendMail: async (message) => {
+      transport.messages.push(message);
+      transport.resolve();
+      return { messageId: `stub-${transport.messages.length}` };
+    }
+  };
+  transport.delivered = new Promise(resolve => {
+    transport.resolve = resolve;
+  });
+  return transport;
+}
+
+function hash(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Usuario en memoria: User.findOneAndUpdate consume el token como lo haría MongoDB
+function mockUser(name) {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    email: "ana@example.com",
+    status: "active",
+    save: async () => user
+  };
+
+  mock.method(User, "findOne", async (filter) => (filter.email === user.email ? user : null));
+  mock.method(User, "findOneAndUpdate", async (filter, update) => {
+    const matches = user.resetPasswordToken === filter.resetPasswordToken
+      && user.resetPasswordExpires > filter.resetPasswordExpires.$gt
+      && user.status === filter.status;
+    if (!matches) return null;
+
+    Object.assign(user, update.$set);
+    for (const field of Object.keys(update.$unset)) delete user[field];
+    return user;
+  });
+
+  return user;
+}
+
+describe("password reset by email", () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = stubTransport();
+    setMailTransport(transport);
+  });
+
+  afterEach(() => {
+    setMailTransport(null);
+    mock.restoreAll();
+  });
+
+  it("mails one single-use reset link that changes the password and revokes sessions", async () => {
+    const user = mockUser("Ana");
+    const revoke = mock.method(Session, "revokeAllForUser", async () => ({ modifiedCount: 2 }));
+
+    const res = mockResponse();
+    await forgotPassword({ body: { email: "Ana@Example.com " } }, res);
+    assert.equal(res.statusCode, 200);
+
+    await transport.delivered;
+    assert.equal(transport.messages.length, 1);
+    const [message] = transport.messages;
+    assert.equal(message.to, "ana@example.com");
+
+    // Solo el hash del token queda guardado
+    const token = new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+    assert.equal(user.resetPasswordToken, hash(token));
+    assert.ok(user.resetPasswordExpires > new Date());
+
+    const reset = mockResponse();
+    await resetPassword({ body: { token, newPassword: "nueva123" } }, reset);
+    assert.equal(reset.statusCode, 200);
+    assert.equal(user.resetPasswordToken, undefined);
+    assert.notEqual(user.password, "nueva123");
+    assert.equal(revoke.mock.callCount(), 1);
+    assert.deepEqual(revoke.mock.calls[0].arguments, [user._id, "password_change"]);
+
+    const reused = mockResponse();
+    await resetPassword({ body: { token, newPassword: "otra1234" } }, reused);
+    assert.equal(reused.statusCode, 400);
+    assert.equal(revoke.mock.callCount(), 1);
+  });
+
+  it("escapes the user name in the email HTML", async () => {
+    mockUser("<img src=x onerror=alert(1)>");
+
+    await forgotPassword({ body: { email: "ana@example.com" } }, mockResponse());
+    await transport.delivered;
+
+    const [message] = transport.messages;
+    assert.ok(!message.html.includes("<img"));
+    assert.ok(message.html.includes("&lt;img src=x onerror=alert(1)&gt;"));
+  });
+
+  it("sends nothing when the email is not registered", async () => {
+    mockUser("Ana");
+
+    const res = mockResponse();
+    await forgotPassword({ body: { email: "otro@example.com" } }, res);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(transport.messages.length, 0);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Permission from "../models/permission.js";
+import Counter from "../models/counter.js";
+import {
+  PERMISSIONS,
+  PERMISSION_CODES,
+  assertRegisteredPermission,
+  getPermissionDefinition
+} from "../utils/permissionRegistry.js";
+import { syncPermissionRegistry } from "../utils/permissions.js";
+import { authorizePermission } from "../middlewares/auth.middleware.js";
+
+describe("permission registry", () => {
+  afterEach(() => {
+    delete process.env.PERMISSION_REGISTRY_STRICT;
+    mock.restoreAll();
+  });
+
+  it("maps constants to their codes", () => {
+    assert.equal(PERMISSIONS.VIEW_SALES, "view_sales");
+    assert.equal(PERMISSIONS.REACTIVATE_PURCHASES, "reactivate_purchases");
+    assert.deepEqual(getPermissionDefinition("view_sales"), { code: "view_sales", name: "Ver ventas", group: "Ventas" });
+  });
+
+  it("throws when reading an undeclared constant", () => {
+    assert.throws(() => PERMISSIONS.VIEW_SALE, /Unknown permission key PERMISSIONS\.VIEW_SALE\b/);
+    assert.equal(JSON.parse(JSON.stringify(PERMISSIONS)).VIEW_SALES, "view_sales");
+    assert.equal(Object.keys(PERMISSIONS).length, PERMISSION_CODES.length);
+  });
+
+  it("declares every code once", () => {
+    assert.equal(new Set(PERMISSION_CODES).size, PERMISSION_CODES.length);
+    assert.deepEqual([...new Set(Object.values(PERMISSIONS))], [...PERMISSION_CODES]);
+  });
+
+  it("rejects unknown codes in routes unless strict mode is off", () => {
+    assert.throws(() => authorizePermission("reatcivate_purchases"), /Unknown permission code "reatcivate_purchases"/);
+
+    process.env.PERMISSION_REGISTRY_STRICT = "false";
+    const warn = mock.method(console, "warn", () => {});
+    assert.equal(assertRegisteredPermission("reatcivate_purchases"), "reatcivate_purchases");
+    assert.equal(warn.mock.callCount(), 1);
+  });
+
+  it("creates missing codes and flags orphans when syncing with the database", async () => {
+    const [first, second] = PERMISSION_CODES;
+    mock.method(Permission, "find", () => ({
+      select: async () => [{ code: first }, { code: "reatcivate_purchases" }]
+    }));
+    const create = mock.method(Permission, "create", async (data) => data);
+    const updateMany = mock.method(Permission, "updateMany", async () => ({ modifiedCount: 0 }));
+    mock.method(Counter, "exists", async () => true);
+    let seq = 0;
+    mock.method(Counter, "findOneAndUpdate", async () => ({ seq: ++seq }));
+    mock.method(console, "log", () => {});
+    mock.method(console, "warn", () => {});
+
+    const { created, orphans } = await syncPermissionRegistry();
+
+    assert.equal(created.length, PERMISSION_CODES.length - 1);
+    assert.equal(created[0], second);
+    assert.deepEqual(orphans, ["reatcivate_purchases"]);
+    assert.equal(create.mock.calls[0].arguments[0].id, "Pe01");
+    assert.deepEqual(updateMany.mock.calls[0].arguments, [{ code: { $in: ["reatcivate_purchases"] } }, { orphaned: true }]);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { calculateSaleBreakdown, resolveTaxRate, validateDiscount, DEFAULT_IVA_RATE } from "../utils/pricing.js";
+
+const lines = () => [
+  { quantity: 2, sale_price: 10000, taxRate: 19, discountRule: { type: "percentage", value: 10 } },
+  { quantity: 1, sale_price: 5000, taxRate: 5 }
+];
+
+describe("sale pricing", () => {
+  afterEach(() => {
+    delete process.env.PRICES_INCLUDE_TAX;
+  });
+
+  it("applies line and order discounts before adding IVA per rate", () => {
+    const { lines: calculated, breakdown } = calculateSaleBreakdown(lines(), { type: "fixed", value: 1000 });
+
+    // El descuento de la venta se reparte según el neto de cada línea: 783 y 217
+    assert.deepEqual(calculated.map(({ discount, taxableBase, tax, total }) => ({ discount, taxableBase, tax, total })), [
+      { discount: 2783, taxableBase: 17217, tax: 3271, total: 20488 },
+      { discount: 217, taxableBase: 4783, tax: 239, total: 5022 }
+    ]);
+    assert.deepEqual(breakdown, {
+      subtotal: 25000,
+      lineDiscount: 2000,
+      orderDiscount: 1000,
+      discount: 3000,
+      taxableBase: 22000,
+      tax: 3510,
+      total: 25510,
+      pricesIncludeTax: false,
+      taxes: [
+        { rate: 5, base: 4783, tax: 239 },
+        { rate: 19, base: 17217, tax: 3271 }
+      ]
+    });
+  });
+
+  it("extracts the taxable base when prices include IVA", () => {
+    process.env.PRICES_INCLUDE_TAX = "true";
+
+    const { breakdown } = calculateSaleBreakdown([{ quantity: 3, sale_price: 11900, taxRate: 19 }]);
+
+    assert.equal(breakdown.taxableBase, 30000);
+    assert.equal(breakdown.tax, 5700);
+    assert.equal(breakdown.total, 35700);
+    assert.equal(breakdown.pricesIncludeTax, true);
+  });
+
+  it("splits the order discount so that the lines add up to it exactly", () => {
+    const equal = [1, 2, 3].map(() => ({ quantity: 1, sale_price: 100, taxRate: 0 }));
+
+    const { lines: calculated, breakdown } = calculateSaleBreakdown(equal, { type: "fixed", value: 10 });
+
+    assert.deepEqual(calculated.map(line => line.orderDiscount), [3, 4, 3]);
+    assert.equal(breakdown.total, 290);
+  });
+
+  it("never discounts more than the amount", () => {
+    const { breakdown } = calculateSaleBreakdown([{ quantity: 1, sale_price: 1000, taxRate: 19 }], { type: "fixed", value: 5000 });
+
+    assert.equal(breakdown.discount, 1000);
+    assert.equal(breakdown.total, 0);
+  });
+
+  it("gives the same result when recalculated from the stored lines", () => {
+    const order = { type: "percentage", value: 5 };
+    const first = calculateSaleBreakdown(lines(), order);
+    const stored = lines().map((line, index) => ({ ...line, ...first.lines[index] }));
+
+    assert.deepEqual(calculateSaleBreakdown(stored, order, { includeTax: first.breakdown.pricesIncludeTax }), first);
+  });
+
+  it("takes the product rate, then the category rate, then the general rate", () => {
+    assert.equal(resolveTaxRate({ taxRate: 0 }, { taxRate: 5 }), 0);
+    assert.equal(resolveTaxRate({ taxRate: null }, { taxRate: 5 }), 5);
+    assert.equal(resolveTaxRate({}, null), DEFAULT_IVA_RATE);
+  });
+
+  it("validates discount rules", () => {
+    assert.equal(validateDiscount(undefined), null);
+    assert.equal(validateDiscount({ type: "percentage", value: 12.5 }), null);
+    assert.match(validateDiscount({ type: "percentage", value: 120 }, "order discount"), /Invalid order discount. Percentage must be greater than 0 and at most 100/);
+    assert.match(validateDiscount({ type: "fixed", value: 10.5 }), /Fixed amount must be a positive integer/);
+    assert.match(validateDiscount({ type: "coupon", value: 1 }), /Type must be one of: percentage, fixed/);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import PurchaseOrder from "../models/purchaseOrder.js";
+import Branch from "../models/branches.js";
+import Provider from "../models/provider.js";
+import Product from "../models/product.js";
+import { receivePurchaseOrder, getDeliveryReport } from "../controllers/purchaseOrder.controller.js";
+import { mockResponse, mockSession } from "./helpers.js";
+
+const user = { id: new mongoose.Types.ObjectId(), role: "admin" };
+
+// Orden enviada de dos productos: 10 y 5 unidades
+function sentOrder(fields = {}) {
+  return new PurchaseOrder({
+    id: "Po01",
+    provider: new mongoose.Types.ObjectId(),
+    branch: new mongoose.Types.ObjectId(),
+    products: [
+      { product: new mongoose.Types.ObjectId(), quantity: 10, purchase_price: 1000, total: 10000 },
+      { product: new mongoose.Types.ObjectId(), quantity: 5, purchase_price: 2000, total: 10000 }
+    ],
+    total: 20000,
+    order_date: new Date(2026, 0, 10),
+    status: "sent",
+    ...fields
+  });
+}
+
+function receiveRequest(order, items) {
+  return { user, params: { id: order._id.toString() }, body: { items, received_at: "2026-01-15" } };
+}
+
+describe("purchase orders", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("derives the receiving status from the received quantities", () => {
+    const order = sentOrder();
+    assert.equal(order.getReceivingStatus(), "sent");
+
+    order.products[0].received_quantity = 4;
+    assert.equal(order.getReceivingStatus(), "partially_received");
+
+    // Una línea recibida de más no compensa la que falta
+    order.products[0].received_quantity = 15;
+    assert.equal(order.getReceivingStatus(), "partially_received");
+
+    order.products[1].received_quantity = 5;
+    assert.equal(order.getReceivingStatus(), "received");
+  });
+
+  it("takes a reversed receipt out of the received quantities", async () => {
+    const order = sentOrder({ status: "received" });
+    const purchase = new mongoose.Types.ObjectId();
+    order.products.forEach(line => {
+      line.received_quantity = line.quantity;
+    });
+    order.receipts.push({
+      purchase,
+      lines: [{ order_line: order.products[1]._id, product: order.products[1].product, quantity: 5 }],
+      received_at: new Date(2026, 0, 15)
+    });
+    mock.method(PurchaseOrder, "findById", () => ({ session: async () => order }));
+    const save = mock.method(order, "save", async () => order);
+
+    await PurchaseOrder.setReceiptReversed(order._id, purchase, true);
+    assert.equal(order.products[1].received_quantity, 0);
+    assert.equal(order.receipts[0].reversed, true);
+    assert.equal(order.status, "partially_received");
+
+    // Repetir la reversión no vuelve a descontar
+    await PurchaseOrder.setReceiptReversed(order._id, purchase, true);
+    assert.equal(order.products[1].received_quantity, 0);
+    assert.equal(save.mock.callCount(), 1);
+
+    order.status = "closed";
+    await PurchaseOrder.setReceiptReversed(order._id, purchase, false);
+    assert.equal(order.products[1].received_quantity, 5);
+    assert.equal(order.status, "closed");
+  });
+
+  it("rejects receipts for draft orders and items outside the order", async () => {
+    const draft = sentOrder({ status: "draft" });
+    mock.method(PurchaseOrder, "findById", async () => draft);
+
+    const res = mockResponse();
+    await receivePurchaseOrder(receiveRequest(draft, [{ line: draft.products[0]._id.toString(), quantity: 1 }]), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.message, "Cannot receive a purchase order in draft status");
+
+    draft.status = "sent";
+    mock.method(Branch, "findById", async () => ({ status: "active" }));
+    mock.method(Provider, "findById", async () => ({ payment_term_days: 30 }));
+
+    const outside = mockResponse();
+    await receivePurchaseOrder(receiveRequest(draft, [{ product: new mongoose.Types.ObjectId().toString(), quantity: 1 }]), outside);
+    assert.equal(outside.statusCode, 400);
+    assert.equal(outside.body.message, "Item at index 0 does not belong to this purchase order");
+  });
+
+  it("answers 409 when the order changed status before the receipt was saved", async () => {
+    const order = sentOrder();
+    const closed = sentOrder({ _id: order._id, status: "closed" });
+    mockSession();
+    mock.method(PurchaseOrder, "findById", () => (PurchaseOrder.findById.mock.callCount() === 0
+      ? Promise.resolve(order)
+      : { session: async () => closed }));
+    mock.method(Branch, "findById", async () => ({ _id: order.branch, id: "Br01", status: "active" }));
+    mock.method(Provider, "findById", async () => ({ payment_term_days: 30 }));
+    mock.method(Product, "findById", async () => new Product({ name: "Helado", price: 2000, status: "active" }));
+
+    const res = mockResponse();
+    await receivePurchaseOrder(receiveRequest(order, [{ line: order.products[0]._id.toString(), quantity: 4 }]), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, "Purchase order was modified by another request, please try again");
+    assert.equal(closed.receipts.length, 0);
+  });
+
+  it("reports over deliveries, and shortages only on closed orders", async () => {
+    const provider = { _id: new mongoose.Types.ObjectId(), company: "Lácteos del Valle" };
+    const open = sentOrder({ status: "partially_received", expected_date: new Date(2026, 0, 14) });
+    open.products[0].received_quantity = 12;
+    open.receipts.push({ purchase: new mongoose.Types.ObjectId(), lines: [], received_at: new Date(2026, 0, 15) });
+    const closed = sentOrder({ status: "closed" });
+    closed.products[0].received_quantity = 10;
+    closed.products[1].received_quantity = 3;
+    const orders = [open, closed].map(order => Object.assign(order.toObject(), { provider, receipts: order.receipts }));
+    const query = { populate: () => query, sort: async () => orders };
+    mock.method(PurchaseOrder, "find", () => query);
+
+    const res = mockResponse();
+    await getDeliveryReport({ user, query: {} }, res);
+
+    assert.equal(res.statusCode, 200);
+    const [row] = res.body.providers;
+    assert.deepEqual(
+      { ordered: row.ordered, received: row.received, over: row.over, short: row.short, pending: row.pending },
+      { ordered: 30, received: 25, over: 2, short: 2, pending: 5 }
+    );
+    assert.equal(row.fillRate, 76.67);
+    assert.equal(row.onTimeRate, 0);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Purchase from "../models/purchase.js";
+import Provider from "../models/provider.js";
+import { deactivatePurchase, reactivatePurchase } from "../controllers/purchase.controller.js";
+import { mockResponse, mockSession } from "./helpers.js";
+
+const user = { id: new mongoose.Types.ObjectId(), role: "admin" };
+
+function request(purchaseId) {
+  return { user, params: { id: purchaseId.toString() }, body: { reason: "Revisión del proveedor" } };
+}
+
+describe("purchase status changes", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("answers 409 when a supplier payment is registered during the deactivation", async () => {
+    const purchaseId = new mongoose.Types.ObjectId();
+    mockSession();
+    mock.method(Purchase, "findById", async () => ({ _id: purchaseId, status: "active", paid_total: 0, products: [] }));
+    const update = mock.method(Purchase, "findOneAndUpdate", async () => null);
+
+    const res = mockResponse();
+    await deactivatePurchase(request(purchaseId), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.message, /supplier payment was registered meanwhile/);
+    assert.deepEqual(update.mock.calls[0].arguments[0], { _id: purchaseId.toString(), status: "active", paid_total: { $in: [0, null] } });
+  });
+
+  it("answers 409 when another request reactivates the purchase first", async () => {
+    const purchaseId = new mongoose.Types.ObjectId();
+    mockSession();
+    mock.method(Purchase, "findById", async () => ({ _id: purchaseId, status: "inactive", provider: new mongoose.Types.ObjectId(), products: [] }));
+    mock.method(Provider, "findById", async () => ({ status: "active" }));
+    const update = mock.method(Purchase, "findOneAndUpdate", async () => null);
+
+    const res = mockResponse();
+    await reactivatePurchase(request(purchaseId), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.message, /reactivated by another request/);
+    assert.deepEqual(update.mock.calls[0].arguments[0], { _id: purchaseId.toString(), status: "inactive" });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import DailyRollup from "../models/dailyRollup.js";
+import Product from "../models/product.js";
+import Sale from "../models/sales.js";
+import Purchase from "../models/purchase.js";
+import CreditNote from "../models/creditNote.js";
+import Customer from "../models/customer.js";
+import { applySaleCompleted, applyPurchase, rebuildRollups } from "../utils/rollups.js";
+import { getDashboardSummary } from "../controllers/dashboard.controller.js";
+import { mockResponse } from "./helpers.js";
+
+const branch = new mongoose.Types.ObjectId();
+const category = new mongoose.Types.ObjectId();
+const cone = new mongoose.Types.ObjectId();
+const cup = new mongoose.Types.ObjectId();
+
+// Product.find(...).select("category").session(...) para las filas por categoría
+function mockCategories() {
+  mock.method(Product, "find", () => ({
+    select: () => ({ session: async () => [{ _id: cone, category }, { _id: cup, category }] })
+  }));
+}
+
+// Operaciones del bulkWrite indexadas por dimensión y clave
+function operationsByRow(bulkWrite) {
+  const [operations] = bulkWrite.mock.calls[0].arguments;
+  return new Map(operations.map(({ updateOne }) => [`${updateOne.filter.dimension}:${updateOne.filter.key}`, updateOne]));
+}
+
+describe("daily rollups", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("adds a completed sale to its branch, product and category rows of the day", async () => {
+    mockCategories();
+    const bulkWrite = mock.method(DailyRollup, "bulkWrite", async () => null);
+
+    await applySaleCompleted({
+      salesDate: new Date(2026, 2, 5, 16, 45),
+      branch,
+      total: 5950,
+      breakdown: { tax: 950 },
+      products: [
+        { product: cone, quantity: 2, total: 2380, tax: 380, cost: 1200 },
+        { product: cup, quantity: 3, total: 3570, tax: 570 }
+      ]
+    });
+
+    const rows = operationsByRow(bulkWrite);
+    const branchRow = rows.get(`branch:${branch}`);
+    assert.deepEqual(branchRow.filter.date, new Date(2026, 2, 5));
+    assert.deepEqual(branchRow.update.$inc, { salesTotal: 5950, salesCount: 1, salesTax: 950, salesUnits: 5, salesCost: 1200, uncostedUnits: 3 });
+    assert.deepEqual(branchRow.update.$max, { salesMax: 5950 });
+    assert.equal(branchRow.upsert, true);
+    assert.deepEqual(rows.get(`product:${cup}`).update.$inc, { salesTotal: 3570, salesCount: 1, salesTax: 570, salesUnits: 3, salesCost: 0, uncostedUnits: 3 });
+    assert.equal(rows.get(`category:${category}`).update.$inc.salesTotal, 5950);
+    assert.equal(rows.get(`category:${category}`).update.$inc.salesCount, 2);
+  });
+
+  it("takes a deactivated purchase out of the active totals only", async () => {
+    mockCategories();
+    const bulkWrite = mock.method(DailyRollup, "bulkWrite", async () => null);
+
+    await applyPurchase({
+      purchase_date: new Date(2026, 2, 1),
+      branch,
+      total: 10000,
+      products: [{ product: cone, quantity: 10, total: 10000 }]
+    }, { active: -1 });
+
+    const rows = operationsByRow(bulkWrite);
+    assert.deepEqual(rows.get(`branch:${branch}`).update.$inc, { purchasesTotal: -10000, purchasesCount: -1, purchasedUnits: -10 });
+    assert.deepEqual(rows.get(`product:${cone}`).update.$inc, { purchasesTotal: -10000, purchasesCount: -1, purchasedUnits: -10 });
+  });
+
+  it("rebuilds month by month, merging the metrics of each branch and day", async () => {
+    const day = new Date(2026, 0, 20);
+    mock.method(Sale, "aggregate", async ([{ $match }, , next]) => {
+      if (next?.$unwind) return [{ _id: { date: day, key: cone }, salesTotal: 5000, salesCount: 1 }];
+      if ($match.status) return [{ _id: { date: day, key: branch }, salesTotal: 5000, salesCount: 1 }];
+      return [{ _id: { date: day, key: branch }, registeredSalesTotal: 7000, registeredSalesCount: 2 }];
+    });
+    mock.method(CreditNote, "aggregate", async () => []);
+    mock.method(Purchase, "aggregate", async () => []);
+    mockCategories();
+    const deleteMany = mock.method(DailyRollup, "deleteMany", async () => null);
+    const insertMany = mock.method(DailyRollup, "insertMany", async () => null);
+
+    const result = await rebuildRollups({ from: new Date(2026, 0, 15), to: new Date(2026, 2, 1) });
+
+    assert.deepEqual(result, { months: 2, rows: 6 });
+    assert.deepEqual(deleteMany.mock.calls.map(call => call.arguments[0].date), [
+      { $gte: new Date(2026, 0, 15), $lt: new Date(2026, 1, 1) },
+      { $gte: new Date(2026, 1, 1), $lt: new Date(2026, 2, 1) }
+    ]);
+    const [rows] = insertMany.mock.calls[0].arguments;
+    assert.deepEqual(rows.find(row => row.dimension === "branch"), {
+      dimension: "branch",
+      date: day,
+      key: branch,
+      salesTotal: 5000,
+      salesCount: 1,
+      registeredSalesTotal: 7000,
+      registeredSalesCount: 2
+    });
+    assert.deepEqual(rows.find(row => row.dimension === "category"), { dimension: "category", date: day, key: category, salesTotal: 5000, salesCount: 1 });
+  });
+
+  it("answers the dashboard summary from the rollups", async () => {
+    const summarize = mock.method(DailyRollup, "summarize", async () => [{ salesTotal: 120000, salesCount: 8, purchasesTotal: 50000, purchasesCount: 2 }]);
+    const aggregate = mock.method(Sale, "aggregate", async () => []);
+    mock.method(Customer, "countDocuments", async () => 4);
+    mock.method(Product, "countDocuments", async () => 12);
+
+    const res = mockResponse();
+    await getDashboardSummary({ user: { role: "admin" }, query: { period: "month" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body.summary.sales, { total: 120000, count: 8 });
+    assert.deepEqual(res.body.summary.purchases, { total: 50000, count: 2 });
+    assert.equal(summarize.mock.callCount(), 1);
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Sale from "../models/sales.js";
+import Payment from "../models/payment.js";
+import Counter from "../models/counter.js";
+import { postSalePayment, getDailyPaymentsSummary } from "../controllers/payment.controller.js";
+import { updateSaleStatus } from "../controllers/sales.controller.js";
+import { mockResponse, mockSession } from "./helpers.js";
+
+const user = { id: new mongoose.Types.ObjectId(), role: "admin" };
+
+// Venta en processing de 10.000 con 6.000 ya pagados
+function processingSale(fields = {}) {
+  return new Sale({
+    id: "Sa01",
+    customer: new mongoose.Types.ObjectId(),
+    branch: new mongoose.Types.ObjectId(),
+    products: [{ product: new mongoose.Types.ObjectId(), quantity: 1, sale_price: 10000, total: 10000 }],
+    total: 10000,
+    paidTotal: 6000,
+    paymentStatus: "partial",
+    status: "processing",
+    ...fields
+  });
+}
+
+// Sale.findById: la primera lectura del controlador se puebla, la siguiente devuelve la venta actualizada
+function mockSaleReads(sale, updated = sale) {
+  mock.method(Sale, "findById", (id) => (Sale.findById.mock.callCount() === 0
+    ? { populate: async () => sale }
+    : Promise.resolve(updated)));
+}
+
+function paymentRequest(sale, body) {
+  return { user, params: { id: sale._id.toString() }, body };
+}
+
+describe("sale payments", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects a payment larger than the outstanding balance", async () => {
+    const sale = processingSale();
+    mockSaleReads(sale);
+
+    const res = mockResponse();
+    await postSalePayment(paymentRequest(sale, { method: "cash", amount: 5000 }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Balance: 4000, Payment: 5000/);
+  });
+
+  it("requires a reference for non-cash payments", async () => {
+    const sale = processingSale();
+
+    const res = mockResponse();
+    await postSalePayment(paymentRequest(sale, { method: "nequi", amount: 1000 }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body.errors, ["Reference is required for non-cash payments"]);
+  });
+
+  it("records a partial payment that settles the balance", async () => {
+    const sale = processingSale();
+    const paid = processingSale({ _id: sale._id, paidTotal: 10000, paymentStatus: "paid" });
+    mockSession();
+    mockSaleReads(sale, paid);
+    mock.method(Counter, "exists", async () => ({ _id: "payment" }));
+    mock.method(Counter, "findOneAndUpdate", async () => ({ seq: 3 }));
+    const applyPayment = mock.method(Sale, "applyPayment", async () => paid);
+    const create = mock.method(Payment, "create", async ([data]) => [data]);
+
+    const res = mockResponse();
+    await postSalePayment(paymentRequest(sale, { method: "card", amount: 4000, reference: " 00123 " }), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.message, "Payment registered. The sale is fully paid");
+    assert.deepEqual(applyPayment.mock.calls[0].arguments.slice(0, 2), [sale._id, 4000]);
+    assert.equal(create.mock.calls[0].arguments[0][0].id, "Pa03");
+    assert.equal(res.body.payment.reference, "00123");
+    assert.equal(res.body.sale.balance, 0);
+  });
+
+  it("answers 409 when another payment used the balance meanwhile", async () => {
+    const sale = processingSale();
+    mockSession();
+    mockSaleReads(sale);
+    mock.method(Counter, "exists", async () => ({ _id: "payment" }));
+    mock.method(Counter, "findOneAndUpdate", async () => ({ seq: 4 }));
+    mock.method(Sale, "applyPayment", async () => null);
+    const create = mock.method(Payment, "create", async ([data]) => [data]);
+
+    const res = mockResponse();
+    await postSalePayment(paymentRequest(sale, { method: "cash", amount: 4000 }), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, "Payment exceeds the outstanding balance, please check the sale and try again");
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("only applies a payment within the balance of a sale that is not cancelled", async () => {
+    const update = mock.method(Sale, "findOneAndUpdate", async () => null);
+
+    await Sale.applyPayment("sale", 4000);
+    await Sale.applyPayment("sale", -4000);
+
+    const [charge] = update.mock.calls[0].arguments;
+    assert.deepEqual(charge.status, { $ne: "cancelled" });
+    assert.ok(charge.$expr.$lte);
+    const [refund] = update.mock.calls[1].arguments;
+    assert.equal(refund.status, undefined);
+    assert.ok(refund.$expr.$gte);
+  });
+
+  it("does not complete a cash sale with an outstanding balance", async () => {
+    const sale = processingSale();
+    mock.method(Sale, "findById", async () => sale);
+
+    const res = mockResponse();
+    await updateSaleStatus({ user, params: { id: sale._id.toString() }, body: { status: "completed" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.balance, 4000);
+    assert.equal(res.body.paymentStatus, "partial");
+  });
+
+  it("summarizes the payments of each day by method", async () => {
+    mock.method(Payment, "summarizeByDayAndMethod", async () => [
+      { _id: { day: "2026-03-01", method: "cash" }, total: 5000, count: 2 },
+      { _id: { day: "2026-03-01", method: "nequi" }, total: 3000, count: 1 },
+      { _id: { day: "2026-03-02", method: "cash" }, total: 1000, count: 1 }
+    ]);
+
+    const res = mockResponse();
+    await getDailyPaymentsSummary({ user, query: { startDate: "2026-03-01", endDate: "2026-03-02" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.days.length, 2);
+    assert.deepEqual(res.body.days[0].methods.card, { total: 0, count: 0 });
+    assert.equal(res.body.days[0].total, 8000);
+    assert.deepEqual(res.body.totals.methods.cash, { total: 6000, count: 3 });
+    assert.equal(res.body.totals.total, 9000);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Sale from "../models/sales.js";
+import Branch from "../models/branches.js";
+import { postSaleReturn } from "../controllers/sales.controller.js";
+import { mockResponse, mockSession } from "./helpers.js";
+
+const user = { id: new mongoose.Types.ObjectId(), role: "admin" };
+
+// Venta completada de 3 unidades de la que ya se devolvió 1
+function completedSale() {
+  return new Sale({
+    id: "Sa01",
+    customer: new mongoose.Types.ObjectId(),
+    branch: new mongoose.Types.ObjectId(),
+    products: [{
+      product: new mongoose.Types.ObjectId(),
+      quantity: 3,
+      sale_price: 1000,
+      total: 3000,
+      returnedQuantity: 1
+    }],
+    total: 3000,
+    status: "completed",
+    salesDate: new Date(2026, 0, 10)
+  });
+}
+
+function returnRequest(sale, quantity) {
+  return {
+    user,
+    params: { id: sale._id.toString() },
+    body: {
+      reason: "Producto derretido",
+      returnDate: "2026-01-12",
+      items: [{ line: sale.products[0]._id.toString(), quantity }]
+    }
+  };
+}
+
+describe("sale returns", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("rejects returning more than the units not yet returned", async () => {
+    const sale = completedSale();
+    mock.method(Sale, "findById", async () => sale);
+
+    const res = mockResponse();
+    await postSaleReturn(returnRequest(sale, 3), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Returnable quantity: 2/);
+  });
+
+  it("answers 409 when another return changed the line meanwhile", async () => {
+    const sale = completedSale();
+    mockSession();
+    mock.method(Sale, "findById", async () => sale);
+    mock.method(Branch, "findById", () => ({ select: async () => ({ id: "Br01" }) }));
+    const update = mock.method(Sale, "updateOne", async () => ({ matchedCount: 0 }));
+
+    const res = mockResponse();
+    await postSaleReturn(returnRequest(sale, 2), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, "Sale was modified by another return, please try again");
+    // La actualización solo aplica si la línea sigue con la cantidad devuelta leída
+    const [filter] = update.mock.calls[0].arguments;
+    assert.equal(filter.products.$elemMatch.returnedQuantity, 1);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Counter from "../models/counter.js";
+import Sale from "../models/sales.js";
+import { getSequenceConfig, nextDocumentId } from "../utils/sequence.js";
+
+const ENV_KEYS = ["SEQUENCE_SALE_PREFIX", "SEQUENCE_SALE_PADDING", "SEQUENCE_SALE_PER_BRANCH", "SEQUENCE_SALE_PER_YEAR"];
+
+// Contador en memoria con la semántica de findOneAndUpdate + upsert ($max y $inc)
+function mockCounters(initial = {}) {
+  const counters = new Map(Object.entries(initial));
+
+  mock.method(Counter, "exists", async ({ _id }) => (counters.has(_id) ? { _id } : null));
+  const update = mock.method(Counter, "findOneAndUpdate", async ({ _id }, change) => {
+    const seq = counters.get(_id) ?? 0;
+    if (change.$max) counters.set(_id, Math.max(seq, change.$max.seq));
+    if (change.$inc) counters.set(_id, seq + change.$inc.seq);
+    return { _id, seq: counters.get(_id) };
+  });
+
+  return { counters, update };
+}
+
+describe("document sequences", () => {
+  afterEach(() => {
+    for (const key of ENV_KEYS) delete process.env[key];
+    mock.restoreAll();
+  });
+
+  it("keeps the historical format by default", () => {
+    assert.deepEqual(getSequenceConfig("sale"), {
+      model: "Sale",
+      prefix: "Sa",
+      padding: 2,
+      separator: "",
+      perBranch: false,
+      perYear: false
+    });
+    assert.throws(() => getSequenceConfig("invoice"), /Unknown sequence type: invoice/);
+  });
+
+  it("numbers per branch and year when configured", async () => {
+    process.env.SEQUENCE_SALE_PREFIX = "SA";
+    process.env.SEQUENCE_SALE_PADDING = "6";
+    process.env.SEQUENCE_SALE_PER_BRANCH = "true";
+    process.env.SEQUENCE_SALE_PER_YEAR = "true";
+    const { counters } = mockCounters({ "sale:BR01:2026": 122 });
+
+    const id = await nextDocumentId("sale", { branchCode: "BR01", date: new Date(2026, 4, 1) });
+
+    assert.equal(id, "SA-BR01-2026-000123");
+    assert.equal(counters.get("sale:BR01:2026"), 123);
+    await assert.rejects(nextDocumentId("sale"), /requires a branch code/);
+  });
+
+  it("continues after the highest existing id on first use", async () => {
+    const { counters } = mockCounters();
+    mock.method(Sale, "aggregate", async () => [{ _id: null, max: 41 }]);
+
+    assert.equal(await nextDocumentId("sale"), "Sa42");
+    assert.equal(await nextDocumentId("sale"), "Sa43");
+    assert.equal(counters.get("sale"), 43);
+  });
+
+  it("retries an upsert that lost the race to create the counter", async () => {
+    mockCounters({ sale: 7 });
+    const upsert = Counter.findOneAndUpdate;
+    let attempts = 0;
+    mock.method(Counter, "findOneAndUpdate", async (...args) => {
+      attempts++;
+      if (attempts === 1) {
+        throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+      }
+      return upsert(...args);
+    });
+
+    assert.equal(await nextDocumentId("sale"), "Sa08");
+    assert.equal(attempts, 2);
+  });
+});
@@ -0,0 +1,141 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/session.js";
+import User from "../models/user.js";
+import Role from "../models/role.js";
+import { registerUser, refreshSession, logoutUser } from "../controllers/auth.controller.js";
+import { authenticateUser } from "../middlewares/auth.middleware.js";
+import { mockResponse } from "./helpers.js";
+
+const userId = new mongoose.Types.ObjectId();
+const roleId = new mongoose.Types.ObjectId();
+
+// Sesiones en memoria con los filtros que usan start, rotate y revoke
+function mockSessions() {
+  const sessions = [];
+  const matches = (session, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (condition === null) return session[field] == null;
+    if (condition?.$gt) return session[field] > condition.$gt;
+    return String(session[field]) === String(condition);
+  });
+
+  mock.method(Session, "create", async (data) => {
+    const session = { _id: new mongoose.Types.ObjectId(), revokedAt: null, ...data };
+    sessions.push(session);
+    return session;
+  });
+  mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+    const session = sessions.find(candidate => matches(candidate, filter));
+    return session ? Object.assign(session, update) : null;
+  });
+  mock.method(Session, "updateOne", async (filter, update) => {
+    const session = sessions.find(candidate => matches(candidate, filter));
+    if (session) Object.assign(session, update);
+  });
+  mock.method(Session, "updateMany", async (filter, update) => {
+    const found = sessions.filter(candidate => matches(candidate, filter));
+    found.forEach(session => Object.assign(session, update));
+    return { modifiedCount: found.length };
+  });
+
+  return sessions;
+}
+
+describe("sessions", () => {
+  let sessions;
+
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+  });
+
+  beforeEach(() => {
+    sessions = mockSessions();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("opens a session when a user registers", async () => {
+    const role = new Role({ _id: roleId, id: "Ro03", name: "employee", status: "active" });
+    mock.method(User, "findOne", async () => null);
+    mock.method(Role, "findById", async () => role);
+    mock.method(User.prototype, "save", async function() {
+      return this;
+    });
+    mock.method(User.prototype, "populate", async function() {
+      this.role = role;
+      return this;
+    });
+
+    const res = mockResponse();
+    await registerUser({
+      body: { name: "Ana", lastname: "Gómez", contact_number: "3001234567", email: "ana@example.com", password: "clave123", role: String(roleId) },
+      get: () => "test",
+      ip: "127.0.0.1"
+    }, res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(sessions.length, 1);
+    assert.equal(String(sessions[0].user), String(jwt.decode(res.body.token).id));
+    assert.equal(jwt.decode(res.body.token).sid, String(sessions[0]._id));
+    assert.ok(res.body.refreshToken);
+  });
+
+  it("rotates the refresh token and closes the session when an old token is reused", async () => {
+    const { session, refreshToken } = await Session.start(userId, { userAgent: "test" });
+
+    const rotated = await Session.rotate(refreshToken);
+    assert.equal(rotated.session, session);
+    assert.notEqual(rotated.refreshToken, refreshToken);
+
+    assert.equal(await Session.rotate(refreshToken), null);
+    assert.equal(session.revokedReason, "token_reuse");
+    assert.equal(await Session.rotate(rotated.refreshToken), null);
+  });
+
+  it("issues an access token bound to the session on refresh", async () => {
+    const { session, refreshToken } = await Session.start(userId);
+    mock.method(User, "findById", () => ({
+      populate: async () => ({ _id: userId, status: "active", role: { _id: roleId, status: "active" } })
+    }));
+
+    const res = mockResponse();
+    await refreshSession({ body: { refreshToken } }, res);
+
+    assert.equal(res.statusCode, 200);
+    const decoded = jwt.verify(res.body.token, process.env.JWT_SECRET);
+    assert.equal(decoded.sid, String(session._id));
+    assert.equal(decoded.role, String(roleId));
+    assert.notEqual(res.body.refreshToken, refreshToken);
+
+    const reused = mockResponse();
+    await refreshSession({ body: { refreshToken } }, reused);
+    assert.equal(reused.statusCode, 401);
+  });
+
+  it("revokes only the current session on logout", async () => {
+    const { session: current } = await Session.start(userId);
+    const { session: other } = await Session.start(userId);
+
+    const res = mockResponse();
+    await logoutUser({ user: { id: userId, sessionId: current._id } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(current.revokedReason, "logout");
+    assert.equal(other.revokedAt, null);
+    assert.equal(sessions.length, 2);
+  });
+
+  it("rejects access tokens issued without a session", async () => {
+    const aggregate = mock.method(User, "aggregate", async () => []);
+    const token = jwt.sign({ id: userId, role: roleId }, process.env.JWT_SECRET);
+
+    const res = mockResponse();
+    await authenticateUser({ header: () => `Bearer ${token}`, query: {} }, res, () => {});
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.message, "Session expired. Please log in again.");
+    assert.equal(aggregate.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Purchase from "../models/purchase.js";
+import SupplierPayment from "../models/supplierPayment.js";
+import Counter from "../models/counter.js";
+import { postPurchasePayment, voidPurchasePayment } from "../controllers/supplierPayment.controller.js";
+import { deactivatePurchase } from "../controllers/purchase.controller.js";
+import { getPayablesAging } from "../controllers/provider.controller.js";
+import { computeDueDate } from "../utils/purchaseReceipt.js";
+import { mockResponse, mockSession } from "./helpers.js";
+
+const user = { id: new mongoose.Types.ObjectId(), role: "admin" };
+
+// Compra activa de 10.000 con 6.000 ya pagados, sin sucursal
+function activePurchase(fields = {}) {
+  return new Purchase({
+    id: "Pu01",
+    provider: new mongoose.Types.ObjectId(),
+    products: [{ product: new mongoose.Types.ObjectId(), quantity: 10, purchase_price: 1000, total: 10000 }],
+    purchase_date: new Date(2026, 2, 1),
+    due_date: new Date(2026, 2, 31),
+    total: 10000,
+    paid_total: 6000,
+    payment_status: "partial",
+    status: "active",
+    ...fields
+  });
+}
+
+function mockPaymentIds() {
+  mock.method(Counter, "exists", async () => ({ _id: "supplierPayment" }));
+  mock.method(Counter, "findOneAndUpdate", async () => ({ seq: 5 }));
+}
+
+describe("supplier payments", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("sets the due date after the provider payment term", () => {
+    const purchaseDate = new Date(2026, 0, 20, 15, 30);
+
+    assert.deepEqual(computeDueDate(purchaseDate, { payment_term_days: 30 }), new Date(2026, 1, 19));
+    assert.deepEqual(computeDueDate(purchaseDate, null), new Date(2026, 0, 20));
+  });
+
+  it("registers a payment against the purchase balance", async () => {
+    const purchase = activePurchase();
+    const paid = activePurchase({ _id: purchase._id, paid_total: 10000, payment_status: "paid" });
+    mockSession();
+    mockPaymentIds();
+    mock.method(Purchase, "findById", async () => (Purchase.findById.mock.callCount() === 0 ? purchase : paid));
+    const applyPayment = mock.method(Purchase, "applyPayment", async () => paid);
+    mock.method(SupplierPayment, "create", async ([data]) => [data]);
+
+    const res = mockResponse();
+    await postPurchasePayment({ user, params: { id: purchase._id.toString() }, body: { method: "transfer", amount: 4000, reference: "TR-88" } }, res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.message, "Payment registered. The purchase is fully paid");
+    assert.equal(res.body.payment.id, "Pp05");
+    assert.deepEqual(applyPayment.mock.calls[0].arguments.slice(0, 2), [purchase._id, 4000]);
+    assert.equal(res.body.purchase.balance, 0);
+  });
+
+  it("rejects payments above the balance or for inactive purchases", async () => {
+    const purchase = activePurchase();
+    mock.method(Purchase, "findById", async () => purchase);
+
+    const over = mockResponse();
+    await postPurchasePayment({ user, params: { id: purchase._id.toString() }, body: { method: "cash", amount: 4001 } }, over);
+    assert.equal(over.statusCode, 400);
+    assert.match(over.body.message, /Balance: 4000, Payment: 4001/);
+
+    purchase.status = "inactive";
+    const inactive = mockResponse();
+    await postPurchasePayment({ user, params: { id: purchase._id.toString() }, body: { method: "cash", amount: 1000 } }, inactive);
+    assert.equal(inactive.statusCode, 400);
+    assert.equal(inactive.body.message, "Cannot register payments for an inactive purchase");
+  });
+
+  it("answers 409 when the purchase changed before the payment was applied", async () => {
+    const purchase = activePurchase();
+    mockSession();
+    mockPaymentIds();
+    mock.method(Purchase, "findById", async () => purchase);
+    mock.method(Purchase, "applyPayment", async () => null);
+    const create = mock.method(SupplierPayment, "create", async ([data]) => [data]);
+
+    const res = mockResponse();
+    await postPurchasePayment({ user, params: { id: purchase._id.toString() }, body: { method: "cash", amount: 4000 } }, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.match(res.body.message, /outstanding balance or the purchase was deactivated/);
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  it("answers 409 when the payment was voided by another request", async () => {
+    const purchase = activePurchase();
+    const payment = { _id: new mongoose.Types.ObjectId(), amount: 6000, status: "active" };
+    mockSession();
+    mock.method(Purchase, "findById", async () => purchase);
+    mock.method(SupplierPayment, "findOne", async () => payment);
+    mock.method(SupplierPayment, "findOneAndUpdate", async () => null);
+    const applyPayment = mock.method(Purchase, "applyPayment", async () => purchase);
+
+    const res = mockResponse();
+    await voidPurchasePayment({
+      user,
+      params: { id: purchase._id.toString(), paymentId: payment._id.toString() },
+      body: { reason: "Transferencia duplicada" }
+    }, res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(res.body.message, "Payment is already voided");
+    assert.equal(applyPayment.mock.callCount(), 0);
+  });
+
+  it("does not deactivate a purchase with registered payments", async () => {
+    const purchase = activePurchase();
+    mock.method(Purchase, "findById", async () => purchase);
+
+    const res = mockResponse();
+    await deactivatePurchase({ user, params: { id: purchase._id.toString() }, body: { reason: "Error de digitación" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Void its supplier payments first/);
+    assert.equal(res.body.paid_total, 6000);
+  });
+
+  it("ages purchases without a due date from their purchase date", async () => {
+    const provider = { _id: new mongoose.Types.ObjectId(), company: "Lácteos del Valle" };
+    const purchases = [
+      { _id: new mongoose.Types.ObjectId(), id: "Pu01", provider, purchase_date: new Date(2026, 2, 1), due_date: new Date(2026, 5, 10), balance: 4000 },
+      { _id: new mongoose.Types.ObjectId(), id: "Pu02", provider, purchase_date: new Date(2026, 1, 1), due_date: null, balance: 10000 }
+    ];
+    const query = { select: () => query, populate: () => query, sort: async () => purchases };
+    mock.method(Purchase, "find", () => query);
+
+    const res = mockResponse();
+    await getPayablesAging({ user, query: { asOf: "2026-06-30" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    const { providers, totals } = res.body.data;
+    assert.deepEqual(totals, { current: 0, days1to30: 4000, days31to60: 0, days61to90: 0, over90: 10000, total: 14000 });
+    assert.equal(providers[0].oldestDaysOverdue, 149);
+    assert.deepEqual(providers[0].purchases.map(purchase => purchase.due_date), ["2026-06-10", null]);
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, before, after, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import { MongoMemoryReplSet } from "mongodb-memory-server";
+import Product from "../models/product.js";
+import Category from "../models/category.js";
+import Branch from "../models/branches.js";
+import Customer from "../models/customer.js";
+import Provider from "../models/provider.js";
+import BranchStock from "../models/branchStock.js";
+import Lot from "../models/lot.js";
+import StockMovement from "../models/stockMovement.js";
+import Sale from "../models/sales.js";
+import Purchase from "../models/purchase.js";
+import { postSale } from "../controllers/sales.controller.js";
+import { postPurchase } from "../controllers/purchase.controller.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { mockResponse, mockSession } from "./helpers.js";
+
+// Las transacciones requieren un replica set: el indicado en MONGO_TEST_URI (base de datos
+// desechable) o uno en memoria. Si no se puede levantar ninguno se omiten esas pruebas
+let replSet;
+let replSetError;
+
+async function startReplicaSet() {
+  if (process.env.MONGO_TEST_URI) return process.env.MONGO_TEST_URI;
+
+  try {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: "wiredTiger" } });
+    return replSet.getUri();
+  } catch (error) {
+    replSetError = error.message;
+    return null;
+  }
+}
+
+const uri = await startReplicaSet();
+
+const user = { id: new mongoose.Types.ObjectId(), role: "admin" };
+
+// Reemplaza un static del modelo para que falle justo después de ejecutarse
+function failAfter(Model, method, message) {
+  const original = Model[method];
+  Model[method] = async function(...args) {
+    await original.apply(this, args);
+    throw new Error(message);
+  };
+  return () => {
+    Model[method] = original;
+  };
+}
+
+describe("runInTransaction", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("passes the session to the work and returns its result", async () => {
+    const session = mockSession();
+
+    const result = await runInTransaction(async received => {
+      assert.equal(received, session);
+      return "done";
+    });
+
+    assert.equal(result, "done");
+    assert.equal(session.ended, true);
+  });
+
+  it("ends the session when the work fails", async () => {
+    const session = mockSession();
+
+    await assert.rejects(runInTransaction(async () => {
+      throw new Error("Simulated failure");
+    }), /Simulated failure/);
+
+    assert.equal(session.ended, true);
+  });
+});
+
+describe("stock transactions", { skip: !uri && `MongoDB replica set unavailable: ${replSetError}` }, () => {
+  let restore = null;
+  let product;
+  let branch;
+  let customer;
+  let provider;
+
+  // Estado de inventario y documentos que una operación revertida no debe cambiar
+  async function snapshot() {
+    const [branchStock, productDoc, lots, movements, sales, purchases] = await Promise.all([
+      BranchStock.findOne({ product: product._id, branch: branch._id }).lean(),
+      Product.findById(product._id).lean(),
+      Lot.find({ product: product._id }).sort({ _id: 1 }).select("quantity").lean(),
+      StockMovement.countDocuments({ product: product._id }),
+      Sale.countDocuments(),
+      Purchase.countDocuments()
+    ]);
+
+    return {
+      branchQuantity: branchStock?.quantity ?? 0,
+      product: productDoc,
+      lots: lots.map(lot => ({ _id: lot._id.toString(), quantity: lot.quantity })),
+      movements,
+      sales,
+      purchases
+    };
+  }
+
+  function createPurchase(quantity, purchasePrice) {
+    const res = mockResponse();
+    return postPurchase({
+      user,
+      body: {
+        provider: provider._id.toString(),
+        branch: branch._id.toString(),
+        products: [{ product: product._id.toString(), quantity, purchase_price: purchasePrice }]
+      }
+    }, res).then(() => res);
+  }
+
+  function createSale(quantity) {
+    const res = mockResponse();
+    return postSale({
+      user,
+      body: {
+        customer: customer._id.toString(),
+        branch: branch._id.toString(),
+        products: [{ product: product._id.toString(), quantity }]
+      }
+    }, res).then(() => res);
+  }
+
+  before(async () => {
+    await mongoose.connect(uri);
+    await mongoose.connection.dropDatabase();
+
+    // Colecciones e índices creados antes de las transacciones
+    await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+
+    const category = await Category.create({ id: "Ca01", name: "Helados" });
+    branch = await Branch.create({ id: "Br01", name: "Centro", location: "Centro", address: "Calle 1", phone: "3000000000" });
+    customer = await Customer.create({ name: "Ana", lastname: "Gómez", phone: "3001234567", email: "ana@example.com" });
+    provider = await Provider.create({
+      id: "Pr01",
+      nit: "900123456",
+      company: "Lácteos del Valle",
+      name: "Carlos Ruiz",
+      contact_phone: "3007654321",
+      email: "ventas@lacteos.example.com"
+    });
+    product = await Product.create({
+      id: "Pr01",
+      name: "Paleta",
+      category: category._id,
+      price: 2000,
+      batchDate: new Date(),
+      expirationDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+      stock: 0
+    });
+
+    const res = await createPurchase(10, 800);
+    assert.equal(res.statusCode, 201);
+  });
+
+  afterEach(() => {
+    if (restore) restore();
+    restore = null;
+  });
+
+  after(async () => {
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+  });
+
+  it("rolls back a sale that fails after the branch stock decrement", async () => {
+    const initial = await snapshot();
+    assert.equal(initial.branchQuantity, 10);
+
+    restore = failAfter(BranchStock, "decrement", "Simulated failure after stock decrement");
+
+    const res = await createSale(3);
+
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(await snapshot(), initial);
+  });
+
+  it("rolls back a purchase that fails after the stock increment", async () => {
+    const initial = await snapshot();
+
+    restore = failAfter(BranchStock, "increment", "Simulated failure after stock increment");
+
+    const res = await createPurchase(5, 1200);
+
+    assert.equal(res.statusCode, 500);
+    assert.deepEqual(await snapshot(), initial);
+  });
+
+  it("applies the sale when nothing fails", async () => {
+    const initial = await snapshot();
+
+    const res = await createSale(3);
+
+    assert.equal(res.statusCode, 201);
+    const current = await snapshot();
+    assert.equal(current.branchQuantity, initial.branchQuantity - 3);
+    assert.equal(current.product.stock, initial.product.stock - 3);
+    assert.equal(current.sales, initial.sales + 1);
+    assert.equal(current.movements, initial.movements + 1);
+  });
+});
@@ -0,0 +1,154 @@
+import { EventEmitter } from "node:events";
+import { DashboardActivity } from "../models/dashboard.js";
+import { DOMAIN_EVENTS, onDomainEvent } from "./domainEvents.js";
+
+// Feed de actividades del dashboard: cada evento de dominio queda registrado con el
+// usuario que lo originó. Los controladores no insertan actividades directamente.
+
+// Avisos de actividades ya guardadas (los usa el stream en tiempo real del dashboard)
+const recorded = new EventEmitter();
+
+export const onActivityRecorded = (listener) => {
+  recorded.on("activity", listener);
+};
+
+// Guarda la actividad y avisa a quienes escuchan el feed
+const record = async (create) => {
+  const activity = await create();
+  recorded.emit("activity", activity);
+  return activity;
+};
+
+const customerName = (customer) =>
+  customer?.name ? `${customer.name} ${customer.lastname || ""}`.trim() : undefined;
+
+const saleData = (sale) => ({
+  saleId: sale._id,
+  code: sale.id,
+  customerName: customerName(sale.customer),
+  branchName: sale.branch?.name,
+  amount: sale.total,
+  products: sale.products?.length || 0,
+  status: sale.status
+});
+
+const purchaseData = (purchase) => ({
+  purchaseId: purchase._id,
+  code: purchase.id,
+  providerName: purchase.provider?.company || purchase.provider?.name,
+  branchName: purchase.branch?.name,
+  amount: purchase.total,
+  products: purchase.products?.length || 0,
+  status: purchase.status
+});
+
+const customerData = (customer) => ({
+  customerId: customer._id,
+  name: customer.name,
+  lastname: customer.lastname,
+  email: customer.email,
+  phone: customer.phone,
+  status: customer.status
+});
+
+const productData = (product, previousStock) => ({
+  productId: product._id,
+  name: product.name,
+  stock: product.stock,
+  price: product.price,
+  status: product.status,
+  previousStock
+});
+
+const transferData = (transfer) => ({
+  transferId: transfer._id,
+  code: transfer.id,
+  originName: transfer.originBranch?.name,
+  destinationName: transfer.destinationBranch?.name,
+  products: transfer.products?.length || 0,
+  status: transfer.status
+});
+
+let registered = false;
+
+// Registra los suscriptores una sola vez (se llama al iniciar el servidor)
+export const registerDashboardActivityFeed = () => {
+  if (registered) return;
+  registered = true;
+
+  const saleActions = {
+    [DOMAIN_EVENTS.SALE_CREATED]: "created",
+    [DOMAIN_EVENTS.SALE_COMPLETED]: "completed",
+    [DOMAIN_EVENTS.SALE_CANCELLED]: "cancelled",
+    [DOMAIN_EVENTS.SALE_DELETED]: "deleted"
+  };
+  for (const [event, action] of Object.entries(saleActions)) {
+    onDomainEvent(event, ({ sale, userId }) =>
+      record(() => DashboardActivity.createSaleActivity(saleData(sale), userId, action)));
+  }
+
+  // En las devoluciones el monto es el de la nota crédito, no el de la venta
+  onDomainEvent(DOMAIN_EVENTS.SALE_RETURNED, ({ sale, creditNote, userId }) =>
+    record(() => DashboardActivity.createSaleActivity({
+      ...saleData(sale),
+      customerName: customerName(creditNote.customer),
+      branchName: creditNote.branch?.name,
+      code: creditNote.id,
+      amount: creditNote.total,
+      products: creditNote.products?.length || 0
+    }, userId, "returned")));
+
+  const purchaseActions = {
+    [DOMAIN_EVENTS.PURCHASE_CREATED]: "created",
+    [DOMAIN_EVENTS.PURCHASE_DEACTIVATED]: "deactivated",
+    [DOMAIN_EVENTS.PURCHASE_REACTIVATED]: "reactivated"
+  };
+  for (const [event, action] of Object.entries(purchaseActions)) {
+    onDomainEvent(event, ({ purchase, userId }) =>
+      record(() => DashboardActivity.createPurchaseActivity(purchaseData(purchase), userId, action)));
+  }
+
+  const customerActions = {
+    [DOMAIN_EVENTS.CUSTOMER_CREATED]: "created",
+    [DOMAIN_EVENTS.CUSTOMER_UPDATED]: "updated",
+    [DOMAIN_EVENTS.CUSTOMER_ACTIVATED]: "activated",
+    [DOMAIN_EVENTS.CUSTOMER_DEACTIVATED]: "deactivated"
+  };
+  for (const [event, action] of Object.entries(customerActions)) {
+    onDomainEvent(event, ({ customer, userId }) =>
+      record(() => DashboardActivity.createCustomerActivity(customerData(customer), action, userId)));
+  }
+
+  const productActions = {
+    [DOMAIN_EVENTS.PRODUCT_CREATED]: "created",
+    [DOMAIN_EVENTS.PRODUCT_UPDATED]: "updated",
+    [DOMAIN_EVENTS.PRODUCT_STOCK_LOW]: "lowStock",
+    [DOMAIN_EVENTS.PRODUCT_OUT_OF_STOCK]: "outOfStock"
+  };
+  for (const [event, action] of Object.entries(productActions)) {
+    onDomainEvent(event, ({ product, previousStock, userId }) =>
+      record(() => DashboardActivity.createProductActivity(productData(product, previousStock), action, userId)));
+  }
+
+  const transferActions = {
+    [DOMAIN_EVENTS.TRANSFER_CREATED]: "created",
+    [DOMAIN_EVENTS.TRANSFER_DISPATCHED]: "dispatched",
+    [DOMAIN_EVENTS.TRANSFER_RECEIVED]: "received",
+    [DOMAIN_EVENTS.TRANSFER_CANCELLED]: "cancelled"
+  };
+  for (const [event, action] of Object.entries(transferActions)) {
+    onDomainEvent(event, ({ transfer, userId }) =>
+      record(() => DashboardActivity.createTransferActivity(transferData(transfer), action, userId)));
+  }
+
+  // Bloqueos por fuerza bruta
+  onDomainEvent(DOMAIN_EVENTS.AUTH_LOCKOUT, ({ scope, identifier, userId }) =>
+    record(() => DashboardActivity.createSystemActivity(
+      scope === "account" ? "Cuenta bloqueada temporalmente" : "IP bloqueada temporalmente",
+      scope === "account"
+        ? `Demasiados intentos fallidos de inicio de sesión para ${identifier}`
+        : `Demasiados intentos fallidos de inicio de sesión desde la IP ${identifier}`,
+      userId || null,
+      "high"
+    )));
+};
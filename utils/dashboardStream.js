@@ -0,0 +1,233 @@
+import Sale from "../models/sales.js";
+import Purchase from "../models/purchase.js";
+import { DashboardConfig } from "../models/dashboard.js";
+import { DOMAIN_EVENTS, onDomainEvent } from "./domainEvents.js";
+import { onActivityRecorded } from "./dashboardActivityFeed.js";
+
+// Stream en tiempo real del dashboard (Server-Sent Events). Cada conexión abierta queda
+// registrada con las preferencias de notificación de su usuario; las actividades, los
+// totales del día y las alertas de stock se envían a medida que ocurren.
+
+const HEARTBEAT_MS = 25000;
+// Varias ventas seguidas se agrupan en un solo recálculo de totales
+const TOTALS_DEBOUNCE_MS = 2000;
+export const MAX_STREAMS_PER_USER = Number(process.env.DASHBOARD_MAX_STREAMS_PER_USER) || 5;
+
+// Preferencias por defecto (las mismas del esquema DashboardConfig)
+const DEFAULT_NOTIFICATIONS = {
+  lowStock: true,
+  newSales: true,
+  newPurchases: true,
+  systemAlerts: true
+};
+
+const clients = new Set();
+let heartbeat = null;
+let totalsTimer = null;
+
+const write = (client, event, data) => {
+  try {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  } catch (error) {
+    console.error("Error writing to dashboard stream:", error);
+  }
+};
+
+// Preferencia que aplica a una actividad del feed
+function activityPreference(activity) {
+  if (activity.type === "sale") return "newSales";
+  if (activity.type === "purchase") return "newPurchases";
+  if (activity.type === "system") return "systemAlerts";
+  if (activity.type === "inventory" && activity.relatedModel === "Product") return "lowStock";
+  return null;
+}
+
+const broadcast = (event, data, preference = null) => {
+  for (const client of clients) {
+    if (preference && client.notifications[preference] === false) continue;
+    write(client, event, data);
+  }
+};
+
+/**
+ * Totales del día en curso: ventas completadas, ventas en proceso y compras activas
+ * @returns {Promise<Object>}
+ */
+export const getTodayTotals = async () => {
+  const startDate = new Date();
+  startDate.setHours(0, 0, 0, 0);
+  const endDate = new Date(startDate);
+  endDate.setDate(endDate.getDate() + 1);
+
+  const [sales, purchases] = await Promise.all([
+    Sale.aggregate([
+      { $match: { salesDate: { $gte: startDate, $lt: endDate }, status: { $in: ["processing", "completed"] } } },
+      {
+        $group: {
+          _id: "$status",
+          total: { $sum: "$total" },
+          returned: { $sum: { $ifNull: ["$returnedTotal", 0] } },
+          count: { $sum: 1 }
+        }
+      }
+    ]),
+    Purchase.aggregate([
+      { $match: { purchase_date: { $gte: startDate, $lt: endDate }, status: "active" } },
+      { $group: { _id: null, total: { $sum: "$total" }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const completed = sales.find(row => row._id === "completed");
+  const processing = sales.find(row => row._id === "processing");
+
+  return {
+    date: startDate,
+    sales: {
+      total: completed?.total || 0,
+      returned: completed?.returned || 0,
+      net: (completed?.total || 0) - (completed?.returned || 0),
+      count: completed?.count || 0,
+      processingTotal: processing?.total || 0,
+      processingCount: processing?.count || 0
+    },
+    purchases: {
+      total: purchases[0]?.total || 0,
+      count: purchases[0]?.count || 0
+    }
+  };
+};
+
+function scheduleTotals() {
+  if (clients.size === 0 || totalsTimer) return;
+
+  totalsTimer = setTimeout(async () => {
+    totalsTimer = null;
+    try {
+      broadcast("totals", await getTodayTotals());
+    } catch (error) {
+      console.error("Error computing dashboard stream totals:", error);
+    }
+  }, TOTALS_DEBOUNCE_MS);
+}
+
+function ensureHeartbeat() {
+  if (heartbeat) return;
+  // Comentario SSE periódico: mantiene viva la conexión a través de proxies
+  heartbeat = setInterval(() => {
+    for (const client of clients) {
+      try {
+        client.res.write(": ping\n\n");
+      } catch (error) {
+        console.error("Error writing dashboard stream heartbeat:", error);
+      }
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+}
+
+/**
+ * Número de streams abiertos de un usuario
+ * @param {ObjectId|string} userId
+ */
+export const countUserStreams = (userId) => {
+  let count = 0;
+  for (const client of clients) {
+    if (client.userId === userId.toString()) count++;
+  }
+  return count;
+};
+
+/**
+ * Registra una conexión SSE ya abierta y la elimina al cerrarse
+ * @param {Object} res - respuesta de Express con las cabeceras SSE enviadas
+ * @param {ObjectId|string} userId
+ * @returns {Promise<Object|null>} cliente registrado con sus preferencias, o null si ya se cerró
+ */
+export const addStreamClient = async (res, userId) => {
+  const config = await DashboardConfig.findOne({ userId }).select("notifications autoRefresh").lean();
+
+  // La conexión pudo cerrarse mientras se leían las preferencias
+  if (res.destroyed || res.writableEnded) return null;
+
+  const client = {
+    res,
+    userId: userId.toString(),
+    notifications: { ...DEFAULT_NOTIFICATIONS, ...(config?.notifications || {}) },
+    autoRefresh: config?.autoRefresh
+  };
+
+  clients.add(client);
+  ensureHeartbeat();
+
+  res.on("close", () => {
+    clients.delete(client);
+    if (clients.size === 0 && heartbeat) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  });
+
+  return client;
+};
+
+/**
+ * Aplica a los streams abiertos del usuario sus nuevas preferencias de notificación
+ * @param {ObjectId|string} userId
+ * @param {Object} notifications - DashboardConfig.notifications
+ */
+export const updateStreamPreferences = (userId, notifications = {}) => {
+  for (const client of clients) {
+    if (client.userId === userId.toString()) {
+      client.notifications = { ...DEFAULT_NOTIFICATIONS, ...notifications };
+    }
+  }
+};
+
+/**
+ * Envía un evento a un cliente concreto (p. ej. el estado inicial al conectarse)
+ */
+export const sendToClient = write;
+
+let registered = false;
+
+// Suscribe el stream a los eventos de dominio y al feed de actividades (una sola vez)
+export const registerDashboardStream = () => {
+  if (registered) return;
+  registered = true;
+
+  onActivityRecorded((activity) => {
+    broadcast("activity", activity.toFrontend(), activityPreference(activity));
+  });
+
+  const totalsEvents = [
+    DOMAIN_EVENTS.SALE_CREATED,
+    DOMAIN_EVENTS.SALE_COMPLETED,
+    DOMAIN_EVENTS.SALE_CANCELLED,
+    DOMAIN_EVENTS.SALE_DELETED,
+    DOMAIN_EVENTS.SALE_RETURNED,
+    DOMAIN_EVENTS.PURCHASE_CREATED,
+    DOMAIN_EVENTS.PURCHASE_DEACTIVATED,
+    DOMAIN_EVENTS.PURCHASE_REACTIVATED
+  ];
+  for (const event of totalsEvents) {
+    onDomainEvent(event, scheduleTotals);
+  }
+
+  const stockEvents = {
+    [DOMAIN_EVENTS.PRODUCT_STOCK_LOW]: "lowStock",
+    [DOMAIN_EVENTS.PRODUCT_OUT_OF_STOCK]: "outOfStock"
+  };
+  for (const [event, kind] of Object.entries(stockEvents)) {
+    onDomainEvent(event, ({ product, previousStock, threshold }) => {
+      broadcast("stock-alert", {
+        kind,
+        product: { _id: product._id, id: product.id, name: product.name },
+        stock: product.stock,
+        previousStock,
+        ...(threshold !== undefined && { threshold }),
+        severity: kind === "outOfStock" ? "critical" : "high",
+        occurredAt: new Date()
+      }, "lowStock");
+    });
+  }
+};
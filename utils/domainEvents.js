@@ -0,0 +1,92 @@
+import { EventEmitter } from "node:events";
+import Product from "../models/product.js";
+
+// Bus de eventos de dominio. Los controladores publican lo que ocurrió (después de
+// confirmar la transacción) y los suscriptores reaccionan: feed de actividades, avisos, etc.
+// Un suscriptor que falla no afecta la operación que originó el evento ni a los demás.
+
+export const DOMAIN_EVENTS = {
+  SALE_CREATED: "sale.created",
+  SALE_COMPLETED: "sale.completed",
+  SALE_CANCELLED: "sale.cancelled",
+  SALE_DELETED: "sale.deleted",
+  SALE_RETURNED: "sale.returned",
+  PURCHASE_CREATED: "purchase.created",
+  PURCHASE_DEACTIVATED: "purchase.deactivated",
+  PURCHASE_REACTIVATED: "purchase.reactivated",
+  CUSTOMER_CREATED: "customer.created",
+  CUSTOMER_UPDATED: "customer.updated",
+  CUSTOMER_ACTIVATED: "customer.activated",
+  CUSTOMER_DEACTIVATED: "customer.deactivated",
+  PRODUCT_CREATED: "product.created",
+  PRODUCT_UPDATED: "product.updated",
+  PRODUCT_STOCK_LOW: "product.stock_low",
+  PRODUCT_OUT_OF_STOCK: "product.out_of_stock",
+  TRANSFER_CREATED: "transfer.created",
+  TRANSFER_DISPATCHED: "transfer.dispatched",
+  TRANSFER_RECEIVED: "transfer.received",
+  TRANSFER_CANCELLED: "transfer.cancelled",
+  AUTH_LOCKOUT: "auth.lockout"
+};
+
+const bus = new EventEmitter();
+// Varios suscriptores pueden escuchar el mismo evento
+bus.setMaxListeners(50);
+
+/**
+ * Registra un suscriptor para un evento de dominio
+ * @param {string} name - uno de DOMAIN_EVENTS
+ * @param {(payload: Object) => Promise<void>|void} handler
+ */
+export const onDomainEvent = (name, handler) => {
+  bus.on(name, (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => console.error(`Error handling domain event "${name}":`, error));
+  });
+};
+
+/**
+ * Publica un evento de dominio. Los suscriptores se ejecutan después de la respuesta,
+ * por lo que debe llamarse una vez confirmados los cambios.
+ * @param {string} name - uno de DOMAIN_EVENTS
+ * @param {Object} payload - datos del evento; userId identifica a quien lo originó
+ */
+export const emitDomainEvent = (name, payload = {}) => {
+  setImmediate(() => bus.emit(name, { ...payload, event: name, occurredAt: new Date() }));
+};
+
+// Umbral de stock bajo; lo comparten estos avisos y los widgets y alertas del dashboard
+export const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 10;
+
+/**
+ * Publica product.stock_low o product.out_of_stock para los productos cuyo stock global
+ * cruzó el umbral con una salida de mercancía (solo al cruzarlo, no en cada salida)
+ * @param {Array<{product: ObjectId, quantity: number}>} items - cantidades descontadas
+ * @param {ObjectId|string} userId
+ */
+export const emitStockLevelEvents = async (items, userId) => {
+  try {
+    const removedByProduct = new Map();
+    for (const item of items) {
+      const key = (item.product._id || item.product).toString();
+      removedByProduct.set(key, (removedByProduct.get(key) || 0) + item.quantity);
+    }
+
+    const products = await Product.find({ _id: { $in: [...removedByProduct.keys()] } })
+      .select("id name stock price status");
+
+    for (const product of products) {
+      const stock = product.stock || 0;
+      const previousStock = stock + removedByProduct.get(product._id.toString());
+
+      if (stock <= 0 && previousStock > 0) {
+        emitDomainEvent(DOMAIN_EVENTS.PRODUCT_OUT_OF_STOCK, { product, previousStock, userId });
+      } else if (stock > 0 && stock <= LOW_STOCK_THRESHOLD && previousStock > LOW_STOCK_THRESHOLD) {
+        emitDomainEvent(DOMAIN_EVENTS.PRODUCT_STOCK_LOW, { product, previousStock, threshold: LOW_STOCK_THRESHOLD, userId });
+      }
+    }
+  } catch (error) {
+    console.error("Error checking stock levels:", error);
+  }
+};
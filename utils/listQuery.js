@@ -0,0 +1,250 @@
+import mongoose from "mongoose";
+
+// Capa común de paginación, orden y filtros para los endpoints de listado.
+//
+// Parámetros de consulta admitidos:
+//   page, limit        paginación por páginas (limit por defecto 25, máximo 100)
+//   cursor             paginación por cursor (usar meta.nextCursor de la respuesta anterior)
+//                      Sin page, limit ni cursor el listado no se pagina: devuelve todos los
+//                      registros en el formato que el endpoint tenía antes (ver listResponse)
+//   sort               campo de orden; prefijo "-" para descendente (ej. sort=-salesDate)
+//   startDate, endDate rango de fechas (YYYY-MM-DD, inclusivo) sobre el campo de fecha del listado
+//   <filtro>           filtros declarados por cada listado (status, branch, category, ...)
+
+export const DEFAULT_LIMIT = 25;
+export const MAX_LIMIT = 100;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseDate(value, endOfDay = false) {
+  if (DATE_ONLY.test(value)) {
+    const [year, month, day] = value.split("-").map(Number);
+    return endOfDay
+      ? new Date(year, month - 1, day, 23, 59, 59, 999)
+      : new Date(year, month - 1, day);
+  }
+  return new Date(value);
+}
+
+function encodeCursor(value, id) {
+  const payload = value instanceof Date
+    ? { v: value.toISOString(), t: "date", id: String(id) }
+    : { v: value ?? null, id: String(id) };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+    return {
+      value: payload.t === "date" ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch {
+    return null;
+  }
+}
+
+// Convierte el valor de un filtro según su tipo; devuelve undefined si no es válido
+function parseFilterValue(raw, definition) {
+  const value = String(raw).trim();
+
+  switch (definition.type) {
+    case "objectId":
+      return mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(value) : undefined;
+    case "enum":
+      return definition.values.includes(value) ? value : undefined;
+    case "boolean":
+      if (value === "true") return true;
+      if (value === "false") return false;
+      return undefined;
+    default:
+      return value;
+  }
+}
+
+/**
+ * Interpreta los parámetros de un listado
+ * @param {Object} params - req.query
+ * @param {Object} options
+ * @param {Object} [options.filters] - { param: { field, type: "enum"|"objectId"|"boolean"|"string", values } }
+ * @param {string} [options.dateField] - campo para startDate/endDate
+ * @param {string[]} options.sortable - campos por los que se puede ordenar
+ * @param {string} options.defaultSort - orden por defecto (ej. "-salesDate")
+ * @returns {{ filter, sortField, sortDirection, paginated, page, limit, cursor, errors: string[] }}
+ */
+export const parseListQuery = (params = {}, options) => {
+  const { filters = {}, dateField = null, sortable = [], defaultSort = "-_id" } = options;
+  const errors = [];
+  const filter = {};
+
+  // Paginación: solo si se pide alguno de sus parámetros
+  const paginated = params.page !== undefined || params.limit !== undefined || params.cursor !== undefined;
+  let limit = paginated ? DEFAULT_LIMIT : null;
+  if (params.limit !== undefined) {
+    limit = Number(params.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  let page = 1;
+  if (params.page !== undefined) {
+    page = Number(params.page);
+    if (!Number.isInteger(page) || page < 1) {
+      errors.push("page must be a positive integer");
+    }
+  }
+
+  let cursor = null;
+  if (params.cursor !== undefined) {
+    cursor = decodeCursor(params.cursor);
+    if (!cursor) {
+      errors.push("Invalid cursor");
+    }
+    if (params.page !== undefined) {
+      errors.push("Use either page or cursor, not both");
+    }
+  }
+
+  // Orden: un campo más _id como desempate (necesario para el cursor)
+  const sort = String(params.sort || defaultSort).trim();
+  const sortDirection = sort.startsWith("-") ? -1 : 1;
+  const sortField = sort.replace(/^[-+]/, "");
+  if (sortField !== "_id" && !sortable.includes(sortField)) {
+    errors.push(`sort must be one of: ${sortable.join(", ")} (prefix with - for descending)`);
+  }
+
+  // Filtros declarados
+  for (const [param, definition] of Object.entries(filters)) {
+    if (params[param] === undefined || params[param] === "") continue;
+
+    const value = parseFilterValue(params[param], definition);
+    if (value === undefined) {
+      errors.push(definition.type === "enum"
+        ? `${param} must be one of: ${definition.values.join(", ")}`
+        : `Invalid ${param} value`);
+      continue;
+    }
+
+    filter[definition.field || param] = value;
+  }
+
+  // Rango de fechas
+  if (dateField && (params.startDate || params.endDate)) {
+    const range = {};
+    if (params.startDate) {
+      const start = parseDate(params.startDate);
+      if (isNaN(start.getTime())) errors.push("Invalid startDate. Use YYYY-MM-DD");
+      else range.$gte = start;
+    }
+    if (params.endDate) {
+      const end = parseDate(params.endDate, true);
+      if (isNaN(end.getTime())) errors.push("Invalid endDate. Use YYYY-MM-DD");
+      else range.$lte = end;
+    }
+    filter[dateField] = range;
+  }
+
+  return { filter, sortField, sortDirection, paginated, page, limit, cursor, errors };
+};
+
+// Documentos después del último de la página anterior en el orden solicitado. Los valores
+// null (o ausentes) van antes que cualquier otro en orden ascendente y después en
+// descendente; $lt/$gt nunca los incluyen, por eso se agregan o se comparan aparte
+function afterCursorFilter(sortField, sortDirection, cursor) {
+  const operator = sortDirection === -1 ? "$lt" : "$gt";
+
+  if (sortField === "_id") {
+    return { _id: { [operator]: cursor.id } };
+  }
+
+  if (cursor.value === null) {
+    const sameValue = { [sortField]: null, _id: { [operator]: cursor.id } };
+    return sortDirection === -1
+      ? sameValue
+      : { $or: [sameValue, { [sortField]: { $ne: null } }] };
+  }
+
+  const conditions = [
+    { [sortField]: { [operator]: cursor.value } },
+    { [sortField]: cursor.value, _id: { [operator]: cursor.id } }
+  ];
+  if (sortDirection === -1) {
+    conditions.push({ [sortField]: null });
+  }
+  return { $or: conditions };
+}
+
+/**
+ * Ejecuta un listado, paginado si listQuery.paginated
+ * @param {Model} Model - modelo de mongoose
+ * @param {Object} listQuery - resultado de parseListQuery
+ * @param {Object} [options]
+ * @param {string} [options.select]
+ * @param {Array<[string, string]>} [options.populate] - pares [ruta, campos]
+ * @returns {Promise<{ items: Document[], meta: Object|null }>} meta es null si no se pagina
+ */
+export const findPaginated = async (Model, listQuery, { select, populate = [] } = {}) => {
+  const { filter, sortField, sortDirection, paginated, page, limit, cursor } = listQuery;
+
+  const pageFilter = cursor
+    ? { $and: [filter, afterCursorFilter(sortField, sortDirection, cursor)] }
+    : filter;
+
+  let query = Model.find(pageFilter)
+    .sort(sortField === "_id" ? { _id: sortDirection } : { [sortField]: sortDirection, _id: sortDirection });
+
+  if (paginated) {
+    query = query.skip(cursor ? 0 : (page - 1) * limit).limit(limit + 1);
+  }
+  if (select) {
+    query = query.select(select);
+  }
+  for (const [path, fields] of populate) {
+    query = query.populate(path, fields);
+  }
+
+  if (!paginated) {
+    return { items: await query, meta: null };
+  }
+
+  const [total, documents] = await Promise.all([
+    Model.countDocuments(filter),
+    query
+  ]);
+
+  const hasMore = documents.length > limit;
+  const items = hasMore ? documents.slice(0, limit) : documents;
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    meta: {
+      total,
+      limit,
+      page: cursor ? null : page,
+      pages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor: hasMore && last
+        ? encodeCursor(last.get(sortField, null, { getters: false }), last._id)
+        : null,
+      sort: `${sortDirection === -1 ? "-" : ""}${sortField}`
+    }
+  };
+};
+
+/**
+ * Cuerpo de la respuesta de un listado. Paginado, todos los listados responden
+ * { data, meta } más los campos adicionales del endpoint; sin paginar conservan su
+ * formato anterior
+ * @param {{ items: Array, meta: Object|null }} result - items ya formateados y meta de findPaginated
+ * @param {Function} legacyBody - items => cuerpo que respondía el endpoint antes de paginar
+ * @param {Object} [extra] - campos adicionales de la respuesta paginada
+ * @returns {Object|Array}
+ */
+export const listResponse = ({ items, meta }, legacyBody, extra = {}) => {
+  return meta ? { data: items, meta, ...extra } : legacyBody(items);
+};
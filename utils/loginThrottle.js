@@ -0,0 +1,135 @@
+// Protección contra fuerza bruta en el inicio de sesión.
+// Cuenta los intentos fallidos por cuenta (email) y por IP, aplica un retraso progresivo
+// y bloquea temporalmente al superar el umbral. Umbrales configurables por entorno:
+//   LOGIN_MAX_ATTEMPTS, LOGIN_IP_MAX_ATTEMPTS, LOGIN_ATTEMPT_WINDOW_MINUTES,
+//   LOGIN_LOCKOUT_MINUTES, LOGIN_DELAY_BASE_MS, LOGIN_DELAY_MAX_MS
+
+const readNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+export const getThrottleConfig = () => ({
+  maxAttempts: readNumber(process.env.LOGIN_MAX_ATTEMPTS, 5),
+  ipMaxAttempts: readNumber(process.env.LOGIN_IP_MAX_ATTEMPTS, 20),
+  windowMs: readNumber(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 15) * 60 * 1000,
+  lockoutMs: readNumber(process.env.LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000,
+  delayBaseMs: readNumber(process.env.LOGIN_DELAY_BASE_MS, 500),
+  delayMaxMs: readNumber(process.env.LOGIN_DELAY_MAX_MS, 5000)
+});
+
+// Almacén en memoria por defecto. Cualquier almacén alternativo (Redis, MongoDB, ...)
+// debe implementar get(key), set(key, value, ttlMs) y delete(key); pueden ser async.
+export class MemoryThrottleStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+let store = new MemoryThrottleStore();
+
+export const setThrottleStore = (customStore) => {
+  store = customStore || new MemoryThrottleStore();
+};
+
+const accountKey = (email) => `login:account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+// Segundos restantes de bloqueo (0 si no hay bloqueo)
+const remainingLock = (record) => {
+  if (!record || !record.lockedUntil) return 0;
+  return Math.max(0, Math.ceil((record.lockedUntil - Date.now()) / 1000));
+};
+
+// Retraso progresivo: se duplica con cada fallo hasta el máximo configurado
+export const getProgressiveDelay = (attempts, config = getThrottleConfig()) => {
+  if (attempts <= 0) return 0;
+  return Math.min(config.delayBaseMs * 2 ** (attempts - 1), config.delayMaxMs);
+};
+
+/**
+ * Verifica si se permite intentar el inicio de sesión
+ * @returns {Promise<{allowed: boolean, scope?: string, retryAfter?: number}>}
+ */
+export const checkLoginAllowed = async ({ email, ip }) => {
+  const [account, address] = await Promise.all([
+    store.get(accountKey(email)),
+    ip ? store.get(ipKey(ip)) : null
+  ]);
+
+  const accountWait = remainingLock(account);
+  if (accountWait > 0) {
+    return { allowed: false, scope: "account", retryAfter: accountWait };
+  }
+
+  const ipWait = remainingLock(address);
+  if (ipWait > 0) {
+    return { allowed: false, scope: "ip", retryAfter: ipWait };
+  }
+
+  return { allowed: true };
+};
+
+// Suma un fallo a un contador; bloquea al alcanzar el máximo
+async function recordFailure(key, maxAttempts, config) {
+  const current = await store.get(key);
+  const attempts = (current && !current.lockedUntil ? current.attempts : 0) + 1;
+
+  if (attempts >= maxAttempts) {
+    const lockedUntil = Date.now() + config.lockoutMs;
+    await store.set(key, { attempts, lockedUntil }, config.lockoutMs);
+    return { attempts, locked: true, lockedUntil: new Date(lockedUntil) };
+  }
+
+  await store.set(key, { attempts }, config.windowMs);
+  return { attempts, locked: false };
+}
+
+/**
+ * Registra un intento fallido para la cuenta y la IP
+ * @returns {Promise<{delayMs: number, account: Object, ip: Object|null}>}
+ */
+export const registerLoginFailure = async ({ email, ip }) => {
+  const config = getThrottleConfig();
+
+  const account = await recordFailure(accountKey(email), config.maxAttempts, config);
+  const address = ip ? await recordFailure(ipKey(ip), config.ipMaxAttempts, config) : null;
+
+  return {
+    delayMs: getProgressiveDelay(account.attempts, config),
+    account,
+    ip: address
+  };
+};
+
+// Un inicio de sesión correcto reinicia el contador de la cuenta (no el de la IP)
+export const registerLoginSuccess = async ({ email }) => {
+  await store.delete(accountKey(email));
+};
+
+// Desbloqueo manual de una cuenta (administradores)
+export const unlockAccount = async (email) => {
+  await store.delete(accountKey(email));
+};
+
+export const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,46 @@
+import nodemailer from "nodemailer";
+
+// Transporte de correo configurable por entorno:
+//   MAIL_TRANSPORT=smtp (por defecto) usa SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   MAIL_TRANSPORT=json no envía nada y devuelve el mensaje serializado (desarrollo/pruebas)
+// Las pruebas pueden inyectar su propio transporte (p. ej. un SMTP local) con setMailTransport.
+let transport = null;
+
+function createTransportFromEnv() {
+  if (process.env.MAIL_TRANSPORT === "json") {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+}
+
+// Reemplaza el transporte activo; acepta un transporte de nodemailer o cualquier
+// objeto con un método sendMail(message). Con null se vuelve a la configuración del entorno.
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+// Envía un correo usando el remitente configurado en MAIL_FROM
+export const sendMail = async ({ to, subject, text, html }) => {
+  return getMailTransport().sendMail({
+    from: process.env.MAIL_FROM || "no-reply@icesoft.local",
+    to,
+    subject,
+    text,
+    html
+  });
+};
@@ -0,0 +1,100 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import Migration from "../models/migration.js";
+
+// Las migraciones viven en /migrations con nombre NNN-descripcion.js y exportan
+// `up()` y `down()` (async). Se aplican en orden numérico y cada una queda registrada
+// en la colección "migrations".
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../migrations");
+const MIGRATION_FILE = /^\d{3,}-[\w-]+\.js$/;
+
+// Carga y valida los scripts de migración, ordenados por número
+export const loadMigrations = async (directory = MIGRATIONS_DIR) => {
+  const files = (await fs.readdir(directory))
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(directory, file)).href);
+
+    if (typeof module.up !== "function" || typeof module.down !== "function") {
+      throw new Error(`Migration ${file} must export up() and down() functions`);
+    }
+
+    migrations.push({
+      name: file.replace(/\.js$/, ""),
+      description: module.description || "",
+      up: module.up,
+      down: module.down
+    });
+  }
+
+  return migrations;
+};
+
+/**
+ * Estado de todas las migraciones
+ * @returns {Promise<Array<{name, description, applied, runAt}>>}
+ */
+export const getMigrationStatus = async () => {
+  const [migrations, applied] = await Promise.all([
+    loadMigrations(),
+    Migration.find().lean()
+  ]);
+
+  const appliedByName = new Map(applied.map(entry => [entry.name, entry]));
+
+  return migrations.map(migration => ({
+    name: migration.name,
+    description: migration.description,
+    applied: appliedByName.has(migration.name),
+    runAt: appliedByName.get(migration.name)?.runAt || null
+  }));
+};
+
+// Aplica todas las migraciones pendientes; se detiene en la primera que falle
+export const migrateUp = async () => {
+  const migrations = await loadMigrations();
+  const applied = new Set((await Migration.find().select("name").lean()).map(entry => entry.name));
+
+  const executed = [];
+  for (const migration of migrations) {
+    if (applied.has(migration.name)) continue;
+
+    await migration.up();
+    await Migration.create({ name: migration.name });
+    executed.push(migration.name);
+  }
+
+  return executed;
+};
+
+// Revierte las últimas `steps` migraciones aplicadas, de la más reciente a la más antigua
+export const migrateDown = async (steps = 1) => {
+  const migrations = await loadMigrations();
+  const byName = new Map(migrations.map(migration => [migration.name, migration]));
+
+  const applied = await Migration.find().sort({ name: -1 }).limit(steps).lean();
+
+  const reverted = [];
+  for (const entry of applied) {
+    const migration = byName.get(entry.name);
+    if (!migration) {
+      throw new Error(`Migration script for ${entry.name} not found, cannot revert it`);
+    }
+
+    await migration.down();
+    await Migration.deleteOne({ name: entry.name });
+    reverted.push(entry.name);
+  }
+
+  return reverted;
+};
+
+// Nombres de las migraciones que aún no se han aplicado
+export const getPendingMigrations = async () => {
+  const status = await getMigrationStatus();
+  return status.filter(migration => !migration.applied).map(migration => migration.name);
+};
@@ -0,0 +1,106 @@
+import mongoose from "mongoose";
+import Role from "../models/role.js";
+import Permission from "../models/permission.js";
+
+// Caché en proceso de roles con sus códigos de permiso, por id de rol.
+// Se invalida desde los controladores de roles y permisos; el TTL es solo una red de
+// seguridad para cambios hechos fuera de la API (PERMISSION_CACHE_TTL_SECONDS, 0 = sin caché).
+const cache = new Map();
+
+const getTtlMs = () => {
+  const seconds = Number(process.env.PERMISSION_CACHE_TTL_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 300) * 1000;
+};
+
+// Rol tal como lo devuelve la consulta (permisos poblados) → entrada de la caché
+function toCachedRole(role) {
+  const codes = role.permissions
+    .filter(permission => permission.status !== "inactive")
+    .map(permission => permission.code);
+
+  return {
+    _id: role._id,
+    id: role.id,
+    name: role.name,
+    status: role.status,
+    isDefault: role.isDefault,
+    permissions: codes
+  };
+}
+
+/**
+ * Roles vigentes en la caché, por id. Es una copia: si una entrada expira después,
+ * la petición que la leyó la sigue usando
+ * @returns {Map<string, Object>}
+ */
+export const getCachedRoles = () => {
+  const now = Date.now();
+  const roles = new Map();
+
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt > now) {
+      roles.set(key, entry.role);
+    }
+  }
+  return roles;
+};
+
+/**
+ * Etapa $lookup que une el rol del campo `localField` con sus permisos, para leerlo en la
+ * misma consulta que el documento que lo referencia. Los roles de `excludeIds` (los que ya
+ * están en caché) no se unen
+ * @param {string} localField - campo con el _id del rol
+ * @param {string} as - campo de salida (arreglo con el rol o vacío)
+ * @param {Array<ObjectId|string>} [excludeIds]
+ */
+export const roleLookupStage = (localField, as, excludeIds = []) => ({
+  $lookup: {
+    from: Role.collection.name,
+    let: { roleId: `$${localField}` },
+    pipeline: [
+      {
+        $match: {
+          $expr: { $eq: ["$_id", "$$roleId"] },
+          _id: { $nin: excludeIds.map(id => new mongoose.Types.ObjectId(String(id))) }
+        }
+      },
+      {
+        $lookup: {
+          from: Permission.collection.name,
+          localField: "permissions",
+          foreignField: "_id",
+          as: "permissions"
+        }
+      }
+    ],
+    as
+  }
+});
+
+/**
+ * Guarda en la caché un rol leído con roleLookupStage
+ * @param {Object} role - rol con sus permisos poblados
+ * @returns {Object} { _id, id, name, status, isDefault, permissions: [códigos] }
+ */
+export const cacheRole = (role) => {
+  const cached = toCachedRole(role);
+  const ttlMs = getTtlMs();
+
+  if (ttlMs > 0) {
+    cache.set(String(role._id), { role: cached, expiresAt: Date.now() + ttlMs });
+  } else {
+    cache.delete(String(role._id));
+  }
+
+  return cached;
+};
+
+// Invalida un rol (cambio de permisos, nombre o estado)
+export const invalidateRole = (roleId) => {
+  cache.delete(String(roleId));
+};
+
+// Invalida todos los roles (un permiso puede pertenecer a varios)
+export const invalidateAllRoles = () => {
+  cache.clear();
+};
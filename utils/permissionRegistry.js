@@ -0,0 +1,170 @@
+// Registro único de permisos del sistema. Rutas y controladores usan las constantes de
+// PERMISSIONS en lugar de escribir los códigos a mano; al iniciar, el registro se
+// sincroniza con la colección Permission (ver syncPermissionRegistry en utils/permissions.js).
+//
+// Para agregar un permiso basta con declararlo aquí: clave constante, código (en inglés)
+// y nombre para mostrar (en español).
+const PERMISSION_GROUPS = {
+  Roles: {
+    VIEW_ROLES: ["view_roles", "Ver roles"],
+    VIEW_ROLES_ID: ["view_roles_id", "Ver rol por ID"],
+    CREATE_ROLES: ["create_roles", "Crear roles"],
+    UPDATE_ROLES: ["update_roles", "Actualizar roles"],
+    DELETE_ROLES: ["delete_roles", "Eliminar roles"],
+    UPDATE_ROLE_STATUS: ["update_role_status", "Activar/Desactivar roles"]
+  },
+  Usuarios: {
+    CREATE_USERS: ["create_users", "Crear usuarios"],
+    VIEW_USERS: ["view_users", "Ver usuarios"],
+    VIEW_USERS_ID: ["view_users_id", "Ver usuario por ID"],
+    UPDATE_USERS: ["update_users", "Actualizar usuarios"],
+    DELETE_USERS: ["delete_users", "Eliminar usuarios"],
+    UPDATE_USER_STATUS: ["update_user_status", "Activar/Desactivar usuarios"],
+    UNLOCK_USERS: ["unlock_users", "Desbloquear usuarios"]
+  },
+  Categorías: {
+    VIEW_CATEGORIES: ["view_categories", "Ver categorías"],
+    VIEW_CATEGORIES_ID: ["view_categories_id", "Ver categoría por ID"],
+    CREATE_CATEGORIES: ["create_categories", "Crear categorías"],
+    UPDATE_CATEGORIES: ["update_categories", "Actualizar categorías"],
+    DELETE_CATEGORIES: ["delete_categories", "Eliminar categorías"],
+    UPDATE_STATUS_CATEGORIES: ["update_status_categories", "Activar/Desactivar categorías"]
+  },
+  Proveedores: {
+    VIEW_PROVIDERS: ["view_providers", "Ver proveedores"],
+    VIEW_PROVIDERS_ID: ["view_providers_id", "Ver proveedor por ID"],
+    CREATE_PROVIDERS: ["create_providers", "Crear proveedores"],
+    UPDATE_PROVIDERS: ["update_providers", "Actualizar proveedores"],
+    DELETE_PROVIDERS: ["delete_providers", "Eliminar proveedores"],
+    UPDATE_STATUS_PROVIDERS: ["update_status_providers", "Activar/Desactivar proveedores"],
+    VIEW_PROVIDER_STATEMENTS: ["view_provider_statements", "Ver estado de cuenta de proveedores"],
+    VIEW_PAYABLES_AGING: ["view_payables_aging", "Ver cuentas por pagar por edades"]
+  },
+  Productos: {
+    VIEW_PRODUCTS: ["view_products", "Ver productos"],
+    VIEW_PRODUCTS_ID: ["view_products_id", "Ver producto por ID"],
+    CREATE_PRODUCTS: ["create_products", "Crear productos"],
+    EDIT_PRODUCTS: ["edit_products", "Editar productos"],
+    DELETE_PRODUCTS: ["delete_products", "Eliminar productos"],
+    UPDATE_STATUS_PRODUCTS: ["update_status_products", "Activar/Desactivar productos"],
+    UPDATE_STOCK_PRODUCTS: ["update_stock_products", "Actualizar stock de productos"],
+    VIEW_STOCK_MOVEMENTS: ["view_stock_movements", "Ver movimientos de stock"]
+  },
+  Compras: {
+    VIEW_PURCHASES: ["view_purchases", "Ver compras"],
+    VIEW_PURCHASES_ID: ["view_purchases_id", "Ver compra por ID"],
+    CREATE_PURCHASES: ["create_purchases", "Crear compras"],
+    DELETE_PURCHASES: ["delete_purchases", "Eliminar compras"],
+    UPDATE_STATUS_PURCHASES: ["update_status_purchases", "Desactivar compras"],
+    REACTIVATE_PURCHASES: ["reactivate_purchases", "Reactivar compras"],
+    VIEW_PURCHASE_PAYMENTS: ["view_purchase_payments", "Ver pagos a proveedores"],
+    CREATE_PURCHASE_PAYMENTS: ["create_purchase_payments", "Registrar pagos a proveedores"],
+    VOID_PURCHASE_PAYMENTS: ["void_purchase_payments", "Anular pagos a proveedores"]
+  },
+  "Órdenes de compra": {
+    VIEW_PURCHASE_ORDERS: ["view_purchase_orders", "Ver órdenes de compra"],
+    VIEW_PURCHASE_ORDERS_ID: ["view_purchase_orders_id", "Ver orden de compra por ID"],
+    CREATE_PURCHASE_ORDERS: ["create_purchase_orders", "Crear órdenes de compra"],
+    UPDATE_PURCHASE_ORDERS: ["update_purchase_orders", "Editar y enviar órdenes de compra"],
+    RECEIVE_PURCHASE_ORDERS: ["receive_purchase_orders", "Recibir entregas de órdenes de compra"],
+    CLOSE_PURCHASE_ORDERS: ["close_purchase_orders", "Cerrar y cancelar órdenes de compra"],
+    VIEW_DELIVERY_REPORT: ["view_delivery_report", "Ver cumplimiento de entregas de proveedores"]
+  },
+  Sucursales: {
+    VIEW_BRANCHES: ["view_branches", "Ver sucursales"],
+    CREATE_BRANCHES: ["create_branches", "Crear sucursales"],
+    UPDATE_BRANCHES: ["update_branches", "Actualizar sucursales"],
+    DELETE_BRANCHES: ["delete_branches", "Eliminar sucursales"],
+    UPDATE_STATUS_BRANCHES: ["update_status_branches", "Activar/Desactivar sucursales"],
+    EDIT_BRANCHES: ["edit_branches", "Editar sucursales"]
+  },
+  Clientes: {
+    VIEW_CUSTOMERS: ["view_customers", "Ver clientes"],
+    VIEW_CUSTOMERS_ID: ["view_customers_id", "Ver cliente por ID"],
+    CREATE_CUSTOMERS: ["create_customers", "Crear clientes"],
+    UPDATE_CUSTOMERS: ["update_customers", "Actualizar clientes"],
+    DELETE_CUSTOMERS: ["delete_customers", "Eliminar clientes"],
+    UPDATE_CUSTOMERS_STATUS: ["update_customers_status", "Activar/Desactivar clientes"],
+    MANAGE_CUSTOMER_CREDIT: ["manage_customer_credit", "Gestionar cupo y plazo de crédito de clientes"],
+    VIEW_CUSTOMER_STATEMENTS: ["view_customer_statements", "Ver estado de cuenta de clientes"],
+    VIEW_RECEIVABLES_AGING: ["view_receivables_aging", "Ver cartera por edades"]
+  },
+  Ventas: {
+    VIEW_SALES: ["view_sales", "Ver ventas"],
+    VIEW_SALES_ID: ["view_sales_id", "Ver venta por ID"],
+    CREATE_SALES: ["create_sales", "Crear ventas"],
+    DELETE_SALES: ["delete_sales", "Eliminar ventas"],
+    UPDATE_STATUS_SALES: ["update_status_sales", "Cambiar estado de ventas"],
+    VIEW_SALE_RETURNS: ["view_sale_returns", "Ver devoluciones de ventas"],
+    CREATE_SALE_RETURNS: ["create_sale_returns", "Registrar devoluciones de ventas"],
+    VIEW_SALE_PAYMENTS: ["view_sale_payments", "Ver pagos de ventas"],
+    CREATE_SALE_PAYMENTS: ["create_sale_payments", "Registrar pagos de ventas"],
+    VOID_SALE_PAYMENTS: ["void_sale_payments", "Anular pagos de ventas"],
+    VIEW_PAYMENTS_SUMMARY: ["view_payments_summary", "Ver resumen diario de pagos"]
+  },
+  Traslados: {
+    VIEW_TRANSFERS: ["view_transfers", "Ver traslados"],
+    VIEW_TRANSFERS_ID: ["view_transfers_id", "Ver traslado por ID"],
+    CREATE_TRANSFERS: ["create_transfers", "Crear traslados"],
+    DISPATCH_TRANSFERS: ["dispatch_transfers", "Despachar traslados"],
+    RECEIVE_TRANSFERS: ["receive_transfers", "Recibir traslados"],
+    CANCEL_TRANSFERS: ["cancel_transfers", "Cancelar traslados"]
+  },
+  Dashboard: {
+    VIEW_DASHBOARD: ["view_dashboard", "Ver dashboard"],
+    VIEW_MARGIN_REPORT: ["view_margin_report", "Ver reporte de márgenes y costo de ventas"]
+  },
+  Permisos: {
+    VIEW_PERMISSIONS: ["view_permissions", "Ver permisos"],
+    VIEW_PERMISSIONS_ID: ["view_permissions_id", "Ver permiso por ID"],
+    CREATE_PERMISSIONS: ["create_permissions", "Crear permisos"],
+    UPDATE_PERMISSIONS: ["update_permissions", "Actualizar permisos"],
+    DELETE_PERMISSIONS: ["delete_permissions", "Eliminar permisos"],
+    UPDATE_PERMISSION_STATUS: ["update_permission_status", "Activar/Desactivar permisos"]
+  }
+};
+
+const permissions = {};
+const definitions = new Map();
+
+for (const [group, entries] of Object.entries(PERMISSION_GROUPS)) {
+  for (const [key, [code, name]] of Object.entries(entries)) {
+    permissions[key] = code;
+    definitions.set(code, { code, name, group });
+  }
+}
+
+// Constantes de códigos de permiso: PERMISSIONS.VIEW_SALES === "view_sales".
+// Leer una constante no declarada (PERMISSIONS.VIEW_SALE) lanza un error en lugar de
+// devolver undefined; el resto de propiedades (toJSON, then, símbolos) se leen normalmente.
+export const PERMISSIONS = new Proxy(Object.freeze(permissions), {
+  get(target, key, receiver) {
+    if (typeof key === "string" && /^[A-Z][A-Z0-9_]*$/.test(key) && !Object.hasOwn(target, key)) {
+      throw new Error(`Unknown permission key PERMISSIONS.${key}. Declare it in utils/permissionRegistry.js`);
+    }
+    return Reflect.get(target, key, receiver);
+  }
+});
+
+// Todos los códigos registrados, en el orden en que se declaran
+export const PERMISSION_CODES = Object.freeze([...definitions.keys()]);
+
+// Definición de un código ({ code, name, group }) o null si no está registrado
+export const getPermissionDefinition = (code) => definitions.get(code) || null;
+
+export const isRegisteredPermission = (code) => definitions.has(code);
+
+// Verifica un código usado en una ruta o controlador. Por defecto falla al cargar el
+// módulo; con PERMISSION_REGISTRY_STRICT=false solo muestra una advertencia.
+export const assertRegisteredPermission = (code, context = "") => {
+  if (isRegisteredPermission(code)) return code;
+
+  const message = `Unknown permission code "${code}"${context ? ` in ${context}` : ""}. Declare it in utils/permissionRegistry.js`;
+
+  if (process.env.PERMISSION_REGISTRY_STRICT === "false") {
+    console.warn(`⚠️  ${message}`);
+    return code;
+  }
+
+  throw new Error(message);
+};
@@ -1,86 +1,77 @@
-import Role from "../models/role.js";
 import Permission from "../models/permission.js";
+import { PERMISSIONS, PERMISSION_CODES, getPermissionDefinition, isRegisteredPermission } from "./permissionRegistry.js";
+import { nextDocumentId } from "./sequence.js";
 
 // Lista completa de todos los permisos disponibles en el sistema (código en inglés)
-export const ALL_PERMISSIONS = [
-  // Roles
-  "view_roles", "view_roles_id", "create_roles", "update_roles", "delete_roles", "update_role_status",
+export const ALL_PERMISSIONS = [...PERMISSION_CODES];
 
-  // Users
-  "create_users", "view_users", "view_users_id", "update_users", "delete_users", "update_user_status",
+const P = PERMISSIONS;
 
-  // Categories
-  "view_categories", "view_categories_id", "create_categories", "update_categories", "delete_categories", "update_status_categories",
-
-  // Providers
-  "view_providers", "view_providers_id", "create_providers", "update_providers", "delete_providers", "update_status_providers",
-
-  // Products
-  "view_products", "view_products_id", "create_products", "edit_products", "delete_products", "update_status_products", "update_stock_products",
-
-  // Purchases
-  "view_purchases", "view_purchases_id", "create_purchases", "delete_purchases", "update_status_purchases",  "reactivate_purchases",
-
-  // Branches
-  "view_branches", "create_branches", "update_branches", "delete_branches","update_status_branches","edit_branches",
-
-  // Customers
-  "view_customers", "view_customers_id", "create_customers", "update_customers", "delete_customers", "update_customers_status",
-
-  // Sales
-  "view_sales", "view_sales_id", "create_sales", "delete_sales", "update_status_sales",
-
-  // Permissions
-  "view_permissions", "view_permissions_id", "create_permissions", "update_permissions", "delete_permissions", "update_permission_status"
-];
-
-// Permisos por defecto para los roles predefinidos (usando códigos en inglés)
+// Permisos por defecto para los roles predefinidos
 const DEFAULT_PERMISSIONS = {
   admin: [...ALL_PERMISSIONS], // El administrador tiene todos los permisos
 
   assistant: [
-    "view_roles", "view_users", "view_users_id",
-    "view_categories", "view_categories_id", "create_categories", "update_status_categories",
-    "view_providers", "view_providers_id", "create_providers", "update_providers", "update_status_providers",
-    "view_products", "view_products_id", "create_products", "edit_products", "delete_products", "update_status_products", "update_stock_products",
-    "view_purchases", "view_purchases_id", "create_purchases", "update_status_purchases",
-    "view_customers", "view_customers_id", "create_customers", "update_customers",
-    "view_sales", "view_sales_id", "create_sales"
+    P.VIEW_ROLES, P.VIEW_USERS, P.VIEW_USERS_ID,
+    P.VIEW_CATEGORIES, P.VIEW_CATEGORIES_ID, P.CREATE_CATEGORIES, P.UPDATE_STATUS_CATEGORIES,
+    P.VIEW_PROVIDERS, P.VIEW_PROVIDERS_ID, P.CREATE_PROVIDERS, P.UPDATE_PROVIDERS, P.UPDATE_STATUS_PROVIDERS, P.VIEW_PROVIDER_STATEMENTS, P.VIEW_PAYABLES_AGING,
+    P.VIEW_PRODUCTS, P.VIEW_PRODUCTS_ID, P.CREATE_PRODUCTS, P.EDIT_PRODUCTS, P.DELETE_PRODUCTS, P.UPDATE_STATUS_PRODUCTS, P.UPDATE_STOCK_PRODUCTS, P.VIEW_STOCK_MOVEMENTS,
+    P.VIEW_PURCHASES, P.VIEW_PURCHASES_ID, P.CREATE_PURCHASES, P.UPDATE_STATUS_PURCHASES, P.VIEW_PURCHASE_PAYMENTS, P.CREATE_PURCHASE_PAYMENTS,
+    P.VIEW_PURCHASE_ORDERS, P.VIEW_PURCHASE_ORDERS_ID, P.CREATE_PURCHASE_ORDERS, P.UPDATE_PURCHASE_ORDERS, P.RECEIVE_PURCHASE_ORDERS, P.VIEW_DELIVERY_REPORT,
+    P.VIEW_CUSTOMERS, P.VIEW_CUSTOMERS_ID, P.CREATE_CUSTOMERS, P.UPDATE_CUSTOMERS, P.VIEW_CUSTOMER_STATEMENTS, P.VIEW_RECEIVABLES_AGING,
+    P.VIEW_SALES, P.VIEW_SALES_ID, P.CREATE_SALES, P.VIEW_SALE_RETURNS, P.CREATE_SALE_RETURNS,
+    P.VIEW_SALE_PAYMENTS, P.CREATE_SALE_PAYMENTS, P.VOID_SALE_PAYMENTS, P.VIEW_PAYMENTS_SUMMARY,
+    P.VIEW_TRANSFERS, P.VIEW_TRANSFERS_ID, P.CREATE_TRANSFERS, P.DISPATCH_TRANSFERS, P.RECEIVE_TRANSFERS,
+    P.VIEW_DASHBOARD
   ],
 
   employee: [
-    "view_categories",
-    "view_products", "view_products_id", "create_products", "edit_products", "delete_products", "update_status_products", "update_stock_products",
-    "view_customers", "view_customers_id",
-    "view_sales", "view_sales_id", "create_sales"
+    P.VIEW_CATEGORIES,
+    P.VIEW_PRODUCTS, P.VIEW_PRODUCTS_ID, P.CREATE_PRODUCTS, P.EDIT_PRODUCTS, P.DELETE_PRODUCTS, P.UPDATE_STATUS_PRODUCTS, P.UPDATE_STOCK_PRODUCTS,
+    P.VIEW_CUSTOMERS, P.VIEW_CUSTOMERS_ID,
+    P.VIEW_SALES, P.VIEW_SALES_ID, P.CREATE_SALES, P.VIEW_SALE_RETURNS,
+    P.VIEW_SALE_PAYMENTS, P.CREATE_SALE_PAYMENTS,
+    P.VIEW_DASHBOARD
   ]
 };
 
-// Función para crear los permisos iniciales en la base de datos
-export const createInitialPermissions = async () => {
-  try {
-    // Obtener la traducción de los permisos
-    const codeToName = Permission.getCodeToNameTranslation();
-    
-    // Verificar si ya hay permisos en la base de datos
-    const count = await Permission.countDocuments();
-    if (count > 0) {
-      return;
-    }
-    
-    // Crear batch de permisos iniciales
-    const initialPermissions = ALL_PERMISSIONS.map(code => ({
-      code: code,
-      name: codeToName[code] || code, // Usar la traducción en español, o el código si no hay traducción
-      description: `Permiso para ${codeToName[code] || code}`,
-      status: 'active'
-    }));
-    
-    // Guardar todos los permisos en la base de datos
-    await Permission.insertMany(initialPermissions);
-  } catch (error) {
-    console.error("Error al crear permisos iniciales:", error);
+/**
+ * Sincroniza el registro de permisos con la colección Permission:
+ * crea los códigos nuevos y marca como huérfanos los que ya no están en el registro.
+ * @returns {Promise<{created: string[], orphans: string[]}>}
+ */
+export const syncPermissionRegistry = async () => {
+  const existing = await Permission.find().select("code");
+  const existingCodes = new Set(existing.map(permission => permission.code));
+
+  const created = [];
+  for (const code of PERMISSION_CODES) {
+    if (existingCodes.has(code)) continue;
+
+    const { name } = getPermissionDefinition(code);
+    await Permission.create({
+      id: await nextDocumentId("permission"),
+      code,
+      name,
+      description: `Permiso para ${name}`,
+      status: "active"
+    });
+    created.push(code);
+  }
+
+  const orphans = [...existingCodes].filter(code => !isRegisteredPermission(code));
+
+  await Permission.updateMany({ code: { $in: orphans } }, { orphaned: true });
+  await Permission.updateMany({ code: { $in: PERMISSION_CODES }, orphaned: true }, { orphaned: false });
+
+  if (created.length > 0) {
+    console.log(`Permissions added from registry: ${created.join(", ")}`);
+  }
+  if (orphans.length > 0) {
+    console.warn(`⚠️  Orphan permissions (not in registry, no route uses them): ${orphans.join(", ")}`);
   }
+
+  return { created, orphans };
 };
 
 // Obtener permisos por defecto según el nombre del rol (devuelve códigos en inglés)
@@ -88,56 +79,31 @@ export const getDefaultPermissions = (roleName) => {
   return DEFAULT_PERMISSIONS[roleName] || [];
 };
 
-// Verifica si un rol tiene cierto permiso (versión asíncrona con consulta a DB)
-export const checkPermission = async (roleId, permissionCode) => {
-  try {
-    const role = await Role.findById(roleId).populate('permissions');
-    if (!role) return false;
-
-    // Si es un rol predeterminado, verificar en la configuración estática
-    if (role.isDefault && DEFAULT_PERMISSIONS[role.name]) {
-      return DEFAULT_PERMISSIONS[role.name].includes(permissionCode);
-    }
+// Verifica si un rol tiene cierto permiso. Es la única ruta de autorización: la usan
+// authorizePermission y los controladores con el rol que authenticateUser ya resolvió
+// (req.user.role), por lo que no consulta la base de datos.
+export const checkPermission = (role, permissionCode) => {
+  if (!role) return false;
 
-    // Verificar si el rol tiene el permiso en su array de permisos
-    if (role.permissions && role.permissions.length > 0) {
-      return role.permissions.some(permission => 
-        permission.code === permissionCode
-      );
-    }
-
-    return false;
-  } catch (error) {
-    console.error("Error checking permission:", error);
-    return false;
+  // Si role es un string (nombre del rol)
+  if (typeof role === 'string') {
+    return role === 'admin' || getDefaultPermissions(role).includes(permissionCode);
   }
-};
 
-// Verifica permiso sincrónicamente si ya tienes el objeto de rol completo
-export const checkPermissionSync = (role, permissionCode) => {
-  if (role && typeof role === 'object') {
-    if (role.isDefault && role.name && DEFAULT_PERMISSIONS[role.name]) {
-      return DEFAULT_PERMISSIONS[role.name].includes(permissionCode);
-    }
+  // El administrador tiene todos los permisos
+  if (role.name === 'admin') return true;
 
-    // Verificar en el array de permisos del rol
-    if (role.permissions && Array.isArray(role.permissions)) {
-      return role.permissions.some(permission => {
-        if (typeof permission === 'string') {
-          return permission === permissionCode;
-        }
-        if (permission && typeof permission === 'object') {
-          return permission.code === permissionCode;
-        }
-        return false;
-      });
-    }
+  // Roles predefinidos: solo la configuración estática (los permisos asignados no cuentan)
+  if (role.isDefault && DEFAULT_PERMISSIONS[role.name]) {
+    return DEFAULT_PERMISSIONS[role.name].includes(permissionCode);
   }
 
-  // Si role es un string (nombre del rol)
-  if (typeof role === 'string' && DEFAULT_PERMISSIONS[role]) {
-    return DEFAULT_PERMISSIONS[role].includes(permissionCode);
-  }
+  if (!Array.isArray(role.permissions)) return false;
 
-  return false;
-};
\ No newline at end of file
+  return role.permissions.some(permission => {
+    if (typeof permission === 'string') {
+      return permission === permissionCode;
+    }
+    return Boolean(permission && permission.code === permissionCode);
+  });
+};
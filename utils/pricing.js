@@ -0,0 +1,153 @@
+// Cálculo de descuentos e IVA para ventas. Los montos son pesos colombianos enteros:
+// cada valor se redondea al peso en la línea donde se calcula, y los totales de la venta
+// son la suma de las líneas, por lo que el desglose siempre cuadra.
+//
+// PRICES_INCLUDE_TAX=true indica que el precio de los productos ya incluye IVA (la base
+// gravable se extrae del precio); por defecto el IVA se suma sobre el precio.
+
+// Tarifas de IVA vigentes: exento/excluido (0), reducida (5) y general (19)
+export const IVA_RATES = [0, 5, 19];
+export const DEFAULT_IVA_RATE = 19;
+
+export const DISCOUNT_TYPES = ["percentage", "fixed"];
+
+export const isValidTaxRate = (rate) => IVA_RATES.includes(rate);
+
+export const pricesIncludeTax = () => process.env.PRICES_INCLUDE_TAX === "true";
+
+// Tarifa aplicable a un producto: la propia o, si no tiene, la de su categoría
+export const resolveTaxRate = (product, category = null) => {
+  if (product.taxRate !== undefined && product.taxRate !== null) return product.taxRate;
+  if (category && category.taxRate !== undefined && category.taxRate !== null) return category.taxRate;
+  return DEFAULT_IVA_RATE;
+};
+
+/**
+ * Valida una regla de descuento { type: "percentage"|"fixed", value }
+ * @returns {string|null} mensaje de error o null si es válida
+ */
+export const validateDiscount = (discount, label = "discount") => {
+  if (discount === undefined || discount === null) return null;
+
+  if (typeof discount !== "object" || !DISCOUNT_TYPES.includes(discount.type)) {
+    return `Invalid ${label}. Type must be one of: ${DISCOUNT_TYPES.join(", ")}`;
+  }
+
+  if (discount.type === "percentage" && (typeof discount.value !== "number" || discount.value <= 0 || discount.value > 100)) {
+    return `Invalid ${label}. Percentage must be greater than 0 and at most 100`;
+  }
+
+  if (discount.type === "fixed" && (!Number.isInteger(discount.value) || discount.value <= 0)) {
+    return `Invalid ${label}. Fixed amount must be a positive integer`;
+  }
+
+  return null;
+};
+
+// Monto de un descuento sobre un importe (nunca mayor que el importe)
+function applyDiscount(rule, amount) {
+  if (!rule || !rule.type) return 0;
+
+  const value = rule.type === "percentage"
+    ? Math.round(amount * rule.value / 100)
+    : rule.value;
+
+  return Math.min(Math.max(value, 0), amount);
+}
+
+// Reparte un monto entre importes de forma proporcional con redondeo acumulado:
+// la suma de las partes es exactamente el monto
+function prorate(amount, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (amount === 0 || totalWeight === 0) return weights.map(() => 0);
+
+  let accumulatedWeight = 0;
+  let allocated = 0;
+
+  return weights.map(weight => {
+    accumulatedWeight += weight;
+    const target = Math.round(amount * accumulatedWeight / totalWeight);
+    const share = target - allocated;
+    allocated = target;
+    return share;
+  });
+}
+
+/**
+ * Calcula el desglose de una venta
+ * @param {Array<{quantity, sale_price, taxRate, discountRule}>} lines
+ * @param {Object|null} orderDiscount - descuento sobre el total de la venta
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTax] - si los precios ya incluyen IVA
+ * @returns {{ lines: Array, breakdown: Object }}
+ */
+export const calculateSaleBreakdown = (lines, orderDiscount = null, { includeTax = pricesIncludeTax() } = {}) => {
+  // 1. Subtotal y descuento propio de cada línea
+  const partial = lines.map(line => {
+    const subtotal = line.quantity * line.sale_price;
+    const lineDiscount = applyDiscount(line.discountRule, subtotal);
+    return { subtotal, lineDiscount, net: subtotal - lineDiscount, taxRate: line.taxRate || 0 };
+  });
+
+  // 2. Descuento de la venta, repartido entre las líneas según su valor neto para
+  //    que reduzca la base gravable de cada tarifa
+  const netTotal = partial.reduce((sum, line) => sum + line.net, 0);
+  const orderDiscountAmount = applyDiscount(orderDiscount, netTotal);
+  const orderShares = prorate(orderDiscountAmount, partial.map(line => line.net));
+
+  // 3. Base gravable, IVA y total por línea
+  const calculated = partial.map((line, index) => {
+    const discount = line.lineDiscount + orderShares[index];
+    const amount = line.subtotal - discount;
+
+    let taxableBase, tax;
+    if (includeTax) {
+      taxableBase = Math.round(amount / (1 + line.taxRate / 100));
+      tax = amount - taxableBase;
+    } else {
+      taxableBase = amount;
+      tax = Math.round(taxableBase * line.taxRate / 100);
+    }
+
+    return {
+      subtotal: line.subtotal,
+      lineDiscount: line.lineDiscount,
+      orderDiscount: orderShares[index],
+      discount,
+      taxableBase,
+      taxRate: line.taxRate,
+      tax,
+      total: taxableBase + tax
+    };
+  });
+
+  const sum = (field) => calculated.reduce((total, line) => total + line[field], 0);
+
+  // Resumen por tarifa (como se presenta en la factura)
+  const taxes = [];
+  for (const line of calculated) {
+    let entry = taxes.find(item => item.rate === line.taxRate);
+    if (!entry) {
+      entry = { rate: line.taxRate, base: 0, tax: 0 };
+      taxes.push(entry);
+    }
+    entry.base += line.taxableBase;
+    entry.tax += line.tax;
+  }
+  taxes.sort((a, b) => a.rate - b.rate);
+
+  return {
+    lines: calculated,
+    breakdown: {
+      subtotal: sum("subtotal"),
+      lineDiscount: sum("lineDiscount"),
+      orderDiscount: orderDiscountAmount,
+      discount: sum("discount"),
+      taxableBase: sum("taxableBase"),
+      tax: sum("tax"),
+      total: sum("total"),
+      pricesIncludeTax: includeTax,
+      taxes
+    }
+  };
+};
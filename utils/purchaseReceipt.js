@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+import Purchase from "../models/purchase.js";
+import BranchStock from "../models/branchStock.js";
+import Product from "../models/product.js";
+import Lot from "../models/lot.js";
+import { nextDocumentId } from "./sequence.js";
+import { applyPurchase } from "./rollups.js";
+
+// Registro de compras con ingreso de mercancía. Lo usan tanto la compra directa
+// (postPurchase) como cada recepción de una orden de compra.
+
+/**
+ * Vencimiento de una compra: la fecha de compra más el plazo del proveedor
+ * @param {Date} purchaseDate
+ * @param {Object} provider - documento con payment_term_days
+ * @returns {Date} fecha local sin hora
+ */
+export const computeDueDate = (purchaseDate, provider) => {
+  const dueDate = new Date(purchaseDate.getFullYear(), purchaseDate.getMonth(), purchaseDate.getDate());
+  dueDate.setDate(dueDate.getDate() + (provider?.payment_term_days || 0));
+  return dueDate;
+};
+
+/**
+ * Crea la compra e ingresa su mercancía a la sucursal: actualiza el costo promedio del
+ * producto, incrementa el stock y crea un lote por línea, y la suma a los totales diarios. Debe ejecutarse dentro de una transacción.
+ * @param {Object} data
+ * @param {ObjectId} data.provider
+ * @param {Object} data.branch - documento de la sucursal (se usa su código en la numeración)
+ * @param {Array<{product, quantity, purchase_price, batch_date, expiration_date, order_line}>} data.products
+ * @param {Date} data.purchaseDate
+ * @param {Date} data.dueDate
+ * @param {ObjectId} [data.purchaseOrder] - orden de compra de la que proviene la recepción
+ * @param {ObjectId} data.user - usuario que registra el ingreso
+ * @param {ClientSession} session
+ * @returns {Promise<Document>} compra creada
+ */
+export const createPurchaseWithStock = async ({ provider, branch, products, purchaseDate, dueDate, purchaseOrder, user }, session) => {
+  // El _id se genera antes para enlazar los movimientos de stock y los lotes con la compra
+  const purchaseObjectId = new mongoose.Types.ObjectId();
+
+  const purchase = new Purchase({
+    _id: purchaseObjectId,
+    provider,
+    branch: branch._id,
+    products: products.map(item => ({
+      product: item.product,
+      quantity: item.quantity,
+      purchase_price: item.purchase_price,
+      total: item.purchase_price * item.quantity,
+      batch_date: item.batch_date,
+      expiration_date: item.expiration_date,
+      order_line: item.order_line
+    })),
+    purchase_date: purchaseDate,
+    due_date: dueDate,
+    purchase_order: purchaseOrder,
+    total: products.reduce((sum, item) => sum + item.purchase_price * item.quantity, 0)
+  });
+
+  for (const item of purchase.products) {
+    await Product.receiveAtCost(item.product, item.quantity, item.purchase_price, session);
+    await BranchStock.increment(item.product, branch._id, item.quantity, {
+      reason: "purchase",
+      sourceModel: "Purchase",
+      sourceId: purchaseObjectId,
+      user
+    }, session);
+
+    const lot = await Lot.receive({
+      product: item.product,
+      branch: branch._id,
+      quantity: item.quantity,
+      batchDate: item.batch_date,
+      expirationDate: item.expiration_date,
+      sourceModel: "Purchase",
+      sourceId: purchaseObjectId
+    }, session);
+    item.lot = lot._id;
+  }
+
+  purchase.id = await nextDocumentId("purchase", { branchCode: branch.id, date: purchaseDate });
+  await purchase.save({ session });
+  await applyPurchase(purchase, { active: 1, registered: 1 }, session);
+
+  return purchase;
+};
@@ -0,0 +1,395 @@
+import mongoose from "mongoose";
+import DailyRollup, { ROLLUP_METRICS } from "../models/dailyRollup.js";
+import Sale from "../models/sales.js";
+import Purchase from "../models/purchase.js";
+import CreditNote from "../models/creditNote.js";
+import Product from "../models/product.js";
+
+// Mantenimiento de los totales diarios (DailyRollup). Las funciones apply* se llaman dentro
+// de la transacción de la venta, devolución o compra; rebuildRollups los recalcula desde
+// las colecciones originales (npm run rollups:rebuild).
+
+// Fechas almacenadas sin el getter de formato de algunos modelos (p. ej. Sale.salesDate)
+function rawDate(doc, field) {
+  const value = typeof doc.get === "function" ? doc.get(field, null, { getters: false }) : doc[field];
+  return value ? new Date(value) : new Date();
+}
+
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+const toId = (value) => (value && value._id ? value._id : value) || null;
+
+// Costo de una línea de venta; las líneas sin costo registrado cuentan como unidades sin costo
+const hasCost = (item) => item.cost !== null && item.cost !== undefined;
+
+const scale = (increments, sign) =>
+  Object.fromEntries(Object.entries(increments).map(([metric, value]) => [metric, value * sign]));
+
+function getOrCreate(map, key, create) {
+  if (!map.has(key)) map.set(key, create());
+  return map.get(key);
+}
+
+function addInto(target, increments) {
+  for (const [metric, value] of Object.entries(increments)) {
+    target[metric] = (target[metric] || 0) + value;
+  }
+}
+
+async function categoriesByProduct(productIds, session) {
+  const products = await Product.find({ _id: { $in: productIds } }).select("category").session(session);
+  return new Map(products.map(product => [product._id.toString(), product.category || null]));
+}
+
+/**
+ * Aplica incrementos a las filas del día: la de la sucursal, la de cada producto y la de
+ * cada categoría (suma de sus productos)
+ * @param {Object} change
+ * @param {Date} change.date
+ * @param {ObjectId|null} change.branch
+ * @param {Object} change.totals - incrementos de la fila de la sucursal
+ * @param {Array<{product: ObjectId, increments: Object}>} [change.lines] - incrementos por producto
+ * @param {number} [change.saleTotal] - total de una venta completada (máximo y mínimo del día)
+ * @param {ClientSession} [session]
+ */
+async function applyChange({ date, branch, totals, lines = [], saleTotal }, session = null) {
+  const day = startOfDay(date);
+  const upsert = (dimension, key, increments, extra = {}) => ({
+    updateOne: {
+      filter: { dimension, date: day, key },
+      update: { $inc: increments, ...extra },
+      upsert: true
+    }
+  });
+
+  const operations = [
+    upsert("branch", toId(branch), totals, saleTotal !== undefined
+      ? { $max: { salesMax: saleTotal }, $min: { salesMin: saleTotal } }
+      : {})
+  ];
+
+  if (lines.length > 0) {
+    const byProduct = new Map();
+    for (const line of lines) {
+      const key = toId(line.product).toString();
+      addInto(getOrCreate(byProduct, key, () => ({})), line.increments);
+    }
+
+    const categories = await categoriesByProduct([...byProduct.keys()], session);
+    const byCategory = new Map();
+    for (const [productId, increments] of byProduct) {
+      operations.push(upsert("product", new mongoose.Types.ObjectId(productId), increments));
+
+      const category = categories.get(productId);
+      if (category) {
+        const key = category.toString();
+        addInto(getOrCreate(byCategory, key, () => ({})), increments);
+      }
+    }
+
+    for (const [categoryId, increments] of byCategory) {
+      operations.push(upsert("category", new mongoose.Types.ObjectId(categoryId), increments));
+    }
+  }
+
+  await DailyRollup.bulkWrite(operations, { session, ordered: true });
+}
+
+/**
+ * Venta registrada (sign 1) o eliminada (sign -1), en cualquier estado
+ */
+export const applySaleRegistered = (sale, sign, session = null) =>
+  applyChange({
+    date: rawDate(sale, "salesDate"),
+    branch: sale.branch,
+    totals: { registeredSalesTotal: sign * sale.total, registeredSalesCount: sign }
+  }, session);
+
+/**
+ * Venta completada: pasa a contar en los ingresos del día
+ */
+export const applySaleCompleted = (sale, session = null) =>
+  applyChange({
+    date: rawDate(sale, "salesDate"),
+    branch: sale.branch,
+    totals: {
+      salesTotal: sale.total,
+      salesCount: 1,
+      salesTax: sale.breakdown?.tax || 0,
+      salesUnits: sale.products.reduce((sum, item) => sum + item.quantity, 0),
+      salesCost: sale.products.reduce((sum, item) => sum + (hasCost(item) ? item.cost : 0), 0),
+      uncostedUnits: sale.products.reduce((sum, item) => sum + (hasCost(item) ? 0 : item.quantity), 0)
+    },
+    lines: sale.products.map(item => ({
+      product: item.product,
+      increments: {
+        salesTotal: item.total ?? item.sale_price * item.quantity,
+        salesCount: 1,
+        salesTax: item.tax || 0,
+        salesUnits: item.quantity,
+        salesCost: hasCost(item) ? item.cost : 0,
+        uncostedUnits: hasCost(item) ? 0 : item.quantity
+      }
+    })),
+    saleTotal: sale.total
+  }, session);
+
+/**
+ * Devolución (nota crédito) en la fecha en que se registró
+ * @param {Object} creditNote - { returnDate, branch, total, tax, products: [{ product, quantity, total, tax, cost }] }
+ */
+export const applySaleReturn = (creditNote, session = null) =>
+  applyChange({
+    date: rawDate(creditNote, "returnDate"),
+    branch: creditNote.branch,
+    totals: {
+      returnsTotal: creditNote.total,
+      returnsCount: 1,
+      returnedUnits: creditNote.products.reduce((sum, item) => sum + item.quantity, 0),
+      returnsTax: creditNote.tax || 0,
+      returnsCost: creditNote.products.reduce((sum, item) => sum + (item.cost || 0), 0)
+    },
+    lines: creditNote.products.map(item => ({
+      product: item.product,
+      increments: {
+        returnsTotal: item.total,
+        returnsCount: 1,
+        returnedUnits: item.quantity,
+        returnsTax: item.tax || 0,
+        returnsCost: item.cost || 0
+      }
+    }))
+  }, session);
+
+/**
+ * Compra que entra o sale de los totales
+ * @param {Object} purchase
+ * @param {Object} signs
+ * @param {number} [signs.active=0] - 1 al registrarla o reactivarla, -1 al desactivarla
+ * @param {number} [signs.registered=0] - 1 al registrarla, -1 al eliminarla
+ */
+export const applyPurchase = (purchase, { active = 0, registered = 0 }, session = null) => {
+  const totals = {};
+  if (active) {
+    addInto(totals, scale({
+      purchasesTotal: purchase.total,
+      purchasesCount: 1,
+      purchasedUnits: purchase.products.reduce((sum, item) => sum + item.quantity, 0)
+    }, active));
+  }
+  if (registered) {
+    addInto(totals, scale({ registeredPurchasesTotal: purchase.total, registeredPurchasesCount: 1 }, registered));
+  }
+
+  return applyChange({
+    date: rawDate(purchase, "purchase_date"),
+    branch: purchase.branch,
+    totals,
+    lines: active
+      ? purchase.products.map(item => ({
+        product: item.product,
+        increments: scale({ purchasesTotal: item.total, purchasesCount: 1, purchasedUnits: item.quantity }, active)
+      }))
+      : []
+  }, session);
+};
+
+// ===== RECONSTRUCCIÓN DESDE EL HISTORIAL =====
+
+const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const dayExpression = (field) => ({ $dateTrunc: { date: field, unit: "day", timezone } });
+
+// Agrupa por día y por una clave, sumando los campos indicados
+function groupByDay(keyExpression, sums, accumulators = {}) {
+  return {
+    $group: {
+      _id: { date: dayExpression("$date"), key: keyExpression },
+      ...Object.fromEntries(Object.entries(sums).map(([metric, expression]) => [metric, { $sum: expression }])),
+      ...accumulators
+    }
+  };
+}
+
+// Total de una línea de venta; las ventas anteriores al desglose no lo tienen almacenado
+const saleLineTotal = { $ifNull: ["$products.total", { $multiply: ["$products.sale_price", "$products.quantity"] }] };
+// Costo de una línea de venta y sus unidades sin costo registrado
+const saleLineCost = { $ifNull: ["$products.cost", 0] };
+const saleLineUncosted = { $cond: [{ $eq: [{ $ifNull: ["$products.cost", null] }, null] }, "$products.quantity", 0] };
+
+// Métricas de un mes, calculadas desde ventas, notas crédito y compras
+async function computeRange(startDate, endDate) {
+  const saleMatch = { salesDate: { $gte: startDate, $lt: endDate } };
+  const purchaseMatch = { purchase_date: { $gte: startDate, $lt: endDate } };
+  const lineQuantity = "$products.quantity";
+
+  const [
+    completedByBranch, completedByProduct, registeredSales,
+    returnsByBranch, returnsByProduct,
+    activeByBranch, activeByProduct, registeredPurchases
+  ] = await Promise.all([
+    Sale.aggregate([
+      { $match: { ...saleMatch, status: "completed" } },
+      { $set: { date: "$salesDate" } },
+      groupByDay("$branch", {
+        salesTotal: "$total",
+        salesCount: 1,
+        salesTax: { $ifNull: ["$breakdown.tax", 0] },
+        salesUnits: { $sum: "$products.quantity" },
+        salesCost: { $sum: { $map: { input: "$products", as: "line", in: { $ifNull: ["$$line.cost", 0] } } } },
+        uncostedUnits: {
+          $sum: {
+            $map: {
+              input: "$products",
+              as: "line",
+              in: { $cond: [{ $eq: [{ $ifNull: ["$$line.cost", null] }, null] }, "$$line.quantity", 0] }
+            }
+          }
+        }
+      }, { salesMax: { $max: "$total" }, salesMin: { $min: "$total" } })
+    ]),
+    Sale.aggregate([
+      { $match: { ...saleMatch, status: "completed" } },
+      { $set: { date: "$salesDate" } },
+      { $unwind: "$products" },
+      groupByDay("$products.product", {
+        salesTotal: saleLineTotal,
+        salesCount: 1,
+        salesTax: { $ifNull: ["$products.tax", 0] },
+        salesUnits: lineQuantity,
+        salesCost: saleLineCost,
+        uncostedUnits: saleLineUncosted
+      })
+    ]),
+    Sale.aggregate([
+      { $match: saleMatch },
+      { $set: { date: "$salesDate" } },
+      groupByDay("$branch", { registeredSalesTotal: "$total", registeredSalesCount: 1 })
+    ]),
+    CreditNote.aggregate([
+      { $match: { returnDate: { $gte: startDate, $lt: endDate } } },
+      { $set: { date: "$returnDate" } },
+      groupByDay("$branch", {
+        returnsTotal: "$total",
+        returnsCount: 1,
+        returnedUnits: { $sum: "$products.quantity" },
+        returnsTax: { $ifNull: ["$tax", 0] },
+        returnsCost: { $sum: "$products.cost" }
+      })
+    ]),
+    CreditNote.aggregate([
+      { $match: { returnDate: { $gte: startDate, $lt: endDate } } },
+      { $set: { date: "$returnDate" } },
+      { $unwind: "$products" },
+      groupByDay("$products.product", {
+        returnsTotal: "$products.total",
+        returnsCount: 1,
+        returnedUnits: lineQuantity,
+        returnsTax: { $ifNull: ["$products.tax", 0] },
+        returnsCost: { $ifNull: ["$products.cost", 0] }
+      })
+    ]),
+    Purchase.aggregate([
+      { $match: { ...purchaseMatch, status: "active" } },
+      { $set: { date: "$purchase_date" } },
+      groupByDay("$branch", {
+        purchasesTotal: "$total",
+        purchasesCount: 1,
+        purchasedUnits: { $sum: "$products.quantity" }
+      })
+    ]),
+    Purchase.aggregate([
+      { $match: { ...purchaseMatch, status: "active" } },
+      { $set: { date: "$purchase_date" } },
+      { $unwind: "$products" },
+      groupByDay("$products.product", { purchasesTotal: "$products.total", purchasesCount: 1, purchasedUnits: lineQuantity })
+    ]),
+    Purchase.aggregate([
+      { $match: purchaseMatch },
+      { $set: { date: "$purchase_date" } },
+      groupByDay("$branch", { registeredPurchasesTotal: "$total", registeredPurchasesCount: 1 })
+    ])
+  ]);
+
+  const rows = new Map();
+  const merge = (dimension, results) => {
+    for (const { _id, ...values } of results) {
+      const id = `${dimension}|${_id.date.getTime()}|${_id.key || ""}`;
+      const row = getOrCreate(rows, id, () => ({ dimension, date: _id.date, key: _id.key || null }));
+      Object.assign(row, values);
+    }
+  };
+
+  merge("branch", completedByBranch);
+  merge("branch", registeredSales);
+  merge("branch", returnsByBranch);
+  merge("branch", activeByBranch);
+  merge("branch", registeredPurchases);
+  merge("product", completedByProduct);
+  merge("product", returnsByProduct);
+  merge("product", activeByProduct);
+
+  // Filas por categoría: suma de las de sus productos
+  const productRows = [...rows.values()].filter(row => row.dimension === "product" && row.key);
+  const categories = await categoriesByProduct(productRows.map(row => row.key), null);
+  for (const row of productRows) {
+    const category = categories.get(row.key.toString());
+    if (!category) continue;
+
+    const id = `category|${row.date.getTime()}|${category}`;
+    const categoryRow = getOrCreate(rows, id, () => ({ dimension: "category", date: row.date, key: category }));
+    addInto(categoryRow, Object.fromEntries(ROLLUP_METRICS.filter(metric => row[metric]).map(metric => [metric, row[metric]])));
+  }
+
+  return [...rows.values()];
+}
+
+async function firstActivityDate() {
+  const [sale, purchase, creditNote] = await Promise.all([
+    Sale.findOne().sort({ salesDate: 1 }).select("salesDate").lean(),
+    Purchase.findOne().sort({ purchase_date: 1 }).select("purchase_date").lean(),
+    CreditNote.findOne().sort({ returnDate: 1 }).select("returnDate").lean()
+  ]);
+
+  const dates = [sale?.salesDate, purchase?.purchase_date, creditNote?.returnDate].filter(Boolean);
+  return dates.length > 0 ? new Date(Math.min(...dates.map(date => new Date(date).getTime()))) : null;
+}
+
+/**
+ * Recalcula los totales diarios de un rango de fechas, mes a mes. Reemplaza las filas del
+ * rango: conviene ejecutarlo con poca actividad, ya que una venta registrada durante la
+ * reconstrucción de su mes puede quedar fuera
+ * @param {Object} [range]
+ * @param {Date} [range.from] - por defecto, la primera venta, devolución o compra
+ * @param {Date} [range.to] - fin exclusivo; por defecto, mañana
+ * @param {(month: Date, rows: number) => void} [onProgress]
+ * @returns {Promise<{ months: number, rows: number }>}
+ */
+export const rebuildRollups = async ({ from, to } = {}, onProgress = () => {}) => {
+  const start = from ? startOfDay(from) : await firstActivityDate();
+  const today = startOfDay(new Date());
+  const end = to ? startOfDay(to) : new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+
+  let months = 0;
+  let total = 0;
+  if (!start || start >= end) return { months, rows: total };
+
+  for (let chunkStart = startOfDay(start); chunkStart < end;) {
+    const nextMonth = new Date(chunkStart.getFullYear(), chunkStart.getMonth() + 1, 1);
+    const chunkEnd = nextMonth < end ? nextMonth : end;
+
+    const rows = await computeRange(chunkStart, chunkEnd);
+    await DailyRollup.deleteMany({ date: { $gte: chunkStart, $lt: chunkEnd } });
+    if (rows.length > 0) {
+      await DailyRollup.insertMany(rows, { ordered: false });
+    }
+
+    months++;
+    total += rows.length;
+    onProgress(chunkStart, rows.length);
+    chunkStart = chunkEnd;
+  }
+
+  return { months, rows: total };
+};
@@ -0,0 +1,135 @@
+import mongoose from "mongoose";
+import Counter from "../models/counter.js";
+
+// Configuración por tipo de documento. Los valores por defecto conservan el formato
+// histórico (Sa01, Pu01, ...) y pueden sobrescribirse con variables de entorno:
+//   SEQUENCE_<TIPO>_PREFIX, SEQUENCE_<TIPO>_PADDING, SEQUENCE_<TIPO>_SEPARATOR,
+//   SEQUENCE_<TIPO>_PER_BRANCH, SEQUENCE_<TIPO>_PER_YEAR
+// Ejemplo: SEQUENCE_SALE_PREFIX=SA, SEQUENCE_SALE_PADDING=6, SEQUENCE_SALE_PER_BRANCH=true,
+// SEQUENCE_SALE_PER_YEAR=true produce "SA-BR01-2026-000123".
+const SEQUENCES = {
+  sale: { model: "Sale", prefix: "Sa", padding: 2 },
+  purchase: { model: "Purchase", prefix: "Pu", padding: 2 },
+  product: { model: "Product", prefix: "Pr", padding: 2 },
+  provider: { model: "Provider", prefix: "Pr", padding: 2 },
+  category: { model: "Category", prefix: "Ca", padding: 2 },
+  branch: { model: "Branch", prefix: "Br", padding: 2 },
+  role: { model: "Role", prefix: "Ro", padding: 2 },
+  permission: { model: "Permission", prefix: "Pe", padding: 2 },
+  transfer: { model: "Transfer", prefix: "Tr", padding: 2 },
+  lot: { model: "Lot", prefix: "Lo", padding: 2 },
+  creditNote: { model: "CreditNote", prefix: "Nc", padding: 2 },
+  payment: { model: "Payment", prefix: "Pa", padding: 2 },
+  supplierPayment: { model: "SupplierPayment", prefix: "Pp", padding: 2 },
+  purchaseOrder: { model: "PurchaseOrder", prefix: "Oc", padding: 2 }
+};
+
+function readBoolean(value, fallback) {
+  if (value === undefined) return fallback;
+  return ["true", "1", "yes"].includes(String(value).toLowerCase());
+}
+
+// Configuración efectiva de una secuencia (valores por defecto + entorno)
+export const getSequenceConfig = (type) => {
+  const defaults = SEQUENCES[type];
+  if (!defaults) {
+    throw new Error(`Unknown sequence type: ${type}`);
+  }
+
+  const envKey = `SEQUENCE_${type.toUpperCase()}`;
+  const perBranch = readBoolean(process.env[`${envKey}_PER_BRANCH`], defaults.perBranch || false);
+  const perYear = readBoolean(process.env[`${envKey}_PER_YEAR`], defaults.perYear || false);
+  const padding = parseInt(process.env[`${envKey}_PADDING`], 10);
+
+  return {
+    model: defaults.model,
+    prefix: process.env[`${envKey}_PREFIX`] ?? defaults.prefix,
+    padding: Number.isInteger(padding) && padding > 0 ? padding : defaults.padding,
+    separator: process.env[`${envKey}_SEPARATOR`] ?? (perBranch || perYear ? "-" : ""),
+    perBranch,
+    perYear
+  };
+};
+
+// Parte fija del identificador, por ejemplo "Sa" o "SA-BR01-2026-"
+function buildSeriesPrefix(config, branchCode, year) {
+  const parts = [config.prefix];
+  if (config.perBranch) parts.push(branchCode);
+  if (config.perYear) parts.push(String(year));
+  return parts.join(config.separator) + config.separator;
+}
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+// Upsert sobre el contador. Dos peticiones que crean el mismo contador a la vez pueden
+// insertarlo ambas y una falla con clave duplicada: al reintentar, el documento ya
+// existe y la actualización se aplica sobre él
+async function upsertCounter(counterKey, update, options = {}) {
+  try {
+    return await Counter.findOneAndUpdate({ _id: counterKey }, update, { ...options, upsert: true });
+  } catch (error) {
+    if (!isDuplicateKey(error)) throw error;
+    return Counter.findOneAndUpdate({ _id: counterKey }, update, { ...options, upsert: true });
+  }
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Mayor número ya usado en la colección para la serie (para no repetir ids previos al contador)
+async function findHighestExisting(config, seriesPrefix) {
+  const Model = mongoose.model(config.model);
+
+  const [result] = await Model.aggregate([
+    { $match: { id: { $regex: `^${escapeRegex(seriesPrefix)}\\d+$` } } },
+    {
+      $project: {
+        number: {
+          $toLong: {
+            $substrCP: ["$id", seriesPrefix.length, { $subtract: [{ $strLenCP: "$id" }, seriesPrefix.length] }]
+          }
+        }
+      }
+    },
+    { $group: { _id: null, max: { $max: "$number" } } }
+  ]);
+
+  return result ? Number(result.max) : 0;
+}
+
+/**
+ * Genera el siguiente identificador de una secuencia de forma atómica
+ * @param {string} type - Tipo de documento (sale, purchase, product, ...)
+ * @param {Object} [options]
+ * @param {string} [options.branchCode] - Código de la sucursal (requerido si la serie es por sucursal)
+ * @param {Date} [options.date] - Fecha del documento para series anuales (default: hoy)
+ * @returns {Promise<string>} Identificador formateado
+ */
+export const nextDocumentId = async (type, { branchCode, date = new Date() } = {}) => {
+  const config = getSequenceConfig(type);
+
+  if (config.perBranch && !branchCode) {
+    throw new Error(`Sequence "${type}" is numbered per branch and requires a branch code`);
+  }
+
+  const year = date.getFullYear();
+  const seriesPrefix = buildSeriesPrefix(config, branchCode, year);
+  const counterKey = [type, config.perBranch ? branchCode : null, config.perYear ? year : null]
+    .filter(part => part !== null)
+    .join(":");
+
+  // Primera vez que se usa la serie: continuar desde el mayor id existente.
+  // $max es atómico, por lo que dos inicializaciones concurrentes no retroceden el contador.
+  const existingCounter = await Counter.exists({ _id: counterKey });
+  if (!existingCounter) {
+    const highest = await findHighestExisting(config, seriesPrefix);
+    await upsertCounter(counterKey, { $max: { seq: highest } });
+  }
+
+  // Fuera de cualquier transacción a propósito: un número consumido no se reutiliza
+  // aunque la operación falle, evitando conflictos entre peticiones concurrentes.
+  const counter = await upsertCounter(counterKey, { $inc: { seq: 1 } }, { new: true });
+
+  return `${seriesPrefix}${String(counter.seq).padStart(config.padding, "0")}`;
+};
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Otra petición modificó el documento entre la lectura y la escritura condicionada.
+// Se lanza dentro de runInTransaction para revertir lo aplicado; los controladores
+// la responden con 409
+export class ConcurrentModificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConcurrentModificationError";
+  }
+}
+
+// Ejecuta `work(session)` dentro de una transacción de MongoDB.
+// Si `work` lanza un error se revierten todos los cambios hechos con la sesión.
+// Requiere que MongoDB corra como replica set (Atlas lo hace por defecto).
+export const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};